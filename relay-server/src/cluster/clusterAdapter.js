@@ -0,0 +1,104 @@
+const { v4: uuidv4 } = require('uuid');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * Cluster Adapter - Base class for cross-instance routing backends
+ *
+ * When several relays run behind a load balancer, the sender and the
+ * recipient may be connected to different instances. A cluster backend
+ * provides the two pieces the relays need to cooperate:
+ *
+ * - a shared session registry: which instance holds which device session
+ * - a pub/sub bus: messages addressed to one instance, or to all others
+ *
+ * The message queue and the other persistent state are shared through the
+ * storage adapter, so every instance must use the same storage backend.
+ *
+ * Registry methods are synchronous, like the storage primitives. Bus
+ * messages must be JSON-serializable; delivery is fire-and-forget.
+ */
+class ClusterAdapter {
+  constructor(instanceId, { config = process.env, clock = systemClock } = {}) {
+    this.instanceId = instanceId || config.INSTANCE_ID || uuidv4();
+    this.instanceTtlMs = parseInt(config.CLUSTER_INSTANCE_TTL_MS) || 90000;
+    this.clock = clock;
+  }
+
+  // ==================== Bus ====================
+
+  /**
+   * Join the cluster and receive messages addressed to this instance
+   */
+  start(handler) {
+    throw new Error(`${this.constructor.name} does not implement start()`);
+  }
+
+  /**
+   * Leave the cluster and drop this instance's sessions from the registry
+   */
+  stop() {
+    throw new Error(`${this.constructor.name} does not implement stop()`);
+  }
+
+  /**
+   * Send a message to one instance
+   */
+  publish(instanceId, message) {
+    throw new Error(`${this.constructor.name} does not implement publish()`);
+  }
+
+  /**
+   * Send a message to every other instance
+   */
+  broadcast(message) {
+    throw new Error(`${this.constructor.name} does not implement broadcast()`);
+  }
+
+  /**
+   * Tell the cluster this instance is alive. Sessions of instances that
+   * stop sending heartbeats for CLUSTER_INSTANCE_TTL_MS are ignored.
+   */
+  heartbeat() {
+    throw new Error(`${this.constructor.name} does not implement heartbeat()`);
+  }
+
+  // ==================== Session registry ====================
+
+  /**
+   * Record that this instance holds a device session
+   * Returns the instance that held the device before, or null
+   */
+  registerSession(address, deviceId) {
+    throw new Error(`${this.constructor.name} does not implement registerSession()`);
+  }
+
+  /**
+   * Forget a device session, unless another instance has taken it over
+   */
+  unregisterSession(address, deviceId) {
+    throw new Error(`${this.constructor.name} does not implement unregisterSession()`);
+  }
+
+  /**
+   * Get the live sessions of an address as [{ instanceId, deviceId }]
+   */
+  getSessions(address) {
+    throw new Error(`${this.constructor.name} does not implement getSessions()`);
+  }
+
+  /**
+   * Get every address with at least one live session
+   */
+  getOnlineAddresses() {
+    throw new Error(`${this.constructor.name} does not implement getOnlineAddresses()`);
+  }
+
+  /**
+   * Get the sessions of an address held by other instances
+   */
+  getRemoteSessions(address) {
+    return this.getSessions(address).filter(session => session.instanceId !== this.instanceId);
+  }
+}
+
+module.exports = ClusterAdapter;
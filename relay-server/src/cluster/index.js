@@ -0,0 +1,29 @@
+const { createLogger } = require('../utils/logger');
+const ClusterAdapter = require('./clusterAdapter');
+const { LocalCluster, LocalClusterHub } = require('./localCluster');
+const logger = createLogger('cluster');
+
+/**
+ * Create the cluster backend selected by CLUSTER_BACKEND
+ * - local (default): in-process, a single relay instance
+ * `options` ({ config, clock }) are passed to the backend
+ */
+function createCluster(backend = process.env.CLUSTER_BACKEND || 'local', options = {}) {
+  switch (backend) {
+    case 'local': {
+      const cluster = new LocalCluster(undefined, undefined, options);
+      logger.info('Using local cluster', { instanceId: cluster.instanceId });
+      return cluster;
+    }
+
+    default:
+      throw new Error(`Unknown CLUSTER_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = {
+  createCluster,
+  ClusterAdapter,
+  LocalCluster,
+  LocalClusterHub
+};
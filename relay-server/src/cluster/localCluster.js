@@ -0,0 +1,118 @@
+const { createLogger } = require('../utils/logger');
+const ClusterAdapter = require('./clusterAdapter');
+const logger = createLogger('localCluster');
+
+/**
+ * Shared state of an in-process cluster. Relays that should see each
+ * other are given LocalCluster nodes on the same hub.
+ */
+class LocalClusterHub {
+  constructor() {
+    // Map of instanceId -> { handler, lastHeartbeat }
+    this.instances = new Map();
+
+    // Map of address -> Map of deviceId -> instanceId
+    this.sessions = new Map();
+  }
+}
+
+/**
+ * Local Cluster - Cluster backend that lives in process memory
+ *
+ * With its own hub it is a single-instance cluster (the default). Several
+ * relays in one process can share a hub, which is how multi-instance
+ * routing is tested; relays on separate hosts need a networked backend.
+ * Messages are delivered synchronously.
+ */
+class LocalCluster extends ClusterAdapter {
+  constructor(hub = new LocalClusterHub(), instanceId, options = {}) {
+    super(instanceId, options);
+    this.hub = hub;
+  }
+
+  start(handler) {
+    this.hub.instances.set(this.instanceId, { handler, lastHeartbeat: this.clock.now() });
+    logger.info('Joined cluster', { instanceId: this.instanceId, instances: this.hub.instances.size });
+  }
+
+  stop() {
+    this.hub.instances.delete(this.instanceId);
+
+    for (const [address, devices] of this.hub.sessions) {
+      for (const [deviceId, instanceId] of devices) {
+        if (instanceId === this.instanceId) {
+          devices.delete(deviceId);
+        }
+      }
+      if (devices.size === 0) {
+        this.hub.sessions.delete(address);
+      }
+    }
+  }
+
+  publish(instanceId, message) {
+    const instance = this.hub.instances.get(instanceId);
+    if (!instance || !this.isAlive(instanceId)) {
+      logger.warn('Dropping cluster message for unavailable instance', { instanceId, type: message.type });
+      return;
+    }
+
+    instance.handler({ ...message, sourceInstanceId: this.instanceId });
+  }
+
+  broadcast(message) {
+    for (const instanceId of this.hub.instances.keys()) {
+      if (instanceId !== this.instanceId) {
+        this.publish(instanceId, message);
+      }
+    }
+  }
+
+  heartbeat() {
+    const instance = this.hub.instances.get(this.instanceId);
+    if (instance) {
+      instance.lastHeartbeat = this.clock.now();
+    }
+  }
+
+  isAlive(instanceId) {
+    const instance = this.hub.instances.get(instanceId);
+    return Boolean(instance) && this.clock.now() - instance.lastHeartbeat < this.instanceTtlMs;
+  }
+
+  registerSession(address, deviceId) {
+    if (!this.hub.sessions.has(address)) {
+      this.hub.sessions.set(address, new Map());
+    }
+
+    const devices = this.hub.sessions.get(address);
+    const previous = devices.get(deviceId);
+    devices.set(deviceId, this.instanceId);
+
+    return previous && this.isAlive(previous) ? previous : null;
+  }
+
+  unregisterSession(address, deviceId) {
+    const devices = this.hub.sessions.get(address);
+    if (!devices || devices.get(deviceId) !== this.instanceId) return;
+
+    devices.delete(deviceId);
+    if (devices.size === 0) {
+      this.hub.sessions.delete(address);
+    }
+  }
+
+  getSessions(address) {
+    const devices = this.hub.sessions.get(address);
+    if (!devices) return [];
+
+    return Array.from(devices, ([deviceId, instanceId]) => ({ instanceId, deviceId }))
+      .filter(session => this.isAlive(session.instanceId));
+  }
+
+  getOnlineAddresses() {
+    return Array.from(this.hub.sessions.keys()).filter(address => this.getSessions(address).length > 0);
+  }
+}
+
+module.exports = { LocalCluster, LocalClusterHub };
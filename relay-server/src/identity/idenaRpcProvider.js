@@ -0,0 +1,55 @@
+const IdentityProvider = require('./identityProvider');
+const { IDENTITY_STATES } = require('./identityProvider');
+
+/**
+ * Idena RPC Provider - Looks identity states up on an Idena node
+ *
+ * Calls the node's JSON-RPC `dna_identity` method. The node's API key is
+ * sent in the request body, as the node expects.
+ */
+class IdenaRpcProvider extends IdentityProvider {
+  constructor({
+    config = process.env,
+    url = config.IDENA_RPC_URL || 'http://localhost:9009',
+    apiKey = config.IDENA_RPC_KEY || '',
+    timeoutMs = parseInt(config.IDENA_RPC_TIMEOUT_MS) || 5000
+  } = {}) {
+    super();
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.requestId = 0;
+  }
+
+  async getState(address) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        method: 'dna_identity',
+        params: [address],
+        id: ++this.requestId,
+        key: this.apiKey
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Idena node answered ${response.status}`);
+    }
+
+    const { result, error } = await response.json();
+    if (error) {
+      throw new Error(`Idena node error: ${error.message || JSON.stringify(error)}`);
+    }
+
+    const state = result && result.state;
+    if (!IDENTITY_STATES.includes(state)) {
+      throw new Error(`Unexpected identity state: ${state}`);
+    }
+
+    return state;
+  }
+}
+
+module.exports = IdenaRpcProvider;
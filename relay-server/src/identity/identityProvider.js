@@ -0,0 +1,34 @@
+/**
+ * Idena identity states, as reported by the node's dna_identity method
+ */
+const IDENTITY_STATES = [
+  'Undefined',
+  'Invite',
+  'Candidate',
+  'Newbie',
+  'Verified',
+  'Suspended',
+  'Zombie',
+  'Killed',
+  'Human'
+];
+
+/**
+ * Identity Provider - Base class for identity-state lookups
+ *
+ * A provider answers one question: what is the current Idena identity
+ * state of an address? Caching and policy live in IdentityGate, so a
+ * provider may be as slow as a network round trip.
+ */
+class IdentityProvider {
+  /**
+   * Get the identity state of an address, one of IDENTITY_STATES
+   * Rejects if the state cannot be looked up
+   */
+  async getState(address) {
+    throw new Error(`${this.constructor.name} does not implement getState()`);
+  }
+}
+
+module.exports = IdentityProvider;
+module.exports.IDENTITY_STATES = IDENTITY_STATES;
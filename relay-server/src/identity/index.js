@@ -0,0 +1,41 @@
+const { createLogger } = require('../utils/logger');
+const IdentityProvider = require('./identityProvider');
+const { IDENTITY_STATES } = require('./identityProvider');
+const IdenaRpcProvider = require('./idenaRpcProvider');
+const MockIdentityProvider = require('./mockProvider');
+const logger = createLogger('identity');
+
+/**
+ * Create the identity provider selected by IDENTITY_PROVIDER
+ * - none (default): no lookups, identity gating is off
+ * - idena: an Idena node's JSON-RPC API at IDENA_RPC_URL
+ * - mock: states from IDENTITY_MOCK_STATES, for development
+ * Providers read their settings from `config` (default: process.env)
+ */
+function createIdentityProvider(backend = process.env.IDENTITY_PROVIDER || 'none', config = process.env) {
+  switch (backend) {
+    case 'none':
+      return null;
+
+    case 'idena': {
+      const provider = new IdenaRpcProvider({ config });
+      logger.info('Using Idena node for identity states', { url: provider.url });
+      return provider;
+    }
+
+    case 'mock':
+      logger.warn('Using mock identity states; do not use in production');
+      return new MockIdentityProvider({ config });
+
+    default:
+      throw new Error(`Unknown IDENTITY_PROVIDER: ${backend}`);
+  }
+}
+
+module.exports = {
+  createIdentityProvider,
+  IdentityProvider,
+  IdenaRpcProvider,
+  MockIdentityProvider,
+  IDENTITY_STATES
+};
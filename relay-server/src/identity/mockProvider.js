@@ -0,0 +1,43 @@
+const IdentityProvider = require('./identityProvider');
+
+/**
+ * Parse the IDENTITY_MOCK_STATES map, e.g. '{"0xabc...":"Newbie"}'
+ */
+function parseStates(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`IDENTITY_MOCK_STATES must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Mock Provider - Identity states from configuration, for local
+ * development and tests without an Idena node
+ *
+ * Addresses listed in IDENTITY_MOCK_STATES get their listed state; every
+ * other address gets IDENTITY_MOCK_DEFAULT_STATE.
+ */
+class MockIdentityProvider extends IdentityProvider {
+  constructor({
+    config = process.env,
+    states = parseStates(config.IDENTITY_MOCK_STATES),
+    defaultState = config.IDENTITY_MOCK_DEFAULT_STATE || 'Human'
+  } = {}) {
+    super();
+    this.states = new Map(Object.entries(states).map(([address, state]) => [address.toLowerCase(), state]));
+    this.defaultState = defaultState;
+  }
+
+  setState(address, state) {
+    this.states.set(address.toLowerCase(), state);
+  }
+
+  async getState(address) {
+    return this.states.get(address.toLowerCase()) || this.defaultState;
+  }
+}
+
+module.exports = MockIdentityProvider;
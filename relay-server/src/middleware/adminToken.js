@@ -0,0 +1,106 @@
+const { createLogger } = require('../utils/logger');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { ADDRESS_REGEX } = require('../utils/idenaSignature');
+const { tokensMatch } = require('../utils/tokens');
+const logger = createLogger('adminToken');
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : '';
+}
+
+function rejectDisabled(req, res) {
+  return res.status(404).json({
+    error: {
+      message: 'Endpoint not found',
+      path: req.path
+    }
+  });
+}
+
+function rejectOperator(req, res, error = { code: ErrorCodes.TOKEN_INVALID, message: 'Invalid or missing token' }) {
+  logger.warn('Rejected operator request', { ip: req.ip, path: `${req.baseUrl}${req.path}`, code: error.code });
+  return res.status(401).json({
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * Require `Authorization: Bearer <token>` for operator endpoints.
+ * Without a configured token the endpoints are disabled and answer 404.
+ */
+function requireBearerToken(token) {
+  return (req, res, next) => {
+    if (!token) return rejectDisabled(req, res);
+
+    const provided = bearerToken(req);
+    if (!provided || !tokensMatch(token, provided)) {
+      return rejectOperator(req, res);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require an admin for operator endpoints, either by bearer token or by
+ * a request signed with an admin address's key:
+ *   X-Admin-Address, X-Admin-Timestamp and X-Admin-Signature over
+ *   "idena-p2p:admin:<address>:<METHOD>:<path and query>:<timestamp>"
+ * Sets req.admin to the admin address (or "token") and records the
+ * request in the audit log once it is answered. Without a token or admin
+ * addresses the endpoints are disabled and answer 404.
+ */
+function requireAdmin({ token, addresses = [] }) {
+  const admins = new Set(
+    addresses.filter(address => ADDRESS_REGEX.test(address)).map(address => address.toLowerCase())
+  );
+
+  return (req, res, next) => {
+    if (!token && admins.size === 0) return rejectDisabled(req, res);
+
+    const provided = bearerToken(req);
+    const address = req.get('x-admin-address');
+
+    if (provided) {
+      if (!token || !tokensMatch(token, provided)) return rejectOperator(req, res);
+      req.admin = 'token';
+    } else if (address) {
+      if (!admins.has(address.toLowerCase())) return rejectOperator(req, res);
+
+      const proofError = req.app.locals.proofVerifier.verify(
+        'admin',
+        [address.toLowerCase(), req.method, req.originalUrl],
+        { address, timestamp: req.get('x-admin-timestamp'), signature: req.get('x-admin-signature') }
+      );
+      if (proofError) return rejectOperator(req, res, proofError);
+
+      req.admin = address.toLowerCase();
+    } else {
+      return rejectOperator(req, res);
+    }
+
+    const auditLog = req.app.locals.auditLog;
+    if (auditLog) {
+      res.on('finish', () => {
+        const body = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+        auditLog.record({
+          actor: req.admin,
+          action: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+          target: req.originalUrl,
+          status: res.statusCode,
+          ip: req.ip,
+          details: body
+        });
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireBearerToken,
+  requireAdmin
+};
@@ -0,0 +1,25 @@
+const { createLogger } = require('../utils/logger');
+const { ErrorCodes } = require('../utils/errorCodes');
+const logger = createLogger('bans');
+
+/**
+ * Reject HTTP requests from banned IPs
+ * (banned addresses are rejected where their proof is checked)
+ */
+function rejectBannedIp(req, res, next) {
+  const banList = req.app.locals.banList;
+
+  if (banList && banList.isIpBanned(req.ip)) {
+    logger.warn('Rejected request from banned IP', { ip: req.ip, path: req.path });
+    return res.status(403).json({
+      error: 'This IP is banned',
+      code: ErrorCodes.BANNED
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  rejectBannedIp
+};
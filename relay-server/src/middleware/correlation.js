@@ -0,0 +1,22 @@
+const { v4: uuidv4 } = require('uuid');
+const { runWithLogContext } = require('../utils/logger');
+
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Give each HTTP request a correlation ID, logged with every line written
+ * while handling it. A well-formed X-Request-Id from a proxy is kept, and
+ * the ID is echoed back in the X-Request-Id response header.
+ */
+function assignCorrelationId(req, res, next) {
+  const requestId = req.get('x-request-id');
+  const correlationId = requestId && REQUEST_ID_REGEX.test(requestId) ? requestId : uuidv4();
+
+  req.correlationId = correlationId;
+  res.set('X-Request-Id', correlationId);
+  runWithLogContext({ correlationId }, next);
+}
+
+module.exports = {
+  assignCorrelationId
+};
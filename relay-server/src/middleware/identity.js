@@ -0,0 +1,24 @@
+/**
+ * Check the identity-state policy for an action of a REST request
+ * Returns true if the request may continue; otherwise the 403 is already sent
+ */
+async function checkIdentity(req, res, action, address) {
+  const identityGate = req.app.locals.identityGate;
+  if (!identityGate) return true;
+
+  const identityError = await identityGate.check(action, address);
+  if (identityError) {
+    res.status(403).json({
+      error: identityError.message,
+      code: identityError.code,
+      state: identityError.state
+    });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  checkIdentity
+};
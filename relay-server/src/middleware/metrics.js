@@ -0,0 +1,40 @@
+const { metrics } = require('../utils/metrics');
+
+const httpDuration = metrics.histogram(
+  'relay_http_request_duration_seconds',
+  'HTTP request latency by route',
+  ['method', 'route', 'status']
+);
+
+/**
+ * Route pattern a request matched, e.g. "/api/public-keys/:address",
+ * so latency is grouped per route rather than per address
+ */
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+
+  const path = `${req.baseUrl}${req.route.path}`;
+  return path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path;
+}
+
+/**
+ * Record the latency of every HTTP request
+ */
+function trackHttpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpDuration.observe({
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode
+    }, seconds);
+  });
+
+  next();
+}
+
+module.exports = {
+  trackHttpMetrics
+};
@@ -0,0 +1,34 @@
+const { ErrorCodes } = require('../utils/errorCodes');
+
+/**
+ * Verify the signed ownership proof of a REST request, and that the
+ * address is not banned
+ * Returns true if the request may continue; otherwise the 401/403 is already sent
+ */
+function checkProof(req, res, action, fields, { address, timestamp, signature }) {
+  const proofVerifier = req.app.locals.proofVerifier;
+  const proofError = proofVerifier.verify(action, fields, { address, timestamp, signature });
+
+  if (proofError) {
+    res.status(401).json({
+      error: proofError.message,
+      code: proofError.code
+    });
+    return false;
+  }
+
+  const banList = req.app.locals.banList;
+  if (banList && banList.isAddressBanned(address)) {
+    res.status(403).json({
+      error: 'This address is banned',
+      code: ErrorCodes.BANNED
+    });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  checkProof
+};
@@ -0,0 +1,65 @@
+const { createLogger } = require('../utils/logger');
+const { ErrorCodes } = require('../utils/errorCodes');
+const logger = createLogger('rateLimit');
+
+/**
+ * Full request path without trailing slash, e.g. "/api/public-keys"
+ * (req.path is relative to the router when used inside one)
+ */
+function routePath(req) {
+  const path = `${req.baseUrl}${req.path}`;
+  return path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path;
+}
+
+/**
+ * Send a 429 response with Retry-After
+ */
+function rejectRateLimited(res, result) {
+  res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+  return res.status(429).json({
+    error: 'Too many requests',
+    code: ErrorCodes.RATE_LIMITED,
+    retryAfterMs: result.retryAfterMs
+  });
+}
+
+/**
+ * Per-IP rate limiting for every HTTP request
+ */
+function rateLimitByIp(req, res, next) {
+  const rateLimiter = req.app.locals.rateLimiter;
+  const rule = rateLimiter.ruleForRoute(req.method, routePath(req));
+  const result = rateLimiter.consume(`ip:${req.ip}`, rule);
+
+  if (!result.allowed) {
+    logger.warn('HTTP rate limit exceeded', { ip: req.ip, rule: rule.name });
+    return rejectRateLimited(res, result);
+  }
+
+  next();
+}
+
+/**
+ * Per-address rate limiting for requests that proved address ownership
+ * Identity states the policy trusts get higher limits (see IdentityGate)
+ * Returns true if the request may continue; otherwise the 429 is already sent
+ */
+function checkAddressRateLimit(req, res, address) {
+  const { rateLimiter, identityGate } = req.app.locals;
+  const routeRule = rateLimiter.ruleForRoute(req.method, routePath(req));
+  const rule = identityGate ? identityGate.rateLimitRule(address, routeRule) : routeRule;
+  const result = rateLimiter.consume(`address:${address.toLowerCase()}`, rule);
+
+  if (!result.allowed) {
+    logger.warn('HTTP rate limit exceeded', { address: address.toLowerCase(), rule: rule.name });
+    rejectRateLimited(res, result);
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  rateLimitByIp,
+  checkAddressRateLimit
+};
@@ -0,0 +1,184 @@
+/**
+ * Schemas of the WebSocket frames, by frame type
+ *
+ * Each schema maps a field to { type, required, minLength, maxLength, items }.
+ * Types are string, number, integer, boolean, object, array and address
+ * (an Idena address string). Fields a schema does not list are allowed, so
+ * newer clients may send more than an older relay knows about.
+ */
+
+const id = { type: 'string', minLength: 1, maxLength: 128 };
+const requiredId = { ...id, required: true };
+const recipient = { type: 'address', required: true };
+const addressList = { type: 'array', items: 'string', required: true };
+const relayHint = { type: 'string', maxLength: 256 };
+
+// Frames clients send to the relay
+const INBOUND_FRAMES = {
+  auth: {
+    address: { type: 'address', required: true },
+    nonce: { type: 'string', required: true },
+    signature: { type: 'string', required: true },
+    deviceId: { type: 'string' },
+    version: { type: 'integer' },
+    minVersion: { type: 'integer' },
+    sessionToken: { type: 'string', maxLength: 128 },
+    lastSeq: { type: 'integer' }
+  },
+  message: {
+    to: recipient,
+    content: { type: 'string', required: true, minLength: 1 },
+    messageId: requiredId,
+    timestamp: { type: 'number' },
+    senderCopy: { type: 'string' },
+    relay: relayHint,
+    ttlMs: { type: 'integer' },
+    expiresAt: { type: 'number' }
+  },
+  sealed_message: {
+    to: recipient,
+    deliveryToken: { type: 'string', required: true, maxLength: 128 },
+    content: { type: 'string', required: true, minLength: 1 },
+    messageId: requiredId,
+    timestamp: { type: 'number' },
+    ttlMs: { type: 'integer' },
+    expiresAt: { type: 'number' }
+  },
+  delivery_token_request: {
+    revoke: { type: 'boolean' }
+  },
+  typing: {
+    to: recipient,
+    isTyping: { type: 'boolean', required: true },
+    relay: relayHint
+  },
+  read_receipt: {
+    to: recipient,
+    messageId: requiredId,
+    relay: relayHint
+  },
+  ack: {
+    messageId: id,
+    messageIds: { type: 'array', items: 'string' }
+  },
+  subscribe_presence: { addresses: addressList },
+  unsubscribe_presence: { addresses: addressList },
+  presence_allow: { addresses: addressList },
+  presence_revoke: { addresses: addressList },
+  block: { addresses: addressList },
+  unblock: { addresses: addressList },
+  retract: {
+    to: recipient,
+    messageId: requiredId,
+    timestamp: { type: 'number', required: true },
+    signature: { type: 'string', required: true },
+    relay: relayHint
+  },
+  edit: {
+    to: recipient,
+    messageId: requiredId,
+    content: { type: 'string', required: true, minLength: 1 },
+    timestamp: { type: 'number', required: true },
+    signature: { type: 'string', required: true },
+    relay: relayHint
+  },
+  remove_device: {
+    deviceId: { type: 'string', required: true }
+  },
+  group_create: {
+    name: { type: 'string' },
+    members: { type: 'array', items: 'string' }
+  },
+  group_add_members: {
+    groupId: requiredId,
+    members: { type: 'array', items: 'string', required: true }
+  },
+  group_remove_member: {
+    groupId: requiredId,
+    address: { type: 'address', required: true }
+  },
+  group_set_role: {
+    groupId: requiredId,
+    address: { type: 'address', required: true },
+    role: { type: 'string', required: true }
+  },
+  group_message: {
+    groupId: requiredId,
+    payloads: { type: 'object', required: true },
+    messageId: requiredId,
+    timestamp: { type: 'number' },
+    senderCopy: { type: 'string' }
+  },
+  ping: {}
+};
+
+// Frames the relay sends; types not listed here are not checked
+const OUTBOUND_FRAMES = {
+  auth_challenge: {
+    nonce: { type: 'string', required: true },
+    expiresAt: { type: 'number', required: true }
+  },
+  auth_success: {
+    address: { type: 'address', required: true },
+    deviceId: { type: 'string', required: true },
+    version: { type: 'integer', required: true },
+    sessionToken: { type: 'string', required: true },
+    seq: { type: 'integer', required: true },
+    resumed: { type: 'boolean' },
+    timestamp: { type: 'number', required: true }
+  },
+  message: {
+    from: { type: 'address', required: true },
+    content: { type: 'string', required: true },
+    messageId: requiredId,
+    timestamp: { type: 'number', required: true },
+    expiresAt: { type: 'number' },
+    ttlMs: { type: 'integer' }
+  },
+  sealed_message: {
+    content: { type: 'string', required: true },
+    messageId: requiredId,
+    timestamp: { type: 'number', required: true },
+    expiresAt: { type: 'number' },
+    ttlMs: { type: 'integer' }
+  },
+  delivery_token: {
+    token: { type: 'string', required: true },
+    expiresAt: { type: 'number', required: true }
+  },
+  typing: {
+    from: { type: 'address', required: true },
+    isTyping: { type: 'boolean', required: true }
+  },
+  read: {
+    from: { type: 'address', required: true },
+    messageId: requiredId,
+    timestamp: { type: 'number', required: true }
+  },
+  delivered: {
+    messageId: requiredId,
+    to: { type: 'address', required: true },
+    groupId: id,
+    queued: { type: 'boolean' },
+    timestamp: { type: 'number', required: true }
+  },
+  queued: {
+    messageId: requiredId,
+    to: { type: 'address', required: true },
+    timestamp: { type: 'number', required: true }
+  },
+  error: {
+    code: { type: 'string' },
+    message: { type: 'string', required: true },
+    frameType: { type: 'string' },
+    field: { type: 'string' }
+  },
+  pong: {
+    timestamp: { type: 'number', required: true }
+  }
+};
+
+module.exports = {
+  INBOUND_FRAMES,
+  OUTBOUND_FRAMES
+};
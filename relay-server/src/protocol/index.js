@@ -0,0 +1,128 @@
+const { ErrorCodes } = require('../utils/errorCodes');
+const { ADDRESS_REGEX } = require('../utils/idenaSignature');
+const { INBOUND_FRAMES, OUTBOUND_FRAMES } = require('./frames');
+
+/**
+ * WebSocket protocol versions
+ *
+ * A client declares the newest version it speaks as `version` in its auth
+ * frame, and the oldest as `minVersion` (default: `version`). The relay
+ * answers with the newest version both sides speak in auth_success, or
+ * rejects the handshake with UNSUPPORTED_VERSION. Clients that send no
+ * version speak version 1. Raising PROTOCOL_MIN_VERSION retires old
+ * clients once a rollout is done.
+ */
+const PROTOCOL_VERSION = 1;
+
+function supportedVersions(config = process.env) {
+  const min = parseInt(config.PROTOCOL_MIN_VERSION) || 1;
+  return { min: Math.min(min, PROTOCOL_VERSION), max: PROTOCOL_VERSION };
+}
+
+/**
+ * Pick the protocol version for a client's auth frame
+ * Returns the version, or null if the client and relay share none
+ */
+function negotiateVersion({ version = 1, minVersion = version }, config = process.env) {
+  const supported = supportedVersions(config);
+  const chosen = Math.min(version, supported.max);
+
+  return chosen >= Math.max(minVersion, supported.min) ? chosen : null;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'address':
+      return typeof value === 'string' && ADDRESS_REGEX.test(value);
+    case 'integer':
+      return Number.isSafeInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a frame's fields against a schema
+ * Returns null if valid, otherwise { code, message, field }
+ */
+function checkFields(frame, schema) {
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = frame[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        return { code: ErrorCodes.INVALID_FIELD, message: `${field} is required`, field };
+      }
+      continue;
+    }
+
+    if (!checkType(value, rule.type)) {
+      return { code: ErrorCodes.INVALID_FIELD, message: `${field} must be of type ${rule.type}`, field };
+    }
+
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { code: ErrorCodes.INVALID_FIELD, message: `${field} must not be empty`, field };
+    }
+
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { code: ErrorCodes.INVALID_FIELD, message: `${field} is too long`, field };
+    }
+
+    if (rule.items && !value.every(item => checkType(item, rule.items))) {
+      return { code: ErrorCodes.INVALID_FIELD, message: `${field} must only contain ${rule.items} values`, field };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a raw WebSocket frame
+ * Returns the frame object, or null if it is not a JSON object with a
+ * string `type`
+ */
+function parseFrame(data) {
+  try {
+    const frame = JSON.parse(data.toString());
+    return checkType(frame, 'object') && typeof frame.type === 'string' ? frame : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a frame from a client
+ * Returns null if valid, otherwise { code, message, field? }
+ */
+function validateInbound(frame) {
+  if (!Object.prototype.hasOwnProperty.call(INBOUND_FRAMES, frame.type)) {
+    return { code: ErrorCodes.UNKNOWN_FRAME_TYPE, message: `Unknown frame type: ${frame.type}` };
+  }
+
+  return checkFields(frame, INBOUND_FRAMES[frame.type]);
+}
+
+/**
+ * Validate a frame the relay is about to send
+ * Returns null if valid or the type has no schema, otherwise { code, message, field }
+ */
+function validateOutbound(frame) {
+  const schema = OUTBOUND_FRAMES[frame.type];
+  return schema ? checkFields(frame, schema) : null;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  INBOUND_FRAME_TYPES: new Set(Object.keys(INBOUND_FRAMES)),
+  supportedVersions,
+  negotiateVersion,
+  parseFrame,
+  validateInbound,
+  validateOutbound
+};
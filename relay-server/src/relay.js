@@ -0,0 +1,322 @@
+const express = require('express');
+const http = require('http');
+const WebSocket = require('ws');
+const cors = require('cors');
+const helmet = require('helmet');
+
+const { createLogger } = require('./utils/logger');
+const { metrics } = require('./utils/metrics');
+const { systemClock } = require('./utils/clock');
+const messageRoutes = require('./routes/messageRoutes');
+const publicKeyRoutes = require('./routes/publicKeyRoutes');
+const statusRoutes = require('./routes/statusRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const pushRoutes = require('./routes/pushRoutes');
+const blockRoutes = require('./routes/blockRoutes');
+const keyLogRoutes = require('./routes/keyLogRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const WebSocketManager = require('./services/websocketManager');
+const MessageQueue = require('./services/messageQueue');
+const PublicKeyStore = require('./services/publicKeyStore');
+const KeyTransparencyLog = require('./services/keyTransparencyLog');
+const { createStorage, MemoryStorage } = require('./storage');
+const { createCluster } = require('./cluster');
+const AuthChallengeStore = require('./services/authChallengeStore');
+const ProofVerifier = require('./services/proofVerifier');
+const RateLimiter = require('./services/rateLimiter');
+const PresenceManager = require('./services/presenceManager');
+const DeviceRegistry = require('./services/deviceRegistry');
+const GroupManager = require('./services/groupManager');
+const AttachmentStore = require('./services/attachmentStore');
+const FederationManager = require('./services/federationManager');
+const PushNotifier = require('./services/pushNotifier');
+const BanList = require('./services/banList');
+const AuditLog = require('./services/auditLog');
+const BlockList = require('./services/blockList');
+const DeliveryTokenIssuer = require('./services/deliveryTokenIssuer');
+const ReplayLog = require('./services/replayLog');
+const IdentityGate = require('./services/identityGate');
+const { createIdentityProvider } = require('./identity');
+const { rateLimitByIp } = require('./middleware/rateLimit');
+const { trackHttpMetrics } = require('./middleware/metrics');
+const { requireBearerToken, requireAdmin } = require('./middleware/adminToken');
+const { rejectBannedIp } = require('./middleware/bans');
+const { assignCorrelationId } = require('./middleware/correlation');
+const logger = createLogger('relay');
+
+/**
+ * Create a relay: the HTTP API, the client and federation WebSocket
+ * servers and the services behind them. Nothing listens until start().
+ *
+ * Options:
+ * - config: settings by environment variable name, e.g.
+ *   { PORT: '0', MAX_OFFLINE_MESSAGES: '100' } (default: process.env)
+ * - clock: time source and timers of every service (default: system clock)
+ * - storage, cluster, identityProvider: backends to use instead of the
+ *   ones config selects. The relay closes only the storage it created.
+ *
+ * Services start their cleanup timers when the relay is created; stop()
+ * cancels them, closes every connection and releases the port, so a relay
+ * must be stopped once it is no longer needed. Metrics are process-wide:
+ * counters add up across relays and gauges report the latest relay.
+ *
+ * Returns { app, server, wss, federationWss, services, start, stop, address }
+ */
+function createRelay(options = {}) {
+  const config = options.config || process.env;
+  const clock = options.clock || systemClock;
+  const serviceOptions = { config, clock };
+
+  // Initialize Express app
+  const app = express();
+  const server = http.createServer(app);
+
+  // Initialize WebSocket servers: peer relays connect on /federation,
+  // clients on any other path
+  const wss = new WebSocket.Server({ noServer: true });
+  const federationWss = new WebSocket.Server({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const target = pathname === '/federation' ? federationWss : wss;
+
+    target.handleUpgrade(req, socket, head, (ws) => {
+      target.emit('connection', ws, req);
+    });
+  });
+
+  // Initialize services
+  const storage = options.storage || createStorage(config.STORAGE_BACKEND || 'memory', config);
+  const cluster = options.cluster || createCluster(config.CLUSTER_BACKEND || 'local', serviceOptions);
+  const messageQueue = new MessageQueue(storage, serviceOptions);
+  const keyLog = new KeyTransparencyLog(storage, serviceOptions);
+  const publicKeyStore = new PublicKeyStore(storage, keyLog, serviceOptions);
+  const challengeStore = new AuthChallengeStore(serviceOptions);
+  const proofVerifier = new ProofVerifier(serviceOptions);
+  // Rate limit buckets are short-lived, so they always stay in memory
+  const rateLimiter = new RateLimiter(new MemoryStorage(), serviceOptions);
+  const presenceManager = new PresenceManager(storage, serviceOptions);
+  const deviceRegistry = new DeviceRegistry(storage, serviceOptions);
+  const groupManager = new GroupManager(storage, serviceOptions);
+  const attachmentStore = new AttachmentStore(storage, null, serviceOptions);
+  const pushNotifier = new PushNotifier(storage, serviceOptions);
+  const banList = new BanList(storage, serviceOptions);
+  const auditLog = new AuditLog(storage, serviceOptions);
+  const blockList = new BlockList(storage, serviceOptions);
+  const deliveryTokens = new DeliveryTokenIssuer(storage, serviceOptions);
+  // Replay streams are rewritten on every routed frame and only live for
+  // the resume window, so they always stay in memory
+  const replayLog = new ReplayLog(new MemoryStorage(), serviceOptions);
+  // Identity gating is off unless IDENTITY_PROVIDER selects a provider
+  const identityProvider = options.identityProvider !== undefined
+    ? options.identityProvider
+    : createIdentityProvider(config.IDENTITY_PROVIDER || 'none', config);
+  const identityGate = identityProvider ? new IdentityGate(identityProvider, storage, serviceOptions) : null;
+  const federation = new FederationManager(serviceOptions);
+  federation.listen(federationWss);
+  const wsManager = new WebSocketManager(wss, {
+    messageQueue,
+    publicKeyStore,
+    challengeStore,
+    rateLimiter,
+    presenceManager,
+    deviceRegistry,
+    groupManager,
+    cluster,
+    federation,
+    pushNotifier,
+    banList,
+    blockList,
+    proofVerifier,
+    identityGate,
+    deliveryTokens,
+    replayLog,
+    config,
+    clock
+  });
+
+  // Point-in-time values, read when /metrics is scraped
+  metrics.gauge('relay_websocket_connections', 'Open WebSocket device sessions', () => wsManager.getConnectionCount());
+  metrics.gauge('relay_online_users', 'Addresses with at least one connected device', () => wsManager.getOnlineUsers().length);
+  metrics.gauge('relay_queued_messages', 'Messages waiting in offline queues', () => messageQueue.getTotalQueueSize());
+  metrics.gauge('relay_public_keys', 'Stored public keys', () => publicKeyStore.getCount());
+
+  // Middleware
+  app.use(trackHttpMetrics);
+  app.use(helmet());
+  app.use(cors({
+    origin: config.ALLOWED_ORIGINS?.split(',') || '*',
+    credentials: true
+  }));
+  app.use(rateLimitByIp);
+  app.use(express.json({ limit: '1mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Correlation IDs (after the body parsers, which would lose the log context)
+  app.use(assignCorrelationId);
+
+  // Request logging middleware
+  app.use((req, res, next) => {
+    logger.info(`${req.method} ${req.path}`, {
+      ip: req.ip
+    });
+    next();
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date(clock.now()).toISOString(),
+      uptime: process.uptime(),
+      connections: wsManager.getConnectionCount(),
+      queuedMessages: messageQueue.getTotalQueueSize()
+    });
+  });
+
+  // Operator-only endpoints of the public routers
+  const adminOnly = requireAdmin({
+    token: config.ADMIN_TOKEN,
+    addresses: config.ADMIN_ADDRESSES ? config.ADMIN_ADDRESSES.split(',') : []
+  });
+  app.delete('/api/messages/:address', adminOnly);
+  app.get('/api/messages/stats/all', adminOnly);
+  app.get('/api/status/online/all', adminOnly);
+  app.get('/api/public-keys/stats/all', adminOnly);
+
+  // API routes
+  app.use('/api', rejectBannedIp);
+  app.use('/api/messages', messageRoutes);
+  app.use('/api/public-keys', publicKeyRoutes);
+  app.use('/api/status', statusRoutes);
+  app.use('/api/groups', groupRoutes);
+  app.use('/api/attachments', attachmentRoutes);
+  app.use('/api/push', pushRoutes);
+  app.use('/api/blocks', blockRoutes);
+  app.use('/api/key-log', keyLogRoutes);
+  app.use('/metrics', requireBearerToken(config.METRICS_TOKEN), metricsRoutes);
+  app.use('/admin', adminOnly, adminRoutes);
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    logger.error('API Error:', err);
+    res.status(err.status || 500).json({
+      error: {
+        message: err.message || 'Internal server error',
+        ...(config.NODE_ENV === 'development' && { stack: err.stack })
+      }
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      error: {
+        message: 'Endpoint not found',
+        path: req.path
+      }
+    });
+  });
+
+  const services = {
+    storage,
+    cluster,
+    wsManager,
+    messageQueue,
+    publicKeyStore,
+    keyLog,
+    challengeStore,
+    proofVerifier,
+    rateLimiter,
+    presenceManager,
+    deviceRegistry,
+    groupManager,
+    attachmentStore,
+    pushNotifier,
+    banList,
+    auditLog,
+    blockList,
+    deliveryTokens,
+    replayLog,
+    identityGate,
+    federation
+  };
+
+  // Attach services and the clock to app for route access
+  Object.assign(app.locals, services, { clock });
+
+  let stopping = null;
+
+  /**
+   * Listen on config.PORT (default 3000; 0 picks a free port) and HOST
+   * Resolves with the bound address, { address, family, port }
+   */
+  function start() {
+    const parsedPort = parseInt(config.PORT, 10);
+    const port = Number.isNaN(parsedPort) ? 3000 : parsedPort;
+
+    // Purge what expired while the relay was down, now that the expiry
+    // handler can tell the senders
+    messageQueue.purgeExpired();
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, config.HOST, () => {
+        server.off('error', reject);
+        logger.info('Relay listening', { port: server.address().port });
+        resolve(server.address());
+      });
+    });
+  }
+
+  /**
+   * Close every connection, cancel every timer and stop listening
+   * Safe to call more than once; resolves when the server is closed
+   */
+  function stop() {
+    if (!stopping) {
+      stopping = close();
+    }
+    return stopping;
+  }
+
+  async function close() {
+    wsManager.closeAll();
+    for (const ws of [...wss.clients, ...federationWss.clients]) {
+      ws.terminate();
+    }
+
+    messageQueue.stopCleanup();
+    rateLimiter.stopCleanup();
+    attachmentStore.stopCleanup();
+    pushNotifier.stop();
+
+    if (server.listening) {
+      await new Promise(resolve => {
+        server.close(resolve);
+        // Idle keep-alive connections would hold the server open
+        server.closeAllConnections();
+      });
+    }
+
+    if (!options.storage) {
+      storage.close();
+    }
+    logger.info('Relay stopped');
+  }
+
+  return {
+    app,
+    server,
+    wss,
+    federationWss,
+    services,
+    start,
+    stop,
+    address: () => server.address()
+  };
+}
+
+module.exports = { createRelay };
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const { createLogger } = require('../utils/logger');
+const BanList = require('../services/banList');
+const logger = createLogger('adminRoutes');
+
+function isValidAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+/**
+ * List device sessions held by this instance
+ * GET /admin/connections
+ */
+router.get('/connections', (req, res) => {
+  try {
+    const wsManager = req.app.locals.wsManager;
+    const connections = wsManager.listSessions();
+
+    res.json({
+      instanceId: wsManager.cluster.instanceId,
+      count: connections.length,
+      onlineUsers: wsManager.getOnlineUsers().length,
+      connections
+    });
+  } catch (error) {
+    logger.error('Error listing connections', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list connections'
+    });
+  }
+});
+
+/**
+ * Force-disconnect an address, or one device with ?deviceId=
+ * DELETE /admin/connections/:address
+ */
+router.delete('/connections/:address', (req, res) => {
+  try {
+    const { address } = req.params;
+    const { deviceId } = req.query;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const disconnected = req.app.locals.wsManager.disconnect(address, { deviceId: deviceId || null });
+
+    res.json({
+      address: address.toLowerCase(),
+      disconnected
+    });
+  } catch (error) {
+    logger.error('Error disconnecting address', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to disconnect address'
+    });
+  }
+});
+
+/**
+ * Get queue statistics
+ * GET /admin/queues
+ */
+router.get('/queues', (req, res) => {
+  try {
+    res.json(req.app.locals.messageQueue.getStats());
+  } catch (error) {
+    logger.error('Error getting queue stats', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get queue statistics'
+    });
+  }
+});
+
+/**
+ * Inspect the queue and dead letters of an address without delivering them
+ * GET /admin/queues/:address
+ */
+router.get('/queues/:address', (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const messageQueue = req.app.locals.messageQueue;
+    const queueSize = messageQueue.getQueueSize(address);
+
+    res.json({
+      address: address.toLowerCase(),
+      queueSize,
+      messages: messageQueue.peek(address, queueSize),
+      deadLetters: messageQueue.getDeadLetters(address)
+    });
+  } catch (error) {
+    logger.error('Error inspecting queue', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to inspect queue'
+    });
+  }
+});
+
+/**
+ * Purge the queue of an address
+ * DELETE /admin/queues/:address
+ */
+router.delete('/queues/:address', (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const messageQueue = req.app.locals.messageQueue;
+    const purged = messageQueue.getQueueSize(address);
+    messageQueue.clear(address);
+
+    res.json({
+      address: address.toLowerCase(),
+      purged
+    });
+  } catch (error) {
+    logger.error('Error purging queue', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to purge queue'
+    });
+  }
+});
+
+/**
+ * List active bans
+ * GET /admin/bans
+ */
+router.get('/bans', (req, res) => {
+  try {
+    const bans = req.app.locals.banList.list();
+
+    res.json({
+      count: bans.length,
+      bans
+    });
+  } catch (error) {
+    logger.error('Error listing bans', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list bans'
+    });
+  }
+});
+
+/**
+ * Ban an address or IP and disconnect its sessions
+ * POST /admin/bans
+ * Body: { type: "address" | "ip", value, reason?, durationMs? }
+ */
+router.post('/bans', (req, res) => {
+  try {
+    const { type, value, reason, durationMs } = req.body;
+
+    if (!BanList.isValidType(type) || !BanList.normalize(type, value)) {
+      return res.status(400).json({
+        error: 'type must be "address" or "ip" with a valid value'
+      });
+    }
+
+    if (durationMs !== undefined && (!Number.isInteger(durationMs) || durationMs <= 0)) {
+      return res.status(400).json({
+        error: 'durationMs must be a positive integer'
+      });
+    }
+
+    const ban = req.app.locals.banList.ban(type, value, {
+      reason: typeof reason === 'string' ? reason.slice(0, 500) : null,
+      bannedBy: req.admin,
+      durationMs
+    });
+
+    const wsManager = req.app.locals.wsManager;
+    const disconnected = type === 'address'
+      ? wsManager.disconnect(ban.value, { reason: 'banned' })
+      : wsManager.disconnectIp(ban.value, 'banned');
+
+    res.json({
+      success: true,
+      ban,
+      disconnected
+    });
+  } catch (error) {
+    logger.error('Error adding ban', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to add ban'
+    });
+  }
+});
+
+/**
+ * Lift a ban
+ * DELETE /admin/bans/:type/:value
+ */
+router.delete('/bans/:type/:value', (req, res) => {
+  try {
+    const { type, value } = req.params;
+
+    if (!BanList.isValidType(type)) {
+      return res.status(400).json({
+        error: 'type must be "address" or "ip"'
+      });
+    }
+
+    const removed = req.app.locals.banList.unban(type, value);
+
+    res.status(removed ? 200 : 404).json({
+      success: removed,
+      message: removed ? 'Ban lifted' : 'Ban not found'
+    });
+  } catch (error) {
+    logger.error('Error lifting ban', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to lift ban'
+    });
+  }
+});
+
+/**
+ * Read the audit trail, newest first
+ * GET /admin/audit?limit=100&actor=...&action=...
+ */
+router.get('/audit', (req, res) => {
+  try {
+    const { actor, action } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const entries = req.app.locals.auditLog.list({ limit, actor, action });
+
+    res.json({
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error('Error reading audit log', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to read audit log'
+    });
+  }
+});
+
+module.exports = router;
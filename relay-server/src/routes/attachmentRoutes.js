@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const { createLogger, bindLogContext } = require('../utils/logger');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { checkAddressRateLimit } = require('../middleware/rateLimit');
+const { checkProof } = require('../middleware/proof');
+const logger = createLogger('attachmentRoutes');
+
+const ATTACHMENT_ERROR_STATUS = {
+  [ErrorCodes.ATTACHMENT_NOT_FOUND]: 404,
+  [ErrorCodes.ATTACHMENT_INVALID]: 400,
+  [ErrorCodes.ATTACHMENT_TOO_LARGE]: 413,
+  [ErrorCodes.QUOTA_EXCEEDED]: 403,
+  [ErrorCodes.UPLOAD_NOT_FOUND]: 404,
+  [ErrorCodes.UPLOAD_OFFSET_MISMATCH]: 409,
+  [ErrorCodes.HASH_MISMATCH]: 422
+};
+
+function sendAttachmentError(res, error, details = {}) {
+  res.status(ATTACHMENT_ERROR_STATUS[error.code] || 400).json({
+    error: error.message,
+    code: error.code,
+    ...details
+  });
+}
+
+function isValidAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+/**
+ * Parse a raw chunk body up to the configured chunk size
+ */
+function rawChunk(req, res, next) {
+  const { chunkSize } = req.app.locals.attachmentStore;
+  express.raw({ type: () => true, limit: chunkSize })(req, res, bindLogContext(next));
+}
+
+function uploadStatus(upload) {
+  return {
+    uploadId: upload.uploadId,
+    size: upload.size,
+    receivedBytes: upload.receivedBytes,
+    expiresAt: upload.expiresAt
+  };
+}
+
+/**
+ * Start a chunked upload of a client-encrypted blob
+ * POST /api/attachments/uploads
+ * Body: { address, size, sha256, recipients: ["0x...", ...], timestamp, signature }
+ * signature signs "idena-p2p:create-upload:<address>:<sha256>:<size>:<recipient,recipient,...>:<timestamp>"
+ */
+router.post('/uploads', (req, res) => {
+  try {
+    const { address, size, sha256, recipients, timestamp, signature } = req.body;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    if (!Array.isArray(recipients) || recipients.length === 0 || !recipients.every(isValidAddress)) {
+      return res.status(400).json({
+        error: 'recipients must be a non-empty array of Idena addresses'
+      });
+    }
+
+    const uploader = address.toLowerCase();
+    const hash = String(sha256).toLowerCase();
+    const recipientList = recipients.map(recipient => recipient.toLowerCase()).join(',');
+    if (!checkProof(req, res, 'create-upload', [uploader, hash, size, recipientList], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const attachmentStore = req.app.locals.attachmentStore;
+    const { upload, attachment, error } = attachmentStore.createUpload(uploader, { size, sha256: hash, recipients });
+    if (error) return sendAttachmentError(res, error);
+
+    // Content the uploader already stored needs no new upload
+    if (attachment) {
+      return res.json({
+        complete: true,
+        attachmentId: attachment.attachmentId,
+        expiresAt: attachment.expiresAt
+      });
+    }
+
+    res.json({
+      ...uploadStatus(upload),
+      chunkSize: attachmentStore.chunkSize,
+      complete: false
+    });
+  } catch (error) {
+    logger.error('Error starting upload', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to start upload'
+    });
+  }
+});
+
+/**
+ * Get upload progress, to resume after an interruption
+ * GET /api/attachments/uploads/:uploadId
+ * The upload ID is only known to the uploader and authorizes the upload
+ */
+router.get('/uploads/:uploadId', (req, res) => {
+  try {
+    const attachmentStore = req.app.locals.attachmentStore;
+    const upload = attachmentStore.getUpload(req.params.uploadId);
+
+    if (!upload) {
+      return sendAttachmentError(res, { code: ErrorCodes.UPLOAD_NOT_FOUND, message: 'Upload not found' });
+    }
+
+    res.json(uploadStatus(upload));
+  } catch (error) {
+    logger.error('Error getting upload', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get upload'
+    });
+  }
+});
+
+/**
+ * Upload the next chunk
+ * PUT /api/attachments/uploads/:uploadId?offset=<bytes received so far>
+ * Body: raw chunk bytes (application/octet-stream)
+ */
+router.put('/uploads/:uploadId', rawChunk, async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const offset = Number(req.query.offset);
+
+    const attachmentStore = req.app.locals.attachmentStore;
+    const { upload, attachment, error } = await attachmentStore.appendChunk(uploadId, offset, req.body);
+
+    if (error) {
+      const current = attachmentStore.getUpload(uploadId);
+      return sendAttachmentError(res, error, current ? { receivedBytes: current.receivedBytes } : {});
+    }
+
+    res.json({
+      ...uploadStatus(upload),
+      complete: Boolean(attachment),
+      ...(attachment && { attachmentId: attachment.attachmentId })
+    });
+  } catch (error) {
+    logger.error('Error uploading chunk', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to upload chunk'
+    });
+  }
+});
+
+/**
+ * Download an attachment (uploader and named recipients only)
+ * GET /api/attachments/:attachmentId?address=0x...&timestamp=...&signature=0x...
+ * signature signs "idena-p2p:download-attachment:<address>:<attachmentId>:<timestamp>"
+ */
+router.get('/:attachmentId', (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const { address, timestamp, signature } = req.query;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const reader = address.toLowerCase();
+    if (!checkProof(req, res, 'download-attachment', [reader, attachmentId], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const attachmentStore = req.app.locals.attachmentStore;
+    const { attachment, path, error } = attachmentStore.getForReader(attachmentId, reader);
+    if (error) return sendAttachmentError(res, error);
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type('application/octet-stream');
+    res.sendFile(path, (sendError) => {
+      if (sendError) {
+        logger.error('Error sending attachment', { attachmentId: attachment.attachmentId, error: sendError.message });
+      }
+    });
+  } catch (error) {
+    logger.error('Error downloading attachment', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to download attachment'
+    });
+  }
+});
+
+/**
+ * Delete an attachment (uploader only)
+ * DELETE /api/attachments/:attachmentId
+ * Body: { address, timestamp, signature }
+ * signature signs "idena-p2p:delete-attachment:<address>:<attachmentId>:<timestamp>"
+ */
+router.delete('/:attachmentId', (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const { address, timestamp, signature } = req.body || {};
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const uploader = address.toLowerCase();
+    if (!checkProof(req, res, 'delete-attachment', [uploader, attachmentId], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const attachmentStore = req.app.locals.attachmentStore;
+    const { error } = attachmentStore.delete(attachmentId, uploader);
+    if (error) return sendAttachmentError(res, error);
+
+    res.json({
+      success: true,
+      attachmentId: attachmentId.toLowerCase()
+    });
+  } catch (error) {
+    logger.error('Error deleting attachment', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to delete attachment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { createLogger } = require('../utils/logger');
+const { checkAddressRateLimit } = require('../middleware/rateLimit');
+const { checkProof } = require('../middleware/proof');
+const logger = createLogger('blockRoutes');
+
+function isValidAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+/**
+ * List the addresses the caller has blocked
+ * GET /api/blocks?address=0x...&timestamp=...&signature=0x...
+ * signature signs "idena-p2p:list-blocks:<address>:<timestamp>"
+ */
+router.get('/', (req, res) => {
+  try {
+    const { address, timestamp, signature } = req.query;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const owner = address.toLowerCase();
+    if (!checkProof(req, res, 'list-blocks', [owner], { address, timestamp, signature })) return;
+
+    const blocked = req.app.locals.blockList.getBlocked(owner);
+
+    res.json({
+      count: blocked.length,
+      blocked
+    });
+  } catch (error) {
+    logger.error('Error listing blocked addresses', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list blocked addresses'
+    });
+  }
+});
+
+/**
+ * Block addresses. Their queued messages to the caller are removed.
+ * POST /api/blocks
+ * Body: { address, addresses: ["0x...", ...], timestamp, signature }
+ * signature signs "idena-p2p:block-addresses:<address>:<comma-separated lowercase addresses>:<timestamp>"
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { address, addresses, timestamp, signature } = req.body;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    if (!Array.isArray(addresses) || addresses.length === 0 || !addresses.every(isValidAddress)) {
+      return res.status(400).json({
+        error: 'addresses must be a non-empty array of Idena addresses'
+      });
+    }
+
+    const owner = address.toLowerCase();
+    const targets = addresses.map(target => target.toLowerCase());
+    if (!checkProof(req, res, 'block-addresses', [owner, targets.join(',')], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const added = await req.app.locals.wsManager.block(owner, targets);
+
+    res.json({
+      success: true,
+      added,
+      blocked: req.app.locals.blockList.getBlocked(owner)
+    });
+  } catch (error) {
+    logger.error('Error blocking addresses', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to block addresses'
+    });
+  }
+});
+
+/**
+ * Unblock an address
+ * DELETE /api/blocks/:blocked
+ * Body: { address, timestamp, signature }
+ * signature signs "idena-p2p:unblock-address:<address>:<lowercase blocked address>:<timestamp>"
+ */
+router.delete('/:blocked', (req, res) => {
+  try {
+    const { blocked } = req.params;
+    const { address, timestamp, signature } = req.body || {};
+
+    if (!isValidAddress(address) || !isValidAddress(blocked)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const owner = address.toLowerCase();
+    const target = blocked.toLowerCase();
+    if (!checkProof(req, res, 'unblock-address', [owner, target], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const removed = req.app.locals.blockList.unblock(owner, [target]);
+
+    res.status(removed.length > 0 ? 200 : 404).json({
+      success: removed.length > 0,
+      message: removed.length > 0 ? 'Address unblocked' : 'Address was not blocked'
+    });
+  } catch (error) {
+    logger.error('Error unblocking address', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to unblock address'
+    });
+  }
+});
+
+module.exports = router;
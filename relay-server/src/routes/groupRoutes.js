@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const { createLogger } = require('../utils/logger');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { checkAddressRateLimit } = require('../middleware/rateLimit');
+const { checkProof } = require('../middleware/proof');
+const logger = createLogger('groupRoutes');
+
+const GROUP_ERROR_STATUS = {
+  [ErrorCodes.GROUP_NOT_FOUND]: 404,
+  [ErrorCodes.GROUP_FORBIDDEN]: 403,
+  [ErrorCodes.GROUP_FULL]: 409,
+  [ErrorCodes.GROUP_INVALID]: 400
+};
+
+function sendGroupError(res, error) {
+  res.status(GROUP_ERROR_STATUS[error.code] || 400).json({
+    error: error.message,
+    code: error.code
+  });
+}
+
+function isValidAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+/**
+ * List the caller's groups
+ * GET /api/groups?address=0x...&timestamp=...&signature=0x...
+ * signature signs "idena-p2p:list-groups:<address>:<timestamp>"
+ */
+router.get('/', (req, res) => {
+  try {
+    const { address, timestamp, signature } = req.query;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const actor = address.toLowerCase();
+    if (!checkProof(req, res, 'list-groups', [actor], { address, timestamp, signature })) return;
+
+    const groups = req.app.locals.groupManager.getGroupsFor(actor);
+
+    res.json({
+      count: groups.length,
+      groups
+    });
+  } catch (error) {
+    logger.error('Error listing groups', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list groups'
+    });
+  }
+});
+
+/**
+ * Create a group
+ * POST /api/groups
+ * Body: { address, name, members: ["0x...", ...], timestamp, signature }
+ * signature signs "idena-p2p:create-group:<address>:<name>:<member,member,...>:<timestamp>"
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { address, name, members = [], timestamp, signature } = req.body;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    if (!Array.isArray(members) || !members.every(isValidAddress)) {
+      return res.status(400).json({
+        error: 'members must be an array of Idena addresses'
+      });
+    }
+
+    const actor = address.toLowerCase();
+    const memberList = members.map(member => member.toLowerCase()).join(',');
+    if (!checkProof(req, res, 'create-group', [actor, name, memberList], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const wsManager = req.app.locals.wsManager;
+    const { group, error } = await wsManager.createGroup(actor, name, members);
+    if (error) return sendGroupError(res, error);
+
+    res.json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    logger.error('Error creating group', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to create group'
+    });
+  }
+});
+
+/**
+ * Get a group the caller belongs to
+ * GET /api/groups/:groupId?address=0x...&timestamp=...&signature=0x...
+ * signature signs "idena-p2p:get-group:<address>:<groupId>:<timestamp>"
+ */
+router.get('/:groupId', (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { address, timestamp, signature } = req.query;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const actor = address.toLowerCase();
+    if (!checkProof(req, res, 'get-group', [actor, groupId], { address, timestamp, signature })) return;
+
+    const { group, error } = req.app.locals.groupManager.getForMember(groupId, actor);
+    if (error) return sendGroupError(res, error);
+
+    res.json(group);
+  } catch (error) {
+    logger.error('Error getting group', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to retrieve group'
+    });
+  }
+});
+
+/**
+ * Add members to a group (admins only)
+ * POST /api/groups/:groupId/members
+ * Body: { address, members: ["0x...", ...], timestamp, signature }
+ * signature signs "idena-p2p:add-group-members:<address>:<groupId>:<member,member,...>:<timestamp>"
+ */
+router.post('/:groupId/members', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { address, members, timestamp, signature } = req.body;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    if (!Array.isArray(members) || members.length === 0 || !members.every(isValidAddress)) {
+      return res.status(400).json({
+        error: 'members must be a non-empty array of Idena addresses'
+      });
+    }
+
+    const actor = address.toLowerCase();
+    const memberList = members.map(member => member.toLowerCase()).join(',');
+    if (!checkProof(req, res, 'add-group-members', [actor, groupId, memberList], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const wsManager = req.app.locals.wsManager;
+    const { group, added, error } = await wsManager.addGroupMembers(actor, groupId, members);
+    if (error) return sendGroupError(res, error);
+
+    res.json({
+      success: true,
+      added,
+      group
+    });
+  } catch (error) {
+    logger.error('Error adding group members', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to add group members'
+    });
+  }
+});
+
+/**
+ * Remove a member from a group (admins), or leave it (any member)
+ * DELETE /api/groups/:groupId/members/:member
+ * Body: { address, timestamp, signature }
+ * signature signs "idena-p2p:remove-group-member:<address>:<groupId>:<member>:<timestamp>"
+ */
+router.delete('/:groupId/members/:member', async (req, res) => {
+  try {
+    const { groupId, member } = req.params;
+    const { address, timestamp, signature } = req.body || {};
+
+    if (!isValidAddress(address) || !isValidAddress(member)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const actor = address.toLowerCase();
+    const target = member.toLowerCase();
+    if (!checkProof(req, res, 'remove-group-member', [actor, groupId, target], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const wsManager = req.app.locals.wsManager;
+    const { removed, promoted, error } = await wsManager.removeGroupMember(actor, groupId, target);
+    if (error) return sendGroupError(res, error);
+
+    res.json({
+      success: true,
+      removed,
+      promoted
+    });
+  } catch (error) {
+    logger.error('Error removing group member', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to remove group member'
+    });
+  }
+});
+
+/**
+ * Change a member's role (admins only)
+ * PUT /api/groups/:groupId/members/:member/role
+ * Body: { address, role: "admin" | "member", timestamp, signature }
+ * signature signs "idena-p2p:set-group-role:<address>:<groupId>:<member>:<role>:<timestamp>"
+ */
+router.put('/:groupId/members/:member/role', async (req, res) => {
+  try {
+    const { groupId, member } = req.params;
+    const { address, role, timestamp, signature } = req.body;
+
+    if (!isValidAddress(address) || !isValidAddress(member)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const actor = address.toLowerCase();
+    const target = member.toLowerCase();
+    if (!checkProof(req, res, 'set-group-role', [actor, groupId, target, role], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const wsManager = req.app.locals.wsManager;
+    const { group, error } = await wsManager.setGroupRole(actor, groupId, target, role);
+    if (error) return sendGroupError(res, error);
+
+    res.json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    logger.error('Error setting group role', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to set group role'
+    });
+  }
+});
+
+module.exports = router;
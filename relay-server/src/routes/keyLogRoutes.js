@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('keyLogRoutes');
+
+const MAX_ENTRIES_PER_REQUEST = 100;
+
+/**
+ * Parse a non-negative integer query parameter
+ * Returns the fallback if absent, or null if invalid
+ */
+function parseSize(value, fallback) {
+  if (value === undefined) return fallback;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Get the latest signed tree head
+ * GET /api/key-log/head
+ */
+router.get('/head', (req, res) => {
+  try {
+    res.json(req.app.locals.keyLog.treeHead());
+  } catch (error) {
+    logger.error('Error getting tree head', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get tree head'
+    });
+  }
+});
+
+/**
+ * Get every logged key change of an address, with audit paths against
+ * the current tree head
+ * GET /api/key-log/history/:address
+ */
+router.get('/history/:address', (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    res.json(req.app.locals.keyLog.history(address.toLowerCase()));
+  } catch (error) {
+    logger.error('Error getting key history', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get key history'
+    });
+  }
+});
+
+/**
+ * Get a proof that an earlier tree head is a prefix of a later one
+ * GET /api/key-log/consistency?first=<treeSize>&second=<treeSize>
+ * second defaults to the current tree size
+ */
+router.get('/consistency', (req, res) => {
+  try {
+    const keyLog = req.app.locals.keyLog;
+    const size = keyLog.getSize();
+    const first = parseSize(req.query.first, null);
+    const second = parseSize(req.query.second, size);
+
+    if (first === null || second === null || first > second || second > size) {
+      return res.status(400).json({
+        error: `first and second must be tree sizes with first <= second <= ${size}`
+      });
+    }
+
+    res.json(keyLog.consistency(first, second));
+  } catch (error) {
+    logger.error('Error getting consistency proof', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get consistency proof'
+    });
+  }
+});
+
+/**
+ * Get raw log entries, for monitors that replay the log
+ * GET /api/key-log/entries?start=0&limit=100
+ */
+router.get('/entries', (req, res) => {
+  try {
+    const start = parseSize(req.query.start, 0);
+    const limit = parseSize(req.query.limit, MAX_ENTRIES_PER_REQUEST);
+
+    if (start === null || limit === null) {
+      return res.status(400).json({
+        error: 'start and limit must be non-negative integers'
+      });
+    }
+
+    const entries = req.app.locals.keyLog.getEntries(start, Math.min(limit, MAX_ENTRIES_PER_REQUEST));
+
+    res.json({
+      start,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error('Error getting log entries', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get log entries'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { logger } = require('../utils/logger');
+const { createLogger } = require('../utils/logger');
+const { checkProof } = require('../middleware/proof');
+const logger = createLogger('messageRoutes');
+
+const MAX_PEEK_LIMIT = 100;
 
 /**
- * Get queued messages for an address
- * GET /api/messages/:address
+ * Look at the queued messages of the signed address without removing
+ * them; messages are delivered and removed over the WebSocket, where
+ * each device acknowledges them
+ * GET /api/messages/:address?limit=10&timestamp=...&signature=...
+ * Signature over "idena-p2p:list-messages:<address>:<timestamp>"
  */
-router.get('/:address', async (req, res) => {
+router.get('/:address', (req, res) => {
   try {
     const { address } = req.params;
-    const { limit } = req.query;
+    const { limit, timestamp, signature } = req.query;
 
     if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
       return res.status(400).json({
@@ -17,13 +24,14 @@ router.get('/:address', async (req, res) => {
       });
     }
 
+    const owner = address.toLowerCase();
+    if (!checkProof(req, res, 'list-messages', [owner], { address, timestamp, signature })) return;
+
     const messageQueue = req.app.locals.messageQueue;
-    const messages = limit
-      ? messageQueue.peek(address, parseInt(limit))
-      : await messageQueue.dequeue(address);
+    const messages = messageQueue.peek(owner, Math.min(parseInt(limit) || 10, MAX_PEEK_LIMIT));
 
     res.json({
-      address: address.toLowerCase(),
+      address: owner,
       count: messages.length,
       messages
     });
@@ -64,6 +72,42 @@ router.get('/:address/queue-size', (req, res) => {
   }
 });
 
+/**
+ * Get messages that could not be delivered after the maximum number of
+ * attempts (owner only)
+ * GET /api/messages/:address/dead-letters?timestamp=...&signature=...
+ * Signature over "idena-p2p:list-dead-letters:<address>:<timestamp>"
+ */
+router.get('/:address/dead-letters', (req, res) => {
+  try {
+    const { address } = req.params;
+    const { timestamp, signature } = req.query;
+
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const owner = address.toLowerCase();
+    if (!checkProof(req, res, 'list-dead-letters', [owner], { address, timestamp, signature })) return;
+
+    const messageQueue = req.app.locals.messageQueue;
+    const messages = messageQueue.getDeadLetters(owner);
+
+    res.json({
+      address: owner,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    logger.error('Error getting dead letters', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get dead letters'
+    });
+  }
+});
+
 /**
  * Clear message queue for an address (for testing)
  * DELETE /api/messages/:address
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { createLogger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+const logger = createLogger('metricsRoutes');
+
+/**
+ * Relay metrics in the Prometheus text exposition format
+ * GET /metrics
+ * Header: Authorization: Bearer <METRICS_TOKEN>
+ */
+router.get('/', (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4');
+    res.send(metrics.render());
+  } catch (error) {
+    logger.error('Error rendering metrics', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to render metrics'
+    });
+  }
+});
+
+module.exports = router;
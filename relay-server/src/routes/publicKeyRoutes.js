@@ -1,15 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { logger } = require('../utils/logger');
+const { createLogger } = require('../utils/logger');
+const { ErrorCodes } = require('../utils/errorCodes');
+const PublicKeyStore = require('../services/publicKeyStore');
+const { checkAddressRateLimit } = require('../middleware/rateLimit');
+const { checkProof } = require('../middleware/proof');
+const { checkIdentity } = require('../middleware/identity');
+const logger = createLogger('publicKeyRoutes');
+
+const RELAY_URL_REGEX = /^wss?:\/\/[^\s]{1,250}$/;
+
+const PREKEY_ERROR_STATUS = {
+  [ErrorCodes.KEY_NOT_FOUND]: 404,
+  [ErrorCodes.PREKEY_INVALID]: 400,
+  [ErrorCodes.PREKEY_LIMIT]: 409
+};
+
+function sendPreKeyError(res, error) {
+  res.status(PREKEY_ERROR_STATUS[error.code] || 400).json({
+    error: error.message,
+    code: error.code
+  });
+}
 
 /**
  * Store/update public key
  * POST /api/public-keys
- * Body: { address, publicKey }
+ * Body: { address, publicKey, homeRelay?, timestamp, signature }
+ * signature signs "idena-p2p:register-key:<address>:<publicKey>:<timestamp>",
+ * or "idena-p2p:register-key:<address>:<publicKey>:<homeRelay>:<timestamp>"
+ * when a home relay URL (ws:// or wss://) is published with the key
  */
 router.post('/', async (req, res) => {
   try {
-    const { address, publicKey } = req.body;
+    const { address, publicKey, homeRelay, timestamp, signature } = req.body;
 
     // Validate address
     if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
@@ -25,12 +49,28 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (homeRelay !== undefined && (typeof homeRelay !== 'string' || !RELAY_URL_REGEX.test(homeRelay))) {
+      return res.status(400).json({
+        error: 'homeRelay must be a ws:// or wss:// URL'
+      });
+    }
+
+    // Verify the caller owns the address
+    const fields = homeRelay ? [address.toLowerCase(), publicKey, homeRelay] : [address.toLowerCase(), publicKey];
+    if (!checkProof(req, res, 'register-key', fields, { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    if (!(await checkIdentity(req, res, 'register', address))) return;
+
     const publicKeyStore = req.app.locals.publicKeyStore;
-    const result = await publicKeyStore.store(address, publicKey);
+    const result = await publicKeyStore.store(address, publicKey, { homeRelay });
 
     res.json({
       success: true,
       address: result.address,
+      ...(result.homeRelay && { homeRelay: result.homeRelay }),
+      ...(result.logIndex !== undefined && { logIndex: result.logIndex }),
       updatedAt: result.updatedAt
     });
   } catch (error) {
@@ -67,6 +107,8 @@ router.get('/:address', async (req, res) => {
     res.json({
       address: keyData.address,
       publicKey: keyData.publicKey,
+      ...(keyData.homeRelay && { homeRelay: keyData.homeRelay }),
+      ...(keyData.logIndex !== undefined && { logIndex: keyData.logIndex }),
       updatedAt: keyData.updatedAt,
       createdAt: keyData.createdAt
     });
@@ -139,13 +181,128 @@ router.head('/:address', async (req, res) => {
   }
 });
 
+/**
+ * Upload prekeys: a new signed prekey and/or more one-time prekeys
+ * PUT /api/public-keys/:address/prekeys
+ * Body: { signedPreKey?: { keyId, publicKey, signature }, oneTimePreKeys?: [{ keyId, publicKey }], timestamp, signature }
+ * signature signs "idena-p2p:upload-prekeys:<address>:<digest>:<timestamp>", where
+ * digest is the sha256 hex of JSON [[keyId, publicKey, signature] | null, [[keyId, publicKey], ...]]
+ */
+router.put('/:address/prekeys', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { signedPreKey, oneTimePreKeys, timestamp, signature } = req.body;
+
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    if (signedPreKey === undefined && oneTimePreKeys === undefined) {
+      return res.status(400).json({
+        error: 'signedPreKey or oneTimePreKeys is required'
+      });
+    }
+
+    // Verify the caller owns the address
+    const digest = PublicKeyStore.preKeyDigest(signedPreKey, oneTimePreKeys);
+    if (!checkProof(req, res, 'upload-prekeys', [address.toLowerCase(), digest], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    if (!(await checkIdentity(req, res, 'register', address))) return;
+
+    const publicKeyStore = req.app.locals.publicKeyStore;
+    const { oneTimePreKeyCount, error } = await publicKeyStore.storePreKeys(address, { signedPreKey, oneTimePreKeys });
+    if (error) return sendPreKeyError(res, error);
+
+    res.json({
+      success: true,
+      oneTimePreKeyCount
+    });
+  } catch (error) {
+    logger.error('Error storing prekeys', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to store prekeys'
+    });
+  }
+});
+
+/**
+ * Get how many one-time prekeys are left (owner only)
+ * GET /api/public-keys/:address/prekeys?timestamp=...&signature=0x...
+ * signature signs "idena-p2p:count-prekeys:<address>:<timestamp>"
+ */
+router.get('/:address/prekeys', (req, res) => {
+  try {
+    const { address } = req.params;
+    const { timestamp, signature } = req.query;
+
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    if (!checkProof(req, res, 'count-prekeys', [address.toLowerCase()], { address, timestamp, signature })) return;
+
+    const publicKeyStore = req.app.locals.publicKeyStore;
+
+    res.json({
+      oneTimePreKeyCount: publicKeyStore.getPreKeyCount(address),
+      lowThreshold: publicKeyStore.preKeyLowThreshold
+    });
+  } catch (error) {
+    logger.error('Error counting prekeys', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to count prekeys'
+    });
+  }
+});
+
+/**
+ * Fetch a prekey bundle to start a session with an address
+ * GET /api/public-keys/:address/bundle
+ * The one-time prekey in the bundle is handed out once and then removed
+ */
+router.get('/:address/bundle', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const result = await req.app.locals.wsManager.takePreKeyBundle(address);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Public key not found for this address'
+      });
+    }
+
+    res.json(result.bundle);
+  } catch (error) {
+    logger.error('Error getting prekey bundle', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to retrieve prekey bundle'
+    });
+  }
+});
+
 /**
  * Delete public key
  * DELETE /api/public-keys/:address
+ * Body: { timestamp, signature }
+ * signature signs "idena-p2p:delete-key:<address>:<timestamp>"
  */
 router.delete('/:address', async (req, res) => {
   try {
     const { address } = req.params;
+    const { timestamp, signature } = req.body || {};
 
     if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
       return res.status(400).json({
@@ -153,6 +310,11 @@ router.delete('/:address', async (req, res) => {
       });
     }
 
+    // Verify the caller owns the address
+    if (!checkProof(req, res, 'delete-key', [address.toLowerCase()], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
     const publicKeyStore = req.app.locals.publicKeyStore;
     const deleted = await publicKeyStore.delete(address);
 
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { createLogger } = require('../utils/logger');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { checkAddressRateLimit } = require('../middleware/rateLimit');
+const { checkProof } = require('../middleware/proof');
+const logger = createLogger('pushRoutes');
+
+const PUSH_ERROR_STATUS = {
+  [ErrorCodes.PUSH_ENDPOINT_NOT_FOUND]: 404,
+  [ErrorCodes.PUSH_ENDPOINT_INVALID]: 400,
+  [ErrorCodes.PUSH_ENDPOINT_LIMIT]: 409
+};
+
+function sendPushError(res, error) {
+  res.status(PUSH_ERROR_STATUS[error.code] || 400).json({
+    error: error.message,
+    code: error.code
+  });
+}
+
+function isValidAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+function endpointSummary(endpoint) {
+  return {
+    endpointId: endpoint.endpointId,
+    type: endpoint.type,
+    url: endpoint.url,
+    createdAt: endpoint.createdAt,
+    failures: endpoint.failures,
+    backoffUntil: endpoint.backoffUntil
+  };
+}
+
+/**
+ * List the caller's push endpoints
+ * GET /api/push/endpoints?address=0x...&timestamp=...&signature=0x...
+ * signature signs "idena-p2p:list-push-endpoints:<address>:<timestamp>"
+ */
+router.get('/endpoints', (req, res) => {
+  try {
+    const { address, timestamp, signature } = req.query;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const owner = address.toLowerCase();
+    if (!checkProof(req, res, 'list-push-endpoints', [owner], { address, timestamp, signature })) return;
+
+    const endpoints = req.app.locals.pushNotifier.getEndpoints(owner);
+
+    res.json({
+      count: endpoints.length,
+      endpoints: endpoints.map(endpointSummary)
+    });
+  } catch (error) {
+    logger.error('Error listing push endpoints', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list push endpoints'
+    });
+  }
+});
+
+/**
+ * Register a push endpoint
+ * POST /api/push/endpoints
+ * Body: { address, type: "webhook" | "unifiedpush", url, timestamp, signature }
+ * signature signs "idena-p2p:register-push-endpoint:<address>:<type>:<url>:<timestamp>"
+ */
+router.post('/endpoints', async (req, res) => {
+  try {
+    const { address, type, url, timestamp, signature } = req.body;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const owner = address.toLowerCase();
+    if (!checkProof(req, res, 'register-push-endpoint', [owner, type, url], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const { endpoint, error } = await req.app.locals.pushNotifier.register(owner, { type, url });
+    if (error) return sendPushError(res, error);
+
+    res.json({
+      success: true,
+      endpoint: endpointSummary(endpoint)
+    });
+  } catch (error) {
+    logger.error('Error registering push endpoint', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to register push endpoint'
+    });
+  }
+});
+
+/**
+ * Remove a push endpoint
+ * DELETE /api/push/endpoints/:endpointId
+ * Body: { address, timestamp, signature }
+ * signature signs "idena-p2p:delete-push-endpoint:<address>:<endpointId>:<timestamp>"
+ */
+router.delete('/endpoints/:endpointId', (req, res) => {
+  try {
+    const { endpointId } = req.params;
+    const { address, timestamp, signature } = req.body || {};
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
+
+    const owner = address.toLowerCase();
+    if (!checkProof(req, res, 'delete-push-endpoint', [owner, endpointId], { address, timestamp, signature })) return;
+
+    if (!checkAddressRateLimit(req, res, address)) return;
+
+    const { error } = req.app.locals.pushNotifier.unregister(owner, endpointId);
+    if (error) return sendPushError(res, error);
+
+    res.json({
+      success: true,
+      endpointId
+    });
+  } catch (error) {
+    logger.error('Error removing push endpoint', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to remove push endpoint'
+    });
+  }
+});
+
+module.exports = router;
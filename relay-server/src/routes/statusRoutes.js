@@ -1,28 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const { logger } = require('../utils/logger');
+const { createLogger } = require('../utils/logger');
+const { checkProof } = require('../middleware/proof');
+const logger = createLogger('statusRoutes');
 
 /**
- * Check if user is online
- * GET /api/status/:address
+ * Whether a viewer may see an address's presence: their own, or that
+ * of someone who put them on their allow list (presence_allow)
+ */
+function canSeePresence(req, address, viewer) {
+  return address === viewer || req.app.locals.presenceManager.canSee(address, viewer);
+}
+
+/**
+ * Check if user is online (the owner and their allowed contacts only)
+ * GET /api/status/:address?viewer=0x...&timestamp=...&signature=...
+ * Signature by the viewer over "idena-p2p:get-status:<viewer>:<address>:<timestamp>"
  */
 router.get('/:address', (req, res) => {
   try {
     const { address } = req.params;
+    const { viewer, timestamp, signature } = req.query;
 
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address) ||
+        !viewer || !/^0x[a-fA-F0-9]{40}$/.test(viewer)) {
       return res.status(400).json({
         error: 'Invalid Idena address format'
       });
     }
 
+    const target = address.toLowerCase();
+    const viewerAddress = viewer.toLowerCase();
+    if (!checkProof(req, res, 'get-status', [viewerAddress, target], { address: viewer, timestamp, signature })) return;
+
+    if (!canSeePresence(req, target, viewerAddress)) {
+      return res.status(403).json({
+        error: 'Not allowed to see the presence of this address'
+      });
+    }
+
     const wsManager = req.app.locals.wsManager;
-    const online = wsManager.isOnline(address);
+    const online = wsManager.isOnline(target);
 
     res.json({
-      address: address.toLowerCase(),
+      address: target,
       online,
-      timestamp: Date.now()
+      timestamp: req.app.locals.clock.now()
     });
   } catch (error) {
     logger.error('Error checking status', { error: error.message });
@@ -33,13 +56,21 @@ router.get('/:address', (req, res) => {
 });
 
 /**
- * Check status of multiple users
+ * Check status of multiple users; addresses the viewer may not see are
+ * left out
  * POST /api/status/batch
- * Body: { addresses: ["0x...", "0x..."] }
+ * Body: { address: viewer, addresses: ["0x...", "0x..."], timestamp, signature }
+ * Signature over "idena-p2p:get-statuses:<viewer>:<addresses joined by ,>:<timestamp>"
  */
 router.post('/batch', (req, res) => {
   try {
-    const { addresses } = req.body;
+    const { address, addresses, timestamp, signature } = req.body;
+
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        error: 'Invalid Idena address format'
+      });
+    }
 
     if (!Array.isArray(addresses) || addresses.length === 0) {
       return res.status(400).json({
@@ -48,23 +79,28 @@ router.post('/batch', (req, res) => {
     }
 
     // Validate all addresses
-    for (const address of addresses) {
-      if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    for (const target of addresses) {
+      if (typeof target !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(target)) {
         return res.status(400).json({
-          error: `Invalid address format: ${address}`
+          error: `Invalid address format: ${target}`
         });
       }
     }
 
+    const viewer = address.toLowerCase();
+    if (!checkProof(req, res, 'get-statuses', [viewer, addresses.join(',')], { address, timestamp, signature })) return;
+
     const wsManager = req.app.locals.wsManager;
     const results = {};
 
-    for (const address of addresses) {
-      results[address.toLowerCase()] = wsManager.isOnline(address);
+    for (const target of addresses.map(target => target.toLowerCase())) {
+      if (canSeePresence(req, target, viewer)) {
+        results[target] = wsManager.isOnline(target);
+      }
     }
 
     res.json({
-      timestamp: Date.now(),
+      timestamp: req.app.locals.clock.now(),
       statuses: results
     });
   } catch (error) {
@@ -87,7 +123,7 @@ router.get('/online/all', (req, res) => {
     res.json({
       count: onlineUsers.length,
       users: onlineUsers,
-      timestamp: Date.now()
+      timestamp: req.app.locals.clock.now()
     });
   } catch (error) {
     logger.error('Error getting online users', { error: error.message });
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { metrics } = require('../utils/metrics');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { ADDRESS_REGEX } = require('../utils/idenaSignature');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('attachmentStore');
+
+const ATTACHMENT_ERROR_MESSAGES = {
+  [ErrorCodes.ATTACHMENT_NOT_FOUND]: 'Attachment not found',
+  [ErrorCodes.ATTACHMENT_INVALID]: 'Invalid attachment request',
+  [ErrorCodes.ATTACHMENT_TOO_LARGE]: 'Attachment is larger than the allowed size',
+  [ErrorCodes.QUOTA_EXCEEDED]: 'Attachment storage quota exceeded',
+  [ErrorCodes.UPLOAD_NOT_FOUND]: 'Upload not found',
+  [ErrorCodes.UPLOAD_OFFSET_MISMATCH]: 'Chunk offset does not match the bytes received so far',
+  [ErrorCodes.HASH_MISMATCH]: 'Uploaded content does not match the declared hash'
+};
+
+const SHA256_REGEX = /^[a-f0-9]{64}$/;
+
+const cleanupRemoved = metrics.counter(
+  'relay_cleanup_removed_total',
+  'Expired entries removed by periodic cleanup, by store',
+  ['store']
+);
+
+/**
+ * Attachment Store - Keeps client-encrypted blobs on local disk
+ *
+ * Clients encrypt files before upload, so the relay only stores opaque
+ * bytes. Uploads are chunked and resumable: the client declares the size
+ * and SHA-256 of the ciphertext, then appends chunks at the offset the
+ * relay reports. The finished blob is named by the hash of its uploader
+ * and content, so uploads by others never reveal that content is stored,
+ * and only the uploader and the recipients they named may download it.
+ * Blobs expire with queued messages (MESSAGE_RETENTION_HOURS). Metadata is
+ * kept in the storage adapter; blobs live under ATTACHMENT_PATH, which is
+ * created with the first upload.
+ *
+ * Mutations return their result on success or { error: { code, message } }.
+ */
+class AttachmentStore {
+  constructor(storage = new MemoryStorage(), directory = null, { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.directory = directory || path.resolve(
+      config.ATTACHMENT_PATH || path.join(config.STORAGE_PATH || './data', 'attachments')
+    );
+
+    // Configuration
+    this.maxSize = parseInt(config.ATTACHMENT_MAX_BYTES) || 26214400; // 25 MB
+    this.chunkSize = parseInt(config.ATTACHMENT_CHUNK_BYTES) || 1048576; // 1 MB
+    this.quotaBytes = parseInt(config.ATTACHMENT_QUOTA_BYTES) || 104857600; // 100 MB
+    this.retentionHours = parseInt(config.MESSAGE_RETENTION_HOURS) || 168; // 7 days
+
+    // Upload IDs with a chunk being written
+    this.writing = new Set();
+
+    // Start cleanup interval
+    this.startCleanup();
+  }
+
+  /**
+   * Start an upload. Uploading content the uploader already stored, or is
+   * still uploading, only adds the new recipients to it.
+   * Returns { upload } or { attachment }.
+   */
+  createUpload(uploader, { size, sha256, recipients }) {
+    const hash = typeof sha256 === 'string' ? sha256.toLowerCase() : null;
+    if (!hash || !SHA256_REGEX.test(hash)) {
+      return this.error(ErrorCodes.ATTACHMENT_INVALID, 'sha256 must be a hex-encoded SHA-256 hash');
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return this.error(ErrorCodes.ATTACHMENT_INVALID, 'size must be a positive integer');
+    }
+
+    if (size > this.maxSize) {
+      return this.error(ErrorCodes.ATTACHMENT_TOO_LARGE);
+    }
+
+    if (!Array.isArray(recipients) || recipients.length === 0 ||
+        !recipients.every(address => typeof address === 'string' && ADDRESS_REGEX.test(address))) {
+      return this.error(ErrorCodes.ATTACHMENT_INVALID, 'recipients must be a non-empty array of Idena addresses');
+    }
+
+    const readers = Array.from(new Set(recipients.map(address => address.toLowerCase())));
+
+    const attachmentId = AttachmentStore.attachmentId(uploader, hash);
+    const existing = this.get(attachmentId);
+    if (existing) {
+      existing.recipients = Array.from(new Set([...existing.recipients, ...readers]));
+      this.storage.set('attachments', attachmentId, existing);
+      return { attachment: existing };
+    }
+
+    const pending = this.storage.values('uploads')
+      .find(upload => upload.attachmentId === attachmentId);
+    if (pending) {
+      pending.recipients = Array.from(new Set([...pending.recipients, ...readers]));
+      this.storage.set('uploads', pending.uploadId, pending);
+      return { upload: pending };
+    }
+
+    if (this.getUsage(uploader) + size > this.quotaBytes) {
+      return this.error(ErrorCodes.QUOTA_EXCEEDED);
+    }
+
+    const now = this.clock.now();
+    const upload = {
+      uploadId: crypto.randomBytes(16).toString('hex'),
+      uploader,
+      attachmentId,
+      sha256: hash,
+      size,
+      recipients: readers,
+      receivedBytes: 0,
+      createdAt: now,
+      expiresAt: now + this.retentionHours * 3600000
+    };
+
+    this.storage.set('uploads', upload.uploadId, upload);
+    logger.debug('Attachment upload started', { uploadId: upload.uploadId, size });
+
+    return { upload };
+  }
+
+  /**
+   * Get an upload in progress
+   */
+  getUpload(uploadId) {
+    if (typeof uploadId !== 'string') return null;
+    return this.storage.get('uploads', uploadId) || null;
+  }
+
+  /**
+   * Append a chunk at the given offset. The offset must equal the bytes
+   * received so far, which lets a client resume after a dropped connection.
+   * Returns { upload } while incomplete and { upload, attachment } once the
+   * last chunk arrived and the content matches its hash. A chunk sent
+   * while another one is being written gets UPLOAD_OFFSET_MISMATCH.
+   */
+  async appendChunk(uploadId, offset, chunk) {
+    const upload = this.getUpload(uploadId);
+    if (!upload) {
+      return this.error(ErrorCodes.UPLOAD_NOT_FOUND);
+    }
+
+    if (offset !== upload.receivedBytes || this.writing.has(uploadId)) {
+      return this.error(ErrorCodes.UPLOAD_OFFSET_MISMATCH);
+    }
+
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0 || chunk.length > this.chunkSize) {
+      return this.error(ErrorCodes.ATTACHMENT_INVALID, `Chunks must be 1-${this.chunkSize} bytes`);
+    }
+
+    if (upload.receivedBytes + chunk.length > upload.size) {
+      return this.error(ErrorCodes.ATTACHMENT_INVALID, 'Chunk extends past the declared size');
+    }
+
+    this.writing.add(uploadId);
+    try {
+      await fsp.mkdir(this.directory, { recursive: true });
+
+      // Truncate first, so bytes left over from an interrupted write are dropped
+      const partFile = this.partPath(uploadId);
+      await fsp.truncate(partFile, upload.receivedBytes).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      await fsp.appendFile(partFile, chunk);
+
+      upload.receivedBytes += chunk.length;
+
+      if (upload.receivedBytes < upload.size) {
+        this.storage.set('uploads', uploadId, upload);
+        return { upload };
+      }
+
+      return await this.complete(upload);
+    } finally {
+      this.writing.delete(uploadId);
+    }
+  }
+
+  /**
+   * Verify a fully received upload and turn it into an attachment
+   */
+  async complete(upload) {
+    const partFile = this.partPath(upload.uploadId);
+    this.storage.delete('uploads', upload.uploadId);
+
+    if (await this.hashFile(partFile) !== upload.sha256) {
+      await fsp.rm(partFile, { force: true });
+      logger.warn('Attachment hash mismatch', { uploadId: upload.uploadId });
+      return this.error(ErrorCodes.HASH_MISMATCH);
+    }
+
+    await fsp.rename(partFile, this.blobPath(upload.attachmentId));
+
+    const attachment = {
+      attachmentId: upload.attachmentId,
+      uploader: upload.uploader,
+      sha256: upload.sha256,
+      size: upload.size,
+      recipients: upload.recipients,
+      createdAt: this.clock.now(),
+      expiresAt: upload.expiresAt
+    };
+
+    this.storage.set('attachments', attachment.attachmentId, attachment);
+    logger.info('Attachment stored', { attachmentId: attachment.attachmentId, size: attachment.size });
+
+    return { upload, attachment };
+  }
+
+  /**
+   * Get attachment metadata
+   */
+  get(attachmentId) {
+    if (typeof attachmentId !== 'string') return null;
+    return this.storage.get('attachments', attachmentId.toLowerCase()) || null;
+  }
+
+  /**
+   * Get an attachment on behalf of a reader. Addresses that may not read
+   * it get ATTACHMENT_NOT_FOUND, so IDs do not reveal stored content.
+   */
+  getForReader(attachmentId, address) {
+    const attachment = this.get(attachmentId);
+    if (!attachment || attachment.expiresAt <= this.clock.now() ||
+        (attachment.uploader !== address && !attachment.recipients.includes(address))) {
+      return this.error(ErrorCodes.ATTACHMENT_NOT_FOUND);
+    }
+
+    return { attachment, path: this.blobPath(attachment.attachmentId) };
+  }
+
+  /**
+   * Delete an attachment (uploader only)
+   */
+  delete(attachmentId, address) {
+    const attachment = this.get(attachmentId);
+    if (!attachment || attachment.uploader !== address) {
+      return this.error(ErrorCodes.ATTACHMENT_NOT_FOUND);
+    }
+
+    this.remove(attachment);
+    return { attachment };
+  }
+
+  remove(attachment) {
+    this.storage.delete('attachments', attachment.attachmentId);
+    fs.rmSync(this.blobPath(attachment.attachmentId), { force: true });
+  }
+
+  /**
+   * Bytes an address is using, counting uploads in progress at full size
+   */
+  getUsage(address) {
+    const stored = this.storage.values('attachments')
+      .filter(attachment => attachment.uploader === address)
+      .reduce((total, attachment) => total + attachment.size, 0);
+    const pending = this.storage.values('uploads')
+      .filter(upload => upload.uploader === address)
+      .reduce((total, upload) => total + upload.size, 0);
+
+    return stored + pending;
+  }
+
+  /**
+   * Attachment ID for content stored by an uploader
+   */
+  static attachmentId(uploader, sha256) {
+    return crypto.createHash('sha256').update(`${uploader}:${sha256}`).digest('hex');
+  }
+
+  blobPath(attachmentId) {
+    return path.join(this.directory, attachmentId);
+  }
+
+  partPath(uploadId) {
+    return path.join(this.directory, `${uploadId}.part`);
+  }
+
+  async hashFile(file) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    return hash.digest('hex');
+  }
+
+  error(code, message = ATTACHMENT_ERROR_MESSAGES[code]) {
+    return { error: { code, message } };
+  }
+
+  /**
+   * Start cleanup interval to remove expired attachments and uploads
+   */
+  startCleanup() {
+    const cleanupInterval = 3600000; // 1 hour
+
+    this.cleanupInterval = this.clock.setInterval(() => {
+      this.cleanup();
+    }, cleanupInterval);
+  }
+
+  /**
+   * Stop cleanup interval
+   */
+  stopCleanup() {
+    this.clock.clearInterval(this.cleanupInterval);
+  }
+
+  /**
+   * Remove expired attachments and abandoned uploads
+   */
+  cleanup() {
+    const now = this.clock.now();
+    let removed = 0;
+
+    for (const attachment of this.storage.values('attachments')) {
+      if (attachment.expiresAt <= now) {
+        this.remove(attachment);
+        removed++;
+      }
+    }
+
+    for (const upload of this.storage.values('uploads')) {
+      if (upload.expiresAt <= now) {
+        this.storage.delete('uploads', upload.uploadId);
+        fs.rmSync(this.partPath(upload.uploadId), { force: true });
+        removed++;
+      }
+    }
+
+    cleanupRemoved.inc({ store: 'attachments' }, removed);
+
+    if (removed > 0) {
+      logger.info('Expired attachments cleaned up', { removed });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const attachments = this.storage.values('attachments');
+
+    return {
+      attachments: attachments.length,
+      totalBytes: attachments.reduce((total, attachment) => total + attachment.size, 0),
+      uploadsInProgress: this.storage.size('uploads'),
+      maxSize: this.maxSize,
+      quotaBytes: this.quotaBytes
+    };
+  }
+}
+
+module.exports = AttachmentStore;
@@ -0,0 +1,75 @@
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('auditLog');
+
+/**
+ * Audit Log - Record of operator actions
+ *
+ * Every request an admin makes is recorded with who made it (the admin
+ * address, or "token"), what it did and the resulting status. The log
+ * keeps the newest AUDIT_LOG_MAX_ENTRIES entries.
+ */
+class AuditLog {
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    // Configuration
+    this.maxEntries = parseInt(config.AUDIT_LOG_MAX_ENTRIES) || 10000;
+
+    // Entries are keyed by a zero-padded sequence number, so keys sort
+    // in the order entries were recorded
+    const last = this.storage.keys('auditLog').sort().pop();
+    this.sequence = last ? parseInt(last, 10) : 0;
+  }
+
+  /**
+   * Record an admin action
+   */
+  record({ actor, action, target = null, status = null, ip = null, details = null }) {
+    this.sequence++;
+    const entry = {
+      id: this.sequence,
+      timestamp: this.clock.now(),
+      actor,
+      action,
+      target,
+      status,
+      ip,
+      ...(details && { details })
+    };
+
+    this.storage.set('auditLog', String(this.sequence).padStart(12, '0'), entry);
+    logger.info('Admin action', { actor, action, target, status });
+
+    this.prune();
+    return entry;
+  }
+
+  /**
+   * List entries, newest first, optionally for one actor or action
+   */
+  list({ limit = 100, actor, action } = {}) {
+    return this.storage.keys('auditLog')
+      .sort()
+      .reverse()
+      .map(key => this.storage.get('auditLog', key))
+      .filter(entry => (!actor || entry.actor === actor) && (!action || entry.action === action))
+      .slice(0, limit);
+  }
+
+  /**
+   * Drop the oldest entries beyond the configured maximum
+   */
+  prune() {
+    const keys = this.storage.keys('auditLog');
+    if (keys.length <= this.maxEntries) return;
+
+    for (const key of keys.sort().slice(0, keys.length - this.maxEntries)) {
+      this.storage.delete('auditLog', key);
+    }
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { ErrorCodes } = require('../utils/errorCodes');
+const logger = createLogger('authChallengeStore');
+
+/**
+ * Auth Challenge Store - Issues single-use nonces for the WebSocket handshake
+ * Clients prove ownership of their Idena address by signing the nonce
+ */
+class AuthChallengeStore {
+  constructor({ config = process.env, clock = systemClock } = {}) {
+    this.clock = clock;
+
+    // Map of nonce -> { expiresAt, used }
+    this.challenges = new Map();
+
+    // Configuration
+    this.ttlMs = parseInt(config.AUTH_CHALLENGE_TTL_MS) || 60000; // 1 minute
+  }
+
+  /**
+   * Issue a new challenge
+   */
+  issue() {
+    const nonce = `idena-p2p-auth-${crypto.randomBytes(32).toString('hex')}`;
+    const expiresAt = this.clock.now() + this.ttlMs;
+
+    this.challenges.set(nonce, { expiresAt, used: false });
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Consume a challenge. Every challenge can be consumed exactly once,
+   * whether or not the signature that came with it turns out to be valid.
+   * Returns null on success or an error code.
+   */
+  consume(nonce) {
+    const challenge = this.challenges.get(nonce);
+
+    if (!challenge) {
+      return ErrorCodes.AUTH_FAILED;
+    }
+
+    if (challenge.used) {
+      logger.warn('Replayed auth nonce');
+      return ErrorCodes.NONCE_REPLAYED;
+    }
+
+    challenge.used = true;
+
+    if (this.clock.now() > challenge.expiresAt) {
+      return ErrorCodes.CHALLENGE_EXPIRED;
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove challenges that can no longer be answered. Used nonces are kept
+   * for one extra TTL so late replays are still reported as replays.
+   */
+  cleanup() {
+    const cutoff = this.clock.now() - this.ttlMs;
+    let removed = 0;
+
+    for (const [nonce, challenge] of this.challenges.entries()) {
+      if (challenge.expiresAt < cutoff) {
+        this.challenges.delete(nonce);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get number of tracked challenges
+   */
+  getCount() {
+    return this.challenges.size;
+  }
+}
+
+module.exports = AuthChallengeStore;
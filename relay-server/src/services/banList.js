@@ -0,0 +1,135 @@
+const net = require('net');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { ADDRESS_REGEX } = require('../utils/idenaSignature');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('banList');
+
+const BAN_TYPES = new Set(['address', 'ip']);
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix, so "::ffff:1.2.3.4" and "1.2.3.4"
+ * are the same ban
+ */
+function normalizeIp(ip) {
+  return typeof ip === 'string' ? ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '').toLowerCase() : ip;
+}
+
+/**
+ * Log a ban target under its type, so an IP is logged under `ip` and
+ * redacted like any other client IP
+ */
+function logTarget(type, target) {
+  return { type, [type]: target };
+}
+
+/**
+ * Ban List - Addresses and IPs an operator has banned
+ *
+ * Bans live in the storage adapter, so every instance of a cluster
+ * enforces them. A ban may carry an expiry; expired bans are ignored
+ * and removed when next read.
+ */
+class BanList {
+  constructor(storage = new MemoryStorage(), { clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+  }
+
+  /**
+   * Normalize a ban target. Returns null if it is not a valid address or IP.
+   */
+  static normalize(type, value) {
+    if (type === 'address') {
+      return typeof value === 'string' && ADDRESS_REGEX.test(value) ? value.toLowerCase() : null;
+    }
+
+    if (type === 'ip') {
+      const ip = normalizeIp(value);
+      return net.isIP(ip) ? ip : null;
+    }
+
+    return null;
+  }
+
+  static isValidType(type) {
+    return BAN_TYPES.has(type);
+  }
+
+  /**
+   * Ban an address or IP, replacing an existing ban of the same target
+   */
+  ban(type, value, { reason = null, bannedBy = null, durationMs = null } = {}) {
+    const target = BanList.normalize(type, value);
+    if (!target) return null;
+
+    const now = this.clock.now();
+    const ban = {
+      type,
+      value: target,
+      reason,
+      bannedBy,
+      createdAt: now,
+      expiresAt: durationMs ? now + durationMs : null
+    };
+
+    this.storage.set('bans', `${type}:${target}`, ban);
+    logger.warn('Ban added', { ...logTarget(type, target), reason, expiresAt: ban.expiresAt });
+
+    return ban;
+  }
+
+  /**
+   * Lift a ban. Returns true if there was one.
+   */
+  unban(type, value) {
+    const target = BanList.normalize(type, value);
+    if (!target) return false;
+
+    const removed = this.storage.delete('bans', `${type}:${target}`);
+    if (removed) {
+      logger.warn('Ban lifted', logTarget(type, target));
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get the active ban of a target, if any
+   */
+  get(type, value) {
+    const target = BanList.normalize(type, value);
+    if (!target) return null;
+
+    const key = `${type}:${target}`;
+    const ban = this.storage.get('bans', key);
+    if (!ban) return null;
+
+    if (ban.expiresAt && ban.expiresAt <= this.clock.now()) {
+      this.storage.delete('bans', key);
+      return null;
+    }
+
+    return ban;
+  }
+
+  isAddressBanned(address) {
+    return this.get('address', address) !== null;
+  }
+
+  isIpBanned(ip) {
+    return this.get('ip', ip) !== null;
+  }
+
+  /**
+   * List active bans, newest first
+   */
+  list() {
+    const now = this.clock.now();
+    return this.storage.values('bans')
+      .filter(ban => !ban.expiresAt || ban.expiresAt > now)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
+
+module.exports = BanList;
@@ -0,0 +1,81 @@
+const { createLogger } = require('../utils/logger');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('blockList');
+
+/**
+ * Block List - Addresses each user refuses to hear from
+ *
+ * Messages, typing indicators and read receipts from a blocked address
+ * are dropped by the relay. Block lists are kept in the storage adapter,
+ * so every instance of a cluster enforces them.
+ */
+class BlockList {
+  constructor(storage = new MemoryStorage(), { config = process.env } = {}) {
+    this.storage = storage;
+
+    // Configuration
+    this.maxBlocked = parseInt(config.MAX_BLOCKED_ADDRESSES) || 1000;
+  }
+
+  /**
+   * Block addresses for an owner
+   * Returns the addresses that were newly blocked
+   */
+  block(owner, addresses) {
+    const blocked = new Set(this.getBlocked(owner));
+    const added = [];
+
+    for (const address of addresses) {
+      const normalizedAddress = address.toLowerCase();
+      if (normalizedAddress === owner || blocked.has(normalizedAddress)) continue;
+
+      if (blocked.size >= this.maxBlocked) {
+        logger.warn('Block list limit reached', { owner });
+        break;
+      }
+
+      blocked.add(normalizedAddress);
+      added.push(normalizedAddress);
+    }
+
+    if (added.length > 0) {
+      this.storage.set('blockLists', owner, Array.from(blocked));
+    }
+
+    return added;
+  }
+
+  /**
+   * Unblock addresses for an owner
+   * Returns the addresses that were blocked before
+   */
+  unblock(owner, addresses) {
+    const targets = new Set(addresses.map(address => address.toLowerCase()));
+    const current = this.getBlocked(owner);
+    const remaining = current.filter(address => !targets.has(address));
+
+    if (remaining.length === 0) {
+      this.storage.delete('blockLists', owner);
+    } else if (remaining.length < current.length) {
+      this.storage.set('blockLists', owner, remaining);
+    }
+
+    return current.filter(address => targets.has(address));
+  }
+
+  /**
+   * Get the addresses an owner has blocked
+   */
+  getBlocked(owner) {
+    return this.storage.get('blockLists', owner) || [];
+  }
+
+  /**
+   * Check whether an owner has blocked a sender
+   */
+  isBlocked(owner, sender) {
+    return this.getBlocked(owner).includes(sender);
+  }
+}
+
+module.exports = BlockList;
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { ErrorCodes } = require('../utils/errorCodes');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('deliveryTokenIssuer');
+
+const TOKEN_ERROR_MESSAGES = {
+  [ErrorCodes.DELIVERY_TOKEN_INVALID]: 'Invalid delivery token',
+  [ErrorCodes.DELIVERY_TOKEN_EXPIRED]: 'Delivery token expired'
+};
+
+/**
+ * Delivery Token Issuer - Anonymous tokens for sealed-sender messages
+ *
+ * A recipient asks for a token and hands it to their contacts inside
+ * encrypted messages. Whoever presents a valid token may send the
+ * recipient a sealed message without saying who they are. A token is
+ * "<expiresAt>.<mac>", a MAC over the recipient, the expiry and the
+ * recipient's token epoch, so it names nobody and the relay keeps no
+ * record of who holds it. Revoking bumps the epoch, which invalidates
+ * every token issued before.
+ *
+ * SEALED_SENDER_SECRET keys the MAC; instances of a cluster must share it.
+ */
+class DeliveryTokenIssuer {
+  constructor(storage = new MemoryStorage(), options = {}) {
+    const config = options.config || process.env;
+    this.clock = options.clock || systemClock;
+    this.storage = storage;
+
+    let secret = options.secret || config.SEALED_SENDER_SECRET;
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('SEALED_SENDER_SECRET is not set; delivery tokens stop working on restart');
+    }
+    this.secret = secret;
+
+    // Configuration
+    this.ttlMs = options.ttlMs || parseInt(config.DELIVERY_TOKEN_TTL_MS) || 86400000; // 24 hours
+  }
+
+  /**
+   * Issue a delivery token for a recipient, optionally revoking every
+   * token issued to them before
+   * Returns { token, expiresAt }
+   */
+  issue(address, { revoke = false } = {}) {
+    if (revoke) {
+      this.storage.set('deliveryTokenEpochs', address, this.epochOf(address) + 1);
+      logger.info('Delivery tokens revoked', { address });
+    }
+
+    const expiresAt = this.clock.now() + this.ttlMs;
+    return {
+      token: `${expiresAt}.${this.mac(address, expiresAt)}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Check a delivery token for a recipient
+   * Returns null if valid, otherwise { code, message }
+   */
+  verify(address, token) {
+    const match = typeof token === 'string' && token.match(/^(\d{1,15})\.([A-Za-z0-9_-]{43})$/);
+    if (!match) {
+      return this.error(ErrorCodes.DELIVERY_TOKEN_INVALID);
+    }
+
+    const expiresAt = parseInt(match[1], 10);
+    const expected = Buffer.from(this.mac(address, expiresAt));
+    if (!crypto.timingSafeEqual(Buffer.from(match[2]), expected)) {
+      return this.error(ErrorCodes.DELIVERY_TOKEN_INVALID);
+    }
+
+    if (expiresAt <= this.clock.now()) {
+      return this.error(ErrorCodes.DELIVERY_TOKEN_EXPIRED);
+    }
+
+    return null;
+  }
+
+  mac(address, expiresAt) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${address}:${expiresAt}:${this.epochOf(address)}`)
+      .digest('base64url');
+  }
+
+  epochOf(address) {
+    return this.storage.get('deliveryTokenEpochs', address) || 0;
+  }
+
+  error(code) {
+    return { code, message: TOKEN_ERROR_MESSAGES[code] };
+  }
+}
+
+module.exports = DeliveryTokenIssuer;
@@ -0,0 +1,95 @@
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('deviceRegistry');
+
+const DEVICE_ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Device Registry - Remembers which devices each address has used
+ *
+ * Queued messages are addressed to every known device of the recipient,
+ * so a device that is offline when a message arrives still gets it on
+ * its next connect. Registrations are kept in the storage adapter.
+ */
+class DeviceRegistry {
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    // Configuration
+    this.maxDevicesPerAddress = parseInt(config.MAX_DEVICES_PER_ADDRESS) || 10;
+  }
+
+  /**
+   * Check a client-supplied device ID
+   */
+  static isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && DEVICE_ID_REGEX.test(deviceId);
+  }
+
+  /**
+   * Register a device (or refresh its last-seen time)
+   * Returns the device IDs evicted to stay under the per-address limit
+   */
+  register(address, deviceId) {
+    const now = this.clock.now();
+    const registered = this.getDevices(address);
+    const existing = registered.find(device => device.deviceId === deviceId);
+    const devices = registered.filter(device => device.deviceId !== deviceId);
+
+    devices.push({
+      deviceId,
+      registeredAt: existing ? existing.registeredAt : now,
+      lastSeen: now
+    });
+
+    // Evict the least recently seen devices
+    devices.sort((a, b) => a.lastSeen - b.lastSeen);
+    const evicted = devices.splice(0, Math.max(0, devices.length - this.maxDevicesPerAddress));
+
+    this.storage.set('devices', address, devices);
+
+    if (evicted.length > 0) {
+      logger.info('Evicted stale devices', { address, count: evicted.length });
+    }
+
+    return evicted.map(device => device.deviceId);
+  }
+
+  /**
+   * Forget a device
+   */
+  remove(address, deviceId) {
+    const devices = this.getDevices(address);
+    const remaining = devices.filter(device => device.deviceId !== deviceId);
+
+    if (remaining.length === devices.length) {
+      return false;
+    }
+
+    if (remaining.length === 0) {
+      this.storage.delete('devices', address);
+    } else {
+      this.storage.set('devices', address, remaining);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get registered devices for an address
+   */
+  getDevices(address) {
+    return this.storage.get('devices', address) || [];
+  }
+
+  /**
+   * Get registered device IDs for an address
+   */
+  getDeviceIds(address) {
+    return this.getDevices(address).map(device => device.deviceId);
+  }
+}
+
+module.exports = DeviceRegistry;
@@ -0,0 +1,599 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { metrics } = require('../utils/metrics');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { ADDRESS_REGEX, verifySignature, sign, privateKeyToAddress } = require('../utils/idenaSignature');
+const logger = createLogger('federationManager');
+
+const NONCE_PREFIX = 'idena-p2p-federation-';
+
+// Frames a peer may push to local users; everything else is dropped
+const RELAYED_FRAME_TYPES = new Set(['typing', 'read', 'delivered', 'delivery_failed', 'retract', 'edit']);
+
+// Relayed frames that report on a message this relay forwarded
+const DELIVERY_NOTICE_TYPES = new Set(['delivered', 'delivery_failed']);
+
+const forwardsTotal = metrics.counter(
+  'relay_federation_forwards_total',
+  'Messages forwarded to peer relays, by final result',
+  ['result']
+);
+
+function issueNonce() {
+  return `${NONCE_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Normalize a relay URL so hints compare equal to configured peers
+ */
+function normalizeUrl(url) {
+  return typeof url === 'string' ? url.trim().replace(/\/+$/, '').toLowerCase() : null;
+}
+
+function parsePeers(value) {
+  if (!value) return [];
+
+  try {
+    const peers = JSON.parse(value);
+    return Array.isArray(peers) ? peers : [];
+  } catch (error) {
+    logger.error('Invalid FEDERATION_PEERS, federation peers disabled', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Federation Manager - Links this relay with peer relays
+ *
+ * Every relay has its own secp256k1 key and is known to its peers by the
+ * Idena-style address of that key. Peers are an explicit allowlist of
+ * { url, address } entries. A relay opens one outbound WebSocket to each
+ * peer it forwards to (GET <url>/federation); both sides sign a nonce
+ * chosen by the other, so each knows it talks to the allowlisted key.
+ *
+ * Messages for users whose home relay is a peer are forwarded over that
+ * link and stay in an in-memory outbox until the peer reports them
+ * delivered or queued. When the link drops it is reopened with
+ * exponential backoff and the outbox is sent again; the peer ignores
+ * duplicates. Forwards still pending after MESSAGE_RETENTION_HOURS fail.
+ * A peer may only relay delivery notices for messages forwarded to it.
+ *
+ * Federation is disabled unless FEDERATION_PRIVATE_KEY is set.
+ */
+class FederationManager {
+  constructor(options = {}) {
+    const config = options.config || process.env;
+    this.clock = options.clock || systemClock;
+    this.privateKey = options.privateKey || config.FEDERATION_PRIVATE_KEY || null;
+    this.enabled = Boolean(this.privateKey);
+    this.address = this.enabled ? privateKeyToAddress(this.privateKey) : null;
+    this.url = normalizeUrl(options.url || config.FEDERATION_URL);
+
+    // Map of peer address -> { address, url }
+    this.peers = new Map();
+    for (const peer of options.peers || parsePeers(config.FEDERATION_PEERS)) {
+      if (!peer || !ADDRESS_REGEX.test(peer.address) || !normalizeUrl(peer.url)) {
+        logger.warn('Ignoring invalid federation peer', { peer });
+        continue;
+      }
+      const address = peer.address.toLowerCase();
+      this.peers.set(address, { address, url: normalizeUrl(peer.url) });
+    }
+
+    // Configuration
+    this.retryBaseMs = options.retryBaseMs || parseInt(config.FEDERATION_RETRY_BASE_MS) || 1000;
+    this.retryMaxMs = options.retryMaxMs || parseInt(config.FEDERATION_RETRY_MAX_MS) || 60000;
+    this.authTimeoutMs = 10000;
+    this.retentionHours = parseInt(config.MESSAGE_RETENTION_HOURS) || 168; // 7 days
+    this.maxReceived = parseInt(config.FEDERATION_DEDUP_MAX) || 10000;
+
+    // Map of peer address -> outbound link state
+    this.links = new Map();
+
+    // Sockets of links opened by peers
+    this.inbound = new Set();
+
+    // Map of `${peer}:${from}:${to}:${messageId}` -> pending forward
+    this.outbox = new Map();
+
+    // Map of `${peer}:${from}:${to}:${messageId}` -> { status promise, at } for
+    // forwards received from peers, so retries are not delivered twice
+    // (the newest FEDERATION_DEDUP_MAX, oldest first)
+    this.received = new Map();
+
+    // Map of `${peer}:${from}:${to}:${messageId}` -> { at } for forwards the
+    // peer may still relay a delivery notice for (bounded like `received`)
+    this.forwarded = new Map();
+
+    this.handlers = null;
+  }
+
+  /**
+   * Start handling federation traffic
+   * handlers.onMessage(peer, message) -> 'delivered' | 'queued' | 'expired' | 'rejected'
+   * handlers.onFrame(peer, to, frame)
+   * handlers.onResult(message, status, { deferred })
+   */
+  start(handlers) {
+    this.handlers = handlers;
+
+    if (this.enabled) {
+      logger.info('Federation enabled', { relay: this.address, url: this.url, peers: this.peers.size });
+    }
+  }
+
+  /**
+   * Close all links and cancel reconnects
+   */
+  stop() {
+    this.handlers = null;
+
+    for (const link of this.links.values()) {
+      this.clock.clearTimeout(link.retryTimer);
+      if (link.ws) link.ws.terminate();
+    }
+    this.links.clear();
+
+    for (const ws of this.inbound) {
+      ws.terminate();
+    }
+    this.inbound.clear();
+  }
+
+  /**
+   * Find the peer serving a home relay URL.
+   * Returns null for this relay, unknown relays, or when federation is off.
+   */
+  peerFor(homeRelay) {
+    const url = normalizeUrl(homeRelay);
+    if (!this.enabled || !url || url === this.url) return null;
+
+    for (const peer of this.peers.values()) {
+      if (peer.url === url) return peer.address;
+    }
+
+    logger.debug('Home relay is not a federation peer', { homeRelay: url });
+    return null;
+  }
+
+  // ==================== Outbound ====================
+
+  /**
+   * Forward a message to a peer. Returns false when the link is not up
+   * yet, in which case the message waits in the outbox.
+   */
+  forward(peerAddress, message) {
+    const key = this.outboxKey(peerAddress, message);
+    const link = this.links.get(peerAddress);
+    const ready = Boolean(link && link.ready);
+
+    this.outbox.set(key, {
+      peer: peerAddress,
+      message,
+      deferred: !ready,
+      createdAt: this.clock.now()
+    });
+    this.pruneRecords(this.forwarded);
+    this.forwarded.set(key, { at: this.clock.now() });
+
+    if (ready) {
+      this.sendFrame(link.ws, { type: 'forward', ...message });
+    } else {
+      this.connect(peerAddress).catch(() => {});
+    }
+
+    return ready;
+  }
+
+  /**
+   * Send a best-effort frame (typing, receipts) to a user homed on a peer
+   */
+  relayFrame(peerAddress, to, frame) {
+    const link = this.links.get(peerAddress);
+
+    if (link && link.ready) {
+      this.sendFrame(link.ws, { type: 'relay_frame', to, frame });
+      return true;
+    }
+
+    logger.debug('Dropping relayed frame, peer link down', { peer: peerAddress, type: frame.type });
+    this.connect(peerAddress).catch(() => {});
+    return false;
+  }
+
+  /**
+   * Open (or reuse) the outbound link to a peer
+   * Resolves once both sides are authenticated
+   */
+  connect(peerAddress) {
+    const peer = this.peers.get(peerAddress);
+    if (!this.enabled || !peer) {
+      return Promise.reject(new Error('Unknown federation peer'));
+    }
+
+    let link = this.links.get(peerAddress);
+    if (!link) {
+      link = { peer, ws: null, ready: false, attempts: 0, retryTimer: null, connecting: null };
+      this.links.set(peerAddress, link);
+    }
+
+    if (link.ready) return Promise.resolve();
+    if (link.connecting) return link.connecting;
+
+    this.clock.clearTimeout(link.retryTimer);
+    link.retryTimer = null;
+
+    link.connecting = new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${peer.url}/federation`);
+      const challenge = issueNonce();
+      link.ws = ws;
+
+      ws.on('message', (data) => {
+        let frame;
+        try {
+          frame = JSON.parse(data.toString());
+        } catch (error) {
+          logger.warn('Invalid frame from federation peer', { peer: peerAddress });
+          return;
+        }
+
+        switch (frame.type) {
+          case 'federation_challenge':
+            // Only ever sign federation nonces, never other data a peer picks
+            if (typeof frame.nonce !== 'string' || !frame.nonce.startsWith(NONCE_PREFIX)) {
+              logger.warn('Federation peer sent an invalid challenge', { peer: peerAddress });
+              ws.terminate();
+              return;
+            }
+            this.sendFrame(ws, {
+              type: 'federation_auth',
+              relay: this.address,
+              nonce: frame.nonce,
+              signature: sign(frame.nonce, this.privateKey),
+              challenge
+            });
+            break;
+
+          case 'federation_auth_success':
+            if (!verifySignature(challenge, frame.signature, peer.address)) {
+              logger.warn('Federation peer failed to prove its identity', { peer: peerAddress });
+              ws.terminate();
+              return;
+            }
+            link.ready = true;
+            link.attempts = 0;
+            link.connecting = null;
+            logger.info('Federation link established', { peer: peerAddress });
+            resolve();
+            this.flush(peerAddress);
+            break;
+
+          case 'forward_result':
+            if (link.ready) this.handleForwardResult(peerAddress, frame);
+            break;
+
+          case 'error':
+            logger.warn('Federation peer rejected link', { peer: peerAddress, code: frame.code });
+            break;
+        }
+      });
+
+      ws.on('close', () => {
+        const wasReady = link.ready;
+        link.ready = false;
+        link.ws = null;
+        link.connecting = null;
+
+        if (wasReady) {
+          logger.warn('Federation link closed', { peer: peerAddress });
+        }
+        reject(new Error('Federation link closed'));
+
+        if (this.links.get(peerAddress) === link) {
+          this.scheduleReconnect(link);
+        }
+      });
+
+      ws.on('error', (error) => {
+        logger.warn('Federation link error', { peer: peerAddress, error: error.message });
+      });
+    });
+
+    return link.connecting;
+  }
+
+  /**
+   * Reconnect with exponential backoff while forwards are pending
+   */
+  scheduleReconnect(link) {
+    const peerAddress = link.peer.address;
+    this.expireOutbox(peerAddress);
+
+    if (!this.hasPending(peerAddress) || link.retryTimer) return;
+
+    const delay = Math.min(this.retryBaseMs * 2 ** link.attempts, this.retryMaxMs);
+    link.attempts++;
+
+    logger.info('Retrying federation link', { peer: peerAddress, delayMs: delay, attempt: link.attempts });
+    link.retryTimer = this.clock.setTimeout(() => {
+      link.retryTimer = null;
+      this.connect(peerAddress).catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * Send every pending forward for a peer, oldest first
+   */
+  flush(peerAddress) {
+    const link = this.links.get(peerAddress);
+    if (!link || !link.ready) return;
+
+    this.expireOutbox(peerAddress);
+    const pending = Array.from(this.outbox.values())
+      .filter(entry => entry.peer === peerAddress)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const entry of pending) {
+      this.sendFrame(link.ws, { type: 'forward', ...entry.message });
+    }
+  }
+
+  handleForwardResult(peerAddress, frame) {
+    const key = this.outboxKey(peerAddress, frame);
+    const entry = this.outbox.get(key);
+    if (!entry) return;
+
+    const status = ['delivered', 'expired', 'rejected'].includes(frame.status) ? frame.status : 'queued';
+    this.outbox.delete(key);
+    if (status === 'expired' || status === 'rejected') this.forwarded.delete(key);
+    forwardsTotal.inc({ result: status });
+
+    if (this.handlers) {
+      this.handlers.onResult(entry.message, status, { deferred: entry.deferred });
+    }
+  }
+
+  /**
+   * Fail forwards that waited longer than the message retention period,
+   * and drop messages past their own expiry
+   */
+  expireOutbox(peerAddress) {
+    const now = this.clock.now();
+    const cutoff = now - this.retentionHours * 3600000;
+
+    for (const [key, entry] of this.outbox) {
+      if (entry.peer !== peerAddress) continue;
+
+      const { expiresAt, messageId } = entry.message;
+      const status = expiresAt && expiresAt <= now ? 'expired' : entry.createdAt <= cutoff ? 'failed' : null;
+      if (!status) continue;
+
+      this.outbox.delete(key);
+      this.forwarded.delete(key);
+      forwardsTotal.inc({ result: status });
+      logger.warn('Federated message expired undelivered', { peer: peerAddress, messageId });
+
+      if (this.handlers) {
+        this.handlers.onResult(entry.message, status, { deferred: entry.deferred });
+      }
+    }
+  }
+
+  hasPending(peerAddress) {
+    for (const entry of this.outbox.values()) {
+      if (entry.peer === peerAddress) return true;
+    }
+    return false;
+  }
+
+  outboxKey(peerAddress, { from, to, messageId }) {
+    return `${peerAddress}:${from}:${to}:${messageId}`;
+  }
+
+  // ==================== Inbound ====================
+
+  /**
+   * Accept links from peers on a WebSocket server mounted at /federation
+   */
+  listen(wss) {
+    wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+  }
+
+  handleConnection(ws, req) {
+    const ip = req && req.socket ? req.socket.remoteAddress : undefined;
+
+    if (!this.enabled) {
+      ws.close();
+      return;
+    }
+
+    const nonce = issueNonce();
+    let peerAddress = null;
+    this.inbound.add(ws);
+
+    const authTimer = this.clock.setTimeout(() => {
+      if (!peerAddress) ws.terminate();
+    }, this.authTimeoutMs);
+
+    this.sendFrame(ws, { type: 'federation_challenge', nonce });
+
+    ws.on('message', async (data) => {
+      try {
+        const frame = JSON.parse(data.toString());
+
+        if (!peerAddress) {
+          peerAddress = this.verifyPeerAuth(frame, nonce);
+          this.clock.clearTimeout(authTimer);
+
+          if (!peerAddress) {
+            logger.warn('Federation authentication failed', { ip, relay: frame.relay });
+            this.sendFrame(ws, { type: 'error', code: ErrorCodes.AUTH_FAILED, message: 'Authentication failed' });
+            ws.close();
+            return;
+          }
+
+          this.sendFrame(ws, {
+            type: 'federation_auth_success',
+            relay: this.address,
+            signature: sign(frame.challenge, this.privateKey)
+          });
+          logger.info('Federation peer connected', { peer: peerAddress });
+          return;
+        }
+
+        switch (frame.type) {
+          case 'forward':
+            await this.handleForward(ws, peerAddress, frame);
+            break;
+
+          case 'relay_frame':
+            await this.handleRelayFrame(peerAddress, frame);
+            break;
+
+          default:
+            logger.warn('Unknown federation frame type', { peer: peerAddress, type: frame.type });
+        }
+      } catch (error) {
+        logger.error('Error handling federation frame', { peer: peerAddress, error: error.message });
+      }
+    });
+
+    ws.on('close', () => {
+      this.clock.clearTimeout(authTimer);
+      this.inbound.delete(ws);
+      if (peerAddress) {
+        logger.info('Federation peer disconnected', { peer: peerAddress });
+      }
+    });
+
+    ws.on('error', (error) => {
+      logger.warn('Federation socket error', { peer: peerAddress, error: error.message });
+    });
+  }
+
+  /**
+   * Check a peer's signed answer to our nonce, and that the peer's
+   * challenge for us is a federation nonce (so we never sign other data).
+   * Returns the peer address or null.
+   */
+  verifyPeerAuth(frame, nonce) {
+    if (!frame || frame.type !== 'federation_auth' || frame.nonce !== nonce) return null;
+    if (typeof frame.relay !== 'string' || !ADDRESS_REGEX.test(frame.relay)) return null;
+    if (typeof frame.challenge !== 'string' || !frame.challenge.startsWith(NONCE_PREFIX)) return null;
+
+    const relay = frame.relay.toLowerCase();
+    if (!this.peers.has(relay)) return null;
+
+    return verifySignature(nonce, frame.signature, relay) ? relay : null;
+  }
+
+  async handleForward(ws, peerAddress, frame) {
+    const { from, to, content, messageId, timestamp, expiresAt, ttlMs } = frame;
+
+    if (![from, to].every(address => typeof address === 'string' && ADDRESS_REGEX.test(address)) ||
+        typeof content !== 'string' || !content || typeof messageId !== 'string' || !messageId) {
+      logger.warn('Invalid forward from federation peer', { peer: peerAddress, messageId });
+      return;
+    }
+
+    const message = {
+      from: from.toLowerCase(),
+      to: to.toLowerCase(),
+      content,
+      messageId,
+      timestamp: Number.isFinite(timestamp) ? timestamp : this.clock.now(),
+      ...(Number.isFinite(expiresAt) && { expiresAt, ttlMs: Number.isInteger(ttlMs) ? ttlMs : null })
+    };
+
+    const key = this.outboxKey(peerAddress, message);
+    this.pruneRecords(this.received);
+
+    // Remember the forward before routing it, so a resend that arrives
+    // meanwhile waits for the same result
+    let received = this.received.get(key);
+    if (!received) {
+      received = {
+        status: this.handlers ? this.handlers.onMessage(peerAddress, message) : Promise.resolve('queued'),
+        at: this.clock.now()
+      };
+      this.received.set(key, received);
+    }
+
+    let status;
+    try {
+      status = await received.status;
+    } catch (error) {
+      this.received.delete(key);
+      throw error;
+    }
+
+    this.sendFrame(ws, {
+      type: 'forward_result',
+      from: message.from,
+      to: message.to,
+      messageId,
+      status
+    });
+  }
+
+  async handleRelayFrame(peerAddress, { to, frame }) {
+    if (typeof to !== 'string' || !ADDRESS_REGEX.test(to) ||
+        !frame || typeof frame !== 'object' || !RELAYED_FRAME_TYPES.has(frame.type)) {
+      logger.warn('Dropping relayed frame from federation peer', { peer: peerAddress });
+      return;
+    }
+
+    // A delivery notice answers a forward to this peer, and only once
+    const recipient = to.toLowerCase();
+    if (DELIVERY_NOTICE_TYPES.has(frame.type) &&
+        !this.forwarded.delete(this.outboxKey(peerAddress, { from: recipient, to: frame.to, messageId: frame.messageId }))) {
+      logger.warn('Dropping delivery notice for a message not forwarded to this peer', {
+        peer: peerAddress,
+        type: frame.type,
+        messageId: frame.messageId
+      });
+      return;
+    }
+
+    if (this.handlers) {
+      await this.handlers.onFrame(peerAddress, recipient, frame);
+    }
+  }
+
+  /**
+   * Forget received or forwarded messages once the sender would have given
+   * up on them, and the oldest ones beyond FEDERATION_DEDUP_MAX
+   */
+  pruneRecords(records) {
+    const cutoff = this.clock.now() - this.retentionHours * 3600000;
+    for (const [key, record] of records) {
+      if (record.at > cutoff && records.size < this.maxReceived) break;
+      records.delete(key);
+    }
+  }
+
+  sendFrame(ws, frame) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(frame));
+    }
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      relay: this.address,
+      peers: Array.from(this.peers.values()).map(peer => ({
+        ...peer,
+        connected: Boolean(this.links.get(peer.address)?.ready)
+      })),
+      pendingForwards: this.outbox.size
+    };
+  }
+}
+
+module.exports = FederationManager;
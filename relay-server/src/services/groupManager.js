@@ -0,0 +1,254 @@
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { ADDRESS_REGEX } = require('../utils/idenaSignature');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('groupManager');
+
+const GROUP_ERROR_MESSAGES = {
+  [ErrorCodes.GROUP_NOT_FOUND]: 'Group not found',
+  [ErrorCodes.GROUP_FORBIDDEN]: 'Only group admins can do this',
+  [ErrorCodes.GROUP_FULL]: 'Group member limit reached',
+  [ErrorCodes.GROUP_INVALID]: 'Invalid group request'
+};
+
+const ROLES = ['admin', 'member'];
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Group Manager - Keeps group membership and roles
+ *
+ * The relay never sees group content: senders encrypt a copy of each
+ * message for every member. Groups only tell the relay who may send to
+ * the group and who receives the fan-out. Admins manage membership;
+ * any member may leave. Groups are kept in the storage adapter.
+ *
+ * Mutations return { group, ... } on success or { error: { code, message } }.
+ */
+class GroupManager {
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    // Configuration
+    this.maxMembers = parseInt(config.MAX_GROUP_MEMBERS) || 256;
+  }
+
+  /**
+   * Create a group; the creator becomes its first admin
+   */
+  create(creator, name, members = []) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+      return this.error(ErrorCodes.GROUP_INVALID, 'Group name must be 1-100 characters');
+    }
+
+    const addresses = this.normalizeAddresses(members);
+    if (!addresses) {
+      return this.error(ErrorCodes.GROUP_INVALID, 'members must be an array of Idena addresses');
+    }
+
+    const others = addresses.filter(address => address !== creator);
+    if (others.length + 1 > this.maxMembers) {
+      return this.error(ErrorCodes.GROUP_FULL);
+    }
+
+    const now = this.clock.now();
+    const group = {
+      groupId: uuidv4(),
+      name: name.trim(),
+      createdBy: creator,
+      createdAt: now,
+      updatedAt: now,
+      members: [
+        { address: creator, role: 'admin', joinedAt: now },
+        ...others.map(address => ({ address, role: 'member', joinedAt: now }))
+      ]
+    };
+
+    this.storage.set('groups', group.groupId, group);
+    logger.info('Group created', { groupId: group.groupId, members: group.members.length });
+
+    return { group };
+  }
+
+  /**
+   * Get a group by ID
+   */
+  get(groupId) {
+    if (typeof groupId !== 'string') return null;
+    return this.storage.get('groups', groupId) || null;
+  }
+
+  /**
+   * Get a group on behalf of one of its members. Non-members get
+   * GROUP_NOT_FOUND so group IDs do not reveal who talks to whom.
+   */
+  getForMember(groupId, address) {
+    const group = this.get(groupId);
+    if (!group || !this.getMember(group, address)) {
+      return this.error(ErrorCodes.GROUP_NOT_FOUND);
+    }
+
+    return { group };
+  }
+
+  /**
+   * Get the groups an address belongs to
+   */
+  getGroupsFor(address) {
+    return this.storage.values('groups').filter(group => this.getMember(group, address));
+  }
+
+  /**
+   * Get a member entry, or null if the address is not a member
+   */
+  getMember(group, address) {
+    return group.members.find(member => member.address === address) || null;
+  }
+
+  /**
+   * Get the member addresses of a group
+   */
+  getMemberAddresses(group) {
+    return group.members.map(member => member.address);
+  }
+
+  /**
+   * Add members (admins only)
+   * Returns the addresses that were not members yet
+   */
+  addMembers(groupId, actor, members) {
+    const { group, error } = this.getForAdmin(groupId, actor);
+    if (error) return { error };
+
+    const addresses = this.normalizeAddresses(members);
+    if (!addresses || addresses.length === 0) {
+      return this.error(ErrorCodes.GROUP_INVALID, 'members must be a non-empty array of Idena addresses');
+    }
+
+    const added = addresses.filter(address => !this.getMember(group, address));
+    if (group.members.length + added.length > this.maxMembers) {
+      return this.error(ErrorCodes.GROUP_FULL);
+    }
+
+    const now = this.clock.now();
+    for (const address of added) {
+      group.members.push({ address, role: 'member', joinedAt: now });
+    }
+
+    this.save(group);
+    return { group, added };
+  }
+
+  /**
+   * Remove a member. Admins may remove anyone; members may only remove
+   * themselves. When the last admin leaves, the longest-standing member
+   * becomes admin, and a group without members is deleted.
+   */
+  removeMember(groupId, actor, address) {
+    const { group, error } = this.getForMember(groupId, actor);
+    if (error) return { error };
+
+    const normalizedAddress = typeof address === 'string' ? address.toLowerCase() : null;
+    if (normalizedAddress !== actor && this.getMember(group, actor).role !== 'admin') {
+      return this.error(ErrorCodes.GROUP_FORBIDDEN);
+    }
+
+    if (!normalizedAddress || !this.getMember(group, normalizedAddress)) {
+      return this.error(ErrorCodes.GROUP_INVALID, 'Address is not a member of this group');
+    }
+
+    group.members = group.members.filter(member => member.address !== normalizedAddress);
+
+    let promoted = null;
+    if (group.members.length > 0 && !group.members.some(member => member.role === 'admin')) {
+      const successor = group.members.reduce((a, b) => (b.joinedAt < a.joinedAt ? b : a));
+      successor.role = 'admin';
+      promoted = successor.address;
+    }
+
+    if (group.members.length === 0) {
+      this.storage.delete('groups', groupId);
+      logger.info('Group deleted', { groupId });
+    } else {
+      this.save(group);
+    }
+
+    return { group, removed: normalizedAddress, promoted };
+  }
+
+  /**
+   * Change a member's role (admins only). A group always keeps an admin.
+   */
+  setRole(groupId, actor, address, role) {
+    const { group, error } = this.getForAdmin(groupId, actor);
+    if (error) return { error };
+
+    if (!ROLES.includes(role)) {
+      return this.error(ErrorCodes.GROUP_INVALID, `role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const member = typeof address === 'string' ? this.getMember(group, address.toLowerCase()) : null;
+    if (!member) {
+      return this.error(ErrorCodes.GROUP_INVALID, 'Address is not a member of this group');
+    }
+
+    const admins = group.members.filter(entry => entry.role === 'admin');
+    if (role === 'member' && member.role === 'admin' && admins.length === 1) {
+      return this.error(ErrorCodes.GROUP_INVALID, 'A group must keep at least one admin');
+    }
+
+    member.role = role;
+    this.save(group);
+
+    return { group, address: member.address };
+  }
+
+  /**
+   * Get a group on behalf of one of its admins
+   */
+  getForAdmin(groupId, actor) {
+    const result = this.getForMember(groupId, actor);
+    if (result.error) return result;
+
+    if (this.getMember(result.group, actor).role !== 'admin') {
+      return this.error(ErrorCodes.GROUP_FORBIDDEN);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and normalize a list of addresses
+   * Returns null if the list is not valid
+   */
+  normalizeAddresses(addresses) {
+    if (!Array.isArray(addresses)) return null;
+    if (!addresses.every(address => typeof address === 'string' && ADDRESS_REGEX.test(address))) {
+      return null;
+    }
+
+    return Array.from(new Set(addresses.map(address => address.toLowerCase())));
+  }
+
+  save(group) {
+    group.updatedAt = this.clock.now();
+    this.storage.set('groups', group.groupId, group);
+  }
+
+  error(code, message = GROUP_ERROR_MESSAGES[code]) {
+    return { error: { code, message } };
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      groups: this.storage.size('groups')
+    };
+  }
+}
+
+module.exports = GroupManager;
@@ -0,0 +1,139 @@
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { metrics } = require('../utils/metrics');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { IDENTITY_STATES } = require('../identity');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('identityGate');
+
+// State recorded for an address whose lookup failed and that has no cached state
+const UNKNOWN_STATE = 'Unknown';
+
+const identityLookups = metrics.counter(
+  'relay_identity_lookups_total',
+  'Identity state lookups, by result',
+  ['result']
+);
+
+/**
+ * Parse a comma-separated list of identity states from an environment variable
+ */
+function parseStates(config, name, fallback) {
+  const value = config[name];
+  const states = (value === undefined ? fallback : value)
+    .split(',')
+    .map(state => state.trim())
+    .filter(Boolean);
+
+  for (const state of states) {
+    if (!IDENTITY_STATES.includes(state)) {
+      logger.warn('Unknown identity state in configuration', { variable: name, state });
+    }
+  }
+
+  return states;
+}
+
+/**
+ * Identity Gate - Decides what an address may do from its Idena identity
+ * state
+ *
+ * States come from a pluggable provider (see src/identity) and are cached
+ * in the storage adapter for IDENTITY_CACHE_TTL_MS. If a lookup fails, the
+ * last known state is used even if stale; an address never looked up
+ * counts as "Unknown", which no default policy allows.
+ *
+ * The policy lists the states that may:
+ * - register: publish a public key
+ * - send: send direct and group messages
+ * - boostRateLimit: get IDENTITY_RATE_LIMIT_FACTOR times the usual rate limits
+ */
+class IdentityGate {
+  constructor(provider, storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.provider = provider;
+    this.storage = storage;
+    this.clock = clock;
+
+    // Configuration
+    this.cacheTtlMs = parseInt(config.IDENTITY_CACHE_TTL_MS) || 3600000; // 1 hour
+    this.policy = {
+      register: parseStates(config, 'IDENTITY_REGISTER_STATES', 'Newbie,Verified,Human'),
+      send: parseStates(config, 'IDENTITY_SEND_STATES', 'Newbie,Verified,Human'),
+      boostRateLimit: parseStates(config, 'IDENTITY_RATE_LIMIT_STATES', 'Verified,Human')
+    };
+    this.rateLimitFactor = parseInt(config.IDENTITY_RATE_LIMIT_FACTOR) || 5;
+
+    // Map of address -> pending lookup, so concurrent checks share one request
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the identity state of an address, from the cache while it is fresh
+   */
+  async getState(address) {
+    const normalizedAddress = address.toLowerCase();
+    const cached = this.storage.get('identityStates', normalizedAddress);
+
+    if (cached && this.clock.now() - cached.fetchedAt < this.cacheTtlMs) {
+      identityLookups.inc({ result: 'cached' });
+      return cached.state;
+    }
+
+    if (!this.pending.has(normalizedAddress)) {
+      const lookup = this.fetchState(normalizedAddress, cached)
+        .finally(() => this.pending.delete(normalizedAddress));
+      this.pending.set(normalizedAddress, lookup);
+    }
+
+    return this.pending.get(normalizedAddress);
+  }
+
+  async fetchState(address, cached) {
+    try {
+      const state = await this.provider.getState(address);
+      identityLookups.inc({ result: 'fetched' });
+      this.storage.set('identityStates', address, { state, fetchedAt: this.clock.now() });
+      return state;
+    } catch (error) {
+      identityLookups.inc({ result: 'error' });
+      logger.warn('Identity state lookup failed', { address, error: error.message });
+      return cached ? cached.state : UNKNOWN_STATE;
+    }
+  }
+
+  /**
+   * Check whether an address may perform an action of the policy
+   * Returns null if allowed, otherwise { code, message, state }
+   */
+  async check(action, address) {
+    const state = await this.getState(address);
+    if (this.policy[action].includes(state)) return null;
+
+    logger.info('Identity state not allowed', { action, address: address.toLowerCase(), state });
+    return {
+      code: ErrorCodes.IDENTITY_NOT_ALLOWED,
+      message: `Identity state ${state} may not ${action === 'register' ? 'register keys' : 'send messages'}`,
+      state
+    };
+  }
+
+  /**
+   * Get the last looked-up state of an address without a new lookup
+   */
+  knownState(address) {
+    const cached = this.storage.get('identityStates', address.toLowerCase());
+    return cached ? cached.state : null;
+  }
+
+  /**
+   * Scale a rate limit rule for an address whose state earns higher
+   * limits. Uses the known state only, so it never waits for a lookup.
+   */
+  rateLimitRule(address, rule) {
+    return this.policy.boostRateLimit.includes(this.knownState(address))
+      ? { ...rule, max: rule.max * this.rateLimitFactor }
+      : rule;
+  }
+}
+
+module.exports = IdentityGate;
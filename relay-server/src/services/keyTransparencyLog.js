@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { sign, privateKeyToAddress } = require('../utils/idenaSignature');
+const merkle = require('../utils/merkle');
+const ProofVerifier = require('./proofVerifier');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('keyTransparencyLog');
+
+/**
+ * Key Transparency Log - Append-only Merkle log of public key changes
+ *
+ * Every key registration, rotation and deletion is appended as a leaf (the
+ * JSON of the entry, exactly as served). The relay signs each new tree head
+ * with KEY_LOG_PRIVATE_KEY (or FEDERATION_PRIVATE_KEY), so clients can
+ * prove a key is in the log, check that a later head extends an earlier
+ * one, and compare heads with other users to catch a relay that shows
+ * different keys to different people. Entries live in the storage
+ * adapter; the Merkle tree over them is kept in memory and extended with
+ * the entries appended since, including those other instances sharing the
+ * storage appended, before every append and read.
+ */
+class KeyTransparencyLog {
+  constructor(storage = new MemoryStorage(), options = {}) {
+    const config = options.config || process.env;
+    this.clock = options.clock || systemClock;
+    this.storage = storage;
+
+    let privateKey = options.privateKey || config.KEY_LOG_PRIVATE_KEY || config.FEDERATION_PRIVATE_KEY;
+    if (!privateKey) {
+      privateKey = crypto.randomBytes(32).toString('hex');
+      logger.warn('KEY_LOG_PRIVATE_KEY is not set; tree heads are signed with a key that changes on restart');
+    }
+    this.privateKey = privateKey;
+    this.signer = privateKeyToAddress(privateKey);
+
+    this.tree = new merkle.MerkleTree();
+    this.head = null;
+    this.sync();
+  }
+
+  /**
+   * Number of entries in the log
+   */
+  getSize() {
+    return this.storage.size('keyLog');
+  }
+
+  /**
+   * Append a key change and sign the new tree head
+   */
+  append({ address, action, publicKey = null, homeRelay = null }) {
+    this.sync();
+
+    const index = this.tree.size;
+    const entry = {
+      index,
+      address,
+      action,
+      publicKey,
+      homeRelay,
+      timestamp: this.clock.now()
+    };
+    const leaf = JSON.stringify(entry);
+    const leafHash = merkle.leafHash(leaf);
+
+    this.storage.set('keyLog', this.storageKey(index), { leaf, leafHash });
+    this.tree.append(leafHash);
+    this.storage.set('keyLogAddresses', address, [...this.indicesFor(address), index]);
+    this.head = this.signTreeHead();
+
+    logger.debug('Key change logged', { address, action, index });
+    return entry;
+  }
+
+  /**
+   * The latest signed tree head
+   * { treeSize, rootHash, timestamp, signer, signature }
+   */
+  treeHead() {
+    this.sync();
+    return this.head;
+  }
+
+  /**
+   * Every logged change of an address's key, each with an audit path
+   * against the current tree head
+   */
+  history(address) {
+    const treeHead = this.treeHead();
+
+    const entries = this.indicesFor(address).map(index => {
+      const { leaf } = this.storage.get('keyLog', this.storageKey(index));
+      return {
+        index,
+        leaf,
+        entry: JSON.parse(leaf),
+        auditPath: this.tree.inclusionProof(index, treeHead.treeSize)
+      };
+    });
+
+    return { address, entries, treeHead };
+  }
+
+  /**
+   * Proof that the tree of firstSize entries is a prefix of the tree of
+   * secondSize entries (0 <= firstSize <= secondSize <= size)
+   */
+  consistency(firstSize, secondSize) {
+    this.sync();
+
+    return {
+      firstSize,
+      secondSize,
+      proof: this.tree.consistencyProof(firstSize, secondSize)
+    };
+  }
+
+  /**
+   * Raw log entries from `start`, for monitors that replay the log
+   */
+  getEntries(start, limit) {
+    const entries = [];
+    const end = Math.min(start + limit, this.getSize());
+    for (let index = start; index < end; index++) {
+      entries.push(this.storage.get('keyLog', this.storageKey(index)).leaf);
+    }
+    return entries;
+  }
+
+  signTreeHead() {
+    const treeSize = this.tree.size;
+    const rootHash = this.tree.rootHash();
+    const timestamp = this.clock.now();
+
+    return {
+      treeSize,
+      rootHash,
+      timestamp,
+      signer: this.signer,
+      signature: sign(KeyTransparencyLog.treeHeadMessage(treeSize, rootHash, timestamp), this.privateKey)
+    };
+  }
+
+  /**
+   * Extend the tree with the stored entries it does not have yet, and sign
+   * a new tree head if it grew
+   */
+  sync() {
+    const size = this.getSize();
+    if (this.head && this.tree.size === size) return;
+
+    while (this.tree.size < size) {
+      this.tree.append(this.storage.get('keyLog', this.storageKey(this.tree.size)).leafHash);
+    }
+    this.head = this.signTreeHead();
+  }
+
+  indicesFor(address) {
+    return this.storage.get('keyLogAddresses', address) || [];
+  }
+
+  // Zero-padded, so keys sort in log order
+  storageKey(index) {
+    return String(index).padStart(12, '0');
+  }
+
+  /**
+   * The message a tree head signature covers:
+   * "idena-p2p:tree-head:<treeSize>:<rootHash>:<timestamp>"
+   */
+  static treeHeadMessage(treeSize, rootHash, timestamp) {
+    return ProofVerifier.buildMessage('tree-head', [treeSize, rootHash], timestamp);
+  }
+}
+
+module.exports = KeyTransparencyLog;
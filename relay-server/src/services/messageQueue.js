@@ -1,59 +1,112 @@
-const { logger } = require('../utils/logger');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { metrics } = require('../utils/metrics');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('messageQueue');
+
+const messagesDropped = metrics.counter(
+  'relay_messages_dropped_total',
+  'Queued messages dropped, by reason',
+  ['reason']
+);
+const dequeueSize = metrics.histogram(
+  'relay_queue_dequeue_size',
+  'Messages handed out per dequeue or queued delivery',
+  ['source'],
+  [0, 1, 5, 10, 50, 100, 500, 1000]
+);
+const cleanupRemoved = metrics.counter(
+  'relay_cleanup_removed_total',
+  'Expired entries removed by periodic cleanup, by store',
+  ['store']
+);
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// Queued frames from a sender that are purged once the recipient blocks them
+const SENDER_PURGED_TYPES = new Set(['message', 'group_message']);
+
+// Fields naming who sent a message, never stored for sealed-sender messages
+function withoutSender({ from, viaRelay, ...fields }) {
+  return fields;
+}
 
 /**
  * Message Queue - Stores messages for offline users
- * In production, this should use Redis or a database
- * For MVP, we use in-memory storage
+ * Messages are kept in the configured storage adapter
+ * (in-memory by default, see src/storage)
+ *
+ * Besides the global retention period, a message may carry its own
+ * `expiresAt`. It is never handed out after that time and is purged by a
+ * timer set for the earliest pending expiry.
+ *
+ * Sealed-sender messages (type `sealed_message`) are stored without any
+ * sender fields, so the queue cannot tell who wrote to whom.
  */
 class MessageQueue {
-  constructor() {
-    // Map of address -> array of messages
-    this.queues = new Map();
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
 
     // Configuration
-    this.maxMessagesPerUser = parseInt(process.env.MAX_OFFLINE_MESSAGES) || 1000;
-    this.retentionHours = parseInt(process.env.MESSAGE_RETENTION_HOURS) || 168; // 7 days
+    this.maxMessagesPerUser = parseInt(config.MAX_OFFLINE_MESSAGES) || 1000;
+    this.retentionHours = parseInt(config.MESSAGE_RETENTION_HOURS) || 168; // 7 days
+    this.maxDeliveryAttempts = parseInt(config.MAX_DELIVERY_ATTEMPTS) || 5;
+
+    // Called with (address, messages) when messages expire in the queue
+    this.expiredHandler = null;
+    this.expiryTimer = null;
+    this.nextExpiryAt = null;
 
-    // Start cleanup interval
+    // Start cleanup interval. Messages that expired while the relay was
+    // down are purged by the first purgeExpired(), once onExpired is set.
     this.startCleanup();
   }
 
   /**
    * Add message to queue
+   * `devices` lists the recipient devices that still need the message;
+   * null means the first device to acknowledge it completes delivery
    */
-  async enqueue(address, message) {
+  async enqueue(address, message, devices = null) {
     const normalizedAddress = address.toLowerCase();
 
-    if (!this.queues.has(normalizedAddress)) {
-      this.queues.set(normalizedAddress, []);
-    }
+    // Add timestamp for expiration tracking
+    const queuedMessage = {
+      ...(message.type === 'sealed_message' ? withoutSender(message) : message),
+      queuedAt: this.clock.now(),
+      devices: devices && devices.length > 0 ? [...devices] : null,
+      ackedBy: [],
+      deliveryAttempts: {}
+    };
 
-    const queue = this.queues.get(normalizedAddress);
+    const { size, dropped } = this.storage.enqueue(
+      normalizedAddress,
+      queuedMessage,
+      this.maxMessagesPerUser
+    );
 
-    // Check queue size limit
-    if (queue.length >= this.maxMessagesPerUser) {
+    // Oldest messages are dropped when the queue is full
+    if (dropped.length > 0) {
+      messagesDropped.inc({ reason: 'queue_full' }, dropped.length);
       logger.warn('Queue full for user', {
         address: normalizedAddress,
-        size: queue.length
+        size: this.maxMessagesPerUser,
+        dropped: dropped.length
       });
-      // Remove oldest message
-      queue.shift();
     }
 
-    // Add timestamp for expiration tracking
-    const queuedMessage = {
-      ...message,
-      queuedAt: Date.now()
-    };
-
-    queue.push(queuedMessage);
-
     logger.debug('Message enqueued', {
       address: normalizedAddress,
       messageId: message.messageId,
-      queueSize: queue.length
+      queueSize: size
     });
 
+    if (message.expiresAt) {
+      this.scheduleExpiry(message.expiresAt);
+    }
+
     return true;
   }
 
@@ -62,18 +115,20 @@ class MessageQueue {
    */
   async dequeue(address) {
     const normalizedAddress = address.toLowerCase();
-    const queue = this.queues.get(normalizedAddress);
+    const now = this.clock.now();
+    const expired = [];
+    const messages = this.storage.dequeue(normalizedAddress).filter(msg => {
+      if (!this.isExpired(msg, now)) return true;
+      expired.push(msg);
+      return false;
+    });
+    this.reportExpired(normalizedAddress, expired);
+    dequeueSize.observe({ source: 'rest' }, messages.length);
 
-    if (!queue || queue.length === 0) {
+    if (messages.length === 0) {
       return [];
     }
 
-    // Get all messages
-    const messages = [...queue];
-
-    // Clear queue
-    this.queues.delete(normalizedAddress);
-
     logger.debug('Messages dequeued', {
       address: normalizedAddress,
       count: messages.length
@@ -82,38 +137,226 @@ class MessageQueue {
     return messages;
   }
 
+  /**
+   * Check whether a queued message still has to reach a device
+   */
+  isPendingFor(msg, deviceId) {
+    if (!msg.devices) {
+      return !msg.ackedBy || msg.ackedBy.length === 0;
+    }
+    return msg.devices.includes(deviceId);
+  }
+
+  /**
+   * Mark a device as done with a message
+   * Returns true if no device is waiting for the message anymore
+   */
+  completeForDevice(msg, deviceId) {
+    if (!msg.devices) {
+      return true;
+    }
+
+    msg.devices = msg.devices.filter(id => id !== deviceId);
+    return msg.devices.length === 0;
+  }
+
+  /**
+   * Get queued messages to deliver to a connecting device.
+   * Messages stay queued until acknowledged; each call counts as one
+   * delivery attempt for that device. Once a device has used up its
+   * attempts it stops waiting for the message, and a message no device
+   * received is moved to the dead-letter list. Expired messages are
+   * removed instead of delivered.
+   */
+  async prepareDelivery(address, deviceId) {
+    const normalizedAddress = address.toLowerCase();
+    const now = this.clock.now();
+    const messages = [];
+    const deadLettered = [];
+    const expired = [];
+
+    this.storage.updateQueue(normalizedAddress, queue => queue.filter(msg => {
+      if (this.isExpired(msg, now)) {
+        expired.push(msg);
+        return false;
+      }
+
+      if (!this.isPendingFor(msg, deviceId)) return true;
+
+      const attemptsByDevice = typeof msg.deliveryAttempts === 'object' ? msg.deliveryAttempts : {};
+      const attempts = attemptsByDevice[deviceId] || 0;
+
+      if (attempts >= this.maxDeliveryAttempts) {
+        if (!this.completeForDevice(msg, deviceId)) return true;
+
+        if (msg.ackedBy && msg.ackedBy.length > 0) return false;
+
+        deadLettered.push({ ...msg, deadLetteredAt: now });
+        return false;
+      }
+
+      msg.deliveryAttempts = { ...attemptsByDevice, [deviceId]: attempts + 1 };
+      msg.lastAttemptAt = now;
+      messages.push(msg);
+      return true;
+    }));
+
+    dequeueSize.observe({ source: 'websocket' }, messages.length);
+    this.reportExpired(normalizedAddress, expired);
+
+    if (deadLettered.length > 0) {
+      messagesDropped.inc({ reason: 'max_attempts' }, deadLettered.length);
+      this.storage.addDeadLetters(normalizedAddress, deadLettered);
+      logger.warn('Messages moved to dead-letter list', {
+        address: normalizedAddress,
+        count: deadLettered.length
+      });
+    }
+
+    return { messages, deadLettered };
+  }
+
+  /**
+   * Record a device's acknowledgement of queued messages. Messages are
+   * removed once every device they were queued for has acknowledged them.
+   * Returns the messages acknowledged for the first time by any device.
+   */
+  async acknowledge(address, deviceId, messageIds) {
+    const normalizedAddress = address.toLowerCase();
+    const ids = new Set(messageIds);
+    const firstAcknowledged = [];
+
+    this.storage.updateQueue(normalizedAddress, queue => queue.filter(msg => {
+      if (!ids.has(msg.messageId) || !this.isPendingFor(msg, deviceId)) return true;
+
+      msg.ackedBy = msg.ackedBy || [];
+      if (msg.ackedBy.length === 0) {
+        firstAcknowledged.push(msg);
+      }
+      msg.ackedBy.push(deviceId);
+
+      return !this.completeForDevice(msg, deviceId);
+    }));
+
+    logger.debug('Messages acknowledged', {
+      address: normalizedAddress,
+      deviceId,
+      count: firstAcknowledged.length
+    });
+
+    return firstAcknowledged;
+  }
+
+  /**
+   * Stop waiting for a device that was removed. Messages that only that
+   * device was still missing are finished; messages nobody received yet
+   * fall back to the next device that connects.
+   */
+  async removeDevice(address, deviceId) {
+    const normalizedAddress = address.toLowerCase();
+
+    this.storage.updateQueue(normalizedAddress, queue => queue.filter(msg => {
+      if (!msg.devices || !msg.devices.includes(deviceId)) return true;
+
+      if (!this.completeForDevice(msg, deviceId)) return true;
+
+      if (msg.ackedBy && msg.ackedBy.length > 0) return false;
+
+      msg.devices = null;
+      return true;
+    }));
+  }
+
+  /**
+   * Remove the queued direct and group messages of one sender
+   * Returns the number of removed messages
+   */
+  async removeFromSender(address, sender) {
+    const normalizedAddress = address.toLowerCase();
+    let removed = 0;
+
+    this.storage.updateQueue(normalizedAddress, queue => queue.filter(msg => {
+      if (!SENDER_PURGED_TYPES.has(msg.type) || msg.from !== sender) return true;
+      removed++;
+      return false;
+    }));
+
+    if (removed > 0) {
+      logger.debug('Queued messages removed for sender', { address: normalizedAddress, sender, removed });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove a sender's direct message that no device has received yet
+   * Returns true if it was removed
+   */
+  async retractUndelivered(address, sender, messageId) {
+    return this.updateUndelivered(address, sender, messageId, () => false);
+  }
+
+  /**
+   * Replace the content of a sender's direct message that no device has
+   * received yet. Returns true if it was replaced.
+   */
+  async editUndelivered(address, sender, messageId, content) {
+    return this.updateUndelivered(address, sender, messageId, msg => {
+      msg.content = content;
+      msg.editedAt = this.clock.now();
+      return true;
+    });
+  }
+
+  /**
+   * Apply update(msg) to an undelivered queued message; the message is
+   * kept if it returns true. Returns whether a message matched.
+   */
+  updateUndelivered(address, sender, messageId, update) {
+    const normalizedAddress = address.toLowerCase();
+    let found = false;
+
+    this.storage.updateQueue(normalizedAddress, queue => queue.filter(msg => {
+      if (found || msg.type !== 'message' || msg.from !== sender || msg.messageId !== messageId) return true;
+
+      // A device may already show a message it was handed, even unacknowledged
+      const received = msg.deliveredOnline || (msg.ackedBy && msg.ackedBy.length > 0) ||
+        Object.keys(msg.deliveryAttempts || {}).length > 0;
+      if (received) return true;
+
+      found = true;
+      return update(msg);
+    }));
+
+    return found;
+  }
+
+  /**
+   * Get messages that exhausted their delivery attempts
+   */
+  getDeadLetters(address) {
+    return this.storage.getDeadLetters(address.toLowerCase());
+  }
+
   /**
    * Get queue size for specific user
    */
   getQueueSize(address) {
-    const normalizedAddress = address.toLowerCase();
-    const queue = this.queues.get(normalizedAddress);
-    return queue ? queue.length : 0;
+    return this.storage.getQueueSize(address.toLowerCase());
   }
 
   /**
    * Get total queued messages across all users
    */
   getTotalQueueSize() {
-    let total = 0;
-    for (const queue of this.queues.values()) {
-      total += queue.length;
-    }
-    return total;
+    return this.storage.getTotalQueueSize();
   }
 
   /**
    * Peek at messages without removing them
    */
   peek(address, limit = 10) {
-    const normalizedAddress = address.toLowerCase();
-    const queue = this.queues.get(normalizedAddress);
-
-    if (!queue || queue.length === 0) {
-      return [];
-    }
-
-    return queue.slice(0, limit);
+    return this.storage.peek(address.toLowerCase(), limit);
   }
 
   /**
@@ -121,7 +364,7 @@ class MessageQueue {
    */
   clear(address) {
     const normalizedAddress = address.toLowerCase();
-    const deleted = this.queues.delete(normalizedAddress);
+    const deleted = this.storage.clearQueue(normalizedAddress);
 
     if (deleted) {
       logger.info('Queue cleared', { address: normalizedAddress });
@@ -136,7 +379,7 @@ class MessageQueue {
   startCleanup() {
     const cleanupInterval = 3600000; // 1 hour
 
-    setInterval(() => {
+    this.cleanupInterval = this.clock.setInterval(() => {
       this.cleanup();
     }, cleanupInterval);
 
@@ -146,37 +389,113 @@ class MessageQueue {
     });
   }
 
+  /**
+   * Stop cleanup interval and the expiry timer
+   */
+  stopCleanup() {
+    this.clock.clearInterval(this.cleanupInterval);
+    this.clock.clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+    this.nextExpiryAt = null;
+  }
+
   /**
    * Remove expired messages
    */
   cleanup() {
-    const now = Date.now();
+    const now = this.clock.now();
     const expirationTime = this.retentionHours * 3600000; // hours to ms
-    let totalRemoved = 0;
 
-    for (const [address, queue] of this.queues.entries()) {
-      const originalLength = queue.length;
+    const isExpired = msg => now - msg.queuedAt >= expirationTime || this.isExpired(msg, now);
+    const totalRemoved = this.purgeExpired() +
+      this.storage.cleanupQueues(isExpired) +
+      this.storage.cleanupDeadLetters(isExpired);
+    cleanupRemoved.inc({ store: 'messages' }, totalRemoved);
 
-      // Filter out expired messages
-      const filteredQueue = queue.filter(msg => {
-        const age = now - msg.queuedAt;
-        return age < expirationTime;
-      });
+    if (totalRemoved > 0) {
+      logger.info('Expired messages cleaned up', { removed: totalRemoved });
+    }
+
+    return totalRemoved;
+  }
+
+  /**
+   * Check whether a message is past its own expiry
+   */
+  isExpired(msg, now = this.clock.now()) {
+    return Boolean(msg.expiresAt) && msg.expiresAt <= now;
+  }
 
-      const removed = originalLength - filteredQueue.length;
+  /**
+   * Set the handler called with (address, messages) for messages that
+   * expired in the queue
+   */
+  onExpired(handler) {
+    this.expiredHandler = handler;
+  }
 
-      if (removed > 0) {
-        if (filteredQueue.length === 0) {
-          this.queues.delete(address);
-        } else {
-          this.queues.set(address, filteredQueue);
+  /**
+   * Make sure the expiry timer fires no later than expiresAt
+   */
+  scheduleExpiry(expiresAt) {
+    if (this.nextExpiryAt !== null && this.nextExpiryAt <= expiresAt) return;
+
+    this.clock.clearTimeout(this.expiryTimer);
+    this.nextExpiryAt = expiresAt;
+    this.expiryTimer = this.clock.setTimeout(() => {
+      this.expiryTimer = null;
+      this.nextExpiryAt = null;
+      this.purgeExpired();
+    }, Math.min(Math.max(expiresAt - this.clock.now(), 0), MAX_TIMER_DELAY_MS));
+  }
+
+  /**
+   * Remove queued messages whose expiresAt has passed and schedule the
+   * timer for the next one
+   * Returns the number of removed messages
+   */
+  purgeExpired() {
+    const now = this.clock.now();
+    const expiredByAddress = new Map();
+    let nextExpiryAt = null;
+
+    const removed = this.storage.cleanupQueues((msg, address) => {
+      if (this.isExpired(msg, now)) {
+        if (!expiredByAddress.has(address)) {
+          expiredByAddress.set(address, []);
         }
-        totalRemoved += removed;
+        expiredByAddress.get(address).push(msg);
+        return true;
+      }
+
+      if (msg.expiresAt && (nextExpiryAt === null || msg.expiresAt < nextExpiryAt)) {
+        nextExpiryAt = msg.expiresAt;
       }
+      return false;
+    });
+
+    for (const [address, messages] of expiredByAddress) {
+      this.reportExpired(address, messages);
     }
 
-    if (totalRemoved > 0) {
-      logger.info('Expired messages cleaned up', { removed: totalRemoved });
+    if (nextExpiryAt !== null) {
+      this.scheduleExpiry(nextExpiryAt);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Count expired messages and pass them to the expiry handler
+   */
+  reportExpired(address, messages) {
+    if (messages.length === 0) return;
+
+    messagesDropped.inc({ reason: 'expired' }, messages.length);
+    logger.debug('Queued messages expired', { address, count: messages.length });
+
+    if (this.expiredHandler) {
+      this.expiredHandler(address, messages);
     }
   }
 
@@ -185,9 +504,11 @@ class MessageQueue {
    */
   getStats() {
     return {
-      totalUsers: this.queues.size,
+      totalUsers: this.storage.getQueueCount(),
       totalMessages: this.getTotalQueueSize(),
+      deadLetters: this.storage.getTotalDeadLetters(),
       maxMessagesPerUser: this.maxMessagesPerUser,
+      maxDeliveryAttempts: this.maxDeliveryAttempts,
       retentionHours: this.retentionHours
     };
   }
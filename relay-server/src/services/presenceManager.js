@@ -0,0 +1,164 @@
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('presenceManager');
+
+/**
+ * Presence Manager - Tracks who watches whose online status
+ *
+ * Subscriptions are per connection and kept in memory. Who may see a
+ * user's presence is that user's choice: an address only receives
+ * presence updates for users who put it on their allow list. Allow lists
+ * and last-seen times are kept in the storage adapter.
+ */
+class PresenceManager {
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    // Map of subscriber address -> Set of watched addresses
+    this.subscriptions = new Map();
+
+    // Map of watched address -> Set of subscriber addresses
+    this.watchers = new Map();
+
+    // Configuration
+    this.maxSubscriptions = parseInt(config.MAX_PRESENCE_SUBSCRIPTIONS) || 1000;
+  }
+
+  /**
+   * Subscribe to presence updates for addresses
+   * Returns the addresses that were added
+   */
+  subscribe(subscriber, addresses) {
+    if (!this.subscriptions.has(subscriber)) {
+      this.subscriptions.set(subscriber, new Set());
+    }
+
+    const watched = this.subscriptions.get(subscriber);
+    const added = [];
+
+    for (const address of addresses) {
+      if (watched.size >= this.maxSubscriptions) {
+        logger.warn('Presence subscription limit reached', { subscriber });
+        break;
+      }
+
+      const normalizedAddress = address.toLowerCase();
+      if (normalizedAddress === subscriber || watched.has(normalizedAddress)) continue;
+
+      watched.add(normalizedAddress);
+      if (!this.watchers.has(normalizedAddress)) {
+        this.watchers.set(normalizedAddress, new Set());
+      }
+      this.watchers.get(normalizedAddress).add(subscriber);
+      added.push(normalizedAddress);
+    }
+
+    return added;
+  }
+
+  /**
+   * Unsubscribe from some addresses, or from all of them
+   */
+  unsubscribe(subscriber, addresses = null) {
+    const watched = this.subscriptions.get(subscriber);
+    if (!watched) return;
+
+    const targets = addresses
+      ? addresses.map(address => address.toLowerCase())
+      : Array.from(watched);
+
+    for (const address of targets) {
+      watched.delete(address);
+
+      const subscribers = this.watchers.get(address);
+      if (subscribers) {
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) {
+          this.watchers.delete(address);
+        }
+      }
+    }
+
+    if (watched.size === 0) {
+      this.subscriptions.delete(subscriber);
+    }
+  }
+
+  /**
+   * Let addresses see the owner's presence
+   */
+  allow(owner, addresses) {
+    const allowed = new Set(this.getAllowed(owner));
+    for (const address of addresses) {
+      allowed.add(address.toLowerCase());
+    }
+    this.storage.set('presenceAllowLists', owner, Array.from(allowed));
+  }
+
+  /**
+   * Stop addresses from seeing the owner's presence
+   */
+  revoke(owner, addresses) {
+    const revoked = new Set(addresses.map(address => address.toLowerCase()));
+    const allowed = this.getAllowed(owner).filter(address => !revoked.has(address));
+
+    if (allowed.length === 0) {
+      this.storage.delete('presenceAllowLists', owner);
+    } else {
+      this.storage.set('presenceAllowLists', owner, allowed);
+    }
+  }
+
+  /**
+   * Get the addresses allowed to see the owner's presence
+   */
+  getAllowed(owner) {
+    return this.storage.get('presenceAllowLists', owner) || [];
+  }
+
+  /**
+   * Check whether a subscriber may see an address's presence
+   */
+  canSee(address, subscriber) {
+    return this.getAllowed(address).includes(subscriber);
+  }
+
+  /**
+   * Subscribers that watch an address and are allowed to see it
+   */
+  getAuthorizedWatchers(address) {
+    const subscribers = this.watchers.get(address);
+    if (!subscribers) return [];
+
+    const allowed = new Set(this.getAllowed(address));
+    return Array.from(subscribers).filter(subscriber => allowed.has(subscriber));
+  }
+
+  /**
+   * Record that an address was seen now
+   */
+  touch(address) {
+    this.storage.set('lastSeen', address, this.clock.now());
+  }
+
+  /**
+   * Get when an address was last seen online
+   */
+  getLastSeen(address) {
+    return this.storage.get('lastSeen', address) || null;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      subscribers: this.subscriptions.size,
+      watchedAddresses: this.watchers.size
+    };
+  }
+}
+
+module.exports = PresenceManager;
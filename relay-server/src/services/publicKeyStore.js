@@ -1,36 +1,85 @@
-const { logger } = require('../utils/logger');
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { ErrorCodes } = require('../utils/errorCodes');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('publicKeyStore');
+
+const PREKEY_ERROR_MESSAGES = {
+  [ErrorCodes.KEY_NOT_FOUND]: 'Register a public key before uploading prekeys',
+  [ErrorCodes.PREKEY_INVALID]: 'Invalid prekey',
+  [ErrorCodes.PREKEY_LIMIT]: 'Too many one-time prekeys for this address'
+};
+
+const MAX_PREKEY_LENGTH = 1024;
+
+function isValidPreKey(preKey) {
+  return Boolean(preKey) &&
+    Number.isSafeInteger(preKey.keyId) && preKey.keyId >= 0 &&
+    typeof preKey.publicKey === 'string' &&
+    preKey.publicKey.length > 0 && preKey.publicKey.length <= MAX_PREKEY_LENGTH;
+}
 
 /**
  * Public Key Store - Manages user public keys for E2E encryption
- * In production, this should use a database
- * For MVP, we use in-memory storage
+ * Keys are kept in the configured storage adapter
+ * (in-memory by default, see src/storage); with a KeyTransparencyLog,
+ * every change is also appended to the log
+ *
+ * For X3DH session setup, the registered key is the identity key and an
+ * address may add a signed prekey and a batch of one-time prekeys. Each
+ * bundle fetch hands out (and removes) one one-time prekey. Prekeys are
+ * signed by the identity key, so they are dropped when it changes.
  */
 class PublicKeyStore {
-  constructor() {
-    // Map of address -> public key data
-    this.keys = new Map();
+  constructor(storage = new MemoryStorage(), keyLog = null, { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.keyLog = keyLog;
+
+    // Configuration
+    this.maxOneTimePreKeys = parseInt(config.MAX_ONE_TIME_PREKEYS) || 100;
+    this.preKeyLowThreshold = parseInt(config.PREKEY_LOW_THRESHOLD) || 10;
   }
 
   /**
-   * Store or update public key for an address
+   * Store or update public key for an address, optionally with the
+   * URL of the user's home relay (see FederationManager)
    */
-  async store(address, publicKey) {
+  async store(address, publicKey, { homeRelay } = {}) {
     const normalizedAddress = address.toLowerCase();
 
     if (!publicKey || typeof publicKey !== 'string') {
       throw new Error('Invalid public key format');
     }
 
+    const existing = this.storage.getKey(normalizedAddress);
     const keyData = {
       address: normalizedAddress,
       publicKey,
-      updatedAt: Date.now(),
-      createdAt: this.keys.has(normalizedAddress)
-        ? this.keys.get(normalizedAddress).createdAt
-        : Date.now()
+      ...(homeRelay && { homeRelay }),
+      updatedAt: this.clock.now(),
+      createdAt: existing ? existing.createdAt : this.clock.now()
     };
 
-    this.keys.set(normalizedAddress, keyData);
+    if (existing && existing.publicKey !== publicKey) {
+      this.storage.delete('preKeys', normalizedAddress);
+    }
+
+    // Re-registering the same key and relay adds nothing to the log
+    const changed = !existing || existing.publicKey !== publicKey || existing.homeRelay !== keyData.homeRelay;
+    if (this.keyLog && changed) {
+      keyData.logIndex = this.keyLog.append({
+        address: normalizedAddress,
+        action: 'register',
+        publicKey,
+        homeRelay: keyData.homeRelay || null
+      }).index;
+    } else if (existing && existing.logIndex !== undefined) {
+      keyData.logIndex = existing.logIndex;
+    }
+
+    this.storage.storeKey(normalizedAddress, keyData);
 
     logger.debug('Public key stored', {
       address: normalizedAddress,
@@ -44,40 +93,22 @@ class PublicKeyStore {
    * Get public key for an address
    */
   async get(address) {
-    const normalizedAddress = address.toLowerCase();
-    const keyData = this.keys.get(normalizedAddress);
-
-    if (!keyData) {
-      return null;
-    }
-
-    return keyData;
+    return this.storage.getKey(address.toLowerCase());
   }
 
   /**
    * Get multiple public keys
    */
   async getMultiple(addresses) {
-    const results = {};
-
-    for (const address of addresses) {
-      const normalizedAddress = address.toLowerCase();
-      const keyData = this.keys.get(normalizedAddress);
-
-      if (keyData) {
-        results[normalizedAddress] = keyData;
-      }
-    }
-
-    return results;
+    const normalizedAddresses = addresses.map(address => address.toLowerCase());
+    return this.storage.getKeys(normalizedAddresses);
   }
 
   /**
    * Check if public key exists for address
    */
   async exists(address) {
-    const normalizedAddress = address.toLowerCase();
-    return this.keys.has(normalizedAddress);
+    return this.storage.hasKey(address.toLowerCase());
   }
 
   /**
@@ -85,20 +116,143 @@ class PublicKeyStore {
    */
   async delete(address) {
     const normalizedAddress = address.toLowerCase();
-    const deleted = this.keys.delete(normalizedAddress);
+    const deleted = this.storage.deleteKey(normalizedAddress);
 
     if (deleted) {
+      this.storage.delete('preKeys', normalizedAddress);
+      if (this.keyLog) {
+        this.keyLog.append({ address: normalizedAddress, action: 'delete' });
+      }
       logger.info('Public key deleted', { address: normalizedAddress });
     }
 
     return deleted;
   }
 
+  /**
+   * Add prekeys for an address: a new signed prekey (replacing the old
+   * one) and/or more one-time prekeys. One-time prekeys with a key ID
+   * already stored are skipped.
+   * Returns { oneTimePreKeyCount } or { error }
+   */
+  async storePreKeys(address, { signedPreKey, oneTimePreKeys = [] }) {
+    const normalizedAddress = address.toLowerCase();
+
+    if (!this.storage.hasKey(normalizedAddress)) {
+      return this.error(ErrorCodes.KEY_NOT_FOUND);
+    }
+
+    if (signedPreKey !== undefined && (!isValidPreKey(signedPreKey) ||
+      typeof signedPreKey.signature !== 'string' || signedPreKey.signature.length === 0 ||
+      signedPreKey.signature.length > MAX_PREKEY_LENGTH)) {
+      return this.error(ErrorCodes.PREKEY_INVALID, 'signedPreKey must have a keyId, publicKey and signature');
+    }
+
+    if (!Array.isArray(oneTimePreKeys) || !oneTimePreKeys.every(isValidPreKey)) {
+      return this.error(ErrorCodes.PREKEY_INVALID, 'oneTimePreKeys must be a list of { keyId, publicKey }');
+    }
+
+    const record = this.getPreKeyRecord(normalizedAddress);
+    const knownIds = new Set(record.oneTimePreKeys.map(preKey => preKey.keyId));
+    const added = [];
+    for (const { keyId, publicKey } of oneTimePreKeys) {
+      if (knownIds.has(keyId)) continue;
+      knownIds.add(keyId);
+      added.push({ keyId, publicKey });
+    }
+
+    if (record.oneTimePreKeys.length + added.length > this.maxOneTimePreKeys) {
+      return this.error(
+        ErrorCodes.PREKEY_LIMIT,
+        `At most ${this.maxOneTimePreKeys} one-time prekeys may be stored per address`
+      );
+    }
+
+    if (signedPreKey !== undefined) {
+      const { keyId, publicKey, signature } = signedPreKey;
+      record.signedPreKey = { keyId, publicKey, signature };
+    }
+    record.oneTimePreKeys.push(...added);
+    this.storage.set('preKeys', normalizedAddress, record);
+
+    logger.debug('Prekeys stored', {
+      address: normalizedAddress,
+      added: added.length,
+      signedPreKey: signedPreKey !== undefined
+    });
+
+    return { oneTimePreKeyCount: record.oneTimePreKeys.length };
+  }
+
+  /**
+   * Take a prekey bundle for starting a session with an address. The
+   * one-time prekey in it (if any are left) is removed, so no other
+   * fetch gets it.
+   * Returns { bundle, oneTimePreKeyCount } or null if no key is registered
+   */
+  async takeBundle(address) {
+    const normalizedAddress = address.toLowerCase();
+    const keyData = this.storage.getKey(normalizedAddress);
+    if (!keyData) return null;
+
+    const record = this.getPreKeyRecord(normalizedAddress);
+    const oneTimePreKey = record.oneTimePreKeys.shift() || null;
+    if (oneTimePreKey) {
+      this.storage.set('preKeys', normalizedAddress, record);
+    }
+
+    return {
+      bundle: {
+        address: normalizedAddress,
+        identityKey: keyData.publicKey,
+        signedPreKey: record.signedPreKey,
+        oneTimePreKey
+      },
+      oneTimePreKeyCount: record.oneTimePreKeys.length
+    };
+  }
+
+  /**
+   * Number of one-time prekeys left for an address
+   */
+  getPreKeyCount(address) {
+    return this.getPreKeyRecord(address.toLowerCase()).oneTimePreKeys.length;
+  }
+
+  /**
+   * Whether an address with a signed prekey is running low on one-time
+   * prekeys
+   */
+  isPreKeySupplyLow(address) {
+    const record = this.getPreKeyRecord(address.toLowerCase());
+    return record.signedPreKey !== null && record.oneTimePreKeys.length < this.preKeyLowThreshold;
+  }
+
+  getPreKeyRecord(address) {
+    return this.storage.get('preKeys', address) || { signedPreKey: null, oneTimePreKeys: [] };
+  }
+
+  error(code, message = PREKEY_ERROR_MESSAGES[code]) {
+    return { error: { code, message } };
+  }
+
+  /**
+   * Digest of a prekey upload, which the upload's proof signs
+   * sha256 hex of JSON [[keyId, publicKey, signature] | null, [[keyId, publicKey], ...]]
+   */
+  static preKeyDigest(signedPreKey, oneTimePreKeys = []) {
+    const canonical = JSON.stringify([
+      signedPreKey ? [signedPreKey.keyId, signedPreKey.publicKey, signedPreKey.signature] : null,
+      Array.isArray(oneTimePreKeys) ? oneTimePreKeys.map(preKey => [preKey && preKey.keyId, preKey && preKey.publicKey]) : []
+    ]);
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
   /**
    * Get total number of stored keys
    */
   getCount() {
-    return this.keys.size;
+    return this.storage.getKeyCount();
   }
 
   /**
@@ -106,8 +260,8 @@ class PublicKeyStore {
    */
   getStats() {
     return {
-      totalKeys: this.keys.size,
-      addresses: Array.from(this.keys.keys())
+      totalKeys: this.storage.getKeyCount(),
+      addresses: this.storage.getKeyAddresses()
     };
   }
 
@@ -115,8 +269,7 @@ class PublicKeyStore {
    * Clear all keys (for testing)
    */
   clear() {
-    const count = this.keys.size;
-    this.keys.clear();
+    const count = this.storage.clearKeys();
     logger.warn('All public keys cleared', { count });
     return count;
   }
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { metrics } = require('../utils/metrics');
+const { ErrorCodes } = require('../utils/errorCodes');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('pushNotifier');
+
+const PUSH_ERROR_MESSAGES = {
+  [ErrorCodes.PUSH_ENDPOINT_NOT_FOUND]: 'Push endpoint not found',
+  [ErrorCodes.PUSH_ENDPOINT_INVALID]: 'Invalid push endpoint',
+  [ErrorCodes.PUSH_ENDPOINT_LIMIT]: 'Too many push endpoints for this address'
+};
+
+const ENDPOINT_TYPES = new Set(['webhook', 'unifiedpush']);
+
+// Loopback, private, link-local and other non-public ranges that push
+// requests must not reach (IPv4-mapped IPv6 addresses match the IPv4 rules,
+// and NAT64 addresses embed an IPv4 address of any range)
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+const notificationsTotal = metrics.counter(
+  'relay_push_notifications_total',
+  'Wake-up notifications sent to push endpoints, by endpoint type and result',
+  ['type', 'result']
+);
+
+/**
+ * Push Notifier - Wakes up offline users when a message is queued for them
+ *
+ * Users register push endpoints: a generic webhook, or a UnifiedPush
+ * endpoint handed out by their distributor. Notifications carry no
+ * content, sender or message ID; the app reconnects and drains its queue.
+ * The first queued message is pushed right away; more messages within
+ * PUSH_COALESCE_MS are folded into a single follow-up push. Endpoints
+ * that fail back off exponentially and are dropped after
+ * PUSH_MAX_FAILURES consecutive failures, or at once when they answer
+ * 404/410 (a UnifiedPush endpoint that was unregistered). Endpoint hosts
+ * must resolve to public addresses only, checked on registration and
+ * again before every push, which then connects to the addresses checked.
+ *
+ * Mutations return their result on success or { error: { code, message } }.
+ */
+class PushNotifier {
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    // Configuration
+    this.maxEndpoints = parseInt(config.MAX_PUSH_ENDPOINTS) || 5;
+    this.coalesceMs = parseInt(config.PUSH_COALESCE_MS) || 5000;
+    this.timeoutMs = parseInt(config.PUSH_TIMEOUT_MS) || 5000;
+    this.backoffBaseMs = parseInt(config.PUSH_BACKOFF_BASE_MS) || 30000;
+    this.backoffMaxMs = parseInt(config.PUSH_BACKOFF_MAX_MS) || 3600000; // 1 hour
+    this.maxFailures = parseInt(config.PUSH_MAX_FAILURES) || 10;
+    // Plain http:// endpoints are only for local development and tests
+    this.allowInsecure = config.PUSH_ALLOW_INSECURE === 'true';
+    this.allowPrivateHosts = config.PUSH_ALLOW_PRIVATE_HOSTS === 'true';
+
+    // Map of address -> { pending, timer } while a burst window is open
+    this.bursts = new Map();
+  }
+
+  /**
+   * Register a push endpoint for an address. Registering a URL again
+   * returns the existing endpoint.
+   */
+  async register(address, { type, url }) {
+    if (!ENDPOINT_TYPES.has(type)) {
+      return this.error(ErrorCodes.PUSH_ENDPOINT_INVALID, 'type must be "webhook" or "unifiedpush"');
+    }
+
+    if (!this.isValidUrl(url)) {
+      return this.error(
+        ErrorCodes.PUSH_ENDPOINT_INVALID,
+        this.allowInsecure ? 'url must be an http(s) URL' : 'url must be an https URL'
+      );
+    }
+
+    if (!await this.resolvePublicHost(url)) {
+      return this.error(ErrorCodes.PUSH_ENDPOINT_INVALID, 'url must point to a public host');
+    }
+
+    const endpoints = this.getEndpoints(address);
+    const existing = endpoints.find(endpoint => endpoint.url === url);
+    if (existing) {
+      return { endpoint: existing };
+    }
+
+    if (endpoints.length >= this.maxEndpoints) {
+      return this.error(ErrorCodes.PUSH_ENDPOINT_LIMIT);
+    }
+
+    const endpoint = {
+      endpointId: crypto.randomBytes(16).toString('hex'),
+      type,
+      url,
+      createdAt: this.clock.now(),
+      failures: 0,
+      backoffUntil: 0
+    };
+
+    this.save(address, [...endpoints, endpoint]);
+    logger.info('Push endpoint registered', { address, endpointId: endpoint.endpointId, type });
+
+    return { endpoint };
+  }
+
+  /**
+   * Remove a push endpoint
+   */
+  unregister(address, endpointId) {
+    const endpoints = this.getEndpoints(address);
+    const endpoint = endpoints.find(candidate => candidate.endpointId === endpointId);
+    if (!endpoint) {
+      return this.error(ErrorCodes.PUSH_ENDPOINT_NOT_FOUND);
+    }
+
+    this.save(address, endpoints.filter(candidate => candidate !== endpoint));
+    logger.info('Push endpoint removed', { address, endpointId });
+
+    return { endpoint };
+  }
+
+  /**
+   * Get the push endpoints of an address
+   */
+  getEndpoints(address) {
+    const record = this.storage.get('pushEndpoints', address);
+    return record ? record.endpoints : [];
+  }
+
+  save(address, endpoints) {
+    if (endpoints.length === 0) {
+      this.storage.delete('pushEndpoints', address);
+    } else {
+      this.storage.set('pushEndpoints', address, { address, endpoints });
+    }
+  }
+
+  isValidUrl(url) {
+    if (typeof url !== 'string' || url.length > 2048) return false;
+
+    try {
+      const { protocol } = new URL(url);
+      return protocol === 'https:' || (this.allowInsecure && protocol === 'http:');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve the URL's host. Returns its addresses if every one is public,
+   * else null. With private hosts allowed nothing is resolved or checked,
+   * and the empty list returned lets a push connect as usual.
+   */
+  async resolvePublicHost(url) {
+    if (this.allowPrivateHosts) return [];
+
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    try {
+      const addresses = await dns.promises.lookup(hostname, { all: true });
+      const isPublic = addresses.length > 0 && addresses.every(({ address, family }) =>
+        !PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+      return isPublic ? addresses : null;
+    } catch (error) {
+      logger.debug('Push endpoint host did not resolve', { hostname, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Note that a message was queued for an address
+   * The first message of a burst is pushed right away; any others within
+   * the window get one follow-up push when it closes.
+   * Returns the dispatch promise, or null if nothing was sent now.
+   */
+  notify(address) {
+    if (this.getEndpoints(address).length === 0) return null;
+
+    const burst = this.bursts.get(address);
+    if (burst) {
+      burst.pending = true;
+      return null;
+    }
+
+    const burstWindow = { pending: false, timer: null };
+    burstWindow.timer = this.clock.setTimeout(() => {
+      this.bursts.delete(address);
+      if (burstWindow.pending) {
+        this.notify(address)?.catch((error) => {
+          logger.error('Error sending follow-up push', { address, error: error.message });
+        });
+      }
+    }, this.coalesceMs);
+    this.bursts.set(address, burstWindow);
+
+    return this.dispatch(address);
+  }
+
+  /**
+   * Send a wake-up to every endpoint of an address that is not backing off
+   */
+  async dispatch(address) {
+    const now = this.clock.now();
+    const endpoints = this.getEndpoints(address).filter(endpoint => endpoint.backoffUntil <= now);
+
+    const results = await Promise.all(endpoints.map(async (endpoint) => ({
+      endpointId: endpoint.endpointId,
+      status: await this.send(endpoint)
+    })));
+
+    this.recordResults(address, results);
+  }
+
+  /**
+   * POST a content-free wake-up to one endpoint
+   * Returns the HTTP status, or 0 if the request failed
+   */
+  async send(endpoint) {
+    const body = JSON.stringify({ type: 'wakeup', timestamp: this.clock.now() });
+    const headers = endpoint.type === 'unifiedpush'
+      // UnifiedPush distributors pass the body to the app as is
+      ? { 'Content-Type': 'application/octet-stream', TTL: '86400', Urgency: 'high' }
+      : { 'Content-Type': 'application/json' };
+
+    try {
+      // The host may resolve differently than when it was registered
+      const addresses = await this.resolvePublicHost(endpoint.url);
+      if (!addresses) {
+        notificationsTotal.inc({ type: endpoint.type, result: 'failed' });
+        logger.warn('Push endpoint host is not public', { endpointId: endpoint.endpointId });
+        return 0;
+      }
+
+      const status = await this.post(endpoint.url, addresses, headers, body);
+      notificationsTotal.inc({ type: endpoint.type, result: status >= 200 && status < 300 ? 'sent' : 'failed' });
+      return status;
+    } catch (error) {
+      notificationsTotal.inc({ type: endpoint.type, result: 'failed' });
+      logger.debug('Push request failed', { endpointId: endpoint.endpointId, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * POST a body to a URL, connecting to the given addresses (if any)
+   * rather than resolving the host again, so a host cannot pass the check
+   * and then resolve to a private address. Redirects are not followed.
+   * Resolves with the HTTP status.
+   */
+  post(url, addresses, headers, body) {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const lookup = addresses.length === 0 ? undefined : (hostname, options, callback) => {
+      if (options.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      }, (response) => {
+        response.destroy();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Reset backoff for endpoints that accepted the push; back off or drop
+   * the ones that failed. Reloads the endpoints, which may have changed
+   * while the requests were in flight.
+   */
+  recordResults(address, results) {
+    const now = this.clock.now();
+    const statusById = new Map(results.map(result => [result.endpointId, result.status]));
+    const endpoints = [];
+
+    for (const endpoint of this.getEndpoints(address)) {
+      if (!statusById.has(endpoint.endpointId)) {
+        endpoints.push(endpoint);
+        continue;
+      }
+
+      const status = statusById.get(endpoint.endpointId);
+      if (status >= 200 && status < 300) {
+        endpoints.push({ ...endpoint, failures: 0, backoffUntil: 0 });
+        continue;
+      }
+
+      const failures = endpoint.failures + 1;
+      if (status === 404 || status === 410 || failures >= this.maxFailures) {
+        logger.warn('Dropping push endpoint', { address, endpointId: endpoint.endpointId, status, failures });
+        continue;
+      }
+
+      const delay = Math.min(this.backoffBaseMs * 2 ** (failures - 1), this.backoffMaxMs);
+      logger.warn('Push endpoint failed, backing off', { address, endpointId: endpoint.endpointId, status, delayMs: delay });
+      endpoints.push({ ...endpoint, failures, backoffUntil: now + delay });
+    }
+
+    this.save(address, endpoints);
+  }
+
+  error(code, message = PUSH_ERROR_MESSAGES[code]) {
+    return { error: { code, message } };
+  }
+
+  /**
+   * Cancel pending follow-up pushes
+   */
+  stop() {
+    for (const burst of this.bursts.values()) {
+      this.clock.clearTimeout(burst.timer);
+    }
+    this.bursts.clear();
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const records = this.storage.values('pushEndpoints');
+
+    return {
+      addresses: records.length,
+      endpoints: records.reduce((total, record) => total + record.endpoints.length, 0)
+    };
+  }
+}
+
+module.exports = PushNotifier;
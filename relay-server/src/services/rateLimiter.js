@@ -0,0 +1,187 @@
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('rateLimiter');
+
+/**
+ * Parse a JSON map of rule overrides from an environment variable
+ * e.g. RATE_LIMIT_ROUTES='{"POST /api/public-keys/batch":{"max":20}}'
+ */
+function parseRules(config, name) {
+  const value = config[name];
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Get a configured rule, ignoring properties inherited from Object.prototype
+ * (a frame type such as "constructor" must not find a rule)
+ */
+function ownRule(rules, key) {
+  return Object.prototype.hasOwnProperty.call(rules, key) ? rules[key] : null;
+}
+
+/**
+ * Rate Limiter - Token buckets keyed by client (IP or address) and rule
+ *
+ * Every rule has a capacity (`max`) that refills evenly over `windowMs`,
+ * so a client can burst up to `max` requests and then sustain
+ * `max / windowMs`. Rules can be overridden per HTTP route and per
+ * WebSocket frame type. Bucket state lives in a storage adapter; it does
+ * not need to survive restarts, so the in-memory backend is the default.
+ */
+class RateLimiter {
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    // Configuration
+    this.defaultRule = {
+      max: parseInt(config.RATE_LIMIT_MAX_REQUESTS) || 100,
+      windowMs: parseInt(config.RATE_LIMIT_WINDOW_MS) || 60000
+    };
+    this.routeRules = parseRules(config, 'RATE_LIMIT_ROUTES');
+    this.frameRules = parseRules(config, 'RATE_LIMIT_WS_FRAMES');
+
+    // Start cleanup interval
+    this.startCleanup();
+  }
+
+  /**
+   * Resolve the rule for an HTTP request
+   * Exact "METHOD /path" keys win over "METHOD /prefix/*" keys
+   */
+  ruleForRoute(method, path) {
+    const exact = `${method} ${path}`;
+    const exactRule = ownRule(this.routeRules, exact);
+    if (exactRule) {
+      return this.resolveRule(exact, exactRule);
+    }
+
+    let match = null;
+    for (const pattern of Object.keys(this.routeRules)) {
+      if (!pattern.endsWith('*')) continue;
+
+      const prefix = pattern.slice(0, -1);
+      if (exact.startsWith(prefix) && (!match || prefix.length > match.length - 1)) {
+        match = pattern;
+      }
+    }
+
+    return match
+      ? this.resolveRule(match, this.routeRules[match])
+      : this.resolveRule('http', null);
+  }
+
+  /**
+   * Resolve the rule for a WebSocket frame type
+   */
+  ruleForFrame(type) {
+    const rule = ownRule(this.frameRules, type);
+    return rule
+      ? this.resolveRule(`ws:${type}`, rule)
+      : this.resolveRule('ws', null);
+  }
+
+  resolveRule(name, overrides) {
+    return { name, ...this.defaultRule, ...overrides };
+  }
+
+  /**
+   * Take one token from a client's bucket for a rule
+   * Returns { allowed, remaining, retryAfterMs }
+   */
+  consume(clientKey, rule) {
+    const now = this.clock.now();
+    const bucketKey = `${rule.name}|${clientKey}`;
+    const refillPerMs = rule.max / rule.windowMs;
+
+    const bucket = this.storage.get('rateLimits', bucketKey) || {
+      tokens: rule.max,
+      updatedAt: now
+    };
+
+    const tokens = Math.min(rule.max, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+
+    if (tokens < 1) {
+      this.storage.set('rateLimits', bucketKey, { tokens, updatedAt: now, windowMs: rule.windowMs });
+
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: Math.ceil((1 - tokens) / refillPerMs)
+      };
+    }
+
+    this.storage.set('rateLimits', bucketKey, { tokens: tokens - 1, updatedAt: now, windowMs: rule.windowMs });
+
+    return {
+      allowed: true,
+      remaining: Math.floor(tokens - 1),
+      retryAfterMs: 0
+    };
+  }
+
+  /**
+   * Consume from the bucket of every client key (e.g. IP and address)
+   * All buckets are charged; the request is allowed only if all allow it
+   */
+  consumeAll(clientKeys, rule) {
+    let result = { allowed: true, remaining: Infinity, retryAfterMs: 0 };
+
+    for (const clientKey of clientKeys) {
+      const bucketResult = this.consume(clientKey, rule);
+      result = {
+        allowed: result.allowed && bucketResult.allowed,
+        remaining: Math.min(result.remaining, bucketResult.remaining),
+        retryAfterMs: Math.max(result.retryAfterMs, bucketResult.retryAfterMs)
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Start cleanup interval to forget idle buckets
+   */
+  startCleanup() {
+    this.cleanupInterval = this.clock.setInterval(() => {
+      this.cleanup();
+    }, 60000);
+  }
+
+  /**
+   * Stop cleanup interval
+   */
+  stopCleanup() {
+    this.clock.clearInterval(this.cleanupInterval);
+  }
+
+  /**
+   * Remove buckets that have been idle long enough to be full again
+   */
+  cleanup() {
+    const now = this.clock.now();
+    let removed = 0;
+
+    for (const [key, bucket] of this.storage.entries('rateLimits')) {
+      if (now - bucket.updatedAt >= bucket.windowMs) {
+        this.storage.delete('rateLimits', key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug('Idle rate limit buckets removed', { removed });
+    }
+
+    return removed;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { tokensMatch } = require('../utils/tokens');
+const MemoryStorage = require('../storage/memoryStorage');
+const logger = createLogger('replayLog');
+
+/**
+ * Replay Log - Numbered event streams that let a device resume its session
+ *
+ * Each device of a recipient has a stream: a session token and the frames
+ * routed to the device, numbered 1, 2, 3, ... A device that reconnects with
+ * its token and the last number it saw gets every later frame again, in
+ * order, as long as they are still kept: frames are kept for
+ * SESSION_RESUME_WINDOW_MS (at most SESSION_REPLAY_MAX_EVENTS per device),
+ * and a stream ends once its device has been disconnected that long.
+ * Frames past their `expiresAt`, and frames rewritten away (e.g. a message
+ * retracted before any device received it), are left out of a replay.
+ *
+ * Streams are kept in memory by each instance of a cluster, so a device
+ * resumes only on the instance it was last connected to.
+ */
+class ReplayLog {
+  constructor(storage = new MemoryStorage(), { config = process.env, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    // Configuration
+    this.windowMs = parseInt(config.SESSION_RESUME_WINDOW_MS) || 300000; // 5 minutes
+    this.maxEvents = parseInt(config.SESSION_REPLAY_MAX_EVENTS) || 1000;
+  }
+
+  /**
+   * Start a new stream for a device connection, ending any previous one
+   * Returns { token, seq }, seq being the number of the latest event (0)
+   */
+  open(address, deviceId, connectionId) {
+    const stream = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      seq: 0,
+      // Number of the newest event dropped for the window or maxEvents
+      trimmedSeq: 0,
+      events: [],
+      connectionId,
+      disconnectedAt: null
+    };
+    this.storage.set('replayLogs', this.key(address, deviceId), stream);
+
+    return { token: stream.token, seq: stream.seq };
+  }
+
+  /**
+   * Continue a device's stream on a new connection
+   * Returns { token, seq, events } with the unexpired events after lastSeq,
+   * or null if the stream ended, the token does not match or events after
+   * lastSeq are no longer kept
+   */
+  resume(address, deviceId, connectionId, token, lastSeq) {
+    const stream = this.liveStream(address, deviceId);
+    if (!stream || !tokensMatch(stream.token, token)) return null;
+
+    if (!Number.isSafeInteger(lastSeq) || lastSeq < 0 || lastSeq > stream.seq) return null;
+
+    // No event after lastSeq may have been dropped for the window or maxEvents
+    if (lastSeq < stream.trimmedSeq) {
+      logger.debug('Events to replay are no longer kept', { address, deviceId, lastSeq });
+      return null;
+    }
+
+    const now = this.clock.now();
+    const events = stream.events.filter(event =>
+      event.seq > lastSeq && !(event.frame.expiresAt && event.frame.expiresAt <= now));
+
+    stream.connectionId = connectionId;
+    stream.disconnectedAt = null;
+    this.storage.set('replayLogs', this.key(address, deviceId), stream);
+
+    return { token: stream.token, seq: stream.seq, events };
+  }
+
+  /**
+   * Note that a device connection closed; the stream ends after the resume
+   * window unless the device resumes it. Ignored if a newer connection
+   * has taken the stream over.
+   */
+  detach(address, deviceId, connectionId) {
+    const stream = this.storage.get('replayLogs', this.key(address, deviceId));
+    if (!stream || stream.connectionId !== connectionId) return;
+
+    stream.disconnectedAt = this.clock.now();
+    this.storage.set('replayLogs', this.key(address, deviceId), stream);
+  }
+
+  /**
+   * End a device's stream, e.g. once the device is removed
+   */
+  remove(address, deviceId) {
+    this.storage.delete('replayLogs', this.key(address, deviceId));
+  }
+
+  /**
+   * Append a frame to the streams of the listed devices of a recipient
+   * Returns { deviceId: seq } for the devices that have a stream
+   */
+  append(address, deviceIds, frame) {
+    const now = this.clock.now();
+    const seqs = {};
+
+    for (const deviceId of deviceIds) {
+      const stream = this.liveStream(address, deviceId);
+      if (!stream) continue;
+
+      stream.seq += 1;
+      stream.events.push({ seq: stream.seq, frame, at: now });
+
+      // Keep the window, and at most maxEvents
+      const cutoff = now - this.windowMs;
+      const first = Math.max(
+        stream.events.findIndex(event => event.at > cutoff),
+        stream.events.length - this.maxEvents
+      );
+      if (first > 0) {
+        stream.trimmedSeq = stream.events[first - 1].seq;
+        stream.events = stream.events.slice(first);
+      }
+
+      this.storage.set('replayLogs', this.key(address, deviceId), stream);
+      seqs[deviceId] = stream.seq;
+    }
+
+    return seqs;
+  }
+
+  /**
+   * Rewrite the kept frames of a recipient's listed devices whose fields
+   * equal those of `match` (e.g. { type: 'message', from, messageId }):
+   * with changes null they are left out of replays, else the changes are
+   * merged into them. Returns the number of frames rewritten.
+   */
+  rewrite(address, deviceIds, match, changes = null) {
+    const fields = Object.entries(match);
+    let rewritten = 0;
+
+    for (const deviceId of deviceIds) {
+      const stream = this.liveStream(address, deviceId);
+      if (!stream) continue;
+
+      const events = [];
+      for (const event of stream.events) {
+        if (!fields.every(([field, value]) => event.frame[field] === value)) {
+          events.push(event);
+          continue;
+        }
+
+        rewritten++;
+        if (changes) events.push({ ...event, frame: { ...event.frame, ...changes } });
+      }
+
+      stream.events = events;
+      this.storage.set('replayLogs', this.key(address, deviceId), stream);
+    }
+
+    return rewritten;
+  }
+
+  /**
+   * Get a device's stream, deleting it if it has ended
+   */
+  liveStream(address, deviceId) {
+    const key = this.key(address, deviceId);
+    const stream = this.storage.get('replayLogs', key);
+    if (!stream) return null;
+
+    if (stream.disconnectedAt !== null && this.clock.now() - stream.disconnectedAt > this.windowMs) {
+      this.storage.delete('replayLogs', key);
+      return null;
+    }
+
+    return stream;
+  }
+
+  key(address, deviceId) {
+    return `${address}:${deviceId}`;
+  }
+}
+
+module.exports = ReplayLog;
@@ -1,20 +1,113 @@
-const { logger } = require('../utils/logger');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createLogger, runWithLogContext, bindLogContext } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { ADDRESS_REGEX, verifySignature } = require('../utils/idenaSignature');
+const { metrics } = require('../utils/metrics');
+const DeviceRegistry = require('./deviceRegistry');
+const BanList = require('./banList');
+const BlockList = require('./blockList');
+const ProofVerifier = require('./proofVerifier');
+const DeliveryTokenIssuer = require('./deliveryTokenIssuer');
+const ReplayLog = require('./replayLog');
+const { LocalCluster } = require('../cluster');
+const {
+  INBOUND_FRAME_TYPES,
+  supportedVersions,
+  negotiateVersion,
+  parseFrame,
+  validateInbound,
+  validateOutbound
+} = require('../protocol');
+const logger = createLogger('websocketManager');
+
+const AUTH_ERROR_MESSAGES = {
+  [ErrorCodes.AUTH_REQUIRED]: 'Authentication required',
+  [ErrorCodes.AUTH_FAILED]: 'Authentication failed',
+  [ErrorCodes.NONCE_REPLAYED]: 'Authentication nonce has already been used',
+  [ErrorCodes.CHALLENGE_EXPIRED]: 'Authentication challenge expired',
+  [ErrorCodes.BANNED]: 'This address or IP is banned',
+  [ErrorCodes.UNSUPPORTED_VERSION]: 'Unsupported protocol version'
+};
+
+// Queued frame types whose sender gets no delivered/delivery_failed notice
+const UNACKNOWLEDGED_TYPES = new Set(['group_event', 'retract', 'edit', 'sealed_message']);
+
+const authAttempts = metrics.counter(
+  'relay_auth_attempts_total',
+  'WebSocket authentication attempts by result',
+  ['result']
+);
+const framesTotal = metrics.counter(
+  'relay_ws_frames_total',
+  'WebSocket frames by direction and type',
+  ['direction', 'type']
+);
+const messagesRouted = metrics.counter(
+  'relay_messages_routed_total',
+  'Frames routed to a recipient, by type and whether a device was online',
+  ['type', 'outcome']
+);
 
 /**
  * WebSocket Manager - Handles WebSocket connections and message routing
  */
 class WebSocketManager {
-  constructor(wss, messageQueue, publicKeyStore) {
+  constructor(wss, {
+    messageQueue,
+    publicKeyStore,
+    challengeStore,
+    rateLimiter,
+    presenceManager,
+    deviceRegistry,
+    groupManager,
+    cluster = new LocalCluster(),
+    federation = null,
+    pushNotifier = null,
+    banList = null,
+    blockList = new BlockList(),
+    proofVerifier = new ProofVerifier(),
+    identityGate = null,
+    deliveryTokens = new DeliveryTokenIssuer(),
+    replayLog = new ReplayLog(),
+    config = process.env,
+    clock = systemClock
+  }) {
     this.wss = wss;
     this.messageQueue = messageQueue;
     this.publicKeyStore = publicKeyStore;
+    this.challengeStore = challengeStore;
+    this.rateLimiter = rateLimiter;
+    this.presenceManager = presenceManager;
+    this.deviceRegistry = deviceRegistry;
+    this.groupManager = groupManager;
+    this.cluster = cluster;
+    this.federation = federation;
+    this.pushNotifier = pushNotifier;
+    this.banList = banList;
+    this.blockList = blockList;
+    this.proofVerifier = proofVerifier;
+    this.identityGate = identityGate;
+    this.deliveryTokens = deliveryTokens;
+    this.replayLog = replayLog;
+    this.config = config;
+    this.clock = clock;
 
-    // Map of address -> WebSocket connection
+    // Map of address -> Map of deviceId -> session, for sockets held by
+    // this instance. A session is
+    // { ws, address, deviceId, ip, connectionId, connectedAt, lastActivity }
     this.connections = new Map();
 
-    // Map of address -> last activity timestamp
-    this.lastActivity = new Map();
-
+    this.cluster.start(message => this.handleClusterMessage(message));
+    this.messageQueue.onExpired((address, messages) => this.handleExpiredMessages(address, messages));
+    if (this.federation) {
+      this.federation.start({
+        onMessage: (peer, message) => this.receiveFederatedMessage(peer, message),
+        onFrame: (peer, to, frame) => this.receiveRelayedFrame(peer, to, frame),
+        onResult: (message, status, details) => this.handleFederatedResult(message, status, details)
+      });
+    }
     this.setupWebSocketServer();
     this.startHeartbeat();
   }
@@ -23,156 +116,644 @@ class WebSocketManager {
    * Setup WebSocket server event handlers
    */
   setupWebSocketServer() {
-    this.wss.on('connection', (ws, req) => {
-      logger.info('New WebSocket connection', { ip: req.socket.remoteAddress });
+    // Everything logged for a connection carries its correlation ID
+    this.wss.on('connection', (ws, req) => runWithLogContext({ correlationId: uuidv4() }, () => {
+      const ip = req.socket.remoteAddress;
+      logger.info('New WebSocket connection', { ip });
+
+      if (this.banList && this.banList.isIpBanned(ip)) {
+        authAttempts.inc({ result: ErrorCodes.BANNED });
+        logger.warn('Rejected connection from banned IP', { ip });
+        this.send(ws, {
+          type: 'error',
+          code: ErrorCodes.BANNED,
+          message: AUTH_ERROR_MESSAGES[ErrorCodes.BANNED]
+        });
+        ws.close();
+        return;
+      }
 
       // Handle authentication message
       let authenticated = false;
       let userAddress = null;
+      let session = null;
 
-      ws.on('message', async (data) => {
+      // Issue the challenge the client must sign to authenticate
+      const challenge = this.challengeStore.issue();
+      this.send(ws, {
+        type: 'auth_challenge',
+        nonce: challenge.nonce,
+        expiresAt: challenge.expiresAt
+      });
+
+      ws.on('message', bindLogContext(async (data) => {
         try {
-          const message = JSON.parse(data.toString());
+          const message = parseFrame(data);
+          const frameType = message ? message.type : undefined;
+          framesTotal.inc({
+            direction: 'in',
+            type: INBOUND_FRAME_TYPES.has(frameType) ? frameType : 'unknown'
+          });
+
+          // Rate limit by IP, and by address once authenticated
+          const clientKeys = userAddress ? [`ip:${ip}`, `address:${userAddress}`] : [`ip:${ip}`];
+          const rateLimit = this.rateLimiter.consumeAll(clientKeys, this.frameRateLimitRule(frameType, userAddress));
+
+          if (!rateLimit.allowed) {
+            logger.warn('WebSocket rate limit exceeded', { ip, address: userAddress, type: frameType });
+            this.send(ws, {
+              type: 'error',
+              code: ErrorCodes.RATE_LIMITED,
+              message: 'Rate limit exceeded',
+              frameType,
+              messageId: message ? message.messageId : undefined,
+              retryAfterMs: rateLimit.retryAfterMs
+            });
+            return;
+          }
+
+          if (!message) {
+            this.send(ws, {
+              type: 'error',
+              code: ErrorCodes.INVALID_FRAME,
+              message: 'Frames must be JSON objects with a string type'
+            });
+            return;
+          }
 
           // First message must be authentication
           if (!authenticated) {
-            if (message.type === 'auth' && message.address) {
+            if (message.type === 'auth') {
+              const authFailure = this.authError(message, challenge.nonce);
+
+              if (authFailure) {
+                authAttempts.inc({ result: authFailure.code });
+                logger.warn('Authentication failed', { code: authFailure.code, field: authFailure.field, ip });
+                this.send(ws, { type: 'error', ...authFailure });
+                ws.close();
+                return;
+              }
+
               userAddress = message.address.toLowerCase();
-              this.connections.set(userAddress, ws);
-              this.lastActivity.set(userAddress, Date.now());
+              const deviceId = DeviceRegistry.isValidDeviceId(message.deviceId)
+                ? message.deviceId
+                : uuidv4();
+              const wasOnline = this.isOnline(userAddress);
+
+              session = this.addSession(userAddress, deviceId, ws, ip);
+              session.protocolVersion = negotiateVersion(message, this.config);
+
+              // Continue the device's event stream if the client asks to
+              // and every event it missed is still kept, else start anew
+              const resuming = message.sessionToken !== undefined;
+              const replay = resuming
+                ? this.replayLog.resume(userAddress, deviceId, session.connectionId, message.sessionToken, message.lastSeq)
+                : null;
+              const stream = replay || this.replayLog.open(userAddress, deviceId, session.connectionId);
               authenticated = true;
+              authAttempts.inc({ result: 'success' });
+
+              logger.info('User authenticated', { address: userAddress, deviceId, version: session.protocolVersion });
 
-              logger.info('User authenticated', { address: userAddress });
+              // Look the identity state up early, so rate limits and the
+              // first message find it cached
+              if (this.identityGate) {
+                this.identityGate.getState(userAddress);
+              }
 
               // Send authentication success
-              ws.send(JSON.stringify({
+              this.send(ws, {
                 type: 'auth_success',
                 address: userAddress,
-                timestamp: Date.now()
-              }));
+                deviceId,
+                version: session.protocolVersion,
+                sessionToken: stream.token,
+                seq: stream.seq,
+                ...(resuming && { resumed: replay !== null }),
+                timestamp: this.clock.now()
+              });
+
+              // Replay missed events before anything newer reaches the device
+              const replayed = replay ? this.replayEvents(session, replay.events) : [];
+
+              // Broadcast online status when the first device connects
+              if (!wasOnline) {
+                this.broadcastStatus(userAddress, 'online');
+              }
 
-              // Broadcast online status
-              this.broadcastStatus(userAddress, 'online');
+              // Send any queued messages that were not replayed
+              await this.deliverQueuedMessages(session, replayed);
 
-              // Send any queued messages
-              await this.deliverQueuedMessages(userAddress, ws);
+              if (this.publicKeyStore.isPreKeySupplyLow(userAddress)) {
+                this.send(ws, this.preKeysLowFrame(userAddress));
+              }
+            } else if (message.type === 'sealed_message') {
+              // Sealed messages need no handshake, so the sender can stay anonymous
+              const frameError = validateInbound(message);
+              if (frameError) {
+                this.send(ws, { type: 'error', ...frameError, frameType: message.type, messageId: message.messageId });
+                return;
+              }
+              await this.handleSealedMessage(ws, message);
             } else {
-              ws.send(JSON.stringify({
+              authAttempts.inc({ result: ErrorCodes.AUTH_REQUIRED });
+              this.send(ws, {
                 type: 'error',
-                message: 'Authentication required'
-              }));
+                code: ErrorCodes.AUTH_REQUIRED,
+                message: AUTH_ERROR_MESSAGES[ErrorCodes.AUTH_REQUIRED]
+              });
               ws.close();
             }
             return;
           }
 
           // Update last activity
-          this.lastActivity.set(userAddress, Date.now());
+          session.lastActivity = this.clock.now();
+
+          const frameError = validateInbound(message);
+          if (frameError) {
+            this.send(ws, {
+              type: 'error',
+              ...frameError,
+              frameType: message.type,
+              messageId: message.messageId
+            });
+            return;
+          }
 
           // Handle different message types
           switch (message.type) {
             case 'message':
-              await this.handleMessage(userAddress, message, ws);
+              await this.handleMessage(session, message);
+              break;
+
+            case 'sealed_message':
+              await this.handleSealedMessage(session.ws, message);
+              break;
+
+            case 'delivery_token_request':
+              this.handleDeliveryTokenRequest(session, message);
               break;
 
             case 'typing':
-              this.handleTyping(userAddress, message);
+              await this.handleTyping(session, message);
               break;
 
             case 'read_receipt':
-              this.handleReadReceipt(userAddress, message);
+              await this.handleReadReceipt(session, message);
+              break;
+
+            case 'ack':
+              await this.handleAck(session, message);
+              break;
+
+            case 'subscribe_presence':
+              this.handleSubscribePresence(session, message);
+              break;
+
+            case 'unsubscribe_presence':
+              this.handleUnsubscribePresence(session, message);
+              break;
+
+            case 'presence_allow':
+              this.handlePresenceAllow(session, message);
+              break;
+
+            case 'presence_revoke':
+              this.handlePresenceRevoke(session, message);
+              break;
+
+            case 'block':
+              await this.handleBlock(session, message);
+              break;
+
+            case 'unblock':
+              this.handleUnblock(session, message);
+              break;
+
+            case 'retract':
+            case 'edit':
+              await this.handleModification(session, message);
+              break;
+
+            case 'remove_device':
+              await this.handleRemoveDevice(session, message);
+              break;
+
+            case 'group_create':
+            case 'group_add_members':
+            case 'group_remove_member':
+            case 'group_set_role':
+              await this.handleGroupUpdate(session, message);
+              break;
+
+            case 'group_message':
+              await this.handleGroupMessage(session, message);
               break;
 
             case 'ping':
-              ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+              this.send(ws, { type: 'pong', timestamp: this.clock.now() });
               break;
 
             default:
-              logger.warn('Unknown message type', { type: message.type });
+              // Frames with a schema the relay does not take after the handshake (auth)
+              this.send(ws, {
+                type: 'error',
+                code: ErrorCodes.INVALID_FRAME,
+                message: `Unexpected ${message.type} frame`,
+                frameType: message.type
+              });
           }
         } catch (error) {
           logger.error('Error handling WebSocket message', { error: error.message });
-          ws.send(JSON.stringify({
+          this.send(ws, {
             type: 'error',
+            code: ErrorCodes.INTERNAL_ERROR,
             message: 'Failed to process message'
-          }));
+          });
         }
-      });
+      }));
 
-      ws.on('close', () => {
+      ws.on('close', bindLogContext(() => {
         if (authenticated && userAddress) {
-          this.connections.delete(userAddress);
-          this.lastActivity.delete(userAddress);
-          this.broadcastStatus(userAddress, 'offline');
-          logger.info('User disconnected', { address: userAddress });
+          this.removeSession(session);
+          logger.info('Device disconnected', { address: userAddress, deviceId: session.deviceId });
+
+          // Presence subscriptions live with the instance's sockets
+          if (!this.connections.has(userAddress)) {
+            this.presenceManager.unsubscribe(userAddress);
+          }
+
+          // The user is offline once their last device disconnects
+          if (!this.isOnline(userAddress)) {
+            this.broadcastStatus(userAddress, 'offline');
+            logger.info('User disconnected', { address: userAddress });
+          }
         }
-      });
+      }));
 
-      ws.on('error', (error) => {
+      ws.on('error', bindLogContext((error) => {
         logger.error('WebSocket error', { error: error.message, address: userAddress });
+      }));
+    }));
+  }
+
+  /**
+   * Check an auth frame: its schema, the protocol version and the
+   * signature, and that the address is not banned
+   * Returns null if the client may connect, otherwise the error to send:
+   * the schema error ({ code, message, field }) for an invalid frame, or
+   * { code, message } with the supported versions for UNSUPPORTED_VERSION
+   */
+  authError(message, issuedNonce) {
+    const frameError = validateInbound(message);
+    if (frameError) {
+      return { ...frameError, frameType: message.type };
+    }
+
+    if (negotiateVersion(message, this.config) === null) {
+      return {
+        code: ErrorCodes.UNSUPPORTED_VERSION,
+        message: AUTH_ERROR_MESSAGES[ErrorCodes.UNSUPPORTED_VERSION],
+        supportedVersions: supportedVersions(this.config)
+      };
+    }
+
+    const code = this.verifyAuth(message, issuedNonce) ||
+      (this.banList && this.banList.isAddressBanned(message.address) ? ErrorCodes.BANNED : null);
+    return code ? { code, message: AUTH_ERROR_MESSAGES[code] } : null;
+  }
+
+  /**
+   * Verify an auth frame against the challenge issued to this connection.
+   * Returns null if the signature proves ownership of the address,
+   * otherwise the error code to report.
+   */
+  verifyAuth(message, issuedNonce) {
+    const { address, nonce, signature } = message;
+
+    if (!address || !ADDRESS_REGEX.test(address) || !nonce || !signature) {
+      return ErrorCodes.AUTH_FAILED;
+    }
+
+    // Check replay and expiry before comparing with this connection's
+    // nonce, so a captured handshake is reported as a replay
+    const challengeError = this.challengeStore.consume(nonce);
+    if (challengeError) {
+      return challengeError;
+    }
+
+    if (nonce !== issuedNonce) {
+      return ErrorCodes.AUTH_FAILED;
+    }
+
+    if (!verifySignature(nonce, signature, address)) {
+      return ErrorCodes.AUTH_FAILED;
+    }
+
+    return null;
+  }
+
+  /**
+   * Register a device session. A device that reconnects replaces its
+   * previous session, which is closed (on whichever instance holds it).
+   */
+  addSession(address, deviceId, ws, ip = null) {
+    if (!this.connections.has(address)) {
+      this.connections.set(address, new Map());
+    }
+
+    const sessions = this.connections.get(address);
+    const previous = sessions.get(deviceId);
+    const now = this.clock.now();
+    const session = { ws, address, deviceId, ip, connectionId: uuidv4(), connectedAt: now, lastActivity: now };
+
+    sessions.set(deviceId, session);
+
+    if (previous && previous.ws !== ws) {
+      logger.info('Replacing existing device session', { address, deviceId });
+      this.send(previous.ws, {
+        type: 'session_replaced',
+        deviceId,
+        timestamp: this.clock.now()
       });
-    });
+      previous.ws.close();
+    }
+
+    const previousInstance = this.cluster.registerSession(address, deviceId);
+    if (previousInstance && previousInstance !== this.cluster.instanceId) {
+      this.cluster.publish(previousInstance, { type: 'close_session', address, deviceId, reason: 'replaced' });
+    }
+
+    // Queued messages stop waiting for devices evicted from the registry,
+    // whose event streams end
+    const evicted = this.deviceRegistry.register(address, deviceId);
+    for (const evictedId of evicted) {
+      this.messageQueue.removeDevice(address, evictedId);
+      this.replayLog.remove(address, evictedId);
+    }
+
+    return session;
+  }
+
+  /**
+   * Remove a session unless it was already replaced by a newer one
+   */
+  removeSession(session) {
+    const sessions = this.connections.get(session.address);
+    if (!sessions || sessions.get(session.deviceId) !== session) return;
+
+    sessions.delete(session.deviceId);
+    if (sessions.size === 0) {
+      this.connections.delete(session.address);
+    }
+
+    this.cluster.unregisterSession(session.address, session.deviceId);
+    this.replayLog.detach(session.address, session.deviceId, session.connectionId);
+  }
+
+  /**
+   * Get open sessions for an address
+   */
+  getSessions(address) {
+    const sessions = this.connections.get(address);
+    if (!sessions) return [];
+
+    return Array.from(sessions.values()).filter(session => session.ws.readyState === 1);
   }
 
   /**
    * Handle incoming message
+   * Delivered to every open device of the recipient and queued for their
+   * offline devices, or forwarded to the recipient's home relay when that
+   * is a federation peer; the sender's other devices get a sync copy
    */
-  async handleMessage(fromAddress, message, ws) {
-    const { to, content, messageId, timestamp } = message;
+  async handleMessage(session, message) {
+    const { to, content, messageId, timestamp, senderCopy, relay } = message;
+    const fromAddress = session.address;
 
     if (!to || !content || !messageId) {
-      ws.send(JSON.stringify({
+      this.send(session.ws, {
         type: 'error',
+        code: ErrorCodes.INVALID_FRAME,
         messageId,
         message: 'Invalid message format'
-      }));
+      });
+      return;
+    }
+
+    const expiry = this.messageExpiry(message);
+    if (!expiry) {
+      this.send(session.ws, {
+        type: 'error',
+        code: ErrorCodes.INVALID_FIELD,
+        messageId,
+        message: 'ttlMs must be a positive integer and expiresAt a future timestamp'
+      });
       return;
     }
 
+    if (!(await this.checkIdentity(session, message))) return;
+
     const recipientAddress = to.toLowerCase();
+    const messageTimestamp = timestamp || this.clock.now();
 
-    // Check if recipient is online
-    const recipientWs = this.connections.get(recipientAddress);
+    const peer = await this.remotePeerFor(recipientAddress, relay);
+    if (peer) {
+      // The peer reports delivered/queued once it has the message
+      const sent = this.federation.forward(peer, {
+        from: fromAddress,
+        to: recipientAddress,
+        content,
+        messageId,
+        timestamp: messageTimestamp,
+        ...expiry
+      });
+
+      if (!sent) {
+        this.send(session.ws, {
+          type: 'queued',
+          messageId,
+          to: recipientAddress,
+          timestamp: this.clock.now()
+        });
+      }
 
-    if (recipientWs && recipientWs.readyState === 1) { // 1 = OPEN
-      // Recipient is online - deliver immediately
-      recipientWs.send(JSON.stringify({
+      logger.debug('Message forwarded to home relay', { from: fromAddress, to: recipientAddress, messageId, peer });
+    } else {
+      await this.routeLocalMessage(session, recipientAddress, {
         type: 'message',
         from: fromAddress,
         content,
         messageId,
-        timestamp: timestamp || Date.now()
-      }));
+        timestamp: messageTimestamp,
+        ...expiry
+      });
+    }
+
+    // Keep the sender's other devices in sync
+    this.sendTo(fromAddress, {
+      type: 'message_sync',
+      to: recipientAddress,
+      content: senderCopy || content,
+      messageId,
+      timestamp: messageTimestamp,
+      ...expiry
+    }, { excludeDeviceId: session.deviceId });
+  }
+
+  /**
+   * Handle a sealed-sender message
+   * The sender is named only inside the encrypted content; the relay checks
+   * the recipient's delivery token instead. Sealed messages are not linked
+   * to the socket they came from: they are queued without sender fields,
+   * are not synced to the sender's other devices or federated, and their
+   * sender gets no notices after the first delivered/queued reply.
+   */
+  async handleSealedMessage(ws, message) {
+    const { to, deliveryToken, content, messageId, timestamp } = message;
+    const recipientAddress = to.toLowerCase();
+
+    const expiry = this.messageExpiry(message);
+    if (!expiry) {
+      this.send(ws, {
+        type: 'error',
+        code: ErrorCodes.INVALID_FIELD,
+        messageId,
+        message: 'ttlMs must be a positive integer and expiresAt a future timestamp'
+      });
+      return;
+    }
+
+    const tokenError = this.deliveryTokens.verify(recipientAddress, deliveryToken);
+    if (tokenError) {
+      this.send(ws, {
+        type: 'error',
+        code: tokenError.code,
+        message: tokenError.message,
+        frameType: message.type,
+        messageId
+      });
+      return;
+    }
+
+    const deliveredDevices = await this.routeToRecipient(recipientAddress, {
+      type: 'sealed_message',
+      content,
+      messageId,
+      timestamp: timestamp || this.clock.now(),
+      ...expiry
+    });
+
+    this.send(ws, {
+      type: deliveredDevices.length > 0 ? 'delivered' : 'queued',
+      messageId,
+      to: recipientAddress,
+      timestamp: this.clock.now()
+    });
+
+    logger.debug('Sealed message routed', { to: recipientAddress, messageId, devices: deliveredDevices.length });
+  }
+
+  /**
+   * Issue a delivery token for the session's address, for the user to
+   * hand to contacts who may send them sealed messages
+   * `revoke: true` invalidates every token issued before
+   */
+  handleDeliveryTokenRequest(session, message) {
+    const { token, expiresAt } = this.deliveryTokens.issue(session.address, { revoke: message.revoke === true });
+
+    this.send(session.ws, {
+      type: 'delivery_token',
+      token,
+      expiresAt
+    });
+  }
+
+  /**
+   * Rate limit rule for a frame, raised for addresses whose identity state
+   * the policy trusts
+   */
+  frameRateLimitRule(type, address) {
+    const rule = this.rateLimiter.ruleForFrame(type);
+    return this.identityGate && address ? this.identityGate.rateLimitRule(address, rule) : rule;
+  }
+
+  /**
+   * Check the identity-state policy before a session sends a message
+   * Returns true if allowed; otherwise the error frame is already sent
+   */
+  async checkIdentity(session, message) {
+    if (!this.identityGate) return true;
+
+    const identityError = await this.identityGate.check('send', session.address);
+    if (!identityError) return true;
+
+    this.send(session.ws, {
+      type: 'error',
+      code: identityError.code,
+      message: identityError.message,
+      frameType: message.type,
+      messageId: message.messageId,
+      state: identityError.state
+    });
+    return false;
+  }
+
+  /**
+   * Read the optional expiry of a message frame, given as `ttlMs` or as
+   * an absolute `expiresAt` (the earlier wins if both are set)
+   * Returns {} for no expiry, { expiresAt, ttlMs } or null if invalid
+   */
+  messageExpiry({ ttlMs, expiresAt }) {
+    if (ttlMs === undefined && expiresAt === undefined) return {};
+
+    const now = this.clock.now();
+    if (ttlMs !== undefined && (!Number.isInteger(ttlMs) || ttlMs <= 0)) return null;
+    if (expiresAt !== undefined && (!Number.isFinite(expiresAt) || expiresAt <= now)) return null;
 
+    const deadline = Math.min(
+      ttlMs !== undefined ? now + ttlMs : Infinity,
+      expiresAt !== undefined ? expiresAt : Infinity
+    );
+
+    return { expiresAt: deadline, ttlMs: ttlMs !== undefined ? ttlMs : deadline - now };
+  }
+
+  /**
+   * Route a message to a recipient of this relay and confirm it to the sender
+   */
+  async routeLocalMessage(session, recipientAddress, frame) {
+    const { from: fromAddress, messageId } = frame;
+
+    // A blocked sender is told "queued", as if the recipient were offline
+    const deliveredDevices = this.isBlocked(recipientAddress, fromAddress)
+      ? this.dropBlocked(recipientAddress, frame)
+      : await this.routeToRecipient(recipientAddress, frame);
+
+    if (deliveredDevices.length > 0) {
       // Send delivery confirmation to sender
-      ws.send(JSON.stringify({
+      this.send(session.ws, {
         type: 'delivered',
         messageId,
         to: recipientAddress,
-        timestamp: Date.now()
-      }));
+        timestamp: this.clock.now()
+      });
 
       logger.debug('Message delivered', {
         from: fromAddress,
         to: recipientAddress,
-        messageId
-      });
-    } else {
-      // Recipient is offline - queue the message
-      await this.messageQueue.enqueue(recipientAddress, {
-        from: fromAddress,
-        content,
         messageId,
-        timestamp: timestamp || Date.now()
+        devices: deliveredDevices.length
       });
-
+    } else {
       // Send queued confirmation to sender
-      ws.send(JSON.stringify({
+      this.send(session.ws, {
         type: 'queued',
         messageId,
         to: recipientAddress,
-        timestamp: Date.now()
-      }));
+        timestamp: this.clock.now()
+      });
 
       logger.debug('Message queued', {
         from: fromAddress,
@@ -183,115 +764,1146 @@ class WebSocketManager {
   }
 
   /**
-   * Handle typing indicator
+   * Send a frame to every open device of a recipient and queue it for
+   * their offline devices (or for the first device to connect if none
+   * is online). `queueFields` are stored with the queued copy only.
+   * Recipients with no device online get a push wake-up.
+   * Returns the IDs of the devices it was delivered to.
    */
-  handleTyping(fromAddress, message) {
-    const { to, isTyping } = message;
-    if (!to) return;
+  async routeToRecipient(address, frame, queueFields = {}) {
+    const deliveredDevices = this.sendTo(address, frame);
 
-    const recipientAddress = to.toLowerCase();
-    const recipientWs = this.connections.get(recipientAddress);
+    const offlineDevices = this.deviceRegistry.getDeviceIds(address)
+      .filter(deviceId => !deliveredDevices.includes(deviceId));
 
-    if (recipientWs && recipientWs.readyState === 1) {
-      recipientWs.send(JSON.stringify({
-        type: 'typing',
-        from: fromAddress,
-        isTyping
-      }));
+    messagesRouted.inc({
+      type: frame.type,
+      outcome: deliveredDevices.length > 0 ? 'delivered' : 'queued'
+    });
+
+    if (deliveredDevices.length === 0 || offlineDevices.length > 0) {
+      await this.messageQueue.enqueue(address, {
+        ...frame,
+        ...queueFields,
+        // The sender already got a delivered notice from an online device
+        deliveredOnline: deliveredDevices.length > 0
+      }, offlineDevices.length > 0 ? offlineDevices : null);
+    }
+
+    if (deliveredDevices.length === 0 && this.pushNotifier) {
+      this.pushNotifier.notify(address)?.catch((error) => {
+        logger.error('Error sending push notification', { address, error: error.message });
+      });
     }
+
+    return deliveredDevices;
+  }
+
+  /**
+   * Handle typing indicator
+   */
+  async handleTyping(session, message) {
+    const { to, isTyping, relay } = message;
+    if (!to) return;
+
+    await this.sendToUser(to.toLowerCase(), {
+      type: 'typing',
+      from: session.address,
+      isTyping
+    }, relay);
   }
 
   /**
    * Handle read receipt
    */
-  handleReadReceipt(fromAddress, message) {
-    const { to, messageId } = message;
+  async handleReadReceipt(session, message) {
+    const { to, messageId, relay } = message;
     if (!to || !messageId) return;
 
-    const recipientAddress = to.toLowerCase();
-    const recipientWs = this.connections.get(recipientAddress);
+    await this.sendToUser(to.toLowerCase(), {
+      type: 'read',
+      from: session.address,
+      messageId,
+      timestamp: this.clock.now()
+    }, relay);
+  }
 
-    if (recipientWs && recipientWs.readyState === 1) {
-      recipientWs.send(JSON.stringify({
-        type: 'read',
-        from: fromAddress,
-        messageId,
-        timestamp: Date.now()
-      }));
+  /**
+   * Send a transient frame to a user, through their home relay when
+   * that is a federation peer
+   */
+  async sendToUser(address, frame, relayHint) {
+    if (this.isBlocked(address, frame.from)) {
+      this.dropBlocked(address, frame);
+      return;
     }
+
+    const peer = await this.remotePeerFor(address, relayHint);
+    if (peer) {
+      this.federation.relayFrame(peer, address, frame);
+      return;
+    }
+
+    this.sendTo(address, frame);
   }
 
   /**
-   * Deliver queued messages to user
+   * Get the federation peer that is the home relay of a user who is not
+   * connected here. The hint the user published with their key wins over
+   * one supplied by the sender. Returns null for local users.
    */
-  async deliverQueuedMessages(address, ws) {
-    const queuedMessages = await this.messageQueue.dequeue(address);
+  async remotePeerFor(address, relayHint) {
+    if (!this.federation || this.isOnline(address)) return null;
 
-    if (queuedMessages.length > 0) {
-      logger.info(`Delivering ${queuedMessages.length} queued messages`, { address });
+    const keyData = await this.publicKeyStore.get(address);
+    return this.federation.peerFor((keyData && keyData.homeRelay) || relayHint);
+  }
 
-      for (const msg of queuedMessages) {
-        ws.send(JSON.stringify({
-          type: 'message',
-          from: msg.from,
-          content: msg.content,
-          messageId: msg.messageId,
-          timestamp: msg.timestamp,
-          queued: true
-        }));
-      }
+  /**
+   * Handle a message a federation peer forwarded to one of our users
+   * Only the sender's home relay, as published with their key here, may
+   * forward their messages.
+   * Returns 'delivered', 'queued', 'expired' or 'rejected' for the peer to
+   * pass on to the sender
+   */
+  async receiveFederatedMessage(peer, message) {
+    const { from, to, content, messageId, timestamp, expiresAt, ttlMs } = message;
+
+    if (!(await this.isHomeRelayOf(peer, from))) {
+      logger.warn('Rejecting forward from a relay that is not the sender\'s home relay', { peer, from, messageId });
+      return 'rejected';
+    }
+
+    if (this.isBlocked(to, from)) {
+      this.dropBlocked(to, { type: 'message', from, messageId });
+      return 'queued';
+    }
+
+    if (expiresAt && expiresAt <= this.clock.now()) {
+      return 'expired';
     }
+
+    const deliveredDevices = await this.routeToRecipient(to, {
+      type: 'message',
+      from,
+      content,
+      messageId,
+      timestamp,
+      ...(expiresAt && { expiresAt, ttlMs })
+    }, { viaRelay: peer });
+
+    logger.debug('Federated message received', { peer, to, messageId, devices: deliveredDevices.length });
+    return deliveredDevices.length > 0 ? 'delivered' : 'queued';
   }
 
   /**
-   * Broadcast online/offline status to contacts
+   * Hand a typing indicator, read receipt or delivery notice relayed by a
+   * federation peer to a user of this relay. Frames from a user must come
+   * from their home relay; the federation manager only passes on delivery
+   * notices for messages forwarded to the peer.
    */
-  broadcastStatus(address, status) {
-    // In a full implementation, this would check the user's contact list
-    // and only broadcast to their contacts
-    // For MVP, we skip this to keep it simple
-    logger.debug('Status update', { address, status });
+  async receiveRelayedFrame(peer, address, frame) {
+    if (frame.type !== 'delivered' && frame.type !== 'delivery_failed' && !(await this.isHomeRelayOf(peer, frame.from))) {
+      logger.warn('Dropping relayed frame from a relay that is not the sender\'s home relay', { peer, type: frame.type });
+      return;
+    }
+
+    if (this.isBlocked(address, frame.from)) {
+      this.dropBlocked(address, frame);
+      return;
+    }
+
+    if (frame.type === 'retract' || frame.type === 'edit') {
+      // The sender's relay checked the proof; the signature must still match
+      const { type, from, messageId, content, timestamp, signature } = frame;
+      const signed = ProofVerifier.buildMessage(type, this.modificationFields(type, from, address, messageId, content), timestamp);
+      if (!verifySignature(signed, signature, from)) {
+        logger.warn('Dropping relayed modification with a bad signature', { type, from, messageId });
+        return;
+      }
+
+      await this.applyModification(address, frame);
+      return;
+    }
+
+    this.sendTo(address, frame);
   }
 
   /**
-   * Check if user is online
+   * Check whether a federation peer is the home relay an address published
+   * with its key here
    */
-  isOnline(address) {
-    const ws = this.connections.get(address.toLowerCase());
-    return ws && ws.readyState === 1;
+  async isHomeRelayOf(peer, address) {
+    if (typeof address !== 'string' || !ADDRESS_REGEX.test(address)) return false;
+
+    const keyData = await this.publicKeyStore.get(address.toLowerCase());
+    return this.federation.peerFor(keyData && keyData.homeRelay) === peer;
   }
 
   /**
-   * Get connection count
+   * Check whether a recipient has blocked a sender
    */
-  getConnectionCount() {
-    return this.connections.size;
+  isBlocked(recipient, sender) {
+    return Boolean(sender) && this.blockList.isBlocked(recipient, sender);
   }
 
   /**
-   * Get online users list
+   * Drop a frame from a blocked sender. Returns no delivered devices.
    */
-  getOnlineUsers() {
-    return Array.from(this.connections.keys());
+  dropBlocked(recipient, frame) {
+    messagesRouted.inc({ type: frame.type, outcome: 'blocked' });
+    logger.debug('Frame from blocked sender dropped', { type: frame.type, to: recipient, from: frame.from });
+    return [];
   }
 
   /**
-   * Start heartbeat to detect stale connections
+   * Pass a peer's delivery result on to the sender of a forwarded message
+   * A sender told "queued" while the link was down only hears back on delivery
    */
-  startHeartbeat() {
-    setInterval(() => {
-      const now = Date.now();
-      const timeout = 60000; // 60 seconds
+  handleFederatedResult(message, status, { deferred }) {
+    const { from, to, messageId } = message;
 
-      for (const [address, lastActive] of this.lastActivity.entries()) {
-        if (now - lastActive > timeout) {
-          const ws = this.connections.get(address);
-          if (ws) {
-            logger.warn('Closing stale connection', { address });
-            ws.close();
-          }
-        }
+    if (status === 'failed') {
+      this.sendTo(from, { type: 'delivery_failed', messageId, to, reason: 'relay_unreachable', timestamp: this.clock.now() });
+    } else if (status === 'rejected') {
+      this.sendTo(from, { type: 'delivery_failed', messageId, to, reason: 'relay_rejected', timestamp: this.clock.now() });
+    } else if (status === 'expired') {
+      this.sendTo(from, { type: 'message_expired', messageId, to, expiresAt: message.expiresAt, timestamp: this.clock.now() });
+    } else if (status === 'delivered' || !deferred) {
+      this.sendTo(from, { type: status, messageId, to, timestamp: this.clock.now() });
+    }
+  }
+
+  /**
+   * Send a delivery notice to the sender of a queued message, back
+   * through the peer relay it came from if it was federated
+   */
+  notifySender(msg, frame) {
+    if (msg.viaRelay && this.federation) {
+      this.federation.relayFrame(msg.viaRelay, msg.from, frame);
+      return;
+    }
+
+    this.sendTo(msg.from, frame);
+  }
+
+  /**
+   * Handle a sender retracting or editing a direct message
+   * A message no device has received yet is removed from or replaced in
+   * the recipient's queue. Otherwise the signed event is passed on for the
+   * recipient's client to apply to its copy, which it must only do if the
+   * original message came from the same sender. The sender learns which
+   * case applied.
+   */
+  async handleModification(session, message) {
+    const { type, to, messageId, content, timestamp, signature, relay } = message;
+    const fromAddress = session.address;
+
+    if (typeof to !== 'string' || !ADDRESS_REGEX.test(to) || typeof messageId !== 'string' || !messageId ||
+        (type === 'edit' && (typeof content !== 'string' || !content))) {
+      this.send(session.ws, {
+        type: 'error',
+        code: ErrorCodes.INVALID_FRAME,
+        messageId,
+        message: `Invalid ${type} format`
+      });
+      return;
+    }
+
+    const recipientAddress = to.toLowerCase();
+    const proofError = this.proofVerifier.verify(
+      type,
+      this.modificationFields(type, fromAddress, recipientAddress, messageId, content),
+      { address: fromAddress, timestamp, signature }
+    );
+    if (proofError) {
+      this.send(session.ws, {
+        type: 'error',
+        code: proofError.code,
+        message: proofError.message,
+        frameType: type,
+        messageId
+      });
+      return;
+    }
+
+    const event = {
+      type,
+      from: fromAddress,
+      to: recipientAddress,
+      messageId,
+      ...(type === 'edit' && { content }),
+      timestamp: Number(timestamp),
+      signature
+    };
+
+    let result;
+    const peer = await this.remotePeerFor(recipientAddress, relay);
+    if (peer) {
+      // The recipient's home relay applies it to its queue
+      this.federation.relayFrame(peer, recipientAddress, event);
+      result = 'forwarded';
+    } else {
+      result = await this.applyModification(recipientAddress, event);
+    }
+
+    this.send(session.ws, {
+      type: `${type}_result`,
+      messageId,
+      to: recipientAddress,
+      result,
+      timestamp: this.clock.now()
+    });
+
+    // Keep the sender's other devices in sync
+    this.sendTo(fromAddress, event, { excludeDeviceId: session.deviceId });
+  }
+
+  /**
+   * Fields a retract or edit signature covers (an edit covers the
+   * SHA-256 of its new content)
+   */
+  modificationFields(type, from, to, messageId, content) {
+    const fields = [from, to, messageId];
+    if (type === 'edit') {
+      fields.push(crypto.createHash('sha256').update(String(content)).digest('hex'));
+    }
+    return fields;
+  }
+
+  /**
+   * Apply a retract or edit for a recipient of this relay
+   * Returns 'removed' or 'replaced' if the queued message was changed,
+   * 'forwarded' if the event was sent on to the recipient
+   */
+  async applyModification(address, event) {
+    const { type, from, messageId, content, timestamp, signature } = event;
+
+    if (this.isBlocked(address, from)) {
+      this.dropBlocked(address, event);
+      return 'forwarded';
+    }
+
+    const changed = type === 'edit'
+      ? await this.messageQueue.editUndelivered(address, from, messageId, content)
+      : await this.messageQueue.retractUndelivered(address, from, messageId);
+
+    if (changed) {
+      // No device received it, so resumed sessions must not replay the original
+      this.rewriteReplays(
+        address,
+        { type: 'message', from, messageId },
+        type === 'edit' ? { content, editedAt: this.clock.now() } : null
+      );
+      logger.debug('Queued message modified', { type, from, to: address, messageId });
+      return type === 'edit' ? 'replaced' : 'removed';
+    }
+
+    await this.routeToRecipient(address, {
+      type,
+      from,
+      messageId,
+      ...(type === 'edit' && { content }),
+      timestamp,
+      signature
+    });
+    return 'forwarded';
+  }
+
+  /**
+   * Tell the senders of direct messages that expired in a recipient's
+   * queue before any device received them
+   */
+  handleExpiredMessages(address, messages) {
+    for (const msg of messages) {
+      if (msg.type !== 'message' || msg.deliveredOnline || (msg.ackedBy && msg.ackedBy.length > 0)) continue;
+
+      this.notifySender(msg, {
+        type: 'message_expired',
+        messageId: msg.messageId,
+        to: address,
+        expiresAt: msg.expiresAt,
+        timestamp: this.clock.now()
+      });
+    }
+  }
+
+  /**
+   * Handle acknowledgement of queued messages
+   */
+  async handleAck(session, message) {
+    const messageIds = Array.isArray(message.messageIds)
+      ? message.messageIds
+      : [message.messageId].filter(Boolean);
+
+    if (messageIds.length === 0) return;
+
+    const acknowledged = await this.messageQueue.acknowledge(session.address, session.deviceId, messageIds);
+
+    // Let each sender know the message finally reached the recipient
+    for (const msg of acknowledged) {
+      if (msg.deliveredOnline || UNACKNOWLEDGED_TYPES.has(msg.type)) continue;
+
+      this.notifySender(msg, {
+        type: 'delivered',
+        messageId: msg.messageId,
+        to: session.address,
+        ...(msg.groupId && { groupId: msg.groupId }),
+        queued: true,
+        timestamp: this.clock.now()
+      });
+    }
+  }
+
+  /**
+   * Handle removal of one of the user's devices (e.g. a lost phone)
+   * Queued messages stop waiting for it and its session is closed
+   */
+  async handleRemoveDevice(session, message) {
+    const { deviceId } = message;
+    if (!DeviceRegistry.isValidDeviceId(deviceId) || deviceId === session.deviceId) return;
+
+    this.deviceRegistry.remove(session.address, deviceId);
+    await this.messageQueue.removeDevice(session.address, deviceId);
+    this.replayLog.remove(session.address, deviceId);
+
+    this.closeSession(session.address, deviceId, 'removed');
+    for (const remote of this.cluster.getRemoteSessions(session.address)) {
+      if (remote.deviceId === deviceId) {
+        this.cluster.publish(remote.instanceId, {
+          type: 'close_session',
+          address: session.address,
+          deviceId,
+          reason: 'removed'
+        });
+      }
+    }
+
+    logger.info('Device removed', { address: session.address, deviceId });
+  }
+
+  /**
+   * Rewrite the frames kept for a user's resumed sessions (see
+   * ReplayLog.rewrite), on every instance of the cluster
+   */
+  rewriteReplays(address, match, changes) {
+    this.replayLog.rewrite(address, this.deviceRegistry.getDeviceIds(address), match, changes);
+    this.cluster.broadcast({ type: 'replay_rewrite', address, match, changes });
+  }
+
+  /**
+   * Send a resumed session the events it missed, in order
+   * Returns the IDs of the replayed messages
+   */
+  replayEvents(session, events) {
+    if (events.length > 0) {
+      logger.info(`Replaying ${events.length} missed events`, { address: session.address, deviceId: session.deviceId });
+    }
+
+    for (const { seq, frame } of events) {
+      this.send(session.ws, { ...frame, seq, replayed: true });
+    }
+
+    return events.map(event => event.frame.messageId).filter(Boolean);
+  }
+
+  /**
+   * Deliver queued messages to a device, except those just replayed
+   * Messages stay queued until the device acknowledges them and are
+   * redelivered on its next connect otherwise
+   */
+  async deliverQueuedMessages(session, replayedIds = []) {
+    const { address, deviceId, ws } = session;
+    const { messages, deadLettered } = await this.messageQueue.prepareDelivery(address, deviceId);
+    const pending = messages.filter(msg => !replayedIds.includes(msg.messageId));
+
+    if (pending.length > 0) {
+      logger.info(`Delivering ${pending.length} queued messages`, { address, deviceId });
+
+      for (const msg of pending) {
+        this.send(ws, this.queuedFrame(msg));
+      }
+    }
+
+    for (const msg of deadLettered) {
+      if (UNACKNOWLEDGED_TYPES.has(msg.type)) continue;
+
+      this.notifySender(msg, {
+        type: 'delivery_failed',
+        messageId: msg.messageId,
+        to: address,
+        ...(msg.groupId && { groupId: msg.groupId }),
+        reason: 'max_attempts',
+        timestamp: this.clock.now()
+      });
+    }
+  }
+
+  /**
+   * Rebuild the frame for a queued message, without the queue's
+   * delivery bookkeeping
+   */
+  queuedFrame(msg) {
+    const {
+      type = 'message',
+      queuedAt,
+      devices,
+      ackedBy,
+      deliveryAttempts,
+      lastAttemptAt,
+      deliveredOnline,
+      viaRelay,
+      ...fields
+    } = msg;
+
+    return { type, ...fields, queued: true };
+  }
+
+  /**
+   * Handle group management frames
+   */
+  async handleGroupUpdate(session, message) {
+    const { address } = session;
+    let result;
+
+    switch (message.type) {
+      case 'group_create':
+        result = await this.createGroup(address, message.name, message.members);
+        break;
+      case 'group_add_members':
+        result = await this.addGroupMembers(address, message.groupId, message.members);
+        break;
+      case 'group_remove_member':
+        result = await this.removeGroupMember(address, message.groupId, message.address);
+        break;
+      case 'group_set_role':
+        result = await this.setGroupRole(address, message.groupId, message.address, message.role);
+        break;
+    }
+
+    if (result.error) {
+      this.send(session.ws, {
+        type: 'error',
+        code: result.error.code,
+        message: result.error.message,
+        frameType: message.type,
+        groupId: message.groupId
+      });
+    }
+  }
+
+  /**
+   * Handle a group message
+   * The sender encrypts the content for each member; every member gets
+   * their own payload through the usual delivery and queue paths
+   */
+  async handleGroupMessage(session, message) {
+    const { groupId, payloads, messageId, timestamp, senderCopy } = message;
+    const fromAddress = session.address;
+
+    if (!groupId || !messageId || !payloads || typeof payloads !== 'object' || Array.isArray(payloads)) {
+      this.send(session.ws, {
+        type: 'error',
+        code: ErrorCodes.INVALID_FRAME,
+        messageId,
+        message: 'Invalid group message format'
+      });
+      return;
+    }
+
+    const { group, error } = this.groupManager.getForMember(groupId, fromAddress);
+    if (error) {
+      this.send(session.ws, {
+        type: 'error',
+        code: error.code,
+        message: error.message,
+        frameType: message.type,
+        groupId,
+        messageId
+      });
+      return;
+    }
+
+    if (!(await this.checkIdentity(session, message))) return;
+
+    const payloadByAddress = {};
+    for (const [address, content] of Object.entries(payloads)) {
+      payloadByAddress[address.toLowerCase()] = content;
+    }
+
+    const messageTimestamp = timestamp || this.clock.now();
+    const delivered = [];
+    const queued = [];
+    const missing = [];
+
+    for (const member of this.groupManager.getMemberAddresses(group)) {
+      if (member === fromAddress) continue;
+
+      const content = payloadByAddress[member];
+      if (typeof content !== 'string' || content.length === 0) {
+        missing.push(member);
+        continue;
       }
+
+      const frame = {
+        type: 'group_message',
+        groupId,
+        from: fromAddress,
+        content,
+        messageId,
+        timestamp: messageTimestamp
+      };
+
+      // A member who blocked the sender shows as queued, as if offline
+      const deliveredDevices = this.isBlocked(member, fromAddress)
+        ? this.dropBlocked(member, frame)
+        : await this.routeToRecipient(member, frame);
+
+      (deliveredDevices.length > 0 ? delivered : queued).push(member);
+    }
+
+    this.send(session.ws, {
+      type: 'group_message_status',
+      groupId,
+      messageId,
+      delivered,
+      queued,
+      missing,
+      timestamp: this.clock.now()
+    });
+
+    logger.debug('Group message routed', {
+      from: fromAddress,
+      groupId,
+      messageId,
+      delivered: delivered.length,
+      queued: queued.length
+    });
+
+    // Keep the sender's other devices in sync
+    const ownCopy = senderCopy || payloadByAddress[fromAddress];
+    if (ownCopy) {
+      this.sendTo(fromAddress, {
+        type: 'message_sync',
+        groupId,
+        content: ownCopy,
+        messageId,
+        timestamp: messageTimestamp
+      }, { excludeDeviceId: session.deviceId });
+    }
+  }
+
+  /**
+   * Create a group and announce it to its members
+   */
+  async createGroup(actor, name, members) {
+    const result = this.groupManager.create(actor, name, members);
+    if (result.error) return result;
+
+    await this.publishGroupEvent(result.group, 'created', actor);
+    return result;
+  }
+
+  /**
+   * Add members to a group and announce them
+   */
+  async addGroupMembers(actor, groupId, members) {
+    const result = this.groupManager.addMembers(groupId, actor, members);
+    if (result.error) return result;
+
+    if (result.added.length > 0) {
+      await this.publishGroupEvent(result.group, 'members_added', actor, { members: result.added });
+    }
+    return result;
+  }
+
+  /**
+   * Remove a member (or leave a group) and announce it, including to
+   * the member who was removed
+   */
+  async removeGroupMember(actor, groupId, address) {
+    const result = this.groupManager.removeMember(groupId, actor, address);
+    if (result.error) return result;
+
+    const { group, removed, promoted } = result;
+    await this.publishGroupEvent(
+      group,
+      removed === actor ? 'member_left' : 'member_removed',
+      actor,
+      { address: removed, ...(promoted && { promoted }) },
+      [removed]
+    );
+    return result;
+  }
+
+  /**
+   * Change a member's role and announce it
+   */
+  async setGroupRole(actor, groupId, address, role) {
+    const result = this.groupManager.setRole(groupId, actor, address, role);
+    if (result.error) return result;
+
+    await this.publishGroupEvent(result.group, 'role_changed', actor, { address: result.address, role });
+    return result;
+  }
+
+  /**
+   * Send a membership system event to every member of a group
+   * Events carry the updated group and are queued like messages,
+   * so offline members catch up on their next connect
+   */
+  async publishGroupEvent(group, event, actor, details = {}, extraRecipients = []) {
+    const frame = {
+      type: 'group_event',
+      groupId: group.groupId,
+      event,
+      actor,
+      ...details,
+      // Snapshot, so queued events keep the state they announced
+      group: structuredClone(group),
+      messageId: uuidv4(),
+      timestamp: this.clock.now()
+    };
+
+    const recipients = new Set([...this.groupManager.getMemberAddresses(group), ...extraRecipients]);
+    for (const address of recipients) {
+      await this.routeToRecipient(address, frame);
+    }
+
+    logger.info('Group event', { groupId: group.groupId, event, recipients: recipients.size });
+  }
+
+  /**
+   * Log frames that do not match their outbound schema; they are still
+   * sent, since the mismatch is a relay bug rather than the client's
+   */
+  checkOutbound(frame) {
+    const problem = validateOutbound(frame);
+    if (problem) {
+      logger.warn('Outbound frame does not match its schema', { type: frame.type, field: problem.field });
+    }
+  }
+
+  /**
+   * Send a frame on one socket
+   */
+  send(ws, frame) {
+    this.checkOutbound(frame);
+    ws.send(JSON.stringify(frame));
+    framesTotal.inc({ direction: 'out', type: frame.type });
+  }
+
+  /**
+   * Send a frame to every open device of a user, including devices
+   * connected to other instances of the cluster. Each instance numbers the
+   * frame in the event streams it keeps: those of the devices it holds,
+   * and here also those of offline devices last connected to it, so a
+   * device that resumes its session gets the frame then.
+   * Returns the IDs of the devices the frame was sent to
+   */
+  sendTo(address, frame, { excludeDeviceId = null } = {}) {
+    const localDevices = this.getSessions(address).map(session => session.deviceId);
+
+    // Group remote devices by the instance that holds them
+    const remoteDevices = new Map();
+    for (const { instanceId, deviceId } of this.cluster.getRemoteSessions(address)) {
+      if (deviceId === excludeDeviceId || localDevices.includes(deviceId)) continue;
+
+      if (!remoteDevices.has(instanceId)) {
+        remoteDevices.set(instanceId, []);
+      }
+      remoteDevices.get(instanceId).push(deviceId);
+    }
+
+    const remoteDeviceIds = Array.from(remoteDevices.values()).flat();
+    const seqs = this.replayLog.append(
+      address,
+      this.deviceRegistry.getDeviceIds(address)
+        .filter(deviceId => deviceId !== excludeDeviceId && !remoteDeviceIds.includes(deviceId)),
+      frame
+    );
+    const devices = this.sendToLocal(address, frame, { excludeDeviceId, seqs });
+
+    for (const [instanceId, deviceIds] of remoteDevices) {
+      this.cluster.publish(instanceId, { type: 'deliver', address, frame, deviceIds });
+      devices.push(...deviceIds);
+    }
+
+    return devices;
+  }
+
+  /**
+   * Send a frame to the devices of a user connected to this instance,
+   * optionally only to the listed devices. Each device gets the frame with
+   * its sequence number from `seqs` ({ deviceId: seq }); without `seqs`
+   * the frame is numbered for the devices it is sent to.
+   */
+  sendToLocal(address, frame, { excludeDeviceId = null, deviceIds = null, seqs = null } = {}) {
+    this.checkOutbound(frame);
+    const data = JSON.stringify(frame);
+    const sessions = this.getSessions(address).filter(session =>
+      session.deviceId !== excludeDeviceId && (!deviceIds || deviceIds.includes(session.deviceId))
+    );
+    const numbered = seqs || this.replayLog.append(address, sessions.map(session => session.deviceId), frame);
+    const devices = [];
+
+    for (const session of sessions) {
+      const seq = numbered[session.deviceId];
+      session.ws.send(seq === undefined ? data : JSON.stringify({ ...frame, seq }));
+      devices.push(session.deviceId);
+    }
+
+    if (devices.length > 0) {
+      framesTotal.inc({ direction: 'out', type: frame.type }, devices.length);
+    }
+
+    return devices;
+  }
+
+  /**
+   * Close a device session held by this instance
+   */
+  closeSession(address, deviceId, reason) {
+    const sessions = this.connections.get(address);
+    const session = sessions && sessions.get(deviceId);
+    if (!session) return;
+
+    if (reason === 'replaced') {
+      this.send(session.ws, { type: 'session_replaced', deviceId, timestamp: this.clock.now() });
+    } else if (reason === 'disconnected' || reason === 'banned') {
+      this.send(session.ws, { type: 'session_closed', deviceId, reason, timestamp: this.clock.now() });
+    }
+    session.ws.close();
+  }
+
+  /**
+   * Force-disconnect an address (or one of its devices) on every
+   * instance. Returns the number of sessions closed.
+   */
+  disconnect(address, { deviceId = null, reason = 'disconnected' } = {}) {
+    const normalizedAddress = address.toLowerCase();
+    const local = this.getSessions(normalizedAddress)
+      .filter(session => !deviceId || session.deviceId === deviceId);
+    const remote = this.cluster.getRemoteSessions(normalizedAddress)
+      .filter(session => !deviceId || session.deviceId === deviceId);
+
+    for (const session of local) {
+      this.closeSession(normalizedAddress, session.deviceId, reason);
+    }
+
+    for (const session of remote) {
+      this.cluster.publish(session.instanceId, {
+        type: 'close_session',
+        address: normalizedAddress,
+        deviceId: session.deviceId,
+        reason
+      });
+    }
+
+    return local.length + remote.length;
+  }
+
+  /**
+   * Force-disconnect every session from an IP on every instance
+   */
+  disconnectIp(ip, reason = 'banned') {
+    this.cluster.broadcast({ type: 'close_ip', ip, reason });
+    return this.closeIpSessions(ip, reason);
+  }
+
+  /**
+   * Close the sessions from an IP held by this instance
+   * Returns the number of sessions closed
+   */
+  closeIpSessions(ip, reason) {
+    const matches = this.listSessions().filter(session => BanList.normalize('ip', session.ip) === ip);
+    for (const { address, deviceId } of matches) {
+      this.closeSession(address, deviceId, reason);
+    }
+    return matches.length;
+  }
+
+  /**
+   * Describe the sessions held by this instance
+   */
+  listSessions() {
+    const sessions = [];
+    for (const devices of this.connections.values()) {
+      for (const { address, deviceId, ip, connectedAt, lastActivity } of devices.values()) {
+        sessions.push({ address, deviceId, ip, connectedAt, lastActivity });
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Handle a message from another instance of the cluster
+   */
+  handleClusterMessage(message) {
+    switch (message.type) {
+      case 'deliver':
+        this.sendToLocal(message.address, message.frame, { deviceIds: message.deviceIds });
+        break;
+
+      case 'close_session':
+        if (message.reason === 'removed') {
+          this.replayLog.remove(message.address, message.deviceId);
+        }
+        this.closeSession(message.address, message.deviceId, message.reason);
+        break;
+
+      case 'close_ip':
+        this.closeIpSessions(message.ip, message.reason);
+        break;
+
+      case 'replay_rewrite':
+        this.replayLog.rewrite(
+          message.address,
+          this.deviceRegistry.getDeviceIds(message.address),
+          message.match,
+          message.changes
+        );
+        break;
+
+      case 'presence':
+        this.notifyWatchers(message.address, message.status);
+        break;
+
+      case 'presence_allowed':
+        this.notifyAllowedWatchers(message.owner, message.addresses);
+        break;
+
+      default:
+        logger.warn('Unknown cluster message type', { type: message.type });
+    }
+  }
+
+  /**
+   * Handle presence subscription
+   * Replies with the current presence of every address the subscriber
+   * is allowed to see; the others stay silent
+   */
+  handleSubscribePresence(session, message) {
+    const addresses = this.validAddresses(message.addresses);
+    if (addresses.length === 0) return;
+
+    const added = this.presenceManager.subscribe(session.address, addresses);
+
+    for (const watched of added) {
+      if (this.presenceManager.canSee(watched, session.address)) {
+        this.sendTo(session.address, this.presenceFrame(watched));
+      }
+    }
+  }
+
+  /**
+   * Handle presence unsubscription
+   */
+  handleUnsubscribePresence(session, message) {
+    const addresses = this.validAddresses(message.addresses);
+    if (addresses.length === 0) return;
+
+    this.presenceManager.unsubscribe(session.address, addresses);
+  }
+
+  /**
+   * Handle a user allowing addresses to see their presence
+   * Subscribers that are already watching get the current state right away
+   */
+  handlePresenceAllow(session, message) {
+    const addresses = this.validAddresses(message.addresses);
+    if (addresses.length === 0) return;
+
+    this.presenceManager.allow(session.address, addresses);
+
+    this.notifyAllowedWatchers(session.address, addresses);
+    this.cluster.broadcast({ type: 'presence_allowed', owner: session.address, addresses });
+  }
+
+  /**
+   * Send an owner's current presence to newly allowed subscribers that
+   * watch it from this instance
+   */
+  notifyAllowedWatchers(owner, addresses) {
+    const frame = this.presenceFrame(owner);
+    for (const subscriber of this.presenceManager.getAuthorizedWatchers(owner)) {
+      if (addresses.includes(subscriber)) {
+        this.sendToLocal(subscriber, frame);
+      }
+    }
+  }
+
+  /**
+   * Handle a user revoking presence visibility
+   */
+  handlePresenceRevoke(session, message) {
+    const addresses = this.validAddresses(message.addresses);
+    if (addresses.length === 0) return;
+
+    this.presenceManager.revoke(session.address, addresses);
+  }
+
+  /**
+   * Handle a user blocking addresses
+   * Messages from them that are still queued for the user are removed
+   */
+  async handleBlock(session, message) {
+    const addresses = this.validAddresses(message.addresses);
+    if (addresses.length === 0) return;
+
+    await this.block(session.address, addresses);
+  }
+
+  /**
+   * Handle a user unblocking addresses
+   */
+  handleUnblock(session, message) {
+    const addresses = this.validAddresses(message.addresses);
+    if (addresses.length === 0) return;
+
+    this.blockList.unblock(session.address, addresses);
+  }
+
+  /**
+   * Block addresses for an owner and purge their queued messages and the
+   * frames kept for resumed sessions
+   * Returns the newly blocked addresses
+   */
+  async block(owner, addresses) {
+    const added = this.blockList.block(owner, addresses);
+
+    for (const address of added) {
+      await this.messageQueue.removeFromSender(owner, address);
+      this.rewriteReplays(owner, { from: address }, null);
+    }
+
+    logger.info('Addresses blocked', { owner, count: added.length });
+    return added;
+  }
+
+  /**
+   * Take a prekey bundle for starting a session with an address, and
+   * nudge the address's devices to upload more one-time prekeys when
+   * few are left
+   */
+  async takePreKeyBundle(address) {
+    const result = await this.publicKeyStore.takeBundle(address);
+
+    if (result && this.publicKeyStore.isPreKeySupplyLow(address)) {
+      this.sendTo(result.bundle.address, this.preKeysLowFrame(result.bundle.address));
+    }
+
+    return result;
+  }
+
+  preKeysLowFrame(address) {
+    return {
+      type: 'prekeys_low',
+      count: this.publicKeyStore.getPreKeyCount(address),
+      threshold: this.publicKeyStore.preKeyLowThreshold,
+      timestamp: this.clock.now()
+    };
+  }
+
+  /**
+   * Filter a frame's address list down to valid, normalized addresses
+   */
+  validAddresses(addresses) {
+    if (!Array.isArray(addresses)) return [];
+
+    return addresses
+      .filter(address => typeof address === 'string' && ADDRESS_REGEX.test(address))
+      .map(address => address.toLowerCase());
+  }
+
+  /**
+   * Build a presence frame for an address
+   */
+  presenceFrame(address, status = this.isOnline(address) ? 'online' : 'offline') {
+    return {
+      type: 'presence',
+      address,
+      status,
+      lastSeen: this.presenceManager.getLastSeen(address),
+      timestamp: this.clock.now()
+    };
+  }
+
+  /**
+   * Broadcast online/offline status to subscribers the user allowed,
+   * on this instance and the rest of the cluster
+   */
+  broadcastStatus(address, status) {
+    this.presenceManager.touch(address);
+
+    this.notifyWatchers(address, status);
+    this.cluster.broadcast({ type: 'presence', address, status });
+  }
+
+  /**
+   * Send a status update to the authorized watchers subscribed on this
+   * instance (each instance keeps the subscriptions of its own sockets)
+   */
+  notifyWatchers(address, status) {
+    const frame = this.presenceFrame(address, status);
+    const subscribers = this.presenceManager.getAuthorizedWatchers(address);
+
+    for (const subscriber of subscribers) {
+      this.sendToLocal(subscriber, frame);
+    }
+
+    logger.debug('Status update', { address, status, subscribers: subscribers.length });
+  }
+
+  /**
+   * Check if user is online on any instance
+   */
+  isOnline(address) {
+    const normalizedAddress = address.toLowerCase();
+    return this.getSessions(normalizedAddress).length > 0 ||
+      this.cluster.getRemoteSessions(normalizedAddress).length > 0;
+  }
+
+  /**
+   * Get connection count on this instance (one per connected device)
+   */
+  getConnectionCount() {
+    let count = 0;
+    for (const sessions of this.connections.values()) {
+      count += sessions.size;
+    }
+    return count;
+  }
+
+  /**
+   * Get online users list (across the cluster)
+   */
+  getOnlineUsers() {
+    return Array.from(new Set([...this.connections.keys(), ...this.cluster.getOnlineAddresses()]));
+  }
+
+  /**
+   * Start heartbeat to detect stale connections
+   */
+  startHeartbeat() {
+    this.heartbeatInterval = this.clock.setInterval(() => {
+      const now = this.clock.now();
+      const timeout = 60000; // 60 seconds
+
+      for (const sessions of this.connections.values()) {
+        for (const session of sessions.values()) {
+          if (now - session.lastActivity > timeout) {
+            logger.warn('Closing stale connection', {
+              address: session.address,
+              deviceId: session.deviceId
+            });
+            session.ws.close();
+          }
+        }
+      }
+
+      this.challengeStore.cleanup();
+      this.cluster.heartbeat();
     }, 30000); // Check every 30 seconds
   }
 
@@ -300,11 +1912,17 @@ class WebSocketManager {
    */
   closeAll() {
     logger.info('Closing all WebSocket connections');
-    for (const ws of this.connections.values()) {
-      ws.close();
+    this.clock.clearInterval(this.heartbeatInterval);
+    for (const sessions of this.connections.values()) {
+      for (const session of sessions.values()) {
+        session.ws.close();
+      }
     }
     this.connections.clear();
-    this.lastActivity.clear();
+    this.cluster.stop();
+    if (this.federation) {
+      this.federation.stop();
+    }
   }
 }
 
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStorage = require('./memoryStorage');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('fileStorage');
+
+/**
+ * File Storage - Memory storage that writes every collection through to a
+ * JSON file, so queued messages and public keys survive restarts.
+ *
+ * Each collection lives in <directory>/<collection>.json and is rewritten
+ * atomically (write to a temp file, then rename) on every change. This
+ * keeps a single relay durable without extra infrastructure; busy
+ * deployments should use a database-backed adapter instead.
+ */
+class FileStorage extends MemoryStorage {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.load(name));
+    }
+    return this.collections.get(name);
+  }
+
+  load(name) {
+    const file = this.filePath(name);
+
+    if (!fs.existsSync(file)) {
+      return new Map();
+    }
+
+    try {
+      return new Map(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      logger.error('Failed to load storage collection', { collection: name, error: error.message });
+      throw error;
+    }
+  }
+
+  persist(name) {
+    const file = this.filePath(name);
+    const tempFile = `${file}.tmp`;
+    const data = JSON.stringify(Array.from(this.collection(name).entries()));
+
+    fs.writeFileSync(tempFile, data);
+    fs.renameSync(tempFile, file);
+  }
+
+  set(collection, key, value) {
+    super.set(collection, key, value);
+    this.persist(collection);
+  }
+
+  delete(collection, key) {
+    const deleted = super.delete(collection, key);
+    if (deleted) {
+      this.persist(collection);
+    }
+    return deleted;
+  }
+
+  clear(collection) {
+    const count = super.clear(collection);
+    if (count > 0) {
+      this.persist(collection);
+    }
+    return count;
+  }
+}
+
+module.exports = FileStorage;
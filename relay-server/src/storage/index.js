@@ -0,0 +1,36 @@
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const StorageAdapter = require('./storageAdapter');
+const MemoryStorage = require('./memoryStorage');
+const FileStorage = require('./fileStorage');
+const logger = createLogger('storage');
+
+/**
+ * Create the storage backend selected by STORAGE_BACKEND
+ * - memory (default): in-process, lost on restart
+ * - file: JSON files under STORAGE_PATH (default ./data)
+ * Settings are read from `config` (default: process.env)
+ */
+function createStorage(backend = process.env.STORAGE_BACKEND || 'memory', config = process.env) {
+  switch (backend) {
+    case 'memory':
+      logger.info('Using in-memory storage');
+      return new MemoryStorage();
+
+    case 'file': {
+      const directory = path.resolve(config.STORAGE_PATH || './data');
+      logger.info('Using file storage', { directory });
+      return new FileStorage(directory);
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  StorageAdapter,
+  MemoryStorage,
+  FileStorage
+};
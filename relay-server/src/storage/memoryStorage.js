@@ -0,0 +1,52 @@
+const StorageAdapter = require('./storageAdapter');
+
+/**
+ * Memory Storage - Keeps all collections in process memory
+ * Fast, but everything is lost when the relay restarts
+ */
+class MemoryStorage extends StorageAdapter {
+  constructor() {
+    super();
+    // Map of collection name -> Map of key -> value
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  get(collection, key) {
+    return this.collection(collection).get(key);
+  }
+
+  set(collection, key, value) {
+    this.collection(collection).set(key, value);
+  }
+
+  delete(collection, key) {
+    return this.collection(collection).delete(key);
+  }
+
+  has(collection, key) {
+    return this.collection(collection).has(key);
+  }
+
+  entries(collection) {
+    return Array.from(this.collection(collection).entries());
+  }
+
+  size(collection) {
+    return this.collection(collection).size;
+  }
+
+  clear(collection) {
+    const count = this.collection(collection).size;
+    this.collection(collection).clear();
+    return count;
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,218 @@
+/**
+ * Storage Adapter - Base class for relay storage backends
+ *
+ * Backends only implement the collection primitives (get/set/delete/...).
+ * Message queue and public key operations are built on top of them here,
+ * so every backend supports the full MessageQueue and PublicKeyStore API.
+ *
+ * Values handed to `set` must be JSON-serializable. Callers that mutate a
+ * value they got from `get` must `set` it again for the change to persist.
+ */
+class StorageAdapter {
+  // ==================== Collection primitives ====================
+
+  get(collection, key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  set(collection, key, value) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  delete(collection, key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  has(collection, key) {
+    return this.get(collection, key) !== undefined;
+  }
+
+  entries(collection) {
+    throw new Error(`${this.constructor.name} does not implement entries()`);
+  }
+
+  keys(collection) {
+    return this.entries(collection).map(([key]) => key);
+  }
+
+  values(collection) {
+    return this.entries(collection).map(([, value]) => value);
+  }
+
+  size(collection) {
+    return this.entries(collection).length;
+  }
+
+  clear(collection) {
+    const keys = this.keys(collection);
+    for (const key of keys) {
+      this.delete(collection, key);
+    }
+    return keys.length;
+  }
+
+  /**
+   * Release resources held by the backend
+   */
+  close() {}
+
+  // ==================== Message queues ====================
+
+  /**
+   * Append a message, dropping the oldest ones beyond maxMessages
+   * Returns the new queue size and the dropped messages
+   */
+  enqueue(address, message, maxMessages = Infinity) {
+    const queue = this.get('queues', address) || [];
+    const dropped = [];
+
+    while (queue.length >= maxMessages) {
+      dropped.push(queue.shift());
+    }
+
+    queue.push(message);
+    this.set('queues', address, queue);
+
+    return { size: queue.length, dropped };
+  }
+
+  dequeue(address) {
+    const queue = this.get('queues', address) || [];
+    if (queue.length > 0) {
+      this.delete('queues', address);
+    }
+    return queue;
+  }
+
+  peek(address, limit = 10) {
+    const queue = this.get('queues', address) || [];
+    return queue.slice(0, limit);
+  }
+
+  getQueueSize(address) {
+    const queue = this.get('queues', address);
+    return queue ? queue.length : 0;
+  }
+
+  getTotalQueueSize() {
+    return this.values('queues').reduce((total, queue) => total + queue.length, 0);
+  }
+
+  getQueueCount() {
+    return this.size('queues');
+  }
+
+  clearQueue(address) {
+    return this.delete('queues', address);
+  }
+
+  /**
+   * Replace a queue with the list returned by update(queue)
+   * Returns the updated queue
+   */
+  updateQueue(address, update) {
+    const queue = update(this.get('queues', address) || []);
+
+    if (queue.length === 0) {
+      this.delete('queues', address);
+    } else {
+      this.set('queues', address, queue);
+    }
+
+    return queue;
+  }
+
+  /**
+   * Remove every queued message matching isExpired(message, address)
+   * Returns the number of removed messages
+   */
+  cleanupQueues(isExpired) {
+    return this.removeFromLists('queues', isExpired);
+  }
+
+  // ==================== Dead letters ====================
+
+  addDeadLetters(address, messages) {
+    const deadLetters = this.get('deadLetters', address) || [];
+    deadLetters.push(...messages);
+    this.set('deadLetters', address, deadLetters);
+  }
+
+  getDeadLetters(address) {
+    return this.get('deadLetters', address) || [];
+  }
+
+  getTotalDeadLetters() {
+    return this.values('deadLetters').reduce((total, list) => total + list.length, 0);
+  }
+
+  cleanupDeadLetters(isExpired) {
+    return this.removeFromLists('deadLetters', isExpired);
+  }
+
+  /**
+   * Remove items matching shouldRemove(item, key) from every list in a collection
+   */
+  removeFromLists(collection, shouldRemove) {
+    let removed = 0;
+
+    for (const [key, list] of this.entries(collection)) {
+      const kept = list.filter(item => !shouldRemove(item, key));
+
+      if (kept.length !== list.length) {
+        removed += list.length - kept.length;
+        if (kept.length === 0) {
+          this.delete(collection, key);
+        } else {
+          this.set(collection, key, kept);
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  // ==================== Public keys ====================
+
+  storeKey(address, keyData) {
+    this.set('publicKeys', address, keyData);
+    return keyData;
+  }
+
+  getKey(address) {
+    return this.get('publicKeys', address) || null;
+  }
+
+  getKeys(addresses) {
+    const results = {};
+    for (const address of addresses) {
+      const keyData = this.get('publicKeys', address);
+      if (keyData) {
+        results[address] = keyData;
+      }
+    }
+    return results;
+  }
+
+  hasKey(address) {
+    return this.has('publicKeys', address);
+  }
+
+  deleteKey(address) {
+    return this.delete('publicKeys', address);
+  }
+
+  getKeyCount() {
+    return this.size('publicKeys');
+  }
+
+  getKeyAddresses() {
+    return this.keys('publicKeys');
+  }
+
+  clearKeys() {
+    return this.clear('publicKeys');
+  }
+}
+
+module.exports = StorageAdapter;
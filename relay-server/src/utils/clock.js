@@ -0,0 +1,17 @@
+/**
+ * Clock - the time source and timers services use
+ *
+ * Services take a clock option (default: the system clock), so an
+ * embedding application or a test can supply its own, e.g. one that
+ * advances time by hand. Every timer a service starts is one it can
+ * cancel again when it stops.
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: timer => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: timer => clearInterval(timer)
+};
+
+module.exports = { systemClock };
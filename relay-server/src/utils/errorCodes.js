@@ -0,0 +1,65 @@
+/**
+ * Machine-readable error codes sent in WebSocket `error` frames
+ * and REST error responses
+ */
+const ErrorCodes = {
+  // Frame validation and protocol versions
+  INVALID_FRAME: 'INVALID_FRAME',
+  UNKNOWN_FRAME_TYPE: 'UNKNOWN_FRAME_TYPE',
+  INVALID_FIELD: 'INVALID_FIELD',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+
+  // Authentication handshake
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  NONCE_REPLAYED: 'NONCE_REPLAYED',
+  CHALLENGE_EXPIRED: 'CHALLENGE_EXPIRED',
+  BANNED: 'BANNED',
+
+  // Signed REST requests
+  PROOF_MISSING: 'PROOF_MISSING',
+  PROOF_INVALID: 'PROOF_INVALID',
+  PROOF_EXPIRED: 'PROOF_EXPIRED',
+  PROOF_REPLAYED: 'PROOF_REPLAYED',
+
+  // Abuse protection
+  RATE_LIMITED: 'RATE_LIMITED',
+
+  // Identity gating
+  IDENTITY_NOT_ALLOWED: 'IDENTITY_NOT_ALLOWED',
+
+  // Operator endpoints
+  TOKEN_INVALID: 'TOKEN_INVALID',
+
+  // Sealed sender
+  DELIVERY_TOKEN_INVALID: 'DELIVERY_TOKEN_INVALID',
+  DELIVERY_TOKEN_EXPIRED: 'DELIVERY_TOKEN_EXPIRED',
+
+  // Prekey bundles
+  KEY_NOT_FOUND: 'KEY_NOT_FOUND',
+  PREKEY_INVALID: 'PREKEY_INVALID',
+  PREKEY_LIMIT: 'PREKEY_LIMIT',
+
+  // Groups
+  GROUP_NOT_FOUND: 'GROUP_NOT_FOUND',
+  GROUP_FORBIDDEN: 'GROUP_FORBIDDEN',
+  GROUP_FULL: 'GROUP_FULL',
+  GROUP_INVALID: 'GROUP_INVALID',
+
+  // Attachments
+  ATTACHMENT_NOT_FOUND: 'ATTACHMENT_NOT_FOUND',
+  ATTACHMENT_INVALID: 'ATTACHMENT_INVALID',
+  ATTACHMENT_TOO_LARGE: 'ATTACHMENT_TOO_LARGE',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  UPLOAD_NOT_FOUND: 'UPLOAD_NOT_FOUND',
+  UPLOAD_OFFSET_MISMATCH: 'UPLOAD_OFFSET_MISMATCH',
+  HASH_MISMATCH: 'HASH_MISMATCH',
+
+  // Push notifications
+  PUSH_ENDPOINT_NOT_FOUND: 'PUSH_ENDPOINT_NOT_FOUND',
+  PUSH_ENDPOINT_INVALID: 'PUSH_ENDPOINT_INVALID',
+  PUSH_ENDPOINT_LIMIT: 'PUSH_ENDPOINT_LIMIT'
+};
+
+module.exports = { ErrorCodes };
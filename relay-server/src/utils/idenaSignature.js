@@ -0,0 +1,106 @@
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, hexToBytes, utf8ToBytes } = require('@noble/hashes/utils');
+
+/**
+ * Idena signature helpers
+ *
+ * Idena signs arbitrary data the same way the node's `dna_sign` does:
+ * the secp256k1 signature is taken over keccak256(keccak256(data)), and
+ * the resulting 65-byte signature is r || s || v. The signer address is the
+ * last 20 bytes of keccak256 of the uncompressed public key.
+ */
+
+const ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+
+function stripHexPrefix(value) {
+  return value.startsWith('0x') ? value.slice(2) : value;
+}
+
+/**
+ * Hash data the way Idena does before signing
+ */
+function signatureHash(data) {
+  return keccak_256(keccak_256(utf8ToBytes(data)));
+}
+
+/**
+ * Derive an Idena address from an uncompressed public key
+ */
+function publicKeyToAddress(publicKey) {
+  // Drop the 0x04 prefix of the uncompressed encoding
+  const hash = keccak_256(publicKey.slice(1));
+  return `0x${bytesToHex(hash.slice(-20))}`;
+}
+
+/**
+ * Recover the signer address from data and a hex signature.
+ * Returns null if the signature is malformed or cannot be recovered.
+ */
+function recoverAddress(data, signature) {
+  if (typeof data !== 'string' || typeof signature !== 'string') {
+    return null;
+  }
+
+  const hex = stripHexPrefix(signature);
+  if (!/^[a-fA-F0-9]{130}$/.test(hex)) {
+    return null;
+  }
+
+  try {
+    const bytes = hexToBytes(hex);
+    let recovery = bytes[64];
+    if (recovery >= 27) {
+      recovery -= 27;
+    }
+
+    const publicKey = secp256k1.Signature.fromCompact(bytes.slice(0, 64))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(signatureHash(data))
+      .toRawBytes(false);
+
+    return publicKeyToAddress(publicKey);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that data was signed by the given Idena address
+ */
+function verifySignature(data, signature, address) {
+  if (!address || !ADDRESS_REGEX.test(address)) {
+    return false;
+  }
+
+  const recovered = recoverAddress(data, signature);
+  return recovered !== null && recovered === address.toLowerCase();
+}
+
+/**
+ * Sign data with a hex private key (used by tests and tooling)
+ */
+function sign(data, privateKey) {
+  const signature = secp256k1.sign(signatureHash(data), hexToBytes(stripHexPrefix(privateKey)));
+  const bytes = new Uint8Array(65);
+  bytes.set(signature.toCompactRawBytes(), 0);
+  bytes[64] = signature.recovery;
+  return `0x${bytesToHex(bytes)}`;
+}
+
+/**
+ * Derive the Idena address for a hex private key
+ */
+function privateKeyToAddress(privateKey) {
+  const publicKey = secp256k1.getPublicKey(hexToBytes(stripHexPrefix(privateKey)), false);
+  return publicKeyToAddress(publicKey);
+}
+
+module.exports = {
+  ADDRESS_REGEX,
+  signatureHash,
+  recoverAddress,
+  verifySignature,
+  sign,
+  privateKeyToAddress
+};
@@ -1,5 +1,17 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
 /**
- * Simple logger utility for the relay server
+ * Logger utility for the relay server
+ *
+ * - LOG_FORMAT: text (default) or json, one object per line
+ * - LOG_LEVEL: default level; LOG_MODULE_LEVELS overrides it per module,
+ *   e.g. "websocketManager=debug,federationManager=warn"
+ * - LOG_REDACT: how Idena addresses and IPs are logged: hash (default, a
+ *   keyed hash that stays the same for one value), truncate, or none
+ *
+ * Fields set with runWithLogContext (the correlation ID of an HTTP request
+ * or WebSocket connection) are added to every line logged while handling it.
  */
 
 const LOG_LEVELS = {
@@ -9,38 +21,168 @@ const LOG_LEVELS = {
   debug: 3
 };
 
-const currentLevel = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+const ADDRESS_PATTERN = /0x[a-fA-F0-9]{40}/g;
+const IP_FIELDS = new Set(['ip']);
+
+const logContext = new AsyncLocalStorage();
 
-function formatMessage(level, message, meta = {}) {
-  const timestamp = new Date().toISOString();
-  const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
-  return `[${timestamp}] [${level.toUpperCase()}] ${message}${metaStr}`;
+/**
+ * Parse LOG_MODULE_LEVELS ("module=level,...") into { module: level }
+ */
+function parseModuleLevels(value) {
+  const levels = {};
+  for (const entry of (value || '').split(',')) {
+    const [module, level] = entry.split('=').map(part => part && part.trim());
+    if (module && level in LOG_LEVELS) {
+      levels[module] = level;
+    }
+  }
+  return levels;
 }
 
-const logger = {
-  error: (message, meta) => {
-    if (currentLevel >= LOG_LEVELS.error) {
-      console.error(formatMessage('error', message, meta));
+function writeToConsole(level, line) {
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+class Logger {
+  constructor(options = {}, bindings = {}) {
+    // Children share their parent's options object
+    this.options = options.shared ? options.shared : {
+      level: process.env.LOG_LEVEL || 'info',
+      moduleLevels: parseModuleLevels(process.env.LOG_MODULE_LEVELS),
+      format: process.env.LOG_FORMAT || 'text',
+      redact: process.env.LOG_REDACT || 'hash',
+      salt: process.env.LOG_REDACT_SALT || crypto.randomBytes(16).toString('hex'),
+      write: writeToConsole,
+      ...options
+    };
+    this.bindings = bindings;
+  }
+
+  /**
+   * A logger that adds fields to every line, e.g. { module }
+   */
+  child(bindings) {
+    return new Logger({ shared: this.options }, { ...this.bindings, ...bindings });
+  }
+
+  error(message, meta) {
+    this.log('error', message, meta);
+  }
+
+  warn(message, meta) {
+    this.log('warn', message, meta);
+  }
+
+  info(message, meta) {
+    this.log('info', message, meta);
+  }
+
+  debug(message, meta) {
+    this.log('debug', message, meta);
+  }
+
+  isEnabled(level) {
+    const moduleLevel = this.options.moduleLevels[this.bindings.module];
+    const threshold = LOG_LEVELS[moduleLevel || this.options.level] ?? LOG_LEVELS.info;
+    return LOG_LEVELS[level] <= threshold;
+  }
+
+  log(level, message, meta = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const details = meta instanceof Error ? { error: meta.message, stack: meta.stack } : meta;
+    const { module, ...bindings } = this.bindings;
+    const fields = this.redact({ ...logContext.getStore(), ...bindings, ...details });
+    const text = this.redact(String(message));
+    const timestamp = new Date().toISOString();
+
+    if (this.options.format === 'json') {
+      this.options.write(level, JSON.stringify({ timestamp, level, ...(module && { module }), message: text, ...fields }));
+      return;
+    }
+
+    const moduleStr = module ? ` [${module}]` : '';
+    const metaStr = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    this.options.write(level, `[${timestamp}] [${level.toUpperCase()}]${moduleStr} ${text}${metaStr}`);
+  }
+
+  /**
+   * Apply the redaction policy to a value, recursively
+   */
+  redact(value, key = null) {
+    if (this.options.redact === 'none' || value === null || value === undefined) return value;
+
+    if (typeof value === 'string') {
+      return IP_FIELDS.has(key)
+        ? this.redactIp(value)
+        : value.replace(ADDRESS_PATTERN, address => this.redactAddress(address));
     }
-  },
 
-  warn: (message, meta) => {
-    if (currentLevel >= LOG_LEVELS.warn) {
-      console.warn(formatMessage('warn', message, meta));
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, key));
     }
-  },
 
-  info: (message, meta) => {
-    if (currentLevel >= LOG_LEVELS.info) {
-      console.log(formatMessage('info', message, meta));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, this.redact(item, field)]));
     }
-  },
 
-  debug: (message, meta) => {
-    if (currentLevel >= LOG_LEVELS.debug) {
-      console.log(formatMessage('debug', message, meta));
+    return value;
+  }
+
+  redactAddress(address) {
+    if (this.options.redact === 'truncate') {
+      return `${address.slice(0, 6)}…${address.slice(-4)}`;
     }
+    return `addr:${this.hash(address.toLowerCase())}`;
   }
-};
 
-module.exports = { logger };
+  redactIp(ip) {
+    if (this.options.redact === 'truncate') {
+      // Keep the network part: /24 for IPv4, /48 for IPv6
+      const v4 = ip.match(/^(.*?)(\d+\.\d+\.\d+)\.\d+$/);
+      if (v4) return `${v4[1]}${v4[2]}.0`;
+      return `${ip.split(':').slice(0, 3).join(':')}::`;
+    }
+    return `ip:${this.hash(ip)}`;
+  }
+
+  hash(value) {
+    return crypto.createHmac('sha256', this.options.salt).update(value).digest('hex').slice(0, 12);
+  }
+}
+
+const logger = new Logger();
+
+/**
+ * Get the logger of a module, whose level LOG_MODULE_LEVELS can set
+ */
+function createLogger(module) {
+  return logger.child({ module });
+}
+
+/**
+ * Run fn with fields (e.g. { correlationId }) added to every line it logs,
+ * including from the async work it starts
+ */
+function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Bind a callback to the current log context, for callbacks that would
+ * otherwise run outside it (e.g. after a streaming body parser)
+ */
+function bindLogContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+module.exports = {
+  Logger,
+  logger,
+  createLogger,
+  runWithLogContext,
+  bindLogContext
+};
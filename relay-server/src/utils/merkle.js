@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+
+/**
+ * Merkle tree helpers for the key transparency log
+ *
+ * Hashing and proofs follow RFC 6962 (Certificate Transparency): leaves are
+ * hashed as SHA-256(0x00 || data), interior nodes as
+ * SHA-256(0x01 || left || right), and the tree over n leaves splits at the
+ * largest power of two below n. Hashes are lowercase hex strings, so proofs
+ * can be checked with any RFC 6962 verifier.
+ */
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest('hex');
+}
+
+function leafHash(data) {
+  return sha256(Buffer.from([0x00]), Buffer.from(data, 'utf8'));
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.from([0x01]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+/**
+ * Largest power of two smaller than n (n > 1)
+ */
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+/**
+ * Append-only Merkle tree that caches the hash of every complete subtree:
+ * levels[h][i] covers leaves i * 2^h to (i + 1) * 2^h - 1. Appending a
+ * leaf hashes at most log n new nodes, and the root and proofs of the
+ * tree, or of any earlier size of it, take O(log² n) cached hashes.
+ */
+class MerkleTree {
+  constructor(leaves = []) {
+    this.levels = [[]];
+    for (const leaf of leaves) {
+      this.append(leaf);
+    }
+  }
+
+  get size() {
+    return this.levels[0].length;
+  }
+
+  append(leaf) {
+    this.levels[0].push(leaf);
+
+    // Each level that now has an even number of nodes completed a pair
+    for (let h = 0; this.levels[h].length % 2 === 0; h++) {
+      const nodes = this.levels[h];
+      if (!this.levels[h + 1]) this.levels.push([]);
+      this.levels[h + 1].push(nodeHash(nodes[nodes.length - 2], nodes[nodes.length - 1]));
+    }
+  }
+
+  /**
+   * Hash of the subtree over `count` leaves from `start` (count > 0).
+   * Subtrees of the RFC 6962 split are cached unless they are the right
+   * edge of a tree whose size is not a power of two.
+   */
+  rangeHash(start, count) {
+    if ((count & (count - 1)) === 0 && start % count === 0) {
+      return this.levels[Math.log2(count)][start / count];
+    }
+
+    const k = splitPoint(count);
+    return nodeHash(this.rangeHash(start, k), this.rangeHash(start + k, count - k));
+  }
+
+  rootHash(treeSize = this.size) {
+    return treeSize === 0 ? sha256() : this.rangeHash(0, treeSize);
+  }
+
+  /**
+   * Audit path proving that leaf `index` is in the tree of `treeSize` leaves
+   */
+  inclusionProof(index, treeSize = this.size) {
+    return this.path(index, 0, treeSize);
+  }
+
+  path(index, start, count) {
+    if (count <= 1) return [];
+
+    const k = splitPoint(count);
+    return index < k
+      ? [...this.path(index, start, k), this.rangeHash(start + k, count - k)]
+      : [...this.path(index - k, start + k, count - k), this.rangeHash(start, k)];
+  }
+
+  /**
+   * Proof that the tree of `firstSize` leaves is a prefix of the tree of
+   * `secondSize` leaves
+   */
+  consistencyProof(firstSize, secondSize = this.size) {
+    if (firstSize === 0 || firstSize === secondSize) return [];
+    return this.subproof(firstSize, 0, secondSize, true);
+  }
+
+  subproof(size, start, count, complete) {
+    if (size === count) return complete ? [] : [this.rangeHash(start, count)];
+
+    const k = splitPoint(count);
+    return size <= k
+      ? [...this.subproof(size, start, k, complete), this.rangeHash(start + k, count - k)]
+      : [...this.subproof(size - k, start + k, count - k, false), this.rangeHash(start, k)];
+  }
+}
+
+/**
+ * Root hash of a list of leaf hashes
+ */
+function rootHash(leaves) {
+  return new MerkleTree(leaves).rootHash();
+}
+
+/**
+ * Audit path proving that leaf `index` is in the tree over `leaves`
+ */
+function inclusionProof(index, leaves) {
+  return new MerkleTree(leaves).inclusionProof(index);
+}
+
+/**
+ * Proof that the tree over the first `size` leaves is a prefix of the tree
+ * over all `leaves`
+ */
+function consistencyProof(size, leaves) {
+  return new MerkleTree(leaves).consistencyProof(size);
+}
+
+/**
+ * Check an audit path from inclusionProof() (RFC 9162, section 2.1.3.2)
+ */
+function verifyInclusion(hash, index, treeSize, proof, root) {
+  if (index >= treeSize) return false;
+
+  let fn = index;
+  let sn = treeSize - 1;
+  let r = hash;
+
+  for (const p of proof) {
+    if (sn === 0) return false;
+
+    if (fn % 2 === 1 || fn === sn) {
+      r = nodeHash(p, r);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      r = nodeHash(r, p);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && r === root;
+}
+
+/**
+ * Check a proof from consistencyProof() (RFC 9162, section 2.1.4.2)
+ */
+function verifyConsistency(firstSize, secondSize, proof, firstRoot, secondRoot) {
+  if (firstSize > secondSize) return false;
+  if (firstSize === secondSize) return proof.length === 0 && firstRoot === secondRoot;
+  if (firstSize === 0) return proof.length === 0;
+
+  const path = (firstSize & (firstSize - 1)) === 0 ? [firstRoot, ...proof] : proof;
+  if (path.length === 0) return false;
+
+  let fn = firstSize - 1;
+  let sn = secondSize - 1;
+  while (fn % 2 === 1) {
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  let fr = path[0];
+  let sr = path[0];
+  for (const c of path.slice(1)) {
+    if (sn === 0) return false;
+
+    if (fn % 2 === 1 || fn === sn) {
+      fr = nodeHash(c, fr);
+      sr = nodeHash(c, sr);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      sr = nodeHash(sr, c);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && fr === firstRoot && sr === secondRoot;
+}
+
+module.exports = {
+  MerkleTree,
+  leafHash,
+  nodeHash,
+  rootHash,
+  inclusionProof,
+  consistencyProof,
+  verifyInclusion,
+  verifyConsistency
+};
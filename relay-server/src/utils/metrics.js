@@ -0,0 +1,199 @@
+/**
+ * Minimal Prometheus-style metrics registry
+ *
+ * Modules register their metrics once at load time and update them as
+ * they work; GET /metrics renders everything in the Prometheus text
+ * exposition format. Gauges are read from a callback when rendered.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Key for a label set, in the metric's label order
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  }
+  return picked;
+}
+
+class Counter {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    const current = this.values.get(key);
+    this.values.set(key, {
+      labels: pickLabels(this.labelNames, labels),
+      value: (current ? current.value : 0) + value
+    });
+  }
+
+  get(labels = {}) {
+    const current = this.values.get(labelKey(this.labelNames, labels));
+    return current ? current.value : 0;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  reset() {}
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      `${this.name} ${this.collect()}`
+    ];
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, {
+        labels: pickLabels(this.labelNames, labels),
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      });
+    }
+
+    const series = this.values.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(this.labelNames, labels)) || null;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a counter (or get the one already registered under the name)
+   */
+  counter(name, help, labelNames = []) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, new Counter(name, help, labelNames));
+    }
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Register a gauge whose value is read from `collect` when rendered.
+   * Registering the same name again replaces the callback.
+   */
+  gauge(name, help, collect) {
+    const gauge = new Gauge(name, help, collect);
+    this.metrics.set(name, gauge);
+    return gauge;
+  }
+
+  /**
+   * Register a histogram (or get the one already registered under the name)
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, new Histogram(name, help, labelNames, buckets));
+    }
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Zero all counters and histograms (gauges keep their callbacks)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Shared registry
+const metrics = new Metrics();
+
+module.exports = { Metrics, metrics };
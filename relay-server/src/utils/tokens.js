@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Compare tokens without leaking their contents through timing
+ *
+ * Both tokens are hashed first, so the comparison takes the same time
+ * whatever their lengths. Anything but a string never matches.
+ */
+function tokensMatch(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string') return false;
+
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { tokensMatch };
@@ -7,20 +7,26 @@
 
 const WebSocket = require('ws');
 const http = require('http');
+const { sign, privateKeyToAddress } = require('./src/utils/idenaSignature');
 
 // Test configuration
 const RELAY_URL = 'ws://localhost:3002';
 const API_BASE = 'http://localhost:3002';
 
 // Test users
+const ALICE_PRIVATE_KEY = '0x' + '11'.repeat(32);
+const BOB_PRIVATE_KEY = '0x' + '22'.repeat(32);
+
 const ALICE = {
-  address: '0x1234567890123456789012345678901234567890',
+  privateKey: ALICE_PRIVATE_KEY,
+  address: privateKeyToAddress(ALICE_PRIVATE_KEY),
   publicKey: 'alice_public_key_base64_encoded_mock',
   name: 'Alice'
 };
 
 const BOB = {
-  address: '0x9876543210987654321098765432109876543210',
+  privateKey: BOB_PRIVATE_KEY,
+  address: privateKeyToAddress(BOB_PRIVATE_KEY),
   publicKey: 'bob_public_key_base64_encoded_mock',
   name: 'Bob'
 };
@@ -66,6 +72,27 @@ function apiRequest(path, method = 'GET', body = null) {
   });
 }
 
+// Build a key registration signed by the user's Idena key
+function signedKeyRegistration(user) {
+  const timestamp = Date.now();
+  const message = ['idena-p2p', 'register-key', user.address, user.publicKey, timestamp].join(':');
+
+  return {
+    address: user.address,
+    publicKey: user.publicKey,
+    timestamp,
+    signature: sign(message, user.privateKey)
+  };
+}
+
+// Status request path, signed by the user as the viewer
+function signedStatusPath(viewer, address) {
+  const timestamp = Date.now();
+  const message = ['idena-p2p', 'get-status', viewer.address, address, timestamp].join(':');
+  return `/api/status/${address}?viewer=${viewer.address}&timestamp=${timestamp}` +
+    `&signature=${sign(message, viewer.privateKey)}`;
+}
+
 // WebSocket client wrapper
 class TestClient {
   constructor(user) {
@@ -111,22 +138,28 @@ class TestClient {
 
       const authHandler = (data) => {
         const message = JSON.parse(data.toString());
-        if (message.type === 'auth_success') {
+        if (message.type === 'auth_challenge') {
+          // Prove address ownership by signing the server nonce
+          this.send({
+            type: 'auth',
+            address: this.user.address,
+            nonce: message.nonce,
+            signature: sign(message.nonce, this.user.privateKey)
+          });
+        } else if (message.type === 'auth_success') {
           clearTimeout(authTimeout);
           this.authenticated = true;
           log(`✅ ${this.user.name} authenticated`);
           this.ws.off('message', authHandler);
           resolve();
+        } else if (message.type === 'error') {
+          clearTimeout(authTimeout);
+          this.ws.off('message', authHandler);
+          reject(new Error(`Authentication failed: ${message.code}`));
         }
       };
 
       this.ws.on('message', authHandler);
-
-      // Send authentication message
-      this.send({
-        type: 'auth',
-        address: this.user.address
-      });
     });
   }
 
@@ -139,11 +172,17 @@ class TestClient {
         log(`✉️  ${this.user.name} received message from ${message.from}`);
         log(`   Content: "${message.content}"`);
         log(`   Message ID: ${message.messageId}`);
+
+        // Queued messages are redelivered until acknowledged
+        if (message.queued) {
+          this.send({ type: 'ack', messageIds: [message.messageId] });
+        }
         break;
 
       case 'delivered':
       case 'queued':
       case 'read':
+      case 'delivery_failed':
         this.statusUpdates.push(message);
         log(`📊 ${this.user.name} status update: ${message.type} for message ${message.messageId}`);
         break;
@@ -152,6 +191,7 @@ class TestClient {
         log(`✏️  ${message.from} is typing...`);
         break;
 
+      case 'auth_challenge':
       case 'auth_success':
         // Already handled in authenticate()
         break;
@@ -233,17 +273,11 @@ async function runTests() {
     console.log('-'.repeat(80));
 
     log(`🔑 Storing ${ALICE.name}'s public key...`);
-    const aliceKeyResult = await apiRequest('/api/public-keys', 'POST', {
-      address: ALICE.address,
-      publicKey: ALICE.publicKey
-    });
+    const aliceKeyResult = await apiRequest('/api/public-keys', 'POST', signedKeyRegistration(ALICE));
     log(`✅ ${ALICE.name}'s public key stored`, aliceKeyResult);
 
     log(`🔑 Storing ${BOB.name}'s public key...`);
-    const bobKeyResult = await apiRequest('/api/public-keys', 'POST', {
-      address: BOB.address,
-      publicKey: BOB.publicKey
-    });
+    const bobKeyResult = await apiRequest('/api/public-keys', 'POST', signedKeyRegistration(BOB));
     log(`✅ ${BOB.name}'s public key stored`, bobKeyResult);
 
     // Verify keys can be retrieved
@@ -315,10 +349,10 @@ async function runTests() {
     console.log('\n📋 TEST 8: Online Status Check');
     console.log('-'.repeat(80));
 
-    const aliceStatus = await apiRequest(`/api/status/${ALICE.address}`);
+    const aliceStatus = await apiRequest(signedStatusPath(ALICE, ALICE.address));
     log(`👤 ${ALICE.name} status:`, aliceStatus);
 
-    const bobStatus = await apiRequest(`/api/status/${BOB.address}`);
+    const bobStatus = await apiRequest(signedStatusPath(BOB, BOB.address));
     log(`👤 ${BOB.name} status:`, bobStatus);
 
     // Wait for final messages
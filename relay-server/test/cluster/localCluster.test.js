@@ -0,0 +1,151 @@
+const WebSocketManager = require('../../src/services/websocketManager');
+const MessageQueue = require('../../src/services/messageQueue');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+const AuthChallengeStore = require('../../src/services/authChallengeStore');
+const RateLimiter = require('../../src/services/rateLimiter');
+const PresenceManager = require('../../src/services/presenceManager');
+const DeviceRegistry = require('../../src/services/deviceRegistry');
+const GroupManager = require('../../src/services/groupManager');
+const { MemoryStorage } = require('../../src/storage');
+const { LocalCluster, LocalClusterHub } = require('../../src/cluster');
+const { FakeWebSocketServer, createTestUser, connectAs } = require('../helpers/fakeSockets');
+
+/**
+ * One relay instance; instances that share storage and a hub form a cluster
+ */
+function createRelay(storage, hub, instanceId) {
+  const wss = new FakeWebSocketServer();
+  const messageQueue = new MessageQueue(storage);
+  const rateLimiter = new RateLimiter();
+  const wsManager = new WebSocketManager(wss, {
+    messageQueue,
+    publicKeyStore: new PublicKeyStore(storage),
+    challengeStore: new AuthChallengeStore(),
+    rateLimiter,
+    presenceManager: new PresenceManager(storage),
+    deviceRegistry: new DeviceRegistry(storage),
+    groupManager: new GroupManager(storage),
+    cluster: new LocalCluster(hub, instanceId)
+  });
+
+  return {
+    wss,
+    wsManager,
+    messageQueue,
+    stop() {
+      wsManager.closeAll();
+      messageQueue.stopCleanup();
+      rateLimiter.stopCleanup();
+    }
+  };
+}
+
+describe('two relays sharing a local cluster', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  let relayA;
+  let relayB;
+
+  beforeEach(() => {
+    const storage = new MemoryStorage();
+    const hub = new LocalClusterHub();
+    relayA = createRelay(storage, hub, 'relay-a');
+    relayB = createRelay(storage, hub, 'relay-b');
+  });
+
+  afterEach(() => {
+    relayA.stop();
+    relayB.stop();
+  });
+
+  test('delivers to a recipient connected to the other instance', async () => {
+    const aliceWs = await connectAs(relayA.wss, alice);
+    const bobWs = await connectAs(relayB.wss, bob);
+
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+
+    expect(bobWs.framesOfType('message')).toEqual([
+      expect.objectContaining({ from: alice.address, content: 'hi', messageId: 'm1' })
+    ]);
+    expect(aliceWs.lastFrame()).toMatchObject({ type: 'delivered', messageId: 'm1' });
+    expect(relayA.messageQueue.getQueueSize(bob.address)).toBe(0);
+  });
+
+  test('shares the queue between instances', async () => {
+    const aliceWs = await connectAs(relayA.wss, alice);
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+    expect(aliceWs.lastFrame()).toMatchObject({ type: 'queued' });
+
+    const bobWs = await connectAs(relayB.wss, bob);
+    expect(bobWs.framesOfType('message')).toEqual([
+      expect.objectContaining({ messageId: 'm1', queued: true })
+    ]);
+
+    // The delivered notice travels back to the sender's instance
+    await bobWs.receive({ type: 'ack', messageIds: ['m1'] });
+    expect(aliceWs.lastFrame()).toMatchObject({ type: 'delivered', messageId: 'm1', queued: true });
+  });
+
+  test('sees users online on either instance', async () => {
+    await connectAs(relayB.wss, bob);
+
+    expect(relayA.wsManager.isOnline(bob.address)).toBe(true);
+    expect(relayA.wsManager.getOnlineUsers()).toEqual([bob.address]);
+    expect(relayA.wsManager.getConnectionCount()).toBe(0);
+  });
+
+  test('pushes presence to watchers on the other instance', async () => {
+    const aliceWs = await connectAs(relayA.wss, alice);
+    await aliceWs.receive({ type: 'presence_allow', addresses: [bob.address] });
+    const bobWs = await connectAs(relayB.wss, bob);
+    await bobWs.receive({ type: 'subscribe_presence', addresses: [alice.address] });
+    expect(bobWs.lastFrame()).toMatchObject({ type: 'presence', address: alice.address, status: 'online' });
+
+    aliceWs.close();
+
+    expect(bobWs.lastFrame()).toMatchObject({ type: 'presence', address: alice.address, status: 'offline' });
+  });
+
+  test('numbers frames for a device on the instance that holds it', async () => {
+    const aliceWs = await connectAs(relayA.wss, alice);
+    const bobWs = await connectAs(relayB.wss, bob, { deviceId: 'phone' });
+
+    await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: true });
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+    expect(bobWs.sent.filter(frame => frame.from === alice.address).map(frame => [frame.type, frame.seq]))
+      .toEqual([['typing', 1], ['message', 2]]);
+
+    // Only the instance that held the device keeps its stream; a message
+    // routed elsewhere meanwhile comes from the queue
+    const { sessionToken } = bobWs.framesOfType('auth_success')[0];
+    bobWs.close();
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'missed', messageId: 'm2' });
+
+    const resumed = await connectAs(relayB.wss, bob, { deviceId: 'phone', resume: { sessionToken, lastSeq: 1 } });
+    expect(resumed.framesOfType('auth_success')[0]).toMatchObject({ resumed: true, seq: 2 });
+    expect(resumed.framesOfType('message').map(frame => [frame.messageId, frame.seq, frame.replayed || frame.queued]))
+      .toEqual([['m1', 2, true], ['m2', undefined, true]]);
+  });
+
+  test('replaces a device session held by the other instance', async () => {
+    const oldSession = await connectAs(relayA.wss, bob, { deviceId: 'phone' });
+    await connectAs(relayB.wss, bob, { deviceId: 'phone' });
+
+    expect(oldSession.lastFrame()).toMatchObject({ type: 'session_replaced' });
+    expect(oldSession.readyState).toBe(3);
+    expect(relayA.wsManager.isOnline(bob.address)).toBe(true);
+  });
+
+  test('ignores sessions of an instance that stopped sending heartbeats', async () => {
+    await connectAs(relayB.wss, bob);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + relayA.wsManager.cluster.instanceTtlMs);
+    try {
+      relayA.wsManager.cluster.heartbeat();
+      expect(relayA.wsManager.isOnline(bob.address)).toBe(false);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * A clock whose time only moves when a test advances it. Timers run in
+ * order of due time during advance(), and pending() counts the timers
+ * nobody has cancelled yet.
+ */
+function createFakeClock(start = 1700000000000) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  function schedule(fn, ms, interval) {
+    const id = nextId++;
+    timers.set(id, { fn, dueAt: now + Math.max(ms || 0, 0), interval: interval ? Math.max(ms, 1) : null });
+    return id;
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, false),
+    clearTimeout: id => timers.delete(id),
+    setInterval: (fn, ms) => schedule(fn, ms, true),
+    clearInterval: id => timers.delete(id),
+
+    pending: () => timers.size,
+
+    advance(ms) {
+      const target = now + ms;
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, timer]) => timer.dueAt <= target)
+          .sort(([, a], [, b]) => a.dueAt - b.dueAt)[0];
+        if (!due) break;
+
+        const [id, timer] = due;
+        now = timer.dueAt;
+        if (timer.interval) {
+          timer.dueAt += timer.interval;
+        } else {
+          timers.delete(id);
+        }
+        timer.fn();
+      }
+      now = target;
+    }
+  };
+}
+
+module.exports = { createFakeClock };
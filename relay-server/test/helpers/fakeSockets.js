@@ -0,0 +1,89 @@
+const { EventEmitter } = require('events');
+const { sign, privateKeyToAddress } = require('../../src/utils/idenaSignature');
+
+/**
+ * In-process stand-ins for the `ws` server and client sockets, so the
+ * WebSocket manager can be driven without opening real network sockets
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1; // OPEN
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    if (this.readyState === 3) return;
+    this.readyState = 3; // CLOSED
+    this.emit('close');
+  }
+
+  /**
+   * Deliver a frame from the client and wait for the server to handle it
+   */
+  async receive(frame) {
+    const listeners = this.listeners('message');
+    await Promise.all(listeners.map(listener => listener(Buffer.from(JSON.stringify(frame)))));
+  }
+
+  framesOfType(type) {
+    return this.sent.filter(frame => frame.type === type);
+  }
+
+  lastFrame() {
+    return this.sent[this.sent.length - 1];
+  }
+}
+
+class FakeWebSocketServer extends EventEmitter {
+  /**
+   * Open a new client connection
+   */
+  connect(ip = '127.0.0.1') {
+    const ws = new FakeSocket();
+    this.emit('connection', ws, { socket: { remoteAddress: ip }, headers: {} });
+    return ws;
+  }
+}
+
+/**
+ * Test user with a deterministic key pair
+ */
+function createTestUser(seedByte) {
+  const privateKey = `0x${seedByte.repeat(32)}`;
+  return {
+    privateKey,
+    address: privateKeyToAddress(privateKey)
+  };
+}
+
+/**
+ * Connect and complete the challenge/response handshake for a user,
+ * resuming a session when `resume` is { sessionToken, lastSeq }
+ */
+async function connectAs(wss, user, { deviceId = 'device-1', ip, resume = {} } = {}) {
+  const ws = wss.connect(ip);
+  const { nonce } = ws.framesOfType('auth_challenge')[0];
+
+  await ws.receive({
+    type: 'auth',
+    address: user.address,
+    deviceId,
+    nonce,
+    signature: sign(nonce, user.privateKey),
+    ...resume
+  });
+
+  return ws;
+}
+
+module.exports = {
+  FakeSocket,
+  FakeWebSocketServer,
+  createTestUser,
+  connectAs
+};
@@ -0,0 +1,68 @@
+const express = require('express');
+const WebSocketManager = require('../../src/services/websocketManager');
+const MessageQueue = require('../../src/services/messageQueue');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+const AuthChallengeStore = require('../../src/services/authChallengeStore');
+const ProofVerifier = require('../../src/services/proofVerifier');
+const RateLimiter = require('../../src/services/rateLimiter');
+const PresenceManager = require('../../src/services/presenceManager');
+const DeviceRegistry = require('../../src/services/deviceRegistry');
+const GroupManager = require('../../src/services/groupManager');
+const { sign } = require('../../src/utils/idenaSignature');
+const { systemClock } = require('../../src/utils/clock');
+const { FakeWebSocketServer } = require('./fakeSockets');
+
+/**
+ * Add a signed ownership proof to a REST request body or query: the
+ * signature over "idena-p2p:<action>:<address>:<fields...>:<timestamp>"
+ */
+function signed(user, action, fields, body = {}) {
+  const timestamp = Date.now();
+  const message = ProofVerifier.buildMessage(action, [user.address, ...fields], timestamp);
+  return { ...body, address: user.address, timestamp, signature: sign(message, user.privateKey) };
+}
+
+/**
+ * An app serving one router, whose routes reach a WebSocket manager and
+ * the services it uses (app.locals as in the relay), and the given clock.
+ * Stop it with stopRouteApp.
+ */
+function createRouteApp(mountPath, router, { clock = systemClock } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const messageQueue = new MessageQueue();
+  const rateLimiter = new RateLimiter();
+  const wsManager = new WebSocketManager(new FakeWebSocketServer(), {
+    messageQueue,
+    publicKeyStore: new PublicKeyStore(),
+    challengeStore: new AuthChallengeStore(),
+    rateLimiter,
+    presenceManager: new PresenceManager(),
+    deviceRegistry: new DeviceRegistry(),
+    groupManager: new GroupManager()
+  });
+
+  app.locals.wsManager = wsManager;
+  app.locals.messageQueue = messageQueue;
+  app.locals.groupManager = wsManager.groupManager;
+  app.locals.blockList = wsManager.blockList;
+  app.locals.presenceManager = wsManager.presenceManager;
+  app.locals.proofVerifier = new ProofVerifier();
+  app.locals.rateLimiter = rateLimiter;
+  app.locals.clock = clock;
+  return app;
+}
+
+function stopRouteApp(app) {
+  app.locals.wsManager.closeAll();
+  app.locals.messageQueue.stopCleanup();
+  app.locals.rateLimiter.stopCleanup();
+}
+
+module.exports = {
+  signed,
+  createRouteApp,
+  stopRouteApp
+};
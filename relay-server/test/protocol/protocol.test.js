@@ -0,0 +1,38 @@
+const { negotiateVersion, validateInbound, validateOutbound, PROTOCOL_VERSION } = require('../../src/protocol');
+
+describe('protocol', () => {
+  afterEach(() => {
+    delete process.env.PROTOCOL_MIN_VERSION;
+  });
+
+  test('picks the newest version within the client\'s range', () => {
+    expect(negotiateVersion({})).toBe(1);
+    expect(negotiateVersion({ version: PROTOCOL_VERSION + 1, minVersion: 1 })).toBe(PROTOCOL_VERSION);
+
+    // Without minVersion the client speaks only the version it declares
+    expect(negotiateVersion({ version: PROTOCOL_VERSION + 1 })).toBeNull();
+  });
+
+  test('retires versions below PROTOCOL_MIN_VERSION', () => {
+    process.env.PROTOCOL_MIN_VERSION = String(PROTOCOL_VERSION + 1);
+
+    // The relay never refuses the version it speaks itself
+    expect(negotiateVersion({ version: PROTOCOL_VERSION })).toBe(PROTOCOL_VERSION);
+  });
+
+  test('checks field types, requirements and lengths', () => {
+    const to = `0x${'ab'.repeat(20)}`;
+
+    expect(validateInbound({ type: 'read_receipt', to, messageId: 'm1' })).toBeNull();
+    expect(validateInbound({ type: 'read_receipt', to: 'bob', messageId: 'm1' })).toMatchObject({ field: 'to' });
+    expect(validateInbound({ type: 'read_receipt', to })).toMatchObject({ code: 'INVALID_FIELD', field: 'messageId' });
+    expect(validateInbound({ type: 'read_receipt', to, messageId: 'x'.repeat(129) })).toMatchObject({ field: 'messageId' });
+    expect(validateInbound({ type: 'block', addresses: [to, 7] })).toMatchObject({ field: 'addresses' });
+  });
+
+  test('accepts fields the schema does not know', () => {
+    expect(validateInbound({ type: 'ping', sentAt: 123 })).toBeNull();
+    expect(validateOutbound({ type: 'pong', timestamp: 1, extra: true })).toBeNull();
+    expect(validateOutbound({ type: 'pong' })).toMatchObject({ field: 'timestamp' });
+  });
+});
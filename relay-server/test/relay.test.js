@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createRelay } = require('../src/relay');
+const { MemoryStorage } = require('../src/storage');
+const MessageQueue = require('../src/services/messageQueue');
+const { createFakeClock } = require('./helpers/fakeClock');
+
+const tempDirs = [];
+
+function relayConfig(overrides = {}) {
+  const attachmentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-attachments-'));
+  tempDirs.push(attachmentPath);
+
+  return {
+    PORT: '0',
+    HOST: '127.0.0.1',
+    ATTACHMENT_PATH: attachmentPath,
+    ...overrides
+  };
+}
+
+function firstMessage(ws) {
+  return new Promise((resolve, reject) => {
+    ws.once('message', data => resolve(JSON.parse(data)));
+    ws.once('error', reject);
+  });
+}
+
+describe('createRelay', () => {
+  const relays = [];
+
+  function track(relay) {
+    relays.push(relay);
+    return relay;
+  }
+
+  afterEach(async () => {
+    await Promise.all(relays.splice(0).map(relay => relay.stop()));
+    for (const directory of tempDirs.splice(0)) {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('runs several independently configured relays in one process', async () => {
+    const first = track(createRelay({ config: relayConfig({ MAX_OFFLINE_MESSAGES: '5' }) }));
+    const second = track(createRelay({ config: relayConfig({ MAX_OFFLINE_MESSAGES: '7' }) }));
+
+    const [a, b] = await Promise.all([first.start(), second.start()]);
+    expect(a.port).not.toBe(b.port);
+    expect(first.services.messageQueue.maxMessagesPerUser).toBe(5);
+    expect(second.services.messageQueue.maxMessagesPerUser).toBe(7);
+
+    for (const { port } of [a, b]) {
+      const res = await fetch(`http://127.0.0.1:${port}/health`);
+      expect(res.status).toBe(200);
+      expect((await res.json()).status).toBe('ok');
+    }
+  });
+
+  test('stop closes client connections and releases the port', async () => {
+    const relay = track(createRelay({ config: relayConfig() }));
+    const { port } = await relay.start();
+
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+    expect((await firstMessage(ws)).type).toBe('auth_challenge');
+
+    const closed = new Promise(resolve => ws.once('close', resolve));
+    await relay.stop();
+    await closed;
+
+    expect(relay.server.listening).toBe(false);
+    await expect(fetch(`http://127.0.0.1:${port}/health`)).rejects.toThrow();
+  });
+
+  test('services use the injected clock and stop cancels every timer', async () => {
+    const clock = createFakeClock();
+    const relay = track(createRelay({ config: relayConfig(), clock }));
+
+    expect(clock.pending()).toBeGreaterThan(0);
+    const { expiresAt } = relay.services.challengeStore.issue();
+    expect(expiresAt).toBe(clock.now() + relay.services.challengeStore.ttlMs);
+
+    await relay.stop();
+    expect(clock.pending()).toBe(0);
+  });
+
+  test('reports messages that expired while it was down once it starts', async () => {
+    const clock = createFakeClock();
+    const storage = new MemoryStorage();
+    const bob = '0x' + '2'.repeat(40);
+
+    const previousRun = new MessageQueue(storage, { clock });
+    await previousRun.enqueue(bob, { type: 'message', from: '0x' + '1'.repeat(40), messageId: 'm1', expiresAt: clock.now() + 1000 });
+    previousRun.stopCleanup();
+    clock.advance(2000);
+
+    const relay = track(createRelay({ config: relayConfig(), clock, storage }));
+    const handleExpired = jest.spyOn(relay.services.wsManager, 'handleExpiredMessages');
+    expect(relay.services.messageQueue.getQueueSize(bob)).toBe(1);
+
+    await relay.start();
+    expect(handleExpired).toHaveBeenCalledWith(bob, [expect.objectContaining({ messageId: 'm1' })]);
+    expect(relay.services.messageQueue.getQueueSize(bob)).toBe(0);
+  });
+
+  test('uses injected storage and leaves it open on stop', async () => {
+    const storage = new MemoryStorage();
+    const close = jest.spyOn(storage, 'close');
+    const relay = track(createRelay({ config: relayConfig(), storage }));
+
+    relay.services.blockList.block('0x' + '1'.repeat(40), ['0x' + '2'.repeat(40)]);
+    expect(storage.size('blockLists')).toBeGreaterThan(0);
+
+    await relay.stop();
+    await relay.stop();
+    expect(close).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,178 @@
+const express = require('express');
+const request = require('supertest');
+const adminRoutes = require('../../src/routes/adminRoutes');
+const publicKeyRoutes = require('../../src/routes/publicKeyRoutes');
+const { requireAdmin } = require('../../src/middleware/adminToken');
+const { rejectBannedIp } = require('../../src/middleware/bans');
+const WebSocketManager = require('../../src/services/websocketManager');
+const MessageQueue = require('../../src/services/messageQueue');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+const AuthChallengeStore = require('../../src/services/authChallengeStore');
+const PresenceManager = require('../../src/services/presenceManager');
+const DeviceRegistry = require('../../src/services/deviceRegistry');
+const GroupManager = require('../../src/services/groupManager');
+const ProofVerifier = require('../../src/services/proofVerifier');
+const RateLimiter = require('../../src/services/rateLimiter');
+const BanList = require('../../src/services/banList');
+const AuditLog = require('../../src/services/auditLog');
+const { sign } = require('../../src/utils/idenaSignature');
+const { FakeWebSocketServer, createTestUser, connectAs } = require('../helpers/fakeSockets');
+
+describe('admin routes', () => {
+  const admin = createTestUser('44');
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  let app;
+  let wss;
+
+  function createApp(options) {
+    const server = express();
+    server.use(express.json());
+    server.use('/api', rejectBannedIp);
+    server.use('/api/public-keys', publicKeyRoutes);
+    server.use('/admin', requireAdmin(options), adminRoutes);
+
+    const messageQueue = new MessageQueue();
+    messageQueue.stopCleanup();
+    const rateLimiter = new RateLimiter();
+    rateLimiter.stopCleanup();
+    const publicKeyStore = new PublicKeyStore();
+    const banList = new BanList();
+    const wsManager = new WebSocketManager(wss, {
+      messageQueue,
+      publicKeyStore,
+      challengeStore: new AuthChallengeStore(),
+      rateLimiter,
+      presenceManager: new PresenceManager(),
+      deviceRegistry: new DeviceRegistry(),
+      groupManager: new GroupManager(),
+      banList
+    });
+
+    Object.assign(server.locals, {
+      messageQueue,
+      rateLimiter,
+      banList,
+      publicKeyStore,
+      wsManager,
+      proofVerifier: new ProofVerifier(),
+      auditLog: new AuditLog()
+    });
+    return server;
+  }
+
+  function signedHeaders(user, method, url) {
+    const timestamp = Date.now();
+    const message = ProofVerifier.buildMessage('admin', [user.address, method, url], timestamp);
+    return {
+      'X-Admin-Address': user.address,
+      'X-Admin-Timestamp': String(timestamp),
+      'X-Admin-Signature': sign(message, user.privateKey)
+    };
+  }
+
+  beforeEach(() => {
+    wss = new FakeWebSocketServer();
+    app = createApp({ token: 'secret', addresses: [admin.address] });
+  });
+
+  afterEach(() => {
+    app.locals.wsManager.closeAll();
+  });
+
+  test('is disabled without a token or admin addresses', async () => {
+    const disabled = createApp({});
+    const res = await request(disabled).get('/admin/bans');
+    disabled.locals.wsManager.closeAll();
+
+    expect(res.status).toBe(404);
+  });
+
+  test('accepts the token or a request signed by an admin address', async () => {
+    const withToken = await request(app).get('/admin/bans').set('Authorization', 'Bearer secret');
+    expect(withToken.status).toBe(200);
+
+    const signed = await request(app).get('/admin/bans?x=1').set(signedHeaders(admin, 'GET', '/admin/bans?x=1'));
+    expect(signed.status).toBe(200);
+
+    const otherPath = await request(app).get('/admin/queues').set(signedHeaders(admin, 'GET', '/admin/bans'));
+    expect(otherPath.status).toBe(401);
+
+    const notAdmin = await request(app).get('/admin/bans').set(signedHeaders(alice, 'GET', '/admin/bans'));
+    expect(notAdmin.status).toBe(401);
+  });
+
+  test('lists connections and force-disconnects an address', async () => {
+    const ws = await connectAs(wss, bob, { deviceId: 'phone' });
+
+    const list = await request(app).get('/admin/connections').set('Authorization', 'Bearer secret');
+    expect(list.body.connections).toEqual([
+      expect.objectContaining({ address: bob.address, deviceId: 'phone', ip: '127.0.0.1' })
+    ]);
+
+    const res = await request(app).delete(`/admin/connections/${bob.address}`).set('Authorization', 'Bearer secret');
+    expect(res.body.disconnected).toBe(1);
+    expect(ws.lastFrame()).toMatchObject({ type: 'session_closed', reason: 'disconnected' });
+  });
+
+  test('inspects and purges a queue', async () => {
+    await app.locals.messageQueue.enqueue(bob.address, { messageId: 'm1', from: alice.address, to: bob.address });
+
+    const inspect = await request(app).get(`/admin/queues/${bob.address}`).set('Authorization', 'Bearer secret');
+    expect(inspect.body.messages).toEqual([expect.objectContaining({ messageId: 'm1' })]);
+
+    const purge = await request(app).delete(`/admin/queues/${bob.address}`).set('Authorization', 'Bearer secret');
+    expect(purge.body.purged).toBe(1);
+    expect(app.locals.messageQueue.getQueueSize(bob.address)).toBe(0);
+  });
+
+  test('bans an address on the handshake and on REST until unbanned', async () => {
+    const ws = await connectAs(wss, alice);
+
+    const ban = await request(app)
+      .post('/admin/bans')
+      .set('Authorization', 'Bearer secret')
+      .send({ type: 'address', value: alice.address, reason: 'spam' });
+    expect(ban.body).toMatchObject({ success: true, disconnected: 1, ban: { bannedBy: 'token', reason: 'spam' } });
+    expect(ws.lastFrame()).toMatchObject({ type: 'session_closed', reason: 'banned' });
+
+    const timestamp = Date.now();
+    const message = ProofVerifier.buildMessage('register-key', [alice.address, 'key'], timestamp);
+    const body = { address: alice.address, publicKey: 'key', timestamp, signature: sign(message, alice.privateKey) };
+    const rejected = await request(app).post('/api/public-keys').send(body);
+    expect(rejected.status).toBe(403);
+    expect(rejected.body.code).toBe('BANNED');
+
+    const unban = await request(app)
+      .delete(`/admin/bans/address/${alice.address}`)
+      .set('Authorization', 'Bearer secret');
+    expect(unban.body.success).toBe(true);
+    expect((await connectAs(wss, alice)).lastFrame()).toMatchObject({ type: 'auth_success' });
+  });
+
+  test('rejects REST requests from a banned IP', async () => {
+    app.locals.banList.ban('ip', '127.0.0.1');
+
+    const res = await request(app).get(`/api/public-keys/${alice.address}`);
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('BANNED');
+  });
+
+  test('records admin actions in the audit log', async () => {
+    await request(app)
+      .post('/admin/bans')
+      .set(signedHeaders(admin, 'POST', '/admin/bans'))
+      .send({ type: 'ip', value: '203.0.113.7' });
+    await request(app).get('/admin/bans').set('Authorization', 'Bearer guess');
+
+    const res = await request(app).get('/admin/audit').set('Authorization', 'Bearer secret');
+    expect(res.body.entries).toEqual([
+      expect.objectContaining({
+        actor: admin.address,
+        action: 'POST /admin/bans',
+        status: 200,
+        details: { type: 'ip', value: '203.0.113.7' }
+      })
+    ]);
+  });
+});
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const attachmentRoutes = require('../../src/routes/attachmentRoutes');
+const AttachmentStore = require('../../src/services/attachmentStore');
+const ProofVerifier = require('../../src/services/proofVerifier');
+const RateLimiter = require('../../src/services/rateLimiter');
+const { createTestUser } = require('../helpers/fakeSockets');
+const { signed } = require('../helpers/routeApps');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/attachments', attachmentRoutes);
+  app.locals.attachmentStore = new AttachmentStore(
+    undefined,
+    fs.mkdtempSync(path.join(os.tmpdir(), 'relay-attachments-'))
+  );
+  app.locals.attachmentStore.chunkSize = 4;
+  app.locals.proofVerifier = new ProofVerifier();
+  app.locals.rateLimiter = new RateLimiter();
+  return app;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+describe('attachment routes', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  const carol = createTestUser('33');
+  const blob = Buffer.from('encrypted-bytes');
+  let app;
+
+  function startUpload(user, data = blob, recipients = [bob.address]) {
+    const hash = sha256(data);
+    return request(app)
+      .post('/api/attachments/uploads')
+      .send(signed(user, 'create-upload', [hash, data.length, recipients.join(',')], {
+        size: data.length,
+        sha256: hash,
+        recipients
+      }));
+  }
+
+  function putChunk(uploadId, offset, chunk) {
+    return request(app)
+      .put(`/api/attachments/uploads/${uploadId}`)
+      .query({ offset })
+      .set('Content-Type', 'application/octet-stream')
+      .send(chunk);
+  }
+
+  async function upload(user, data = blob) {
+    const { body } = await startUpload(user, data);
+    let last;
+    for (let offset = 0; offset < data.length; offset += 4) {
+      last = await putChunk(body.uploadId, offset, data.subarray(offset, offset + 4));
+    }
+    return last.body;
+  }
+
+  function download(user, attachmentId) {
+    return request(app)
+      .get(`/api/attachments/${attachmentId}`)
+      .query(signed(user, 'download-attachment', [attachmentId]))
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+  }
+
+  beforeEach(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    app.locals.attachmentStore.stopCleanup();
+    app.locals.rateLimiter.stopCleanup();
+    fs.rmSync(app.locals.attachmentStore.directory, { recursive: true, force: true });
+  });
+
+  test('uploads in chunks and names the attachment by its uploader and hash', async () => {
+    const result = await upload(alice);
+
+    expect(result).toMatchObject({
+      complete: true,
+      attachmentId: sha256(`${alice.address}:${sha256(blob)}`),
+      receivedBytes: blob.length
+    });
+  });
+
+  test('creates the attachment directory with the first upload', async () => {
+    const { directory } = app.locals.attachmentStore;
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    new AttachmentStore(undefined, directory).stopCleanup();
+    expect(fs.existsSync(directory)).toBe(false);
+
+    expect(await upload(alice)).toMatchObject({ complete: true });
+    expect(fs.existsSync(directory)).toBe(true);
+  });
+
+  test('does not reveal content another address uploaded', async () => {
+    const fromAlice = await upload(alice);
+
+    const res = await startUpload(carol);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ complete: false, receivedBytes: 0 });
+
+    const fromCarol = await upload(carol);
+    expect(fromCarol.attachmentId).not.toBe(fromAlice.attachmentId);
+    expect((await download(bob, fromAlice.attachmentId)).status).toBe(200);
+  });
+
+  test('continues the pending upload of the same content', async () => {
+    const first = await startUpload(alice);
+    const second = await startUpload(alice, blob, [carol.address]);
+
+    expect(second.body.uploadId).toBe(first.body.uploadId);
+
+    const { attachmentId } = await upload(alice);
+    expect((await download(bob, attachmentId)).status).toBe(200);
+    expect((await download(carol, attachmentId)).status).toBe(200);
+  });
+
+  test('resumes from the offset the relay reports', async () => {
+    const { body } = await startUpload(alice);
+    await putChunk(body.uploadId, 0, blob.subarray(0, 4));
+
+    const wrongOffset = await putChunk(body.uploadId, 0, blob.subarray(0, 4));
+    expect(wrongOffset.status).toBe(409);
+    expect(wrongOffset.body).toMatchObject({ code: 'UPLOAD_OFFSET_MISMATCH', receivedBytes: 4 });
+
+    const status = await request(app).get(`/api/attachments/uploads/${body.uploadId}`);
+    expect(status.body.receivedBytes).toBe(4);
+  });
+
+  test('writes one chunk of an upload at a time', async () => {
+    const { body } = await startUpload(alice);
+
+    const results = await Promise.all([
+      putChunk(body.uploadId, 0, blob.subarray(0, 4)),
+      putChunk(body.uploadId, 0, blob.subarray(0, 4))
+    ]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 409]);
+    expect(app.locals.attachmentStore.getUpload(body.uploadId).receivedBytes).toBe(4);
+  });
+
+  test('rejects content that does not match the declared hash', async () => {
+    const { body } = await startUpload(alice);
+    const res = await putChunk(body.uploadId, 0, Buffer.from('nope'));
+    await putChunk(body.uploadId, 4, Buffer.from('nope'));
+    await putChunk(body.uploadId, 8, Buffer.from('nope'));
+    const last = await putChunk(body.uploadId, 12, Buffer.from('zzz'));
+
+    expect(res.status).toBe(200);
+    expect(last.status).toBe(422);
+    expect(last.body.code).toBe('HASH_MISMATCH');
+  });
+
+  test('lets only the uploader and named recipients download', async () => {
+    const { attachmentId } = await upload(alice);
+
+    const asBob = await download(bob, attachmentId);
+    expect(asBob.status).toBe(200);
+    expect(Buffer.compare(asBob.body, blob)).toBe(0);
+
+    expect((await download(alice, attachmentId)).status).toBe(200);
+    expect((await download(carol, attachmentId)).status).toBe(404);
+  });
+
+  test('enforces the per-user quota', async () => {
+    app.locals.attachmentStore.quotaBytes = blob.length + 5;
+    await upload(alice);
+
+    const res = await startUpload(alice, Buffer.from('another blob'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('QUOTA_EXCEEDED');
+  });
+
+  test('expires attachments with the message retention period', async () => {
+    const { attachmentId } = await upload(alice);
+    const store = app.locals.attachmentStore;
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + store.retentionHours * 3600000);
+    try {
+      expect(store.cleanup()).toBe(1);
+    } finally {
+      Date.now.mockRestore();
+    }
+
+    expect(fs.existsSync(store.blobPath(attachmentId))).toBe(false);
+    expect((await download(bob, attachmentId)).status).toBe(404);
+  });
+
+  test('deletes an attachment for its uploader', async () => {
+    const { attachmentId } = await upload(alice);
+
+    const asBob = await request(app)
+      .delete(`/api/attachments/${attachmentId}`)
+      .send(signed(bob, 'delete-attachment', [attachmentId]));
+    expect(asBob.status).toBe(404);
+
+    const asAlice = await request(app)
+      .delete(`/api/attachments/${attachmentId}`)
+      .send(signed(alice, 'delete-attachment', [attachmentId]));
+    expect(asAlice.body.success).toBe(true);
+  });
+});
@@ -0,0 +1,61 @@
+const request = require('supertest');
+const blockRoutes = require('../../src/routes/blockRoutes');
+const { createTestUser } = require('../helpers/fakeSockets');
+const { signed, createRouteApp, stopRouteApp } = require('../helpers/routeApps');
+
+describe('block routes', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  const mallory = createTestUser('33');
+  let app;
+
+  function block(user, addresses) {
+    return request(app)
+      .post('/api/blocks')
+      .send(signed(user, 'block-addresses', [addresses.join(',')], { addresses }));
+  }
+
+  beforeEach(() => {
+    app = createRouteApp('/api/blocks', blockRoutes);
+  });
+
+  afterEach(() => {
+    stopRouteApp(app);
+  });
+
+  test('blocks addresses and purges their queued messages', async () => {
+    await app.locals.messageQueue.enqueue(bob.address, { type: 'message', from: mallory.address, messageId: 'm1' });
+
+    const res = await block(bob, [mallory.address]);
+    expect(res.body).toMatchObject({ success: true, added: [mallory.address] });
+    expect(app.locals.messageQueue.getQueueSize(bob.address)).toBe(0);
+
+    const list = await request(app)
+      .get('/api/blocks')
+      .query(signed(bob, 'list-blocks', []));
+    expect(list.body.blocked).toEqual([mallory.address]);
+  });
+
+  test('rejects a block signed by another address', async () => {
+    const body = { ...signed(mallory, 'block-addresses', [alice.address], { addresses: [alice.address] }), address: bob.address };
+    const res = await request(app).post('/api/blocks').send(body);
+
+    expect(res.status).toBe(401);
+    expect(app.locals.blockList.getBlocked(bob.address)).toEqual([]);
+  });
+
+  test('unblocks an address', async () => {
+    await block(bob, [mallory.address]);
+
+    const res = await request(app)
+      .delete(`/api/blocks/${mallory.address}`)
+      .send(signed(bob, 'unblock-address', [mallory.address]));
+    expect(res.body.success).toBe(true);
+    expect(app.locals.blockList.isBlocked(bob.address, mallory.address)).toBe(false);
+
+    const again = await request(app)
+      .delete(`/api/blocks/${mallory.address}`)
+      .send(signed(bob, 'unblock-address', [mallory.address]));
+    expect(again.status).toBe(404);
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const groupRoutes = require('../../src/routes/groupRoutes');
+const { createTestUser } = require('../helpers/fakeSockets');
+const { signed, createRouteApp, stopRouteApp } = require('../helpers/routeApps');
+
+describe('group routes', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  const carol = createTestUser('33');
+  let app;
+
+  async function createGroup(creator, members) {
+    const res = await request(app)
+      .post('/api/groups')
+      .send(signed(creator, 'create-group', ['Team', members.join(',')], { name: 'Team', members }));
+    return res.body.group;
+  }
+
+  beforeEach(() => {
+    app = createRouteApp('/api/groups', groupRoutes);
+  });
+
+  afterEach(() => {
+    stopRouteApp(app);
+  });
+
+  test('creates a group and queues the event for offline members', async () => {
+    const group = await createGroup(alice, [bob.address]);
+
+    expect(group.members.map(member => member.role)).toEqual(['admin', 'member']);
+    expect(app.locals.messageQueue.peek(bob.address)).toEqual([
+      expect.objectContaining({ type: 'group_event', event: 'created', groupId: group.groupId })
+    ]);
+  });
+
+  test('rejects a create request signed by another address', async () => {
+    const body = { ...signed(carol, 'create-group', ['Team', ''], { name: 'Team', members: [] }), address: alice.address };
+    const res = await request(app).post('/api/groups').send(body);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('PROOF_INVALID');
+  });
+
+  test('returns a group only to its members', async () => {
+    const group = await createGroup(alice, [bob.address]);
+
+    const asBob = await request(app)
+      .get(`/api/groups/${group.groupId}`)
+      .query(signed(bob, 'get-group', [group.groupId]));
+    expect(asBob.status).toBe(200);
+    expect(asBob.body.groupId).toBe(group.groupId);
+
+    const asCarol = await request(app)
+      .get(`/api/groups/${group.groupId}`)
+      .query(signed(carol, 'get-group', [group.groupId]));
+    expect(asCarol.status).toBe(404);
+    expect(asCarol.body.code).toBe('GROUP_NOT_FOUND');
+  });
+
+  test('lists the caller\'s groups', async () => {
+    await createGroup(alice, [bob.address]);
+    await createGroup(carol, []);
+
+    const res = await request(app).get('/api/groups').query(signed(bob, 'list-groups', []));
+
+    expect(res.body.count).toBe(1);
+  });
+
+  test('lets admins add members', async () => {
+    const group = await createGroup(alice, [bob.address]);
+
+    const asBob = await request(app)
+      .post(`/api/groups/${group.groupId}/members`)
+      .send(signed(bob, 'add-group-members', [group.groupId, carol.address], { members: [carol.address] }));
+    expect(asBob.status).toBe(403);
+
+    const asAlice = await request(app)
+      .post(`/api/groups/${group.groupId}/members`)
+      .send(signed(alice, 'add-group-members', [group.groupId, carol.address], { members: [carol.address] }));
+    expect(asAlice.body.added).toEqual([carol.address]);
+  });
+
+  test('lets a member leave and tells them', async () => {
+    const group = await createGroup(alice, [bob.address]);
+
+    const res = await request(app)
+      .delete(`/api/groups/${group.groupId}/members/${bob.address}`)
+      .send(signed(bob, 'remove-group-member', [group.groupId, bob.address]));
+
+    expect(res.body).toMatchObject({ success: true, removed: bob.address });
+    expect(app.locals.messageQueue.peek(bob.address).map(msg => msg.event)).toEqual(['created', 'member_left']);
+  });
+
+  test('refuses to demote the last admin', async () => {
+    const group = await createGroup(alice, [bob.address]);
+
+    const res = await request(app)
+      .put(`/api/groups/${group.groupId}/members/${alice.address}/role`)
+      .send(signed(alice, 'set-group-role', [group.groupId, alice.address, 'member'], { role: 'member' }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('GROUP_INVALID');
+  });
+});
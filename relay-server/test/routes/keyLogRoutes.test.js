@@ -0,0 +1,114 @@
+const express = require('express');
+const request = require('supertest');
+const keyLogRoutes = require('../../src/routes/keyLogRoutes');
+const KeyTransparencyLog = require('../../src/services/keyTransparencyLog');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+const MemoryStorage = require('../../src/storage/memoryStorage');
+const merkle = require('../../src/utils/merkle');
+const { verifySignature } = require('../../src/utils/idenaSignature');
+const { createTestUser } = require('../helpers/fakeSockets');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/key-log', keyLogRoutes);
+  app.locals.keyLog = new KeyTransparencyLog(undefined, { privateKey: createTestUser('99').privateKey });
+  app.locals.publicKeyStore = new PublicKeyStore(undefined, app.locals.keyLog);
+  return app;
+}
+
+describe('key log routes', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  let app;
+  let publicKeyStore;
+
+  beforeEach(() => {
+    app = createApp();
+    publicKeyStore = app.locals.publicKeyStore;
+  });
+
+  test('serves a tree head signed by the relay', async () => {
+    await publicKeyStore.store(alice.address, 'alice-key');
+    const { body: head } = await request(app).get('/api/key-log/head');
+
+    expect(head).toMatchObject({ treeSize: 1, signer: createTestUser('99').address.toLowerCase() });
+    const message = KeyTransparencyLog.treeHeadMessage(head.treeSize, head.rootHash, head.timestamp);
+    expect(verifySignature(message, head.signature, head.signer)).toBe(true);
+  });
+
+  test('records every key change with an inclusion proof', async () => {
+    await publicKeyStore.store(alice.address, 'alice-key-1');
+    await publicKeyStore.store(bob.address, 'bob-key');
+    await publicKeyStore.store(alice.address, 'alice-key-1');
+    await publicKeyStore.store(alice.address, 'alice-key-2');
+    await publicKeyStore.delete(alice.address);
+
+    const { body } = await request(app).get(`/api/key-log/history/${alice.address}`);
+
+    expect(body.entries.map(({ entry }) => [entry.action, entry.publicKey])).toEqual([
+      ['register', 'alice-key-1'],
+      ['register', 'alice-key-2'],
+      ['delete', null]
+    ]);
+    for (const { index, leaf, auditPath } of body.entries) {
+      const included = merkle.verifyInclusion(merkle.leafHash(leaf), index, body.treeHead.treeSize, auditPath, body.treeHead.rootHash);
+      expect(included).toBe(true);
+    }
+  });
+
+  test('proves that a later tree head extends an earlier one', async () => {
+    await publicKeyStore.store(alice.address, 'alice-key');
+    await publicKeyStore.store(bob.address, 'bob-key');
+    const { body: first } = await request(app).get('/api/key-log/head');
+
+    await publicKeyStore.store(alice.address, 'alice-key-2');
+    const { body: second } = await request(app).get('/api/key-log/head');
+
+    const { body } = await request(app).get('/api/key-log/consistency').query({ first: first.treeSize });
+    expect(body).toMatchObject({ firstSize: 2, secondSize: 3 });
+    expect(merkle.verifyConsistency(2, 3, body.proof, first.rootHash, second.rootHash)).toBe(true);
+  });
+
+  test('rejects tree sizes the log does not have', async () => {
+    await publicKeyStore.store(alice.address, 'alice-key');
+
+    const res = await request(app).get('/api/key-log/consistency').query({ first: 1, second: 5 });
+    expect(res.status).toBe(400);
+  });
+
+  test('includes entries another instance appended to the shared storage', async () => {
+    const storage = new MemoryStorage();
+    const privateKey = createTestUser('99').privateKey;
+    const first = new KeyTransparencyLog(storage, { privateKey });
+    first.append({ address: alice.address.toLowerCase(), action: 'register', publicKey: 'alice-key' });
+
+    const second = new KeyTransparencyLog(storage, { privateKey });
+    app.locals.keyLog = second;
+    first.append({ address: bob.address.toLowerCase(), action: 'register', publicKey: 'bob-key' });
+    first.append({ address: alice.address.toLowerCase(), action: 'register', publicKey: 'alice-key-2' });
+
+    const { body: head } = await request(app).get('/api/key-log/head');
+    expect(head).toMatchObject({ treeSize: 3, rootHash: first.treeHead().rootHash });
+
+    const { body: history } = await request(app).get(`/api/key-log/history/${alice.address}`);
+    const [, latest] = history.entries;
+    expect(merkle.verifyInclusion(merkle.leafHash(latest.leaf), 2, 3, latest.auditPath, head.rootHash)).toBe(true);
+
+    const { body: consistency } = await request(app).get('/api/key-log/consistency').query({ first: 1 });
+    const firstRoot = merkle.leafHash(first.getEntries(0, 1)[0]);
+    expect(merkle.verifyConsistency(1, 3, consistency.proof, firstRoot, head.rootHash)).toBe(true);
+
+    second.append({ address: bob.address.toLowerCase(), action: 'delete' });
+    expect(first.treeHead()).toMatchObject({ treeSize: 4, rootHash: second.treeHead().rootHash });
+  });
+
+  test('serves raw entries to monitors', async () => {
+    await publicKeyStore.store(alice.address, 'alice-key');
+    await publicKeyStore.store(bob.address, 'bob-key');
+
+    const { body } = await request(app).get('/api/key-log/entries').query({ start: 1 });
+    expect(body.count).toBe(1);
+    expect(JSON.parse(body.entries[0])).toMatchObject({ index: 1, address: bob.address.toLowerCase(), publicKey: 'bob-key' });
+  });
+});
@@ -0,0 +1,60 @@
+const request = require('supertest');
+const messageRoutes = require('../../src/routes/messageRoutes');
+const { createTestUser } = require('../helpers/fakeSockets');
+const { signed, createRouteApp, stopRouteApp } = require('../helpers/routeApps');
+
+describe('message routes', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  const mallory = createTestUser('33');
+  let app;
+
+  beforeEach(async () => {
+    app = createRouteApp('/api/messages', messageRoutes);
+    await app.locals.messageQueue.enqueue(bob.address, {
+      type: 'message',
+      from: alice.address,
+      content: 'hi',
+      messageId: 'm1',
+      timestamp: Date.now()
+    });
+  });
+
+  afterEach(() => {
+    stopRouteApp(app);
+  });
+
+  test('shows the owner their queued messages without removing them', async () => {
+    const res = await request(app)
+      .get(`/api/messages/${bob.address}`)
+      .query(signed(bob, 'list-messages', []));
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages).toEqual([expect.objectContaining({ messageId: 'm1', from: alice.address })]);
+    expect(app.locals.messageQueue.getQueueSize(bob.address)).toBe(1);
+  });
+
+  test('refuses to show the queue without the owner\'s proof', async () => {
+    const unsigned = await request(app).get(`/api/messages/${bob.address}`);
+    expect(unsigned.status).toBe(401);
+    expect(unsigned.body.code).toBe('PROOF_MISSING');
+
+    const forged = await request(app)
+      .get(`/api/messages/${bob.address}`)
+      .query({ ...signed(mallory, 'list-messages', []), address: bob.address });
+    expect(forged.status).toBe(401);
+    expect(app.locals.messageQueue.getQueueSize(bob.address)).toBe(1);
+  });
+
+  test('shows dead-lettered messages to their owner only', async () => {
+    app.locals.messageQueue.storage.addDeadLetters(bob.address, [{ messageId: 'm0', from: alice.address, content: 'lost' }]);
+
+    const unsigned = await request(app).get(`/api/messages/${bob.address}/dead-letters`);
+    expect(unsigned.status).toBe(401);
+
+    const res = await request(app)
+      .get(`/api/messages/${bob.address}/dead-letters`)
+      .query(signed(bob, 'list-dead-letters', []));
+    expect(res.body.messages).toEqual([expect.objectContaining({ messageId: 'm0' })]);
+  });
+});
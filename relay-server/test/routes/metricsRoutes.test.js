@@ -0,0 +1,50 @@
+const express = require('express');
+const request = require('supertest');
+const metricsRoutes = require('../../src/routes/metricsRoutes');
+const { metrics } = require('../../src/utils/metrics');
+const { trackHttpMetrics } = require('../../src/middleware/metrics');
+const { requireBearerToken } = require('../../src/middleware/adminToken');
+
+function createApp(token) {
+  const app = express();
+  app.use(trackHttpMetrics);
+  app.get('/api/status/:address', (req, res) => res.json({ online: false }));
+  app.use('/metrics', requireBearerToken(token), metricsRoutes);
+  return app;
+}
+
+describe('metrics route', () => {
+  beforeEach(() => {
+    metrics.reset();
+  });
+
+  test('is disabled without a configured token', async () => {
+    const res = await request(createApp(undefined)).get('/metrics');
+
+    expect(res.status).toBe(404);
+  });
+
+  test('rejects a wrong token', async () => {
+    const res = await request(createApp('secret'))
+      .get('/metrics')
+      .set('Authorization', 'Bearer guess');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('renders metrics for the admin token', async () => {
+    const app = createApp('secret');
+    await request(app).get('/api/status/0x1111111111111111111111111111111111111111');
+
+    const res = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer secret');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toContain(
+      'relay_http_request_duration_seconds_count{method="GET",route="/api/status/:address",status="200"} 1'
+    );
+  });
+});
@@ -0,0 +1,254 @@
+const express = require('express');
+const request = require('supertest');
+const publicKeyRoutes = require('../../src/routes/publicKeyRoutes');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+const ProofVerifier = require('../../src/services/proofVerifier');
+const RateLimiter = require('../../src/services/rateLimiter');
+const IdentityGate = require('../../src/services/identityGate');
+const { MockIdentityProvider } = require('../../src/identity');
+const WebSocketManager = require('../../src/services/websocketManager');
+const MessageQueue = require('../../src/services/messageQueue');
+const AuthChallengeStore = require('../../src/services/authChallengeStore');
+const PresenceManager = require('../../src/services/presenceManager');
+const DeviceRegistry = require('../../src/services/deviceRegistry');
+const GroupManager = require('../../src/services/groupManager');
+const { sign } = require('../../src/utils/idenaSignature');
+const { FakeWebSocketServer, createTestUser, connectAs } = require('../helpers/fakeSockets');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/public-keys', publicKeyRoutes);
+  app.locals.publicKeyStore = new PublicKeyStore();
+  app.locals.proofVerifier = new ProofVerifier();
+  app.locals.rateLimiter = new RateLimiter();
+  app.locals.rateLimiter.stopCleanup();
+  return app;
+}
+
+function registerBody(user, publicKey, timestamp = Date.now()) {
+  const message = ProofVerifier.buildMessage('register-key', [user.address, publicKey], timestamp);
+  return {
+    address: user.address,
+    publicKey,
+    timestamp,
+    signature: sign(message, user.privateKey)
+  };
+}
+
+function preKeyBody(user, preKeys, timestamp = Date.now()) {
+  const digest = PublicKeyStore.preKeyDigest(preKeys.signedPreKey, preKeys.oneTimePreKeys);
+  const message = ProofVerifier.buildMessage('upload-prekeys', [user.address, digest], timestamp);
+  return { ...preKeys, timestamp, signature: sign(message, user.privateKey) };
+}
+
+function deleteBody(user, timestamp = Date.now()) {
+  const message = ProofVerifier.buildMessage('delete-key', [user.address], timestamp);
+  return { timestamp, signature: sign(message, user.privateKey) };
+}
+
+describe('public key routes', () => {
+  const alice = createTestUser('11');
+  const mallory = createTestUser('33');
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+  });
+
+  describe('POST /api/public-keys', () => {
+    test('stores a key signed by the address owner', async () => {
+      const res = await request(app).post('/api/public-keys').send(registerBody(alice, 'alice-key'));
+
+      expect(res.status).toBe(200);
+      expect(await app.locals.publicKeyStore.get(alice.address)).toMatchObject({ publicKey: 'alice-key' });
+    });
+
+    test('stores a signed home relay hint with the key', async () => {
+      const homeRelay = 'wss://relay.example.org';
+      const timestamp = Date.now();
+      const message = ProofVerifier.buildMessage('register-key', [alice.address, 'alice-key', homeRelay], timestamp);
+      const body = {
+        address: alice.address,
+        publicKey: 'alice-key',
+        homeRelay,
+        timestamp,
+        signature: sign(message, alice.privateKey)
+      };
+
+      const forged = await request(app).post('/api/public-keys').send({ ...registerBody(alice, 'alice-key'), homeRelay });
+      expect(forged.body.code).toBe('PROOF_INVALID');
+
+      await request(app).post('/api/public-keys').send(body);
+      const res = await request(app).get(`/api/public-keys/${alice.address}`);
+      expect(res.body).toMatchObject({ publicKey: 'alice-key', homeRelay });
+    });
+
+    test('rejects an unsigned request', async () => {
+      const res = await request(app)
+        .post('/api/public-keys')
+        .send({ address: alice.address, publicKey: 'evil-key' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('PROOF_MISSING');
+    });
+
+    test('rejects a proof signed by another address', async () => {
+      const body = { ...registerBody(mallory, 'evil-key'), address: alice.address };
+      const res = await request(app).post('/api/public-keys').send(body);
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('PROOF_INVALID');
+      expect(await app.locals.publicKeyStore.exists(alice.address)).toBe(false);
+    });
+
+    test('rejects a proof for a different key', async () => {
+      const body = { ...registerBody(alice, 'alice-key'), publicKey: 'evil-key' };
+      const res = await request(app).post('/api/public-keys').send(body);
+
+      expect(res.body.code).toBe('PROOF_INVALID');
+    });
+
+    test('rejects a stale proof', async () => {
+      const body = registerBody(alice, 'alice-key', Date.now() - 10 * 60 * 1000);
+      const res = await request(app).post('/api/public-keys').send(body);
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('PROOF_EXPIRED');
+    });
+
+    test('rejects a replayed proof', async () => {
+      const body = registerBody(alice, 'alice-key');
+      await request(app).post('/api/public-keys').send(body);
+      const res = await request(app).post('/api/public-keys').send(body);
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('PROOF_REPLAYED');
+    });
+
+    test('refuses a key from an identity state the policy excludes', async () => {
+      const provider = new MockIdentityProvider({ states: { [alice.address]: 'Candidate' } });
+      app.locals.identityGate = new IdentityGate(provider);
+
+      const refused = await request(app).post('/api/public-keys').send(registerBody(alice, 'alice-key'));
+      expect(refused.status).toBe(403);
+      expect(refused.body).toMatchObject({ code: 'IDENTITY_NOT_ALLOWED', state: 'Candidate' });
+      expect(await app.locals.publicKeyStore.exists(alice.address)).toBe(false);
+
+      const allowed = await request(app).post('/api/public-keys').send(registerBody(mallory, 'mallory-key'));
+      expect(allowed.status).toBe(200);
+    });
+  });
+
+  describe('prekey bundles', () => {
+    const signedPreKey = { keyId: 1, publicKey: 'spk-1', signature: 'spk-1-signed-by-identity-key' };
+    const oneTimePreKeys = [{ keyId: 10, publicKey: 'otk-10' }, { keyId: 11, publicKey: 'otk-11' }];
+    let wss;
+    let messageQueue;
+
+    beforeEach(async () => {
+      wss = new FakeWebSocketServer();
+      messageQueue = new MessageQueue();
+      messageQueue.stopCleanup();
+      app.locals.wsManager = new WebSocketManager(wss, {
+        messageQueue,
+        publicKeyStore: app.locals.publicKeyStore,
+        challengeStore: new AuthChallengeStore(),
+        rateLimiter: app.locals.rateLimiter,
+        presenceManager: new PresenceManager(),
+        deviceRegistry: new DeviceRegistry(),
+        groupManager: new GroupManager()
+      });
+      await app.locals.publicKeyStore.store(alice.address, 'alice-identity-key');
+    });
+
+    afterEach(() => {
+      app.locals.wsManager.closeAll();
+    });
+
+    test('hands out each one-time prekey once', async () => {
+      const upload = await request(app)
+        .put(`/api/public-keys/${alice.address}/prekeys`)
+        .send(preKeyBody(alice, { signedPreKey, oneTimePreKeys }));
+      expect(upload.body).toEqual({ success: true, oneTimePreKeyCount: 2 });
+
+      const bundles = [];
+      for (let i = 0; i < 3; i++) {
+        bundles.push((await request(app).get(`/api/public-keys/${alice.address}/bundle`)).body);
+      }
+
+      expect(bundles[0]).toEqual({
+        address: alice.address.toLowerCase(),
+        identityKey: 'alice-identity-key',
+        signedPreKey,
+        oneTimePreKey: { keyId: 10, publicKey: 'otk-10' }
+      });
+      expect(bundles.map(bundle => bundle.oneTimePreKey)).toEqual([
+        { keyId: 10, publicKey: 'otk-10' },
+        { keyId: 11, publicKey: 'otk-11' },
+        null
+      ]);
+    });
+
+    test('rejects an upload the proof does not cover', async () => {
+      const body = preKeyBody(alice, { signedPreKey, oneTimePreKeys });
+      body.oneTimePreKeys = [{ keyId: 10, publicKey: 'mallory-otk' }];
+
+      const res = await request(app).put(`/api/public-keys/${alice.address}/prekeys`).send(body);
+      expect(res.body.code).toBe('PROOF_INVALID');
+      expect(app.locals.publicKeyStore.getPreKeyCount(alice.address)).toBe(0);
+    });
+
+    test('tells the owner when one-time prekeys run low', async () => {
+      app.locals.publicKeyStore.preKeyLowThreshold = 2;
+      await request(app)
+        .put(`/api/public-keys/${alice.address}/prekeys`)
+        .send(preKeyBody(alice, { signedPreKey, oneTimePreKeys }));
+      const aliceWs = await connectAs(wss, alice);
+
+      await request(app).get(`/api/public-keys/${alice.address}/bundle`);
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'prekeys_low', count: 1, threshold: 2 });
+
+      const timestamp = Date.now();
+      const message = ProofVerifier.buildMessage('count-prekeys', [alice.address], timestamp);
+      const res = await request(app)
+        .get(`/api/public-keys/${alice.address}/prekeys`)
+        .query({ timestamp, signature: sign(message, alice.privateKey) });
+      expect(res.body).toEqual({ oneTimePreKeyCount: 1, lowThreshold: 2 });
+    });
+
+    test('drops prekeys when the identity key changes', async () => {
+      await request(app)
+        .put(`/api/public-keys/${alice.address}/prekeys`)
+        .send(preKeyBody(alice, { signedPreKey, oneTimePreKeys }));
+      await request(app).post('/api/public-keys').send(registerBody(alice, 'alice-identity-key-2'));
+
+      const { body } = await request(app).get(`/api/public-keys/${alice.address}/bundle`);
+      expect(body).toMatchObject({ identityKey: 'alice-identity-key-2', signedPreKey: null, oneTimePreKey: null });
+    });
+  });
+
+  describe('DELETE /api/public-keys/:address', () => {
+    beforeEach(async () => {
+      await app.locals.publicKeyStore.store(alice.address, 'alice-key');
+    });
+
+    test('deletes a key when signed by the owner', async () => {
+      const res = await request(app)
+        .delete(`/api/public-keys/${alice.address}`)
+        .send(deleteBody(alice));
+
+      expect(res.body.success).toBe(true);
+      expect(await app.locals.publicKeyStore.exists(alice.address)).toBe(false);
+    });
+
+    test('refuses to delete without a proof from the owner', async () => {
+      const res = await request(app)
+        .delete(`/api/public-keys/${alice.address}`)
+        .send(deleteBody(mallory));
+
+      expect(res.status).toBe(401);
+      expect(await app.locals.publicKeyStore.exists(alice.address)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const dns = require('dns');
+const express = require('express');
+const request = require('supertest');
+const pushRoutes = require('../../src/routes/pushRoutes');
+const PushNotifier = require('../../src/services/pushNotifier');
+const ProofVerifier = require('../../src/services/proofVerifier');
+const RateLimiter = require('../../src/services/rateLimiter');
+const { createTestUser } = require('../helpers/fakeSockets');
+const { signed } = require('../helpers/routeApps');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/push', pushRoutes);
+  app.locals.pushNotifier = new PushNotifier();
+  app.locals.proofVerifier = new ProofVerifier();
+  app.locals.rateLimiter = new RateLimiter();
+  return app;
+}
+
+describe('push routes', () => {
+  const alice = createTestUser('11');
+  const mallory = createTestUser('33');
+  const url = 'https://push.example.org/alice';
+  let app;
+
+  function register(user, type = 'webhook', endpointUrl = url) {
+    return request(app)
+      .post('/api/push/endpoints')
+      .send(signed(user, 'register-push-endpoint', [type, endpointUrl], { type, url: endpointUrl }));
+  }
+
+  beforeEach(() => {
+    app = createApp();
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+  });
+
+  afterEach(() => {
+    dns.promises.lookup.mockRestore();
+    app.locals.pushNotifier.stop();
+    app.locals.rateLimiter.stopCleanup();
+  });
+
+  test('registers and lists endpoints for the signed address', async () => {
+    const res = await register(alice, 'unifiedpush');
+    expect(res.body).toMatchObject({ success: true, endpoint: { type: 'unifiedpush', url } });
+
+    const list = await request(app)
+      .get('/api/push/endpoints')
+      .query(signed(alice, 'list-push-endpoints', []));
+    expect(list.body.endpoints).toEqual([expect.objectContaining({ endpointId: res.body.endpoint.endpointId })]);
+  });
+
+  test('rejects a registration signed by another address', async () => {
+    const body = {
+      ...signed(mallory, 'register-push-endpoint', ['webhook', url], { type: 'webhook', url }),
+      address: alice.address
+    };
+    const res = await request(app).post('/api/push/endpoints').send(body);
+
+    expect(res.status).toBe(401);
+    expect(app.locals.pushNotifier.getEndpoints(alice.address)).toEqual([]);
+  });
+
+  test('rejects unknown endpoint types', async () => {
+    const res = await register(alice, 'carrier-pigeon');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PUSH_ENDPOINT_INVALID');
+  });
+
+  test('limits endpoints per address', async () => {
+    app.locals.pushNotifier.maxEndpoints = 1;
+    await register(alice);
+
+    const res = await register(alice, 'webhook', 'https://push.example.org/second');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PUSH_ENDPOINT_LIMIT');
+  });
+
+  test('removes an endpoint for its owner only', async () => {
+    const { body } = await register(alice);
+    const { endpointId } = body.endpoint;
+
+    const asMallory = await request(app)
+      .delete(`/api/push/endpoints/${endpointId}`)
+      .send(signed(mallory, 'delete-push-endpoint', [endpointId]));
+    expect(asMallory.status).toBe(404);
+
+    const asAlice = await request(app)
+      .delete(`/api/push/endpoints/${endpointId}`)
+      .send(signed(alice, 'delete-push-endpoint', [endpointId]));
+    expect(asAlice.body.success).toBe(true);
+    expect(app.locals.pushNotifier.getEndpoints(alice.address)).toEqual([]);
+  });
+});
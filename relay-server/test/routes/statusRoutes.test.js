@@ -0,0 +1,55 @@
+const request = require('supertest');
+const statusRoutes = require('../../src/routes/statusRoutes');
+const { createTestUser, connectAs } = require('../helpers/fakeSockets');
+const { signed, createRouteApp, stopRouteApp } = require('../helpers/routeApps');
+const { createFakeClock } = require('../helpers/fakeClock');
+
+describe('status routes', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  const mallory = createTestUser('33');
+  let clock;
+  let app;
+
+  function getStatus(viewer, target) {
+    const { address, timestamp, signature } = signed(viewer, 'get-status', [target.address]);
+    return request(app)
+      .get(`/api/status/${target.address}`)
+      .query({ viewer: address, timestamp, signature });
+  }
+
+  beforeEach(async () => {
+    clock = createFakeClock();
+    app = createRouteApp('/api/status', statusRoutes, { clock });
+    await connectAs(app.locals.wsManager.wss, bob);
+    app.locals.presenceManager.allow(bob.address, [alice.address]);
+  });
+
+  afterEach(() => {
+    stopRouteApp(app);
+  });
+
+  test('shows presence to the owner and their allowed contacts', async () => {
+    expect((await getStatus(alice, bob)).body).toMatchObject({ address: bob.address, online: true, timestamp: clock.now() });
+    expect((await getStatus(bob, bob)).body).toMatchObject({ online: true });
+  });
+
+  test('hides presence from everyone else', async () => {
+    expect((await getStatus(mallory, bob)).status).toBe(403);
+    expect((await request(app).get(`/api/status/${bob.address}`)).status).toBe(400);
+  });
+
+  test('leaves addresses the viewer may not see out of a batch', async () => {
+    const addresses = [bob.address, mallory.address];
+    const res = await request(app)
+      .post('/api/status/batch')
+      .send(signed(alice, 'get-statuses', [addresses.join(',')], { addresses }));
+
+    expect(res.body).toEqual({ timestamp: clock.now(), statuses: { [bob.address]: true } });
+
+    const unsigned = await request(app)
+      .post('/api/status/batch')
+      .send({ address: alice.address, addresses });
+    expect(unsigned.status).toBe(401);
+  });
+});
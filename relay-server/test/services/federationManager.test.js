@@ -0,0 +1,278 @@
+const http = require('http');
+const WebSocket = require('ws');
+const WebSocketManager = require('../../src/services/websocketManager');
+const MessageQueue = require('../../src/services/messageQueue');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+const AuthChallengeStore = require('../../src/services/authChallengeStore');
+const RateLimiter = require('../../src/services/rateLimiter');
+const PresenceManager = require('../../src/services/presenceManager');
+const DeviceRegistry = require('../../src/services/deviceRegistry');
+const GroupManager = require('../../src/services/groupManager');
+const FederationManager = require('../../src/services/federationManager');
+const { MemoryStorage } = require('../../src/storage');
+const { FakeWebSocketServer, createTestUser, connectAs } = require('../helpers/fakeSockets');
+
+/**
+ * Open an HTTP server for peer links on a free local port
+ */
+async function listen() {
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ server });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, wss, url: `ws://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * One relay with its own storage; user sockets are fakes, peer links are real
+ */
+function createRelay(endpoint, key, peers) {
+  const storage = new MemoryStorage();
+  const wss = new FakeWebSocketServer();
+  const messageQueue = new MessageQueue(storage);
+  const rateLimiter = new RateLimiter();
+  const publicKeyStore = new PublicKeyStore(storage);
+  const federation = new FederationManager({
+    privateKey: key.privateKey,
+    url: endpoint.url,
+    peers,
+    retryBaseMs: 10
+  });
+  federation.listen(endpoint.wss);
+
+  const wsManager = new WebSocketManager(wss, {
+    messageQueue,
+    publicKeyStore,
+    challengeStore: new AuthChallengeStore(),
+    rateLimiter,
+    presenceManager: new PresenceManager(storage),
+    deviceRegistry: new DeviceRegistry(storage),
+    groupManager: new GroupManager(storage),
+    federation
+  });
+
+  return {
+    ...endpoint,
+    wss,
+    wsManager,
+    messageQueue,
+    publicKeyStore,
+    federation,
+    async stop() {
+      wsManager.closeAll();
+      messageQueue.stopCleanup();
+      rateLimiter.stopCleanup();
+      endpoint.wss.close();
+      await new Promise(resolve => endpoint.server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Wait until a condition holds (peer links are asynchronous)
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('federation between two relays', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  const keyA = createTestUser('a1');
+  const keyB = createTestUser('b2');
+  let relayA;
+  let relayB;
+
+  beforeEach(async () => {
+    const endpointA = await listen();
+    const endpointB = await listen();
+    relayA = createRelay(endpointA, keyA, [{ url: endpointB.url, address: keyB.address }]);
+    relayB = createRelay(endpointB, keyB, [{ url: endpointA.url, address: keyA.address }]);
+
+    // Bob's key on relay A names relay B as his home, and Alice's on B names A
+    await relayA.publicKeyStore.store(bob.address, 'bob-key', { homeRelay: relayB.url });
+    await relayB.publicKeyStore.store(alice.address, 'alice-key', { homeRelay: relayA.url });
+  });
+
+  afterEach(async () => {
+    await relayA.stop();
+    await relayB.stop();
+  });
+
+  test('forwards to the home relay and reports delivery', async () => {
+    await relayA.federation.connect(keyB.address);
+    const aliceWs = await connectAs(relayA.wss, alice);
+    const bobWs = await connectAs(relayB.wss, bob);
+
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+    await waitFor(() => aliceWs.framesOfType('delivered').length > 0);
+
+    expect(bobWs.framesOfType('message')).toEqual([
+      expect.objectContaining({ from: alice.address, content: 'hi', messageId: 'm1' })
+    ]);
+    expect(aliceWs.framesOfType('queued')).toEqual([]);
+    expect(relayA.messageQueue.getQueueSize(bob.address)).toBe(0);
+  });
+
+  test('relays the delivered notice once an offline recipient acknowledges', async () => {
+    await relayA.federation.connect(keyB.address);
+    const aliceWs = await connectAs(relayA.wss, alice);
+
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+    await waitFor(() => aliceWs.framesOfType('queued').length > 0);
+    expect(relayB.messageQueue.getQueueSize(bob.address)).toBe(1);
+
+    // Relay B needs its own link to A for frames travelling back
+    await relayB.federation.connect(keyA.address);
+    const bobWs = await connectAs(relayB.wss, bob);
+    const [queued] = bobWs.framesOfType('message');
+    expect(queued).toMatchObject({ messageId: 'm1', queued: true });
+    expect(queued.viaRelay).toBeUndefined();
+
+    await bobWs.receive({ type: 'ack', messageIds: ['m1'] });
+    await waitFor(() => aliceWs.framesOfType('delivered').length > 0);
+    expect(aliceWs.lastFrame()).toMatchObject({ type: 'delivered', messageId: 'm1', queued: true });
+  });
+
+  test('retries forwards after the link fails', async () => {
+    await relayA.federation.connect(keyB.address);
+    const aliceWs = await connectAs(relayA.wss, alice);
+    const bobWs = await connectAs(relayB.wss, bob);
+
+    relayA.federation.links.get(keyB.address).ws.terminate();
+    await waitFor(() => !relayA.federation.links.get(keyB.address).ready);
+
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+    expect(aliceWs.lastFrame()).toMatchObject({ type: 'queued', messageId: 'm1' });
+
+    await waitFor(() => aliceWs.framesOfType('delivered').length > 0);
+    expect(bobWs.framesOfType('message')).toHaveLength(1);
+    expect(relayA.federation.outbox.size).toBe(0);
+  });
+
+  test('does not deliver a resent forward twice', async () => {
+    await relayA.federation.connect(keyB.address);
+    const bobWs = await connectAs(relayB.wss, bob);
+    const message = { from: alice.address, to: bob.address, content: 'hi', messageId: 'm1', timestamp: 1 };
+
+    relayA.federation.forward(keyB.address, message);
+    relayA.federation.forward(keyB.address, message);
+    relayA.federation.flush(keyB.address);
+    await waitFor(() => relayA.federation.outbox.size === 0);
+
+    expect(bobWs.framesOfType('message')).toHaveLength(1);
+  });
+
+  test('rejects forwards from a relay that is not the sender\'s home', async () => {
+    await relayB.publicKeyStore.store(alice.address, 'alice-key', { homeRelay: relayB.url });
+    await relayA.federation.connect(keyB.address);
+    const aliceWs = await connectAs(relayA.wss, alice);
+    const bobWs = await connectAs(relayB.wss, bob);
+
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+    await waitFor(() => aliceWs.framesOfType('delivery_failed').length > 0);
+
+    expect(aliceWs.lastFrame()).toMatchObject({ messageId: 'm1', reason: 'relay_rejected' });
+    expect(bobWs.framesOfType('message')).toEqual([]);
+    expect(relayB.messageQueue.getQueueSize(bob.address)).toBe(0);
+  });
+
+  test('remembers a bounded number of received forwards', async () => {
+    relayB.federation.maxReceived = 2;
+    await relayA.federation.connect(keyB.address);
+
+    for (const messageId of ['m1', 'm2', 'm3']) {
+      relayA.federation.forward(keyB.address, { from: alice.address, to: bob.address, content: 'hi', messageId });
+    }
+    await waitFor(() => relayA.federation.outbox.size === 0);
+
+    expect(Array.from(relayB.federation.received.keys()).map(key => key.split(':').pop())).toEqual(['m2', 'm3']);
+  });
+
+  test('relays read receipts to the home relay', async () => {
+    await relayA.federation.connect(keyB.address);
+    const aliceWs = await connectAs(relayA.wss, alice);
+    const bobWs = await connectAs(relayB.wss, bob);
+
+    await aliceWs.receive({ type: 'read_receipt', to: bob.address, messageId: 'm1' });
+    await waitFor(() => bobWs.framesOfType('read').length > 0);
+
+    expect(bobWs.lastFrame()).toMatchObject({ type: 'read', from: alice.address, messageId: 'm1' });
+  });
+
+  test('drops frames a peer relays for users it is not the home relay of', async () => {
+    const mallory = createTestUser('33');
+    await relayA.federation.connect(keyB.address);
+    const bobWs = await connectAs(relayB.wss, bob);
+
+    relayA.federation.relayFrame(keyB.address, bob.address, { type: 'typing', from: mallory.address, isTyping: true });
+    relayA.federation.relayFrame(keyB.address, bob.address, { type: 'read', from: mallory.address, messageId: 'm1' });
+    relayA.federation.relayFrame(keyB.address, bob.address, { type: 'read', from: alice.address, messageId: 'm2' });
+    await waitFor(() => bobWs.framesOfType('read').length > 0);
+
+    expect(bobWs.framesOfType('typing')).toEqual([]);
+    expect(bobWs.framesOfType('read')).toEqual([expect.objectContaining({ from: alice.address, messageId: 'm2' })]);
+  });
+
+  test('only passes on delivery notices for messages forwarded to the peer', async () => {
+    await relayA.federation.connect(keyB.address);
+    await relayB.federation.connect(keyA.address);
+    const aliceWs = await connectAs(relayA.wss, alice);
+
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+    await waitFor(() => aliceWs.framesOfType('queued').length > 0);
+
+    const notice = { type: 'delivered', to: bob.address, queued: true };
+    relayB.federation.relayFrame(keyA.address, alice.address, { ...notice, messageId: 'm2' });
+    relayB.federation.relayFrame(keyA.address, alice.address, { ...notice, messageId: 'm1' });
+    relayB.federation.relayFrame(keyA.address, alice.address, { ...notice, messageId: 'm1' });
+    await waitFor(() => aliceWs.framesOfType('delivered').length > 0);
+    relayB.federation.relayFrame(keyA.address, alice.address, { type: 'read', from: bob.address, messageId: 'm1' });
+    await waitFor(() => aliceWs.framesOfType('read').length > 0);
+
+    expect(aliceWs.framesOfType('delivered')).toEqual([expect.objectContaining({ messageId: 'm1' })]);
+  });
+
+  test('queues locally when the home relay is not an allowed peer', async () => {
+    await relayA.publicKeyStore.store(bob.address, 'bob-key', { homeRelay: 'wss://unknown.example.org' });
+    const aliceWs = await connectAs(relayA.wss, alice);
+
+    await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+
+    expect(aliceWs.lastFrame()).toMatchObject({ type: 'queued' });
+    expect(relayA.messageQueue.getQueueSize(bob.address)).toBe(1);
+    expect(relayA.federation.outbox.size).toBe(0);
+  });
+
+  test('does not sign a challenge that is not a federation nonce', async () => {
+    const endpoint = await listen();
+    const frames = [];
+    endpoint.wss.on('connection', (ws) => {
+      ws.on('message', data => frames.push(JSON.parse(data)));
+      ws.send(JSON.stringify({ type: 'federation_challenge', nonce: `idena-p2p:delete-key:${keyA.address}:1705234567890` }));
+    });
+    relayA.federation.peers.set(keyB.address, { address: keyB.address, url: endpoint.url });
+
+    try {
+      await expect(relayA.federation.connect(keyB.address)).rejects.toThrow('Federation link closed');
+      expect(frames).toEqual([]);
+    } finally {
+      endpoint.wss.close();
+      await new Promise(resolve => endpoint.server.close(resolve));
+    }
+  });
+
+  test('refuses links from relays outside the allowlist', async () => {
+    const endpoint = await listen();
+    const stranger = createRelay(endpoint, createTestUser('c3'), [{ url: relayB.url, address: keyB.address }]);
+
+    try {
+      await expect(stranger.federation.connect(keyB.address)).rejects.toThrow('Federation link closed');
+    } finally {
+      await stranger.stop();
+    }
+  });
+});
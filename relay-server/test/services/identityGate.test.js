@@ -0,0 +1,120 @@
+const http = require('http');
+const IdentityGate = require('../../src/services/identityGate');
+const { IdenaRpcProvider, MockIdentityProvider } = require('../../src/identity');
+const { createTestUser } = require('../helpers/fakeSockets');
+
+/**
+ * Local stand-in for an Idena node: answers dna_identity with the state
+ * currently set, or with the status code currently set
+ */
+async function startIdenaNode() {
+  const node = { requests: [], state: 'Human', status: 200 };
+
+  node.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const rpc = JSON.parse(body);
+      node.requests.push(rpc);
+      res.statusCode = node.status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: rpc.id, result: { address: rpc.params[0], state: node.state } }));
+    });
+  });
+
+  await new Promise(resolve => node.server.listen(0, '127.0.0.1', resolve));
+  node.url = `http://127.0.0.1:${node.server.address().port}`;
+  return node;
+}
+
+describe('IdentityGate', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+
+  describe('with an Idena node', () => {
+    let node;
+    let gate;
+
+    beforeEach(async () => {
+      node = await startIdenaNode();
+      gate = new IdentityGate(new IdenaRpcProvider({ url: node.url, apiKey: 'node-key' }));
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => node.server.close(resolve));
+    });
+
+    test('looks a state up once and caches it', async () => {
+      const states = await Promise.all([gate.getState(alice.address), gate.getState(alice.address)]);
+      expect(states).toEqual(['Human', 'Human']);
+      expect(await gate.getState(alice.address)).toBe('Human');
+
+      expect(node.requests).toHaveLength(1);
+      expect(node.requests[0]).toMatchObject({
+        method: 'dna_identity',
+        params: [alice.address.toLowerCase()],
+        key: 'node-key'
+      });
+    });
+
+    test('looks the state up again once the cache expires', async () => {
+      gate.cacheTtlMs = 0;
+      await gate.getState(alice.address);
+      node.state = 'Suspended';
+
+      expect(await gate.getState(alice.address)).toBe('Suspended');
+      expect(node.requests).toHaveLength(2);
+    });
+
+    test('falls back to the last known state when the node fails', async () => {
+      gate.cacheTtlMs = 0;
+      await gate.getState(alice.address);
+      node.status = 500;
+
+      expect(await gate.getState(alice.address)).toBe('Human');
+      expect(await gate.getState(bob.address)).toBe('Unknown');
+      expect(await gate.check('send', bob.address)).toMatchObject({ code: 'IDENTITY_NOT_ALLOWED', state: 'Unknown' });
+    });
+  });
+
+  describe('policy', () => {
+    let provider;
+    let gate;
+
+    beforeEach(() => {
+      provider = new MockIdentityProvider({ states: { [bob.address]: 'Candidate' } });
+      gate = new IdentityGate(provider);
+    });
+
+    test('allows only the configured states to act', async () => {
+      expect(await gate.check('register', alice.address)).toBeNull();
+      expect(await gate.check('send', alice.address)).toBeNull();
+
+      const refused = await gate.check('send', bob.address);
+      expect(refused).toMatchObject({ code: 'IDENTITY_NOT_ALLOWED', state: 'Candidate' });
+    });
+
+    test('reads the policy from the environment', async () => {
+      process.env.IDENTITY_SEND_STATES = 'Verified, Human';
+      try {
+        provider.setState(alice.address, 'Newbie');
+        gate = new IdentityGate(provider);
+
+        expect(await gate.check('register', alice.address)).toBeNull();
+        expect(await gate.check('send', alice.address)).toMatchObject({ state: 'Newbie' });
+      } finally {
+        delete process.env.IDENTITY_SEND_STATES;
+      }
+    });
+
+    test('raises rate limits for trusted states once they are known', async () => {
+      const rule = { windowMs: 60000, max: 10 };
+      expect(gate.rateLimitRule(alice.address, rule)).toBe(rule);
+
+      await gate.getState(alice.address);
+      await gate.getState(bob.address);
+      expect(gate.rateLimitRule(alice.address, rule)).toEqual({ windowMs: 60000, max: 50 });
+      expect(gate.rateLimitRule(bob.address, rule)).toBe(rule);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const ProofVerifier = require('../../src/services/proofVerifier');
+const { sign } = require('../../src/utils/idenaSignature');
+const { ErrorCodes } = require('../../src/utils/errorCodes');
+const { createTestUser } = require('../helpers/fakeSockets');
+
+describe('ProofVerifier', () => {
+  const alice = createTestUser('11');
+  let verifier;
+  let timestamp;
+  let signature;
+
+  function verify(sig) {
+    return verifier.verify('delete-key', [alice.address], { address: alice.address, timestamp, signature: sig });
+  }
+
+  // The same signature with s replaced by n - s and the recovery bit flipped
+  function highS(sig) {
+    const hex = sig.slice(2);
+    const s = BigInt(`0x${hex.slice(64, 128)}`);
+    const v = parseInt(hex.slice(128), 16);
+    return `0x${hex.slice(0, 64)}${(secp256k1.CURVE.n - s).toString(16).padStart(64, '0')}${(v ^ 1).toString(16).padStart(2, '0')}`;
+  }
+
+  beforeEach(() => {
+    verifier = new ProofVerifier();
+    timestamp = Date.now();
+    signature = sign(ProofVerifier.buildMessage('delete-key', [alice.address], timestamp), alice.privateKey);
+    expect(verify(signature)).toBeNull();
+  });
+
+  test('rejects the same proof twice', () => {
+    expect(verify(signature)).toMatchObject({ code: ErrorCodes.PROOF_REPLAYED });
+  });
+
+  test('rejects the proof again without the 0x prefix', () => {
+    expect(verify(signature.slice(2))).toMatchObject({ code: ErrorCodes.PROOF_REPLAYED });
+  });
+
+  test('rejects the proof again with v as 27/28', () => {
+    const v = parseInt(signature.slice(-2), 16) + 27;
+    expect(verify(`${signature.slice(0, -2)}${v.toString(16)}`)).toMatchObject({ code: ErrorCodes.PROOF_REPLAYED });
+  });
+
+  test('rejects the proof again in upper case', () => {
+    expect(verify(`0x${signature.slice(2).toUpperCase()}`)).toMatchObject({ code: ErrorCodes.PROOF_REPLAYED });
+  });
+
+  test('rejects the malleated high-s form of the proof', () => {
+    expect(verify(highS(signature))).not.toBeNull();
+  });
+});
@@ -0,0 +1,171 @@
+const dns = require('dns');
+const http = require('http');
+const PushNotifier = require('../../src/services/pushNotifier');
+const { createTestUser } = require('../helpers/fakeSockets');
+
+/**
+ * Local stand-in for a push service: records requests and answers with
+ * the status code currently set
+ */
+async function startPushServer() {
+  const pushServer = { requests: [], status: 200 };
+
+  pushServer.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      pushServer.requests.push({ url: req.url, headers: req.headers, body });
+      res.statusCode = pushServer.status;
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => pushServer.server.listen(0, '127.0.0.1', resolve));
+  pushServer.url = `http://127.0.0.1:${pushServer.server.address().port}`;
+  return pushServer;
+}
+
+describe('PushNotifier', () => {
+  const bob = createTestUser('22');
+  let pushServer;
+  let notifier;
+
+  beforeEach(async () => {
+    pushServer = await startPushServer();
+    notifier = new PushNotifier();
+    notifier.allowInsecure = true;
+    notifier.allowPrivateHosts = true;
+    notifier.coalesceMs = 50;
+  });
+
+  afterEach(async () => {
+    notifier.stop();
+    await new Promise(resolve => pushServer.server.close(resolve));
+  });
+
+  test('sends a content-free wake-up to every endpoint', async () => {
+    await notifier.register(bob.address, { type: 'webhook', url: `${pushServer.url}/hook` });
+    await notifier.register(bob.address, { type: 'unifiedpush', url: `${pushServer.url}/up/abc` });
+
+    await notifier.notify(bob.address);
+
+    const byUrl = Object.fromEntries(pushServer.requests.map(request => [request.url, request]));
+    expect(JSON.parse(byUrl['/hook'].body)).toEqual({ type: 'wakeup', timestamp: expect.any(Number) });
+    expect(byUrl['/hook'].headers['content-type']).toBe('application/json');
+    expect(byUrl['/up/abc'].headers).toMatchObject({ 'content-type': 'application/octet-stream', ttl: '86400' });
+  });
+
+  test('coalesces a burst into one follow-up push', async () => {
+    await notifier.register(bob.address, { type: 'webhook', url: pushServer.url });
+
+    await notifier.notify(bob.address);
+    notifier.notify(bob.address);
+    notifier.notify(bob.address);
+    expect(pushServer.requests).toHaveLength(1);
+
+    // The follow-up goes out when the window closes; allow for a slow request
+    const deadline = Date.now() + 2000;
+    while (pushServer.requests.length < 2 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(pushServer.requests).toHaveLength(2);
+  });
+
+  test('backs off an endpoint that fails', async () => {
+    await notifier.register(bob.address, { type: 'webhook', url: pushServer.url });
+    pushServer.status = 500;
+
+    await notifier.notify(bob.address);
+    const [endpoint] = notifier.getEndpoints(bob.address);
+    expect(endpoint.failures).toBe(1);
+    expect(endpoint.backoffUntil).toBeGreaterThan(Date.now());
+
+    // Still backing off when the next burst starts
+    notifier.stop();
+    await notifier.notify(bob.address);
+    expect(pushServer.requests).toHaveLength(1);
+  });
+
+  test('drops endpoints that are gone or keep failing', async () => {
+    await notifier.register(bob.address, { type: 'unifiedpush', url: pushServer.url });
+    pushServer.status = 410;
+
+    await notifier.notify(bob.address);
+    expect(notifier.getEndpoints(bob.address)).toEqual([]);
+
+    notifier.stop();
+    notifier.maxFailures = 1;
+    await notifier.register(bob.address, { type: 'webhook', url: 'http://127.0.0.1:1/unreachable' });
+    await notifier.notify(bob.address);
+    expect(notifier.getEndpoints(bob.address)).toEqual([]);
+  });
+
+  test('only accepts https endpoints by default', async () => {
+    notifier.allowInsecure = false;
+
+    expect((await notifier.register(bob.address, { type: 'webhook', url: pushServer.url })).error.code)
+      .toBe('PUSH_ENDPOINT_INVALID');
+    expect((await notifier.register(bob.address, { type: 'webhook', url: 'https://push.example.org/x' })).endpoint)
+      .toBeDefined();
+  });
+
+  test('refuses endpoints on private, loopback and link-local addresses', async () => {
+    notifier.allowPrivateHosts = false;
+    const resolved = {
+      'push.example.org': [{ address: '93.184.215.14', family: 4 }],
+      'rebinding.example.org': [{ address: '93.184.215.14', family: 4 }, { address: '10.0.0.7', family: 4 }]
+    };
+    const realLookup = dns.promises.lookup;
+    const lookup = jest.spyOn(dns.promises, 'lookup')
+      .mockImplementation(async (hostname, options) => resolved[hostname] || realLookup(hostname, options));
+
+    try {
+      for (const url of [
+        pushServer.url,
+        'https://[::1]/x',
+        'https://[::ffff:127.0.0.1]/x',
+        'https://169.254.169.254/latest/meta-data',
+        'https://192.168.1.1/x',
+        'https://[fd00::1]/x',
+        'https://[64:ff9b::7f00:1]/x',
+        'https://rebinding.example.org/x'
+      ]) {
+        expect((await notifier.register(bob.address, { type: 'webhook', url })).error.code).toBe('PUSH_ENDPOINT_INVALID');
+      }
+      expect((await notifier.register(bob.address, { type: 'webhook', url: 'https://push.example.org/x' })).endpoint)
+        .toBeDefined();
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  test('connects to the addresses it checked, not to what the host resolves to next', async () => {
+    notifier.allowPrivateHosts = false;
+    notifier.timeoutMs = 300;
+    const { port } = pushServer.server.address();
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+    const rebound = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    try {
+      await notifier.register(bob.address, { type: 'webhook', url: `http://rebinding.example.org:${port}/x` });
+      await notifier.notify(bob.address);
+
+      expect(rebound).not.toHaveBeenCalled();
+      expect(pushServer.requests).toEqual([]);
+      expect(notifier.getEndpoints(bob.address)[0].failures).toBe(1);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('does not push to an endpoint whose host turned private', async () => {
+    await notifier.register(bob.address, { type: 'webhook', url: pushServer.url });
+    notifier.allowPrivateHosts = false;
+
+    await notifier.notify(bob.address);
+
+    expect(pushServer.requests).toEqual([]);
+    expect(notifier.getEndpoints(bob.address)[0].failures).toBe(1);
+  });
+});
@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+const RateLimiter = require('../../src/services/rateLimiter');
+const { rateLimitByIp } = require('../../src/middleware/rateLimit');
+
+describe('RateLimiter', () => {
+  let rateLimiter;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    rateLimiter = new RateLimiter();
+  });
+
+  afterEach(() => {
+    rateLimiter.stopCleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('allows a burst up to max and then refills over the window', () => {
+    const rule = { name: 'test', max: 2, windowMs: 1000 };
+
+    expect(rateLimiter.consume('ip:1', rule).allowed).toBe(true);
+    expect(rateLimiter.consume('ip:1', rule).allowed).toBe(true);
+
+    const limited = rateLimiter.consume('ip:1', rule);
+    expect(limited.allowed).toBe(false);
+    expect(limited.retryAfterMs).toBe(500);
+
+    now += 500;
+    expect(rateLimiter.consume('ip:1', rule).allowed).toBe(true);
+  });
+
+  test('keeps separate buckets per client and rule', () => {
+    const rule = { name: 'test', max: 1, windowMs: 1000 };
+
+    expect(rateLimiter.consume('ip:1', rule).allowed).toBe(true);
+    expect(rateLimiter.consume('ip:2', rule).allowed).toBe(true);
+    expect(rateLimiter.consume('ip:1', { ...rule, name: 'other' }).allowed).toBe(true);
+  });
+
+  test('resolves route rules by exact match, then longest prefix', () => {
+    rateLimiter.routeRules = {
+      'POST /api/public-keys/batch': { max: 5 },
+      'GET /api/*': { max: 50 },
+      'GET /api/messages/*': { max: 10 }
+    };
+
+    expect(rateLimiter.ruleForRoute('POST', '/api/public-keys/batch').max).toBe(5);
+    expect(rateLimiter.ruleForRoute('GET', '/api/messages/0xabc').max).toBe(10);
+    expect(rateLimiter.ruleForRoute('GET', '/api/status/0xabc').max).toBe(50);
+    expect(rateLimiter.ruleForRoute('POST', '/api/status/batch')).toMatchObject({ name: 'http', max: 100 });
+  });
+
+  test('falls back to the default rule for frame types without overrides', () => {
+    rateLimiter.frameRules = { message: { max: 30 } };
+
+    expect(rateLimiter.ruleForFrame('message')).toMatchObject({ name: 'ws:message', max: 30, windowMs: 60000 });
+    expect(rateLimiter.ruleForFrame('ping')).toMatchObject({ name: 'ws', max: 100 });
+  });
+
+  test('does not take rules from inherited object properties', () => {
+    rateLimiter.frameRules = { message: { max: 30 } };
+
+    expect(rateLimiter.ruleForFrame('constructor')).toMatchObject({ name: 'ws' });
+    expect(rateLimiter.ruleForFrame('toString')).toMatchObject({ name: 'ws' });
+  });
+
+  test('forgets buckets that are full again', () => {
+    rateLimiter.consume('ip:1', { name: 'test', max: 1, windowMs: 1000 });
+    now += 1000;
+
+    expect(rateLimiter.cleanup()).toBe(1);
+  });
+
+  describe('HTTP middleware', () => {
+    test('answers 429 with Retry-After once the route limit is hit', async () => {
+      rateLimiter.routeRules = { 'POST /api/public-keys/batch': { max: 1, windowMs: 60000 } };
+
+      const app = express();
+      app.locals.rateLimiter = rateLimiter;
+      app.use(rateLimitByIp);
+      app.post('/api/public-keys/batch', (req, res) => res.json({ ok: true }));
+
+      expect((await request(app).post('/api/public-keys/batch')).status).toBe(200);
+
+      const res = await request(app).post('/api/public-keys/batch');
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe('60');
+      expect(res.body.code).toBe('RATE_LIMITED');
+    });
+  });
+});
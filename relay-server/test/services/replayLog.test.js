@@ -0,0 +1,86 @@
+const ReplayLog = require('../../src/services/replayLog');
+const { createTestUser } = require('../helpers/fakeSockets');
+const { createFakeClock } = require('../helpers/fakeClock');
+
+describe('ReplayLog', () => {
+  const bob = createTestUser('22');
+  let clock;
+  let log;
+
+  beforeEach(() => {
+    clock = createFakeClock();
+    log = new ReplayLog(undefined, {
+      config: { SESSION_RESUME_WINDOW_MS: '60000', SESSION_REPLAY_MAX_EVENTS: '3' },
+      clock
+    });
+  });
+
+  function typing(isTyping) {
+    return { type: 'typing', from: bob.address, isTyping };
+  }
+
+  test('only numbers frames for devices with a stream', () => {
+    log.open(bob.address, 'phone', 'c1');
+
+    expect(log.append(bob.address, ['phone', 'desktop'], typing(true))).toEqual({ phone: 1 });
+    expect(log.append(bob.address, ['phone', 'desktop'], typing(false))).toEqual({ phone: 2 });
+  });
+
+  test('ends a stream once its device has been disconnected for the window', () => {
+    const { token } = log.open(bob.address, 'phone', 'c1');
+    log.detach(bob.address, 'phone', 'c1');
+    log.append(bob.address, ['phone'], typing(true));
+
+    clock.advance(30000);
+    expect(log.resume(bob.address, 'phone', 'c2', token, 0).events).toHaveLength(1);
+
+    log.detach(bob.address, 'phone', 'c2');
+    clock.advance(60001);
+    expect(log.resume(bob.address, 'phone', 'c3', token, 0)).toBeNull();
+    expect(log.append(bob.address, ['phone'], typing(false))).toEqual({});
+  });
+
+  test('keeps a stream taken over by a newer connection', () => {
+    const { token } = log.open(bob.address, 'phone', 'c1');
+    log.resume(bob.address, 'phone', 'c2', token, 0);
+
+    log.detach(bob.address, 'phone', 'c1');
+    clock.advance(120000);
+
+    expect(log.resume(bob.address, 'phone', 'c3', token, 0)).not.toBeNull();
+  });
+
+  test('cannot resume with a different token of the same length', () => {
+    const { token } = log.open(bob.address, 'phone', 'c1');
+    const forged = `${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`;
+
+    expect(log.resume(bob.address, 'phone', 'c2', forged, 0)).toBeNull();
+    expect(log.resume(bob.address, 'phone', 'c2', token, 0)).not.toBeNull();
+  });
+
+  test('cannot resume once events after the last seen one were dropped', () => {
+    const { token } = log.open(bob.address, 'phone', 'c1');
+    for (let i = 0; i < 5; i++) {
+      log.append(bob.address, ['phone'], typing(i % 2 === 0));
+    }
+
+    expect(log.resume(bob.address, 'phone', 'c2', token, 1)).toBeNull();
+    expect(log.resume(bob.address, 'phone', 'c2', token, 2).events.map(event => event.seq)).toEqual([3, 4, 5]);
+  });
+
+  test('leaves expired and rewritten-away frames out of a replay', () => {
+    const { token } = log.open(bob.address, 'phone', 'c1');
+    const message = (messageId, fields) => ({ type: 'message', from: bob.address, messageId, content: 'hi', ...fields });
+    log.append(bob.address, ['phone'], message('m1', { expiresAt: clock.now() + 1000 }));
+    log.append(bob.address, ['phone'], message('m2'));
+    log.append(bob.address, ['phone'], message('m3'));
+
+    expect(log.rewrite(bob.address, ['phone'], { type: 'message', messageId: 'm2' })).toBe(1);
+    log.rewrite(bob.address, ['phone'], { type: 'message', messageId: 'm3' }, { content: 'edited' });
+    clock.advance(1000);
+
+    const { seq, events } = log.resume(bob.address, 'phone', 'c2', token, 0);
+    expect(seq).toBe(3);
+    expect(events.map(({ seq, frame }) => [seq, frame.messageId, frame.content])).toEqual([[3, 'm3', 'edited']]);
+  });
+});
@@ -0,0 +1,1159 @@
+const WebSocketManager = require('../../src/services/websocketManager');
+const MessageQueue = require('../../src/services/messageQueue');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+const AuthChallengeStore = require('../../src/services/authChallengeStore');
+const RateLimiter = require('../../src/services/rateLimiter');
+const PresenceManager = require('../../src/services/presenceManager');
+const DeviceRegistry = require('../../src/services/deviceRegistry');
+const GroupManager = require('../../src/services/groupManager');
+const BanList = require('../../src/services/banList');
+const IdentityGate = require('../../src/services/identityGate');
+const { MockIdentityProvider } = require('../../src/identity');
+const crypto = require('crypto');
+const ProofVerifier = require('../../src/services/proofVerifier');
+const { sign } = require('../../src/utils/idenaSignature');
+const { metrics } = require('../../src/utils/metrics');
+const { FakeWebSocketServer, createTestUser, connectAs } = require('../helpers/fakeSockets');
+
+/**
+ * A signed retract or edit frame
+ */
+function modification(user, type, to, messageId, content) {
+  const fields = [user.address, to.address, messageId];
+  if (content) fields.push(crypto.createHash('sha256').update(content).digest('hex'));
+  const timestamp = Date.now();
+  const signature = sign(ProofVerifier.buildMessage(type, fields, timestamp), user.privateKey);
+  return { type, to: to.address, messageId, ...(content && { content }), timestamp, signature };
+}
+
+describe('WebSocketManager', () => {
+  const alice = createTestUser('11');
+  const bob = createTestUser('22');
+  const carol = createTestUser('33');
+
+  let wss;
+  let messageQueue;
+  let challengeStore;
+  let rateLimiter;
+  let wsManager;
+
+  beforeEach(() => {
+    wss = new FakeWebSocketServer();
+    messageQueue = new MessageQueue();
+    challengeStore = new AuthChallengeStore();
+    rateLimiter = new RateLimiter();
+    wsManager = new WebSocketManager(wss, {
+      messageQueue,
+      publicKeyStore: new PublicKeyStore(),
+      challengeStore,
+      rateLimiter,
+      presenceManager: new PresenceManager(),
+      deviceRegistry: new DeviceRegistry(),
+      groupManager: new GroupManager()
+    });
+  });
+
+  afterEach(() => {
+    wsManager.closeAll();
+    messageQueue.stopCleanup();
+    rateLimiter.stopCleanup();
+  });
+
+  describe('authentication', () => {
+    test('issues a challenge on connect', () => {
+      const ws = wss.connect();
+      const [challenge] = ws.framesOfType('auth_challenge');
+
+      expect(challenge.nonce).toEqual(expect.any(String));
+      expect(challenge.expiresAt).toBeGreaterThan(Date.now());
+    });
+
+    test('authenticates a valid signature over the nonce', async () => {
+      const ws = await connectAs(wss, alice);
+
+      expect(ws.lastFrame()).toMatchObject({ type: 'auth_success', address: alice.address });
+      expect(wsManager.isOnline(alice.address)).toBe(true);
+    });
+
+    test('rejects a signature from another key', async () => {
+      const ws = wss.connect();
+      const { nonce } = ws.framesOfType('auth_challenge')[0];
+
+      await ws.receive({
+        type: 'auth',
+        address: alice.address,
+        nonce,
+        signature: sign(nonce, bob.privateKey)
+      });
+
+      expect(ws.lastFrame()).toMatchObject({ type: 'error', code: 'AUTH_FAILED' });
+      expect(ws.readyState).toBe(3);
+      expect(wsManager.isOnline(alice.address)).toBeFalsy();
+    });
+
+    test('rejects a nonce issued to another connection', async () => {
+      const other = wss.connect();
+      const { nonce } = other.framesOfType('auth_challenge')[0];
+      const ws = wss.connect();
+
+      await ws.receive({
+        type: 'auth',
+        address: alice.address,
+        nonce,
+        signature: sign(nonce, alice.privateKey)
+      });
+
+      expect(ws.lastFrame()).toMatchObject({ type: 'error', code: 'AUTH_FAILED' });
+    });
+
+    test('names the invalid field of a malformed auth frame', async () => {
+      const ws = wss.connect();
+      const { nonce } = ws.framesOfType('auth_challenge')[0];
+
+      await ws.receive({ type: 'auth', address: alice.address, nonce, signature: 42 });
+
+      expect(ws.lastFrame()).toMatchObject({ type: 'error', code: 'INVALID_FIELD', frameType: 'auth', field: 'signature' });
+      expect(ws.readyState).toBe(3);
+    });
+
+    test('rejects a replayed handshake', async () => {
+      const first = wss.connect();
+      const { nonce } = first.framesOfType('auth_challenge')[0];
+      const authFrame = {
+        type: 'auth',
+        address: alice.address,
+        nonce,
+        signature: sign(nonce, alice.privateKey)
+      };
+      await first.receive(authFrame);
+
+      const attacker = wss.connect();
+      await attacker.receive(authFrame);
+
+      expect(attacker.lastFrame()).toMatchObject({ type: 'error', code: 'NONCE_REPLAYED' });
+    });
+
+    test('rejects an expired challenge', async () => {
+      challengeStore.ttlMs = -1;
+      const ws = wss.connect();
+      const { nonce } = ws.framesOfType('auth_challenge')[0];
+
+      await ws.receive({
+        type: 'auth',
+        address: alice.address,
+        nonce,
+        signature: sign(nonce, alice.privateKey)
+      });
+
+      expect(ws.lastFrame()).toMatchObject({ type: 'error', code: 'CHALLENGE_EXPIRED' });
+    });
+
+    test('requires auth before any other frame', async () => {
+      const ws = wss.connect();
+      await ws.receive({ type: 'ping' });
+
+      expect(ws.lastFrame()).toMatchObject({ type: 'error', code: 'AUTH_REQUIRED' });
+      expect(ws.readyState).toBe(3);
+    });
+  });
+
+  describe('protocol', () => {
+    async function authenticate(fields) {
+      const ws = wss.connect();
+      const { nonce } = ws.framesOfType('auth_challenge')[0];
+      await ws.receive({ type: 'auth', address: alice.address, nonce, signature: sign(nonce, alice.privateKey), ...fields });
+      return ws;
+    }
+
+    test('negotiates the newest version both sides speak', async () => {
+      const legacy = await authenticate({});
+      expect(legacy.lastFrame()).toMatchObject({ type: 'auth_success', version: 1 });
+
+      const newer = await authenticate({ version: 3, minVersion: 1 });
+      expect(newer.lastFrame()).toMatchObject({ type: 'auth_success', version: 1 });
+    });
+
+    test('rejects a client that only speaks newer versions', async () => {
+      const ws = await authenticate({ version: 3, minVersion: 2 });
+
+      expect(ws.lastFrame()).toEqual({
+        type: 'error',
+        code: 'UNSUPPORTED_VERSION',
+        message: 'Unsupported protocol version',
+        supportedVersions: { min: 1, max: 1 }
+      });
+      expect(ws.readyState).toBe(3);
+      expect(wsManager.isOnline(alice.address)).toBeFalsy();
+    });
+
+    test('answers invalid frames with a machine-readable code', async () => {
+      const aliceWs = await connectAs(wss, alice);
+
+      await aliceWs.receive('not a frame');
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'error', code: 'INVALID_FRAME' });
+
+      await aliceWs.receive({ type: 'teleport', to: bob.address });
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'error', code: 'UNKNOWN_FRAME_TYPE', frameType: 'teleport' });
+
+      await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: 'yes' });
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'error', code: 'INVALID_FIELD', frameType: 'typing', field: 'isTyping' });
+
+      await aliceWs.receive({ type: 'message', to: bob.address, content: { text: 'hi' }, messageId: 'm1' });
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'error', code: 'INVALID_FIELD', field: 'content', messageId: 'm1' });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+      expect(aliceWs.readyState).toBe(1);
+    });
+  });
+
+  describe('queued delivery', () => {
+    async function queueMessageFromAlice(messageId) {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId });
+      return aliceWs;
+    }
+
+    test('keeps queued messages until the recipient acknowledges them', async () => {
+      await queueMessageFromAlice('m1');
+
+      const firstBobWs = await connectAs(wss, bob);
+      expect(firstBobWs.framesOfType('message')).toEqual([
+        expect.objectContaining({ messageId: 'm1', from: alice.address, queued: true })
+      ]);
+
+      // Connection drops before the client acknowledges
+      firstBobWs.close();
+      expect(messageQueue.getQueueSize(bob.address)).toBe(1);
+
+      const secondBobWs = await connectAs(wss, bob);
+      expect(secondBobWs.framesOfType('message').map(m => m.messageId)).toEqual(['m1']);
+
+      await secondBobWs.receive({ type: 'ack', messageIds: ['m1'] });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+    });
+
+    test('sends the sender a delivered notice once acknowledged', async () => {
+      const aliceWs = await queueMessageFromAlice('m1');
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'queued', messageId: 'm1' });
+
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'ack', messageId: 'm1' });
+
+      expect(aliceWs.lastFrame()).toMatchObject({
+        type: 'delivered',
+        messageId: 'm1',
+        to: bob.address,
+        queued: true
+      });
+    });
+
+    test('dead-letters messages after the retry limit', async () => {
+      const bobDeviceId = 'device-1';
+      messageQueue.maxDeliveryAttempts = 2;
+      const aliceWs = await queueMessageFromAlice('m1');
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const bobWs = await connectAs(wss, bob);
+        expect(bobWs.framesOfType('message')).toHaveLength(1);
+        bobWs.close();
+      }
+
+      const bobWs = await connectAs(wss, bob);
+      expect(bobWs.framesOfType('message')).toHaveLength(0);
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+      expect(messageQueue.getDeadLetters(bob.address)).toEqual([
+        expect.objectContaining({ messageId: 'm1', deliveryAttempts: { [bobDeviceId]: 2 } })
+      ]);
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'delivery_failed', messageId: 'm1' });
+    });
+
+    test('sends a push wake-up only when no device is online', async () => {
+      wsManager.pushNotifier = { notify: jest.fn() };
+      const aliceWs = await queueMessageFromAlice('m1');
+      expect(wsManager.pushNotifier.notify).toHaveBeenCalledWith(bob.address);
+
+      await connectAs(wss, bob);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm2' });
+      expect(wsManager.pushNotifier.notify).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('bans', () => {
+    beforeEach(() => {
+      wsManager.banList = new BanList();
+    });
+
+    test('rejects a banned address at the handshake', async () => {
+      wsManager.banList.ban('address', alice.address);
+      const ws = await connectAs(wss, alice);
+
+      expect(ws.lastFrame()).toMatchObject({ type: 'error', code: 'BANNED' });
+      expect(wsManager.isOnline(alice.address)).toBeFalsy();
+    });
+
+    test('refuses connections from a banned IP', () => {
+      wsManager.banList.ban('ip', '203.0.113.7');
+      const ws = wss.connect('::ffff:203.0.113.7');
+
+      expect(ws.framesOfType('auth_challenge')).toEqual([]);
+      expect(ws.lastFrame()).toMatchObject({ type: 'error', code: 'BANNED' });
+      expect(ws.readyState).toBe(3);
+    });
+
+    test('force-disconnects every session of an address or IP', async () => {
+      const phone = await connectAs(wss, bob, { deviceId: 'phone', ip: '203.0.113.7' });
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+
+      expect(wsManager.disconnectIp('203.0.113.7')).toBe(1);
+      expect(phone.lastFrame()).toMatchObject({ type: 'session_closed', reason: 'banned' });
+      expect(desktop.readyState).toBe(1);
+
+      expect(wsManager.disconnect(bob.address)).toBe(1);
+      expect(desktop.lastFrame()).toMatchObject({ type: 'session_closed', reason: 'disconnected' });
+      expect(wsManager.isOnline(bob.address)).toBeFalsy();
+    });
+  });
+
+  describe('blocking', () => {
+    test('drops messages, typing and receipts from a blocked sender', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'block', addresses: [alice.address] });
+
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+      await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: true });
+      await aliceWs.receive({ type: 'read_receipt', to: bob.address, messageId: 'm0' });
+
+      expect(bobWs.sent.filter(frame => frame.from === alice.address)).toEqual([]);
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'queued', messageId: 'm1' });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+    });
+
+    test('removes queued messages from the blocked sender only', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const carolWs = await connectAs(wss, carol);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+      await carolWs.receive({ type: 'message', to: bob.address, content: 'hey', messageId: 'm2' });
+
+      await wsManager.block(bob.address, [alice.address]);
+
+      expect(messageQueue.peek(bob.address)).toEqual([expect.objectContaining({ messageId: 'm2' })]);
+    });
+
+    test('delivers again after unblocking', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'block', addresses: [alice.address] });
+      await bobWs.receive({ type: 'unblock', addresses: [alice.address] });
+
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'message', from: alice.address, messageId: 'm1' });
+    });
+  });
+
+  describe('disappearing messages', () => {
+    test('passes the TTL to the recipient and the sender\'s other devices', async () => {
+      const phone = await connectAs(wss, alice, { deviceId: 'phone' });
+      const desktop = await connectAs(wss, alice, { deviceId: 'desktop' });
+      const bobWs = await connectAs(wss, bob);
+
+      await phone.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1', ttlMs: 60000 });
+
+      const expiry = { ttlMs: 60000, expiresAt: expect.any(Number) };
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'message', messageId: 'm1', ...expiry });
+      expect(desktop.lastFrame()).toMatchObject({ type: 'message_sync', messageId: 'm1', ...expiry });
+    });
+
+    test('rejects an invalid expiry', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1', expiresAt: Date.now() - 1 });
+
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'error', messageId: 'm1' });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+    });
+
+    test('tells the sender when a queued message expires undelivered', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1', ttlMs: 30 });
+
+      await new Promise(resolve => setTimeout(resolve, 80));
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'message_expired', messageId: 'm1', to: bob.address });
+
+      const bobWs = await connectAs(wss, bob);
+      expect(bobWs.framesOfType('message')).toEqual([]);
+    });
+  });
+
+  describe('retract and edit', () => {
+    test('removes or replaces a message nobody received yet', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'one', messageId: 'm1' });
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'two', messageId: 'm2' });
+
+      await aliceWs.receive(modification(alice, 'retract', bob, 'm1'));
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'retract_result', messageId: 'm1', result: 'removed' });
+
+      await aliceWs.receive(modification(alice, 'edit', bob, 'm2', 'two, fixed'));
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'edit_result', messageId: 'm2', result: 'replaced' });
+
+      expect(messageQueue.peek(bob.address)).toEqual([
+        expect.objectContaining({ messageId: 'm2', content: 'two, fixed', editedAt: expect.any(Number) })
+      ]);
+    });
+
+    test('forwards the signed event once the message was delivered', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'one', messageId: 'm1' });
+
+      const edit = modification(alice, 'edit', bob, 'm1', 'uno');
+      await aliceWs.receive(edit);
+
+      expect(bobWs.lastFrame()).toMatchObject({
+        type: 'edit',
+        from: alice.address,
+        messageId: 'm1',
+        content: 'uno',
+        signature: edit.signature
+      });
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'edit_result', messageId: 'm1', result: 'forwarded' });
+    });
+
+    test('only lets the original sender change a queued message', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const carolWs = await connectAs(wss, carol);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'one', messageId: 'm1' });
+
+      await carolWs.receive(modification(carol, 'retract', bob, 'm1'));
+      expect(carolWs.lastFrame()).toMatchObject({ type: 'retract_result', result: 'forwarded' });
+
+      await carolWs.receive({ ...modification(carol, 'retract', bob, 'm1'), timestamp: 1 });
+      expect(carolWs.lastFrame()).toMatchObject({ type: 'error', code: 'PROOF_EXPIRED', frameType: 'retract' });
+
+      expect(messageQueue.peek(bob.address)).toEqual([
+        expect.objectContaining({ type: 'message', messageId: 'm1', content: 'one' }),
+        expect.objectContaining({ type: 'retract', from: carol.address, messageId: 'm1' })
+      ]);
+    });
+  });
+
+  describe('sealed sender', () => {
+    async function deliveryToken(ws, frame = {}) {
+      await ws.receive({ type: 'delivery_token_request', ...frame });
+      return ws.lastFrame().token;
+    }
+
+    test('delivers a sealed message from an unauthenticated socket', async () => {
+      const bobWs = await connectAs(wss, bob);
+      const token = await deliveryToken(bobWs);
+
+      const anonymous = wss.connect();
+      await anonymous.receive({ type: 'sealed_message', to: bob.address, deliveryToken: token, content: 'sealed', messageId: 's1' });
+
+      expect(bobWs.lastFrame()).toEqual({
+        type: 'sealed_message',
+        content: 'sealed',
+        messageId: 's1',
+        timestamp: expect.any(Number),
+        seq: 1
+      });
+      expect(anonymous.lastFrame()).toMatchObject({ type: 'delivered', messageId: 's1', to: bob.address });
+      expect(anonymous.readyState).toBe(1);
+    });
+
+    test('queues sealed messages without sender metadata', async () => {
+      const bobWs = await connectAs(wss, bob, { deviceId: 'phone' });
+      const token = await deliveryToken(bobWs);
+      bobWs.close();
+
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'sealed_message', to: bob.address, deliveryToken: token, content: 'sealed', messageId: 's1', ttlMs: 60000 });
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'queued', messageId: 's1' });
+
+      const [queued] = messageQueue.peek(bob.address);
+      expect(queued).toMatchObject({ type: 'sealed_message', messageId: 's1', ttlMs: 60000 });
+      expect(JSON.stringify(queued)).not.toContain(alice.address);
+
+      // No delivered notice goes back once the recipient acknowledges it
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      expect(phone.lastFrame()).toMatchObject({ type: 'sealed_message', messageId: 's1', queued: true });
+      await phone.receive({ type: 'ack', messageId: 's1' });
+      expect(aliceWs.framesOfType('delivered')).toEqual([]);
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+    });
+
+    test('rejects a token issued to another recipient or revoked', async () => {
+      const bobWs = await connectAs(wss, bob);
+      const carolWs = await connectAs(wss, carol);
+      const carolToken = await deliveryToken(carolWs);
+      const bobToken = await deliveryToken(bobWs);
+
+      const anonymous = wss.connect();
+      await anonymous.receive({ type: 'sealed_message', to: bob.address, deliveryToken: carolToken, content: 'x', messageId: 's1' });
+      expect(anonymous.lastFrame()).toMatchObject({ type: 'error', code: 'DELIVERY_TOKEN_INVALID', messageId: 's1' });
+
+      const freshToken = await deliveryToken(bobWs, { revoke: true });
+      await anonymous.receive({ type: 'sealed_message', to: bob.address, deliveryToken: bobToken, content: 'x', messageId: 's2' });
+      expect(anonymous.lastFrame()).toMatchObject({ type: 'error', code: 'DELIVERY_TOKEN_INVALID', messageId: 's2' });
+
+      await anonymous.receive({ type: 'sealed_message', to: bob.address, deliveryToken: freshToken, content: 'x', messageId: 's3' });
+      expect(anonymous.lastFrame()).toMatchObject({ type: 'delivered', messageId: 's3' });
+      expect(bobWs.framesOfType('sealed_message').map(frame => frame.messageId)).toEqual(['s3']);
+    });
+
+    test('rejects an expired token', async () => {
+      const bobWs = await connectAs(wss, bob);
+      wsManager.deliveryTokens.ttlMs = -1;
+      const token = await deliveryToken(bobWs);
+
+      const anonymous = wss.connect();
+      await anonymous.receive({ type: 'sealed_message', to: bob.address, deliveryToken: token, content: 'x', messageId: 's1' });
+
+      expect(anonymous.lastFrame()).toMatchObject({ type: 'error', code: 'DELIVERY_TOKEN_EXPIRED' });
+    });
+
+    test('still requires authentication for other frames', async () => {
+      const anonymous = wss.connect();
+      await anonymous.receive({ type: 'sealed_message', to: bob.address, content: 'x', messageId: 's1' });
+      expect(anonymous.lastFrame()).toMatchObject({ type: 'error', code: 'INVALID_FIELD', field: 'deliveryToken' });
+
+      await anonymous.receive({ type: 'message', to: bob.address, content: 'x', messageId: 'm1' });
+      expect(anonymous.lastFrame()).toMatchObject({ type: 'error', code: 'AUTH_REQUIRED' });
+      expect(anonymous.readyState).toBe(3);
+    });
+  });
+
+  describe('identity gating', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new MockIdentityProvider({ states: { [alice.address]: 'Candidate' } });
+      wsManager.identityGate = new IdentityGate(provider);
+    });
+
+    test('refuses messages from an identity state the policy excludes', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+
+      expect(aliceWs.lastFrame()).toMatchObject({
+        type: 'error',
+        code: 'IDENTITY_NOT_ALLOWED',
+        frameType: 'message',
+        messageId: 'm1',
+        state: 'Candidate'
+      });
+      expect(bobWs.framesOfType('message')).toEqual([]);
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+
+      await bobWs.receive({ type: 'message', to: alice.address, content: 'hey', messageId: 'm2' });
+      expect(messageQueue.getQueueSize(alice.address)).toBe(0);
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'message', messageId: 'm2' });
+    });
+
+    test('raises frame rate limits for trusted states', async () => {
+      rateLimiter.frameRules = { ping: { max: 1, windowMs: 60000 } };
+      wsManager.identityGate.rateLimitFactor = 2;
+
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'ping' });
+      await bobWs.receive({ type: 'ping' });
+      expect(bobWs.framesOfType('error')).toEqual([]);
+
+      await bobWs.receive({ type: 'ping' });
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'error', code: 'RATE_LIMITED' });
+    });
+  });
+
+  describe('rate limiting', () => {
+    test('answers frames over the limit with a rate_limited error', async () => {
+      rateLimiter.frameRules = { typing: { max: 2, windowMs: 60000 } };
+      const aliceWs = await connectAs(wss, alice);
+
+      for (let i = 0; i < 3; i++) {
+        await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: true });
+      }
+
+      expect(aliceWs.framesOfType('error')).toEqual([
+        expect.objectContaining({ code: 'RATE_LIMITED', frameType: 'typing', retryAfterMs: expect.any(Number) })
+      ]);
+      expect(aliceWs.readyState).toBe(1);
+    });
+
+    test('limits an address across connections', async () => {
+      rateLimiter.frameRules = { ping: { max: 1, windowMs: 60000 } };
+
+      const first = await connectAs(wss, alice);
+      await first.receive({ type: 'ping' });
+      first.close();
+
+      // Same address from a different IP shares the address bucket
+      const second = await connectAs(wss, alice, { ip: '10.0.0.2' });
+      await second.receive({ type: 'ping' });
+
+      expect(second.lastFrame()).toMatchObject({ type: 'error', code: 'RATE_LIMITED' });
+    });
+  });
+
+  describe('presence', () => {
+    const carol = createTestUser('44');
+
+    test('pushes presence changes to subscribers the user allowed', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'presence_allow', addresses: [bob.address] });
+
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'subscribe_presence', addresses: [alice.address] });
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'presence', address: alice.address, status: 'online' });
+
+      aliceWs.close();
+      expect(bobWs.lastFrame()).toMatchObject({
+        type: 'presence',
+        address: alice.address,
+        status: 'offline',
+        lastSeen: expect.any(Number)
+      });
+
+      await connectAs(wss, alice);
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'presence', address: alice.address, status: 'online' });
+    });
+
+    test('does not reveal presence to subscribers who are not allowed', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'presence_allow', addresses: [bob.address] });
+
+      const carolWs = await connectAs(wss, carol);
+      await carolWs.receive({ type: 'subscribe_presence', addresses: [alice.address] });
+      aliceWs.close();
+      await connectAs(wss, alice);
+
+      expect(carolWs.framesOfType('presence')).toHaveLength(0);
+    });
+
+    test('stops updates after the user revokes access', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'presence_allow', addresses: [bob.address] });
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'subscribe_presence', addresses: [alice.address] });
+
+      await aliceWs.receive({ type: 'presence_revoke', addresses: [bob.address] });
+      aliceWs.close();
+
+      expect(bobWs.framesOfType('presence')).toHaveLength(1);
+    });
+
+    test('sends the current state when access is granted to a watching subscriber', async () => {
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'subscribe_presence', addresses: [alice.address] });
+      expect(bobWs.framesOfType('presence')).toHaveLength(0);
+
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'presence_allow', addresses: [bob.address] });
+
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'presence', address: alice.address, status: 'online' });
+    });
+
+    test('drops subscriptions when the subscriber disconnects', async () => {
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'subscribe_presence', addresses: [alice.address] });
+      bobWs.close();
+
+      expect(wsManager.presenceManager.getStats()).toEqual({ subscribers: 0, watchedAddresses: 0 });
+    });
+  });
+
+  describe('multiple devices', () => {
+    test('keeps every device of an address connected', async () => {
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+
+      expect(phone.lastFrame()).toMatchObject({ type: 'auth_success', deviceId: 'phone' });
+      expect(phone.readyState).toBe(1);
+      expect(desktop.readyState).toBe(1);
+      expect(wsManager.getConnectionCount()).toBe(2);
+      expect(wsManager.getOnlineUsers()).toEqual([bob.address]);
+    });
+
+    test('assigns a device ID when the client does not send one', async () => {
+      const ws = wss.connect();
+      const { nonce } = ws.framesOfType('auth_challenge')[0];
+      await ws.receive({ type: 'auth', address: bob.address, nonce, signature: sign(nonce, bob.privateKey) });
+
+      expect(ws.lastFrame().deviceId).toEqual(expect.any(String));
+    });
+
+    test('replaces the previous session of the same device', async () => {
+      const oldSession = await connectAs(wss, bob, { deviceId: 'phone' });
+      await connectAs(wss, bob, { deviceId: 'phone' });
+
+      expect(oldSession.lastFrame()).toMatchObject({ type: 'session_replaced' });
+      expect(oldSession.readyState).toBe(3);
+      expect(wsManager.isOnline(bob.address)).toBe(true);
+    });
+
+    test('fans messages, typing and receipts out to every device', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+      await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: true });
+
+      for (const device of [phone, desktop]) {
+        expect(device.framesOfType('message')).toEqual([expect.objectContaining({ messageId: 'm1' })]);
+        expect(device.framesOfType('typing')).toHaveLength(1);
+      }
+
+      const aliceTablet = await connectAs(wss, alice, { deviceId: 'tablet' });
+      await phone.receive({ type: 'read_receipt', to: alice.address, messageId: 'm1' });
+
+      expect(aliceWs.framesOfType('read')).toHaveLength(1);
+      expect(aliceTablet.framesOfType('read')).toHaveLength(1);
+    });
+
+    test('syncs sent messages to the sender\'s other devices', async () => {
+      const phone = await connectAs(wss, alice, { deviceId: 'phone' });
+      const desktop = await connectAs(wss, alice, { deviceId: 'desktop' });
+
+      await phone.receive({
+        type: 'message',
+        to: bob.address,
+        content: 'for-bob',
+        senderCopy: 'for-alice',
+        messageId: 'm1'
+      });
+
+      expect(desktop.framesOfType('message_sync')).toEqual([
+        expect.objectContaining({ to: bob.address, content: 'for-alice', messageId: 'm1' })
+      ]);
+      expect(phone.framesOfType('message_sync')).toHaveLength(0);
+    });
+
+    test('queues messages for devices that are offline', async () => {
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+      desktop.close();
+      await connectAs(wss, bob, { deviceId: 'phone' });
+
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'delivered', messageId: 'm1' });
+
+      const desktopAgain = await connectAs(wss, bob, { deviceId: 'desktop' });
+      expect(desktopAgain.framesOfType('message')).toEqual([
+        expect.objectContaining({ messageId: 'm1', queued: true })
+      ]);
+
+      await desktopAgain.receive({ type: 'ack', messageIds: ['m1'] });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+
+      // The sender already heard about the online delivery
+      expect(aliceWs.framesOfType('delivered')).toHaveLength(1);
+    });
+
+    test('keeps a queued message until every device acknowledged it', async () => {
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      phone.close();
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+      desktop.close();
+
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+
+      const phoneAgain = await connectAs(wss, bob, { deviceId: 'phone' });
+      await phoneAgain.receive({ type: 'ack', messageIds: ['m1'] });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(1);
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'delivered', messageId: 'm1', queued: true });
+
+      const desktopAgain = await connectAs(wss, bob, { deviceId: 'desktop' });
+      expect(desktopAgain.framesOfType('message')).toHaveLength(1);
+      await desktopAgain.receive({ type: 'ack', messageIds: ['m1'] });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+    });
+
+    test('stops waiting for a removed device', async () => {
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      phone.close();
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+      desktop.close();
+
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+
+      const phoneAgain = await connectAs(wss, bob, { deviceId: 'phone' });
+      await phoneAgain.receive({ type: 'ack', messageIds: ['m1'] });
+      await phoneAgain.receive({ type: 'remove_device', deviceId: 'desktop' });
+
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+      expect(wsManager.deviceRegistry.getDeviceIds(bob.address)).toEqual(['phone']);
+    });
+
+    test('reports offline only after the last device disconnects', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await aliceWs.receive({ type: 'presence_allow', addresses: [bob.address] });
+      const bobWs = await connectAs(wss, bob);
+      await bobWs.receive({ type: 'subscribe_presence', addresses: [alice.address] });
+
+      const aliceTablet = await connectAs(wss, alice, { deviceId: 'tablet' });
+      aliceWs.close();
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'presence', status: 'online' });
+
+      aliceTablet.close();
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'presence', status: 'offline' });
+    });
+  });
+
+  describe('groups', () => {
+    async function createGroup(creatorWs, members) {
+      await creatorWs.receive({ type: 'group_create', name: 'Team', members });
+      return creatorWs.framesOfType('group_event').pop().group;
+    }
+
+    test('creates a group and tells every member', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+
+      const group = await createGroup(aliceWs, [bob.address, carol.address]);
+
+      expect(group.members).toEqual([
+        expect.objectContaining({ address: alice.address, role: 'admin' }),
+        expect.objectContaining({ address: bob.address, role: 'member' }),
+        expect.objectContaining({ address: carol.address, role: 'member' })
+      ]);
+      expect(bobWs.framesOfType('group_event')).toEqual([
+        expect.objectContaining({ event: 'created', actor: alice.address, groupId: group.groupId })
+      ]);
+
+      // Carol is offline and gets the event on connect
+      const carolWs = await connectAs(wss, carol);
+      expect(carolWs.framesOfType('group_event')).toEqual([
+        expect.objectContaining({ event: 'created', queued: true })
+      ]);
+    });
+
+    test('fans a group message out with each member\'s payload', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      const group = await createGroup(aliceWs, [bob.address, carol.address]);
+
+      await aliceWs.receive({
+        type: 'group_message',
+        groupId: group.groupId,
+        messageId: 'g1',
+        payloads: { [bob.address]: 'for-bob', [carol.address]: 'for-carol' }
+      });
+
+      expect(bobWs.framesOfType('group_message')).toEqual([
+        expect.objectContaining({ groupId: group.groupId, from: alice.address, content: 'for-bob', messageId: 'g1' })
+      ]);
+      expect(aliceWs.lastFrame()).toMatchObject({
+        type: 'group_message_status',
+        messageId: 'g1',
+        delivered: [bob.address],
+        queued: [carol.address],
+        missing: []
+      });
+
+      const carolWs = await connectAs(wss, carol);
+      expect(carolWs.framesOfType('group_message')).toEqual([
+        expect.objectContaining({ content: 'for-carol', queued: true })
+      ]);
+
+      await carolWs.receive({ type: 'ack', messageIds: ['g1'] });
+      expect(aliceWs.lastFrame()).toMatchObject({
+        type: 'delivered',
+        messageId: 'g1',
+        groupId: group.groupId,
+        to: carol.address,
+        queued: true
+      });
+    });
+
+    test('reports members without a payload', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const group = await createGroup(aliceWs, [bob.address, carol.address]);
+
+      await aliceWs.receive({
+        type: 'group_message',
+        groupId: group.groupId,
+        messageId: 'g1',
+        payloads: { [bob.address]: 'for-bob' }
+      });
+
+      expect(aliceWs.lastFrame()).toMatchObject({ queued: [bob.address], missing: [carol.address] });
+    });
+
+    test('drops group messages for members who blocked the sender', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      const group = await createGroup(aliceWs, [bob.address, carol.address]);
+      await bobWs.receive({ type: 'block', addresses: [alice.address] });
+
+      await aliceWs.receive({
+        type: 'group_message',
+        groupId: group.groupId,
+        messageId: 'g1',
+        payloads: { [bob.address]: 'for-bob', [carol.address]: 'for-carol' }
+      });
+
+      expect(bobWs.framesOfType('group_message')).toEqual([]);
+      expect(aliceWs.lastFrame()).toMatchObject({ delivered: [], queued: [bob.address, carol.address] });
+      expect(messageQueue.peek(bob.address).filter(msg => msg.type === 'group_message')).toEqual([]);
+    });
+
+    test('removes queued group messages once a member blocks the sender', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const group = await createGroup(aliceWs, [bob.address]);
+      await aliceWs.receive({
+        type: 'group_message',
+        groupId: group.groupId,
+        messageId: 'g1',
+        payloads: { [bob.address]: 'for-bob' }
+      });
+
+      await wsManager.block(bob.address, [alice.address]);
+
+      expect(messageQueue.peek(bob.address).filter(msg => msg.type === 'group_message')).toEqual([]);
+    });
+
+    test('rejects group messages from non-members', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const carolWs = await connectAs(wss, carol);
+      const group = await createGroup(aliceWs, [bob.address]);
+
+      await carolWs.receive({
+        type: 'group_message',
+        groupId: group.groupId,
+        messageId: 'g1',
+        payloads: { [bob.address]: 'spam' }
+      });
+
+      expect(carolWs.lastFrame()).toMatchObject({ type: 'error', code: 'GROUP_NOT_FOUND' });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(1); // only the created event
+    });
+
+    test('only lets admins change membership', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      const group = await createGroup(aliceWs, [bob.address]);
+
+      await bobWs.receive({ type: 'group_add_members', groupId: group.groupId, members: [carol.address] });
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'error', code: 'GROUP_FORBIDDEN', frameType: 'group_add_members' });
+
+      await aliceWs.receive({ type: 'group_set_role', groupId: group.groupId, address: bob.address, role: 'admin' });
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'group_event', event: 'role_changed', address: bob.address, role: 'admin' });
+
+      await bobWs.receive({ type: 'group_add_members', groupId: group.groupId, members: [carol.address] });
+      expect(aliceWs.lastFrame()).toMatchObject({ type: 'group_event', event: 'members_added', members: [carol.address] });
+    });
+
+    test('tells removed members and the rest of the group', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      const carolWs = await connectAs(wss, carol);
+      const group = await createGroup(aliceWs, [bob.address, carol.address]);
+
+      await aliceWs.receive({ type: 'group_remove_member', groupId: group.groupId, address: bob.address });
+
+      for (const ws of [aliceWs, bobWs, carolWs]) {
+        expect(ws.lastFrame()).toMatchObject({ type: 'group_event', event: 'member_removed', address: bob.address });
+      }
+
+      await bobWs.receive({
+        type: 'group_message',
+        groupId: group.groupId,
+        messageId: 'g1',
+        payloads: { [alice.address]: 'still here?' }
+      });
+      expect(bobWs.lastFrame()).toMatchObject({ type: 'error', code: 'GROUP_NOT_FOUND' });
+    });
+
+    test('promotes a member when the last admin leaves', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const bobWs = await connectAs(wss, bob);
+      const group = await createGroup(aliceWs, [bob.address]);
+
+      await aliceWs.receive({ type: 'group_remove_member', groupId: group.groupId, address: alice.address });
+
+      expect(bobWs.lastFrame()).toMatchObject({
+        type: 'group_event',
+        event: 'member_left',
+        address: alice.address,
+        promoted: bob.address
+      });
+      expect(bobWs.lastFrame().group.members).toEqual([
+        expect.objectContaining({ address: bob.address, role: 'admin' })
+      ]);
+    });
+
+    test('keeps queued events as they were announced', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const group = await createGroup(aliceWs, [bob.address]);
+      await aliceWs.receive({ type: 'group_add_members', groupId: group.groupId, members: [carol.address] });
+
+      const bobWs = await connectAs(wss, bob);
+      const [created, added] = bobWs.framesOfType('group_event');
+
+      expect(created.group.members).toHaveLength(2);
+      expect(added.group.members).toHaveLength(3);
+    });
+  });
+
+  describe('session resumption', () => {
+    function sessionOf(ws) {
+      const { sessionToken, seq } = ws.framesOfType('auth_success')[0];
+      const seqs = ws.sent.filter(frame => frame.seq !== undefined).map(frame => frame.seq);
+      return { sessionToken, lastSeq: seqs.length > 0 ? Math.max(...seqs) : seq };
+    }
+
+    test('numbers the events of each device in order', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: true });
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+
+      expect(phone.framesOfType('auth_success')[0]).toMatchObject({ sessionToken: expect.any(String), seq: 0 });
+      expect(phone.sent.filter(frame => frame.seq).map(frame => [frame.type, frame.seq]))
+        .toEqual([['typing', 1], ['message', 2]]);
+      expect(desktop.framesOfType('message')[0].seq).toBe(1);
+    });
+
+    test('replays what a device missed while disconnected, in order', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'seen', messageId: 'm1' });
+      const session = sessionOf(phone);
+      phone.close();
+
+      await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: true });
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'missed', messageId: 'm2' });
+      await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: false });
+
+      const resumed = await connectAs(wss, bob, { deviceId: 'phone', resume: session });
+
+      expect(resumed.framesOfType('auth_success')[0]).toMatchObject({
+        sessionToken: session.sessionToken,
+        seq: 4,
+        resumed: true
+      });
+      expect(resumed.sent.slice(2).map(frame => [frame.type, frame.seq, frame.replayed])).toEqual([
+        ['typing', 2, true],
+        ['message', 3, true],
+        ['typing', 4, true]
+      ]);
+
+      // The replayed message stays queued until the device acknowledges it
+      await resumed.receive({ type: 'ack', messageId: 'm2' });
+      expect(messageQueue.getQueueSize(bob.address)).toBe(0);
+    });
+
+    test('replays the current state of messages changed while disconnected', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      const session = sessionOf(phone);
+      phone.close();
+
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'one', messageId: 'm1' });
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'two', messageId: 'm2' });
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'brief', messageId: 'm3', ttlMs: 30 });
+      await aliceWs.receive(modification(alice, 'retract', bob, 'm1'));
+      await aliceWs.receive(modification(alice, 'edit', bob, 'm2', 'two, fixed'));
+      await new Promise(resolve => setTimeout(resolve, 80));
+
+      const resumed = await connectAs(wss, bob, { deviceId: 'phone', resume: session });
+      expect(resumed.framesOfType('auth_success')[0]).toMatchObject({ resumed: true, seq: 3 });
+      expect(resumed.framesOfType('message')).toEqual([
+        expect.objectContaining({ messageId: 'm2', content: 'two, fixed', seq: 2, replayed: true })
+      ]);
+    });
+
+    test('leaves frames from an address blocked since out of a replay', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      const session = sessionOf(phone);
+      phone.close();
+
+      await aliceWs.receive({ type: 'typing', to: bob.address, isTyping: true });
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+      await wsManager.block(bob.address, [alice.address]);
+
+      const resumed = await connectAs(wss, bob, { deviceId: 'phone', resume: session });
+      expect(resumed.framesOfType('auth_success')[0]).toMatchObject({ resumed: true });
+      expect(resumed.sent.filter(frame => frame.from === alice.address)).toEqual([]);
+    });
+
+    test('starts a new session when the token does not match', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      const session = sessionOf(phone);
+      phone.close();
+
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'missed', messageId: 'm1' });
+      const other = await connectAs(wss, bob, {
+        deviceId: 'phone',
+        resume: { sessionToken: 'forged', lastSeq: session.lastSeq }
+      });
+
+      const authSuccess = other.framesOfType('auth_success')[0];
+      expect(authSuccess).toMatchObject({ seq: 0, resumed: false });
+      expect(authSuccess.sessionToken).not.toBe(session.sessionToken);
+      expect(other.framesOfType('message')).toEqual([
+        expect.objectContaining({ messageId: 'm1', queued: true })
+      ]);
+    });
+
+    test('cannot resume from a sequence number it was never sent', async () => {
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      const { sessionToken } = sessionOf(phone);
+      phone.close();
+
+      const resumed = await connectAs(wss, bob, { deviceId: 'phone', resume: { sessionToken, lastSeq: 5 } });
+      expect(resumed.framesOfType('auth_success')[0]).toMatchObject({ resumed: false, seq: 0 });
+    });
+
+    test('ends the stream of a removed device', async () => {
+      const desktop = await connectAs(wss, bob, { deviceId: 'desktop' });
+      const session = sessionOf(desktop);
+      desktop.close();
+
+      const phone = await connectAs(wss, bob, { deviceId: 'phone' });
+      await phone.receive({ type: 'remove_device', deviceId: 'desktop' });
+
+      const resumed = await connectAs(wss, bob, { deviceId: 'desktop', resume: session });
+      expect(resumed.framesOfType('auth_success')[0]).toMatchObject({ resumed: false, seq: 0 });
+    });
+  });
+
+  describe('metrics', () => {
+    beforeEach(() => {
+      metrics.reset();
+    });
+
+    function value(name, labels) {
+      return metrics.metrics.get(name).get(labels);
+    }
+
+    test('counts auths, frames and routing outcomes', async () => {
+      const aliceWs = await connectAs(wss, alice);
+      await connectAs(wss, bob);
+      await aliceWs.receive({ type: 'message', to: bob.address, content: 'hi', messageId: 'm1' });
+      await aliceWs.receive({ type: 'message', to: carol.address, content: 'hi', messageId: 'm2' });
+      await aliceWs.receive({ type: 'bogus' });
+
+      expect(value('relay_auth_attempts_total', { result: 'success' })).toBe(2);
+      expect(value('relay_ws_frames_total', { direction: 'in', type: 'message' })).toBe(2);
+      expect(value('relay_ws_frames_total', { direction: 'in', type: 'unknown' })).toBe(1);
+      expect(value('relay_ws_frames_total', { direction: 'out', type: 'delivered' })).toBe(1);
+      expect(value('relay_messages_routed_total', { type: 'message', outcome: 'delivered' })).toBe(1);
+      expect(value('relay_messages_routed_total', { type: 'message', outcome: 'queued' })).toBe(1);
+    });
+
+    test('counts messages dropped from a full queue', async () => {
+      messageQueue.maxMessagesPerUser = 1;
+      await messageQueue.enqueue(bob.address, { messageId: 'm1' });
+      await messageQueue.enqueue(bob.address, { messageId: 'm2' });
+
+      expect(value('relay_messages_dropped_total', { reason: 'queue_full' })).toBe(1);
+    });
+  });
+});
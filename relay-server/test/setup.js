@@ -0,0 +1,2 @@
+// Keep test output readable; set TEST_LOG_LEVEL to see relay logs
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
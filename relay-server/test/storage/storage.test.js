@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, MemoryStorage, FileStorage } = require('../../src/storage');
+const MessageQueue = require('../../src/services/messageQueue');
+const PublicKeyStore = require('../../src/services/publicKeyStore');
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+const tempDirs = [];
+
+function tempDir() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-storage-'));
+  tempDirs.push(directory);
+  return directory;
+}
+
+afterAll(() => {
+  for (const directory of tempDirs.splice(0)) {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+describe.each([
+  ['MemoryStorage', () => new MemoryStorage()],
+  ['FileStorage', () => new FileStorage(tempDir())]
+])('%s', (name, createBackend) => {
+  let storage;
+  let messageQueue;
+  let publicKeyStore;
+
+  beforeEach(() => {
+    storage = createBackend();
+    messageQueue = new MessageQueue(storage);
+    publicKeyStore = new PublicKeyStore(storage);
+  });
+
+  afterEach(() => {
+    messageQueue.stopCleanup();
+  });
+
+  test('enqueues, peeks and dequeues messages in order', async () => {
+    await messageQueue.enqueue(ALICE, { messageId: 'm1' });
+    await messageQueue.enqueue(ALICE, { messageId: 'm2' });
+
+    expect(messageQueue.peek(ALICE, 1).map(m => m.messageId)).toEqual(['m1']);
+    expect(messageQueue.getQueueSize(ALICE)).toBe(2);
+
+    const messages = await messageQueue.dequeue(ALICE);
+    expect(messages.map(m => m.messageId)).toEqual(['m1', 'm2']);
+    expect(messageQueue.getQueueSize(ALICE)).toBe(0);
+  });
+
+  test('drops the oldest message when the queue is full', async () => {
+    messageQueue.maxMessagesPerUser = 2;
+    await messageQueue.enqueue(ALICE, { messageId: 'm1' });
+    await messageQueue.enqueue(ALICE, { messageId: 'm2' });
+    await messageQueue.enqueue(ALICE, { messageId: 'm3' });
+
+    expect(messageQueue.peek(ALICE).map(m => m.messageId)).toEqual(['m2', 'm3']);
+  });
+
+  test('clears a queue', async () => {
+    await messageQueue.enqueue(ALICE, { messageId: 'm1' });
+
+    expect(messageQueue.clear(ALICE)).toBe(true);
+    expect(messageQueue.clear(ALICE)).toBe(false);
+  });
+
+  test('cleans up expired messages', async () => {
+    await messageQueue.enqueue(ALICE, { messageId: 'm1' });
+    await messageQueue.enqueue(BOB, { messageId: 'm2' });
+    storage.get('queues', ALICE)[0].queuedAt = Date.now() - 200 * 3600000;
+
+    expect(messageQueue.cleanup()).toBe(1);
+    expect(messageQueue.getStats()).toMatchObject({ totalUsers: 1, totalMessages: 1 });
+  });
+
+  test('purges a message when its own expiry passes', async () => {
+    const onExpired = jest.fn();
+    messageQueue.onExpired(onExpired);
+    await messageQueue.enqueue(ALICE, { messageId: 'm1', expiresAt: Date.now() + 30 });
+    await messageQueue.enqueue(ALICE, { messageId: 'm2' });
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    expect(onExpired).toHaveBeenCalledWith(ALICE, [expect.objectContaining({ messageId: 'm1' })]);
+    expect(messageQueue.peek(ALICE).map(m => m.messageId)).toEqual(['m2']);
+  });
+
+  test('never hands out an expired message', async () => {
+    await messageQueue.enqueue(ALICE, { messageId: 'm1', expiresAt: Date.now() - 1 });
+    await messageQueue.enqueue(BOB, { messageId: 'm2', expiresAt: Date.now() - 1 });
+
+    expect((await messageQueue.prepareDelivery(ALICE, 'phone')).messages).toEqual([]);
+    expect(await messageQueue.dequeue(BOB)).toEqual([]);
+  });
+
+  test('stores, reads and deletes public keys', async () => {
+    await publicKeyStore.store(ALICE, 'alice-key');
+    await publicKeyStore.store(BOB, 'bob-key');
+
+    expect(await publicKeyStore.get(ALICE)).toMatchObject({ publicKey: 'alice-key' });
+    expect(Object.keys(await publicKeyStore.getMultiple([ALICE, BOB]))).toEqual([ALICE, BOB]);
+    expect(await publicKeyStore.exists(BOB)).toBe(true);
+
+    expect(await publicKeyStore.delete(BOB)).toBe(true);
+    expect(await publicKeyStore.exists(BOB)).toBe(false);
+    expect(publicKeyStore.getCount()).toBe(1);
+  });
+
+  test('keeps createdAt when a key is rotated', async () => {
+    const first = await publicKeyStore.store(ALICE, 'old-key');
+    const second = await publicKeyStore.store(ALICE, 'new-key');
+
+    expect(second.createdAt).toBe(first.createdAt);
+    expect((await publicKeyStore.get(ALICE)).publicKey).toBe('new-key');
+  });
+});
+
+describe('FileStorage persistence', () => {
+  test('queued messages and public keys survive a restart', async () => {
+    const directory = tempDir();
+
+    const before = new FileStorage(directory);
+    const queueBefore = new MessageQueue(before);
+    await queueBefore.enqueue(ALICE, { from: BOB, messageId: 'm1', content: 'hello' });
+    await new PublicKeyStore(before).store(ALICE, 'alice-key');
+    queueBefore.stopCleanup();
+    before.close();
+
+    // Simulate a relay restart with a fresh process state
+    const after = new FileStorage(directory);
+    const queueAfter = new MessageQueue(after);
+    const keysAfter = new PublicKeyStore(after);
+
+    expect(await keysAfter.get(ALICE)).toMatchObject({ publicKey: 'alice-key' });
+    const messages = await queueAfter.dequeue(ALICE);
+    expect(messages).toEqual([expect.objectContaining({ messageId: 'm1', content: 'hello' })]);
+    queueAfter.stopCleanup();
+
+    // Dequeuing is persisted too
+    const restartedAgain = new FileStorage(directory);
+    expect(restartedAgain.getQueueSize(ALICE)).toBe(0);
+  });
+});
+
+describe('createStorage', () => {
+  const originalPath = process.env.STORAGE_PATH;
+
+  afterEach(() => {
+    process.env.STORAGE_PATH = originalPath;
+  });
+
+  test('defaults to memory storage', () => {
+    expect(createStorage('memory')).toBeInstanceOf(MemoryStorage);
+  });
+
+  test('creates file storage under STORAGE_PATH', () => {
+    process.env.STORAGE_PATH = tempDir();
+    const storage = createStorage('file');
+
+    expect(storage).toBeInstanceOf(FileStorage);
+    expect(storage.directory).toBe(process.env.STORAGE_PATH);
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createStorage('redis')).toThrow('Unknown STORAGE_BACKEND');
+  });
+});
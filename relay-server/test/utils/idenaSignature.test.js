@@ -0,0 +1,44 @@
+const {
+  recoverAddress,
+  verifySignature,
+  sign,
+  privateKeyToAddress
+} = require('../../src/utils/idenaSignature');
+
+const PRIVATE_KEY = `0x${'11'.repeat(32)}`;
+
+describe('idenaSignature', () => {
+  const address = privateKeyToAddress(PRIVATE_KEY);
+
+  test('derives a lowercase Idena address from a private key', () => {
+    expect(address).toMatch(/^0x[a-f0-9]{40}$/);
+  });
+
+  test('recovers the signer address', () => {
+    const signature = sign('hello', PRIVATE_KEY);
+    expect(recoverAddress('hello', signature)).toBe(address);
+  });
+
+  test('accepts v values of 27/28', () => {
+    const signature = sign('hello', PRIVATE_KEY);
+    const v = parseInt(signature.slice(-2), 16) + 27;
+    const legacy = signature.slice(0, -2) + v.toString(16);
+    expect(verifySignature('hello', legacy, address)).toBe(true);
+  });
+
+  test('verifies against a checksummed address', () => {
+    const signature = sign('hello', PRIVATE_KEY);
+    expect(verifySignature('hello', signature, address.toUpperCase().replace('0X', '0x'))).toBe(true);
+  });
+
+  test('rejects signatures over different data', () => {
+    const signature = sign('hello', PRIVATE_KEY);
+    expect(verifySignature('goodbye', signature, address)).toBe(false);
+  });
+
+  test('rejects malformed signatures', () => {
+    expect(recoverAddress('hello', '0x1234')).toBeNull();
+    expect(recoverAddress('hello', `0x${'zz'.repeat(65)}`)).toBeNull();
+    expect(verifySignature('hello', null, address)).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+const { Logger, runWithLogContext, bindLogContext } = require('../../src/utils/logger');
+
+const ADDRESS = '0x1234567890abcdef1234567890abcdef12345678';
+
+function createTestLogger(options = {}) {
+  const lines = [];
+  const logger = new Logger({
+    level: 'info',
+    moduleLevels: {},
+    format: 'json',
+    redact: 'hash',
+    salt: 'test-salt',
+    write: (level, line) => lines.push(JSON.parse(line)),
+    ...options
+  });
+  return { logger, lines };
+}
+
+describe('Logger', () => {
+  test('writes one JSON object per line', () => {
+    const { logger, lines } = createTestLogger({ redact: 'none' });
+
+    logger.child({ module: 'messageQueue' }).info('Message queued', { messageId: 'm1', count: 2 });
+
+    expect(lines).toEqual([{
+      timestamp: expect.any(String),
+      level: 'info',
+      module: 'messageQueue',
+      message: 'Message queued',
+      messageId: 'm1',
+      count: 2
+    }]);
+  });
+
+  test('writes text lines with the module', () => {
+    const written = [];
+    const logger = new Logger({ level: 'info', format: 'text', redact: 'none', write: (level, line) => written.push(line) });
+
+    logger.child({ module: 'server' }).warn('Slow request', { path: '/health' });
+
+    expect(written[0]).toMatch(/^\[.+\] \[WARN\] \[server\] Slow request {"path":"\/health"}$/);
+  });
+
+  test('logs the message and stack of an Error', () => {
+    const { logger, lines } = createTestLogger();
+
+    logger.error('API Error:', new Error('boom'));
+
+    expect(lines[0].error).toBe('boom');
+    expect(lines[0].stack).toContain('Error: boom');
+  });
+
+  test('hashes addresses and IPs consistently', () => {
+    const { logger, lines } = createTestLogger();
+
+    logger.info(`Message from ${ADDRESS}`, { address: ADDRESS.toUpperCase().replace('0X', '0x'), to: [ADDRESS], ip: '203.0.113.7' });
+    logger.info('Again', { address: ADDRESS, ip: '203.0.113.7' });
+
+    const [first, second] = lines;
+    expect(first.address).toMatch(/^addr:[0-9a-f]{12}$/);
+    expect(first.message).toBe(`Message from ${first.address}`);
+    expect(first.to).toEqual([first.address]);
+    expect(second.address).toBe(first.address);
+    expect(first.ip).toMatch(/^ip:[0-9a-f]{12}$/);
+    expect(second.ip).toBe(first.ip);
+    expect(JSON.stringify(lines)).not.toContain(ADDRESS.slice(2));
+  });
+
+  test('uses the salt in the hash', () => {
+    const a = createTestLogger({ salt: 'one' });
+    const b = createTestLogger({ salt: 'two' });
+
+    a.logger.info('x', { address: ADDRESS });
+    b.logger.info('x', { address: ADDRESS });
+
+    expect(a.lines[0].address).not.toBe(b.lines[0].address);
+  });
+
+  test('truncates addresses and IPs', () => {
+    const { logger, lines } = createTestLogger({ redact: 'truncate' });
+
+    logger.info('Connected', { address: ADDRESS, ip: '::ffff:203.0.113.7' });
+    logger.info('Connected', { ip: '2001:db8:85a3:8d3:1319:8a2e:370:7348' });
+
+    expect(lines[0].address).toBe('0x1234…5678');
+    expect(lines[0].ip).toBe('::ffff:203.0.113.0');
+    expect(lines[1].ip).toBe('2001:db8:85a3::');
+  });
+
+  test('leaves values as they are when redaction is off', () => {
+    const { logger, lines } = createTestLogger({ redact: 'none' });
+
+    logger.info('Connected', { address: ADDRESS, ip: '203.0.113.7' });
+
+    expect(lines[0]).toMatchObject({ address: ADDRESS, ip: '203.0.113.7' });
+  });
+
+  test('applies per-module levels over the default level', () => {
+    const { logger, lines } = createTestLogger({
+      level: 'warn',
+      moduleLevels: { websocketManager: 'debug', federationManager: 'error' }
+    });
+
+    logger.child({ module: 'websocketManager' }).debug('frame');
+    logger.child({ module: 'federationManager' }).warn('peer slow');
+    logger.child({ module: 'server' }).info('request');
+    logger.child({ module: 'server' }).warn('slow');
+
+    expect(lines.map(line => line.message)).toEqual(['frame', 'slow']);
+  });
+
+  test('adds the log context to lines logged inside it, across async work', async () => {
+    const { logger, lines } = createTestLogger();
+
+    await runWithLogContext({ correlationId: 'req-1' }, async () => {
+      logger.info('start');
+      await new Promise(resolve => setImmediate(resolve));
+      logger.info('after await');
+    });
+    logger.info('outside');
+
+    expect(lines.map(line => line.correlationId)).toEqual(['req-1', 'req-1', undefined]);
+  });
+
+  test('binds callbacks to the context they were created in', () => {
+    const { logger, lines } = createTestLogger();
+
+    const callback = runWithLogContext({ correlationId: 'ws-1' }, () => bindLogContext(() => logger.info('later')));
+    callback();
+
+    expect(lines[0].correlationId).toBe('ws-1');
+  });
+});
@@ -0,0 +1,78 @@
+const merkle = require('../../src/utils/merkle');
+
+function leavesOf(count) {
+  return Array.from({ length: count }, (_, i) => merkle.leafHash(`entry-${i}`));
+}
+
+describe('merkle', () => {
+  test('matches the RFC 6962 hashes of small trees', () => {
+    expect(merkle.rootHash([])).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(merkle.leafHash('')).toBe('6e340b9cffb37a989ca544e6bb780a2c78901d3fb33738768511a30617afa01d');
+
+    const [a, b, c] = leavesOf(3);
+    expect(merkle.rootHash([a, b, c])).toBe(merkle.nodeHash(merkle.nodeHash(a, b), c));
+  });
+
+  test('proves and verifies inclusion of every leaf', () => {
+    for (let size = 1; size <= 9; size++) {
+      const leaves = leavesOf(size);
+      const root = merkle.rootHash(leaves);
+
+      leaves.forEach((leaf, index) => {
+        const proof = merkle.inclusionProof(index, leaves);
+        expect(merkle.verifyInclusion(leaf, index, size, proof, root)).toBe(true);
+      });
+    }
+  });
+
+  test('rejects an inclusion proof for another position or root', () => {
+    const leaves = leavesOf(7);
+    const proof = merkle.inclusionProof(2, leaves);
+
+    expect(merkle.verifyInclusion(leaves[2], 3, 7, proof, merkle.rootHash(leaves))).toBe(false);
+    expect(merkle.verifyInclusion(leaves[2], 2, 7, proof, merkle.rootHash(leaves.slice(0, 6)))).toBe(false);
+  });
+
+  test('proves and verifies consistency between every pair of sizes', () => {
+    const leaves = leavesOf(9);
+
+    for (let second = 1; second <= leaves.length; second++) {
+      for (let first = 0; first <= second; first++) {
+        const proof = merkle.consistencyProof(first, leaves.slice(0, second));
+        const firstRoot = merkle.rootHash(leaves.slice(0, first));
+        const secondRoot = merkle.rootHash(leaves.slice(0, second));
+        expect(merkle.verifyConsistency(first, second, proof, firstRoot, secondRoot)).toBe(true);
+      }
+    }
+  });
+
+  test('proves every earlier size of a growing tree', () => {
+    const leaves = leavesOf(20);
+    const tree = new merkle.MerkleTree();
+    const roots = leaves.map((leaf) => {
+      tree.append(leaf);
+      return tree.rootHash();
+    });
+
+    for (let second = 1; second <= leaves.length; second++) {
+      const root = roots[second - 1];
+      expect(tree.rootHash(second)).toBe(root);
+
+      for (let index = 0; index < second; index++) {
+        expect(merkle.verifyInclusion(leaves[index], index, second, tree.inclusionProof(index, second), root)).toBe(true);
+      }
+      for (let first = 1; first <= second; first++) {
+        const proof = tree.consistencyProof(first, second);
+        expect(merkle.verifyConsistency(first, second, proof, roots[first - 1], root)).toBe(true);
+      }
+    }
+  });
+
+  test('rejects a rewritten history', () => {
+    const leaves = leavesOf(6);
+    const forked = [...leaves.slice(0, 3), merkle.leafHash('swapped'), ...leaves.slice(4)];
+
+    const proof = merkle.consistencyProof(4, leaves);
+    expect(merkle.verifyConsistency(4, 6, proof, merkle.rootHash(forked.slice(0, 4)), merkle.rootHash(leaves))).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+const { Metrics } = require('../../src/utils/metrics');
+
+describe('Metrics', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new Metrics();
+  });
+
+  test('renders counters with labels', () => {
+    const frames = metrics.counter('relay_frames_total', 'Frames', ['type']);
+    frames.inc({ type: 'message' });
+    frames.inc({ type: 'message' }, 2);
+    frames.inc({ type: 'say "hi"' });
+
+    expect(metrics.render()).toBe([
+      '# HELP relay_frames_total Frames',
+      '# TYPE relay_frames_total counter',
+      'relay_frames_total{type="message"} 3',
+      'relay_frames_total{type="say \\"hi\\""} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('returns the registered metric for a known name', () => {
+    const first = metrics.counter('relay_total', 'Total');
+    expect(metrics.counter('relay_total', 'Total')).toBe(first);
+  });
+
+  test('renders cumulative histogram buckets', () => {
+    const sizes = metrics.histogram('relay_sizes', 'Sizes', [], [1, 10]);
+    sizes.observe({}, 0);
+    sizes.observe({}, 5);
+    sizes.observe({}, 50);
+
+    expect(metrics.render()).toContain([
+      'relay_sizes_bucket{le="1"} 1',
+      'relay_sizes_bucket{le="10"} 2',
+      'relay_sizes_bucket{le="+Inf"} 3',
+      'relay_sizes_sum 55',
+      'relay_sizes_count 3'
+    ].join('\n'));
+  });
+
+  test('reads gauges when rendering', () => {
+    let connections = 1;
+    metrics.gauge('relay_connections', 'Connections', () => connections);
+    connections = 4;
+
+    expect(metrics.render()).toContain('relay_connections 4');
+  });
+});
@@ -0,0 +1,15 @@
+const { tokensMatch } = require('../../src/utils/tokens');
+
+describe('tokensMatch', () => {
+  test('matches only the same token', () => {
+    expect(tokensMatch('secret-token', 'secret-token')).toBe(true);
+    expect(tokensMatch('secret-token', 'secret-tokeN')).toBe(false);
+    expect(tokensMatch('secret-token', 'secret')).toBe(false);
+  });
+
+  test('never matches anything but a string', () => {
+    expect(tokensMatch('secret-token', undefined)).toBe(false);
+    expect(tokensMatch('secret-token', ['secret-token'])).toBe(false);
+    expect(tokensMatch(undefined, undefined)).toBe(false);
+  });
+});